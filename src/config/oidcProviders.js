@@ -0,0 +1,66 @@
+// src/config/oidcProviders.js
+// OpenID Connect providers available for sign-in, configured through
+// OIDC_PROVIDERS, e.g.
+// OIDC_PROVIDERS='{"google":{"issuer":"https://accounts.google.com","clientId":"...","clientSecret":"...","label":"Google"}}'
+// In development a "mock" provider backed by /api/dev/oidc is added.
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+// Local issuer served by routes/mockOidc.js
+const MOCK_PROVIDER = {
+    label: 'Mock OIDC',
+    issuer: `${API_URL}/api/dev/oidc`,
+    clientId: 'mock-client',
+    clientSecret: 'mock-secret'
+};
+
+const loadProviders = () => {
+    let configured = {};
+
+    if (process.env.OIDC_PROVIDERS) {
+        try {
+            configured = JSON.parse(process.env.OIDC_PROVIDERS);
+        } catch (error) {
+            console.error('Invalid OIDC_PROVIDERS, no providers configured:', error.message);
+        }
+    }
+
+    if (process.env.NODE_ENV === 'development' && !configured.mock) {
+        configured.mock = MOCK_PROVIDER;
+    }
+
+    const providers = {};
+    for (const [name, config] of Object.entries(configured)) {
+        if (!/^[a-z0-9-]{1,50}$/.test(name) || !config.issuer || !config.clientId) {
+            console.error(`Skipping OIDC provider "${name}": needs a lowercase name, issuer and clientId`);
+            continue;
+        }
+
+        providers[name] = {
+            name,
+            label: config.label || name,
+            issuer: config.issuer.replace(/\/$/, ''),
+            clientId: config.clientId,
+            clientSecret: config.clientSecret || null,
+            scopes: config.scopes || DEFAULT_SCOPES,
+            redirectUri: config.redirectUri || `${API_URL}/api/auth/oidc/${name}/callback`
+        };
+    }
+
+    return providers;
+};
+
+const PROVIDERS = loadProviders();
+
+// Provider config by name, or undefined
+const getProvider = (name) => PROVIDERS[name];
+
+// Names and labels for sign-in buttons
+const listProviders = () => Object.values(PROVIDERS).map(({ name, label }) => ({ name, label }));
+
+module.exports = {
+    getProvider,
+    listProviders
+};
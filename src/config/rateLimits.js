@@ -0,0 +1,108 @@
+// src/config/rateLimits.js
+// Rate-limit policies per route. Each policy is a list of rules; a request
+// must pass all of them. Override any policy through RATE_LIMIT_POLICIES, e.g.
+// RATE_LIMIT_POLICIES='{"forgotPassword":[{"keyBy":"email","limit":2,"window":"1h"}]}'
+// keyBy "ip" uses req.ip: behind a load balancer set TRUST_PROXY (config/trustProxy.js).
+// keyBy "phone" is the signed-in user's number; "targetPhone" is mobile_no from the body.
+
+const DEFAULT_POLICIES = {
+    register: [
+        { keyBy: 'ip', limit: 5, window: '1h', algorithm: 'sliding' }
+    ],
+    login: [
+        { keyBy: 'ip', limit: 30, window: '15m', algorithm: 'sliding' }
+    ],
+    loginSecondFactor: [
+        { keyBy: 'ip', limit: 20, window: '15m', algorithm: 'sliding' }
+    ],
+    refresh: [
+        { keyBy: 'ip', limit: 60, window: '15m', algorithm: 'fixed' }
+    ],
+    forgotPassword: [
+        { keyBy: 'ip', limit: 10, window: '1h', algorithm: 'sliding' },
+        { keyBy: 'email', limit: 3, window: '1h', algorithm: 'sliding' }
+    ],
+    resetPassword: [
+        { keyBy: 'ip', limit: 10, window: '1h', algorithm: 'sliding' }
+    ],
+    sendEmailVerification: [
+        { keyBy: 'user', limit: 3, window: '1h', algorithm: 'sliding' }
+    ],
+    sendMobileOtp: [
+        { keyBy: 'user', limit: 3, window: '15m', algorithm: 'sliding' },
+        { keyBy: 'phone', limit: 5, window: '1h', algorithm: 'sliding' }
+    ],
+    verifyMobileOtp: [
+        { keyBy: 'user', limit: 10, window: '15m', algorithm: 'fixed' }
+    ],
+    changePhone: [
+        { keyBy: 'user', limit: 3, window: '15m', algorithm: 'sliding' },
+        { keyBy: 'targetPhone', limit: 5, window: '1h', algorithm: 'sliding' }
+    ],
+    changeEmail: [
+        { keyBy: 'user', limit: 5, window: '1h', algorithm: 'sliding' }
+    ],
+    dataExport: [
+        { keyBy: 'user', limit: 3, window: '1d', algorithm: 'sliding' }
+    ],
+    imageUpload: [
+        { keyBy: 'user', limit: 20, window: '1h', algorithm: 'fixed' }
+    ],
+    companySearch: [
+        { keyBy: 'ip', limit: 60, window: '1m', algorithm: 'sliding' }
+    ]
+};
+
+const WINDOW_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+// Parse '15m', '1h', '30s' or a number of milliseconds
+const parseWindow = (window) => {
+    if (typeof window === 'number') {
+        return window;
+    }
+
+    const match = /^(\d+)\s*([smhd])$/.exec(String(window).trim());
+    if (!match) {
+        throw new Error(`Invalid rate limit window: ${window}`);
+    }
+
+    return parseInt(match[1]) * WINDOW_UNITS[match[2]];
+};
+
+// Merge environment overrides over the defaults
+const loadPolicies = () => {
+    let overrides = {};
+
+    if (process.env.RATE_LIMIT_POLICIES) {
+        try {
+            overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+        } catch (error) {
+            console.error('Invalid RATE_LIMIT_POLICIES, using defaults:', error.message);
+        }
+    }
+
+    const policies = { ...DEFAULT_POLICIES, ...overrides };
+
+    for (const [name, rules] of Object.entries(policies)) {
+        policies[name] = rules.map(rule => ({
+            keyBy: rule.keyBy || 'ip',
+            limit: rule.limit,
+            windowMs: parseWindow(rule.window),
+            algorithm: rule.algorithm === 'fixed' ? 'fixed' : 'sliding'
+        }));
+    }
+
+    return policies;
+};
+
+module.exports = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory', // memory | postgres
+    policies: loadPolicies(),
+    parseWindow
+};
@@ -0,0 +1,30 @@
+// src/config/trustProxy.js
+// Reverse proxies / load balancers in front of the API, configured through
+// TRUST_PROXY. Without it req.ip is the proxy's address, so every IP-keyed
+// rate limit, login throttle and audit entry would see one shared client.
+// Takes what Express's "trust proxy" setting takes:
+//   TRUST_PROXY=1                       trust one hop (a single load balancer)
+//   TRUST_PROXY=loopback,10.0.0.0/8     trust proxies at these addresses/subnets
+//   TRUST_PROXY=true                    trust every hop - only if the app is unreachable except through proxies
+// Unset or false: X-Forwarded-For is ignored and req.ip is the socket address.
+
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === null || value.trim() === '' || value.trim() === 'false') {
+        return false;
+    }
+
+    const trimmed = value.trim();
+    if (trimmed === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed);
+    }
+
+    return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+module.exports = {
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    parseTrustProxy
+};
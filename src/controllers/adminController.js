@@ -0,0 +1,185 @@
+// src/controllers/adminController.js
+const AdminUserService = require('../services/adminUserService');
+const RbacService = require('../services/rbacService');
+const SecurityEventService = require('../services/securityEventService');
+const ConsentService = require('../services/consentService');
+const { catchAsync, sendSuccess } = require('../utils/errorHandler');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Request context plus the acting admin, recorded on every audit event
+const adminContext = (req) => ({
+    ...getRequestContext(req),
+    actorId: req.user.id
+});
+
+// Express 5 re-parses req.query on every access, so the validators'
+// toInt/toBoolean results are lost; convert the (already validated) strings here.
+// An absent flag stays undefined so the filter is not applied.
+const queryBoolean = (value) => (value === undefined ? undefined : value === 'true' || value === '1');
+
+// Audit log filters from the query string (already validated)
+const auditFilters = (req) => ({
+    user_id: parseInt(req.query.user_id) || null,
+    actor_id: parseInt(req.query.actor_id) || null,
+    event_types: req.query.event_type ? req.query.event_type.split(',') : [],
+    ip_address: req.query.ip || '',
+    request_id: req.query.request_id || '',
+    from: req.query.from || null,
+    to: req.query.to || null
+});
+
+class AdminController {
+    // List / search users
+    static listUsers = catchAsync(async (req, res) => {
+        const filters = {
+            search: req.query.search || '',
+            email: req.query.email || '',
+            name: req.query.name || '',
+            phone: req.query.phone || '',
+            is_email_verified: queryBoolean(req.query.email_verified),
+            is_mobile_verified: queryBoolean(req.query.mobile_verified),
+            status: req.query.status || '',
+            created_from: req.query.created_from || null,
+            created_to: req.query.created_to || null
+        };
+        const pagination = {
+            page: parseInt(req.query.page) || 1,
+            limit: parseInt(req.query.limit) || 20,
+            sortBy: req.query.sort_by || 'created_at',
+            sortOrder: req.query.sort_order || 'DESC'
+        };
+
+        const result = await AdminUserService.listUsers(filters, pagination);
+        sendSuccess(res, result, 'Users retrieved successfully');
+    });
+
+    // Get one user with their company
+    static getUser = catchAsync(async (req, res) => {
+        const result = await AdminUserService.getUser(req.params.id);
+        sendSuccess(res, result, 'User retrieved successfully');
+    });
+
+    // Force email verification
+    static verifyEmail = catchAsync(async (req, res) => {
+        const user = await AdminUserService.forceVerification(req.params.id, 'email', adminContext(req));
+        sendSuccess(res, { user }, 'Email marked as verified');
+    });
+
+    // Force mobile verification
+    static verifyMobile = catchAsync(async (req, res) => {
+        const user = await AdminUserService.forceVerification(req.params.id, 'mobile', adminContext(req));
+        sendSuccess(res, { user }, 'Mobile number marked as verified');
+    });
+
+    // Disable (suspend) an account
+    static disableUser = catchAsync(async (req, res) => {
+        const result = await AdminUserService.disableUser(req.params.id, {
+            reason: req.body.reason || null,
+            until: req.body.until || null
+        }, adminContext(req));
+        sendSuccess(res, result, 'Account disabled');
+    });
+
+    // Re-enable an account
+    static enableUser = catchAsync(async (req, res) => {
+        const result = await AdminUserService.enableUser(req.params.id, adminContext(req));
+        sendSuccess(res, result, 'Account enabled');
+    });
+
+    // Send a password reset link
+    static triggerPasswordReset = catchAsync(async (req, res) => {
+        const result = await AdminUserService.triggerPasswordReset(req.params.id, adminContext(req));
+        sendSuccess(res, result, 'Password reset email sent');
+    });
+
+    // Sign the user out everywhere
+    static revokeSessions = catchAsync(async (req, res) => {
+        await AdminUserService.revokeSessions(req.params.id, adminContext(req));
+        sendSuccess(res, null, 'All sessions revoked');
+    });
+
+    // Lift a login lockout
+    static unlockUser = catchAsync(async (req, res) => {
+        const result = await AdminUserService.unlockUser(req.params.id, adminContext(req));
+        sendSuccess(res, result, 'Account unlocked');
+    });
+
+    // Delete an account
+    static deleteUser = catchAsync(async (req, res) => {
+        const receipt = await AdminUserService.deleteUser(req.params.id, adminContext(req));
+        sendSuccess(res, { receipt }, 'Account deleted');
+    });
+
+    // List roles and their permissions
+    static listRoles = catchAsync(async (req, res) => {
+        const roles = await RbacService.listRoles();
+        sendSuccess(res, { roles }, 'Roles retrieved successfully');
+    });
+
+    // Grant a role
+    static grantRole = catchAsync(async (req, res) => {
+        const result = await AdminUserService.setRole(req.params.id, req.body.role, true, adminContext(req));
+        sendSuccess(res, result, 'Role granted');
+    });
+
+    // Revoke a role
+    static revokeRole = catchAsync(async (req, res) => {
+        const result = await AdminUserService.setRole(req.params.id, req.params.role, false, adminContext(req));
+        sendSuccess(res, result, 'Role revoked');
+    });
+
+    // Every terms of service / privacy policy version
+    static listPolicies = catchAsync(async (req, res) => {
+        const policies = await ConsentService.listPolicies();
+        sendSuccess(res, { policies }, 'Policies retrieved successfully');
+    });
+
+    // Publish a new policy version
+    static publishPolicy = catchAsync(async (req, res) => {
+        const { type, version, title, url, mandatory } = req.body;
+        const policy = await ConsentService.publishPolicy({ type, version, title, url, mandatory }, adminContext(req));
+        sendSuccess(res, { policy }, 'Policy published', 201);
+    });
+
+    // Search the audit log
+    static listAuditEvents = catchAsync(async (req, res) => {
+        const pagination = {
+            page: parseInt(req.query.page) || 1,
+            limit: parseInt(req.query.limit) || 50
+        };
+
+        const result = await SecurityEventService.search(auditFilters(req), pagination);
+        sendSuccess(res, result, 'Audit events retrieved successfully');
+    });
+
+    // Download the audit log as CSV or JSON Lines
+    static exportAuditEvents = catchAsync(async (req, res) => {
+        const format = req.query.format || 'csv';
+        const filters = auditFilters(req);
+
+        // Exports are themselves audited
+        await SecurityEventService.record(null, 'audit_log_exported', adminContext(req), { format, filters });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+            'Content-Disposition': `attachment; filename="audit-events-${timestamp}.${format === 'csv' ? 'csv' : 'jsonl'}"`
+        });
+
+        try {
+            for await (const chunk of SecurityEventService.exportEvents(filters, format)) {
+                res.write(chunk);
+            }
+            res.end();
+        } catch (error) {
+            if (!res.headersSent) {
+                throw error;
+            }
+            // Headers are gone; cut the download short so it is not mistaken for complete
+            console.error('Audit export failed:', error.message);
+            res.destroy(error);
+        }
+    });
+}
+
+module.exports = AdminController;
@@ -1,13 +1,50 @@
 // src/controllers/authController.js
 const UserService = require('../services/userService');
+const TwoFactorService = require('../services/twoFactorService');
+const PasskeyService = require('../services/passkeyService');
+const DataExportService = require('../services/dataExportService');
+const ConsentService = require('../services/consentService');
+const OidcService = require('../services/oidcService');
+const { listProviders } = require('../config/oidcProviders');
 const { catchAsync, sendSuccess, sendError } = require('../utils/errorHandler');
+const { getRequestContext } = require('../utils/requestContext');
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Set access and refresh token cookies
+const setAuthCookies = (res, result) => {
+    const cookieOptions = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax'
+    };
+
+    res.cookie('token', result.token, {
+        ...cookieOptions,
+        maxAge: result.expires_in * 1000
+    });
+
+    // Refresh token is only ever sent to the auth routes
+    res.cookie('refresh_token', result.refresh_token, {
+        ...cookieOptions,
+        path: REFRESH_COOKIE_PATH,
+        expires: new Date(result.refresh_expires_at)
+    });
+};
+
+// Clear access and refresh token cookies
+const clearAuthCookies = (res) => {
+    res.clearCookie('token');
+    res.clearCookie('refresh_token', { path: REFRESH_COOKIE_PATH });
+};
 
 class AuthController {
     // Register new user
     static register = catchAsync(async (req, res) => {
         // Use database functions from middleware
         const { query, getClient } = req.db;
-        const result = await UserService.registerUser(req.body, { query, getClient });
+        const result = await UserService.registerUser(req.body, { query, getClient, ...getRequestContext(req) });
         
         sendSuccess(res, result, 'User registered successfully. Please verify your email and mobile number.', 201);
     });
@@ -16,19 +53,229 @@ class AuthController {
     static login = catchAsync(async (req, res) => {
         const { email, password } = req.body;
         const { query, getClient } = req.db;
-        const result = await UserService.loginUser(email, password, { query, getClient });
+        const result = await UserService.loginUser(email, password, { query, getClient, ...getRequestContext(req) });
+
+        // Password was correct but a second factor is still needed
+        if (result.two_factor_required) {
+            return sendSuccess(res, result, 'Two-factor authentication required');
+        }
         
-        // Set token in cookie (optional)
-        res.cookie('token', result.token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'lax',
-            maxAge: 90 * 24 * 60 * 60 * 1000 // 90 days
-        });
+        // Set tokens in cookies (optional)
+        setAuthCookies(res, result);
         
         sendSuccess(res, result, 'Login successful');
     });
 
+    // Complete login with a second factor
+    static verifyTwoFactorLogin = catchAsync(async (req, res) => {
+        const { challenge_token, code, recovery_code, ceremony_id, response } = req.body;
+        const { query, getClient } = req.db;
+        const result = await UserService.completeTwoFactorLogin(
+            challenge_token,
+            { code, recovery_code, ceremony_id, passkey_response: response },
+            { query, getClient, ...getRequestContext(req) }
+        );
+
+        setAuthCookies(res, result);
+        sendSuccess(res, result, 'Login successful');
+    });
+
+    // Passkey options for answering a login challenge
+    static twoFactorPasskeyOptions = catchAsync(async (req, res) => {
+        const result = await TwoFactorService.beginPasskeyChallenge(req.body.challenge_token);
+        sendSuccess(res, result, 'Passkey options generated');
+    });
+
+    // Passkey options for passwordless login
+    static passkeyLoginOptions = catchAsync(async (req, res) => {
+        const result = await PasskeyService.beginAuthentication(null, 'passwordless');
+        sendSuccess(res, result, 'Passkey options generated');
+    });
+
+    // Passwordless login with a passkey
+    static passkeyLogin = catchAsync(async (req, res) => {
+        const { ceremony_id, response } = req.body;
+        const { query, getClient } = req.db;
+        const result = await UserService.loginWithPasskey(ceremony_id, response, { query, getClient, ...getRequestContext(req) });
+
+        setAuthCookies(res, result);
+        sendSuccess(res, result, 'Login successful');
+    });
+
+    // List passkeys
+    static listPasskeys = catchAsync(async (req, res) => {
+        const passkeys = await PasskeyService.listPasskeys(req.user.id);
+        sendSuccess(res, { passkeys }, 'Passkeys retrieved successfully');
+    });
+
+    // Start passkey registration
+    static passkeyRegistrationOptions = catchAsync(async (req, res) => {
+        const result = await PasskeyService.beginRegistration(req.user, req.body.password, { token: req.token });
+        sendSuccess(res, result, 'Passkey registration options generated');
+    });
+
+    // Finish passkey registration
+    static registerPasskey = catchAsync(async (req, res) => {
+        const { ceremony_id, response, name } = req.body;
+        const passkey = await PasskeyService.finishRegistration(req.user.id, ceremony_id, response, name, getRequestContext(req));
+        sendSuccess(res, { passkey }, 'Passkey registered successfully', 201);
+    });
+
+    // Rename a passkey
+    static renamePasskey = catchAsync(async (req, res) => {
+        const passkey = await PasskeyService.renamePasskey(req.user.id, req.params.id, req.body.name);
+        sendSuccess(res, { passkey }, 'Passkey renamed successfully');
+    });
+
+    // Delete a passkey
+    static deletePasskey = catchAsync(async (req, res) => {
+        const result = await PasskeyService.deletePasskey(req.user.id, req.params.id, req.body.password, { ...getRequestContext(req), token: req.token });
+        sendSuccess(res, result, 'Passkey deleted successfully');
+    });
+
+    // Get two-factor status
+    static getTwoFactorStatus = catchAsync(async (req, res) => {
+        const status = await TwoFactorService.getStatus(req.user.id);
+        sendSuccess(res, status, 'Two-factor status retrieved');
+    });
+
+    // Start two-factor enrollment
+    static setupTwoFactor = catchAsync(async (req, res) => {
+        const result = await TwoFactorService.beginEnrollment(req.user);
+        sendSuccess(res, result, 'Scan the QR code with your authenticator app, then confirm with a code');
+    });
+
+    // Confirm two-factor enrollment
+    static confirmTwoFactor = catchAsync(async (req, res) => {
+        const result = await TwoFactorService.confirmEnrollment(req.user.id, req.body.code);
+        sendSuccess(res, result, 'Two-factor authentication enabled. Store your recovery codes safely');
+    });
+
+    // Disable two-factor authentication
+    static disableTwoFactor = catchAsync(async (req, res) => {
+        const result = await TwoFactorService.disable(req.user.id, req.body.password, { token: req.token });
+        sendSuccess(res, result, 'Two-factor authentication disabled');
+    });
+
+    // Regenerate recovery codes
+    static regenerateRecoveryCodes = catchAsync(async (req, res) => {
+        const result = await TwoFactorService.regenerateRecoveryCodes(req.user.id, req.body.password, { token: req.token });
+        sendSuccess(res, result, 'Recovery codes regenerated. Previous codes no longer work');
+    });
+
+    // Refresh access token (rotates the refresh token)
+    static refresh = catchAsync(async (req, res) => {
+        const refreshToken = req.body?.refresh_token || req.cookies?.refresh_token;
+
+        try {
+            const result = await UserService.refreshTokens(refreshToken);
+            setAuthCookies(res, result);
+            sendSuccess(res, result, 'Token refreshed successfully');
+        } catch (error) {
+            clearAuthCookies(res);
+            throw error;
+        }
+    });
+
+    // Exchange a Firebase ID token for our session
+    static firebaseLogin = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const result = await UserService.loginWithFirebase(req.body.id_token, { query, getClient, ...getRequestContext(req) });
+
+        if (result.two_factor_required) {
+            return sendSuccess(res, result, 'Two-factor authentication required');
+        }
+
+        setAuthCookies(res, result);
+        sendSuccess(res, result, 'Login successful');
+    });
+
+    // OIDC providers available for sign-in
+    static getOidcProviders = catchAsync(async (req, res) => {
+        sendSuccess(res, { providers: listProviders() }, 'Providers retrieved successfully');
+    });
+
+    // Send the browser to the provider to sign in
+    static oidcAuthorize = catchAsync(async (req, res) => {
+        const url = await OidcService.createAuthorizationUrl(req.params.provider);
+        res.redirect(url);
+    });
+
+    // Authorization URL for linking a provider to the signed-in account
+    static oidcLinkAuthorize = catchAsync(async (req, res) => {
+        const url = await OidcService.createAuthorizationUrl(req.params.provider, { userId: req.user.id });
+        sendSuccess(res, { authorization_url: url }, 'Authorization URL generated');
+    });
+
+    // Provider redirects back here. Tokens go into cookies (the frontend then
+    // calls /refresh); one-time tokens and the email address travel in the
+    // URL fragment, which is never sent to servers or written to their logs.
+    static oidcCallback = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const callbackUrl = `${FRONTEND_URL}/oidc/callback`;
+        const provider = encodeURIComponent(req.params.provider);
+
+        try {
+            const result = await UserService.loginWithOidc(req.params.provider, req.query, { query, getClient, ...getRequestContext(req) });
+
+            if (result.linked) {
+                return res.redirect(`${callbackUrl}?status=linked&provider=${provider}`);
+            }
+            if (result.link_required) {
+                return res.redirect(`${callbackUrl}?status=link_required&provider=${provider}#link_token=${result.link_token}&email=${encodeURIComponent(result.email)}`);
+            }
+            if (result.two_factor_required) {
+                return res.redirect(`${callbackUrl}?status=two_factor_required#challenge_token=${result.challenge_token}`);
+            }
+
+            setAuthCookies(res, result);
+            res.redirect(`${callbackUrl}?status=signed_in`);
+        } catch (error) {
+            const reason = {
+                OIDC_STATE_INVALID: 'invalid_state',
+                OIDC_ACCESS_DENIED: 'access_denied',
+                OIDC_TOKEN_INVALID: 'invalid_token',
+                OIDC_EMAIL_REQUIRED: 'email_required',
+                OIDC_PROVIDER_UNKNOWN: 'unknown_provider',
+                IDENTITY_ALREADY_LINKED: 'already_linked',
+                ACCOUNT_SUSPENDED: 'account_suspended',
+                ACCOUNT_PENDING_DELETION: 'account_suspended',
+                PASSWORD_RESET_REQUIRED: 'password_reset_required'
+            }[error.errorCode] || 'server_error';
+
+            if (reason === 'server_error') {
+                console.error('OIDC callback error:', error);
+            }
+            res.redirect(`${callbackUrl}?error=${reason}&provider=${provider}`);
+        }
+    });
+
+    // Link a provider to an existing account with its password, then sign in
+    static completeOidcLink = catchAsync(async (req, res) => {
+        const { link_token, password } = req.body;
+        const { query, getClient } = req.db;
+        const result = await UserService.completeOidcLink(link_token, password, { query, getClient, ...getRequestContext(req) });
+
+        if (result.two_factor_required) {
+            return sendSuccess(res, result, 'Two-factor authentication required');
+        }
+
+        setAuthCookies(res, result);
+        sendSuccess(res, result, 'Account linked and signed in');
+    });
+
+    // Linked provider accounts
+    static listIdentities = catchAsync(async (req, res) => {
+        const identities = await OidcService.listIdentities(req.user.id);
+        sendSuccess(res, { identities }, 'Linked accounts retrieved successfully');
+    });
+
+    // Unlink a provider account
+    static unlinkIdentity = catchAsync(async (req, res) => {
+        await OidcService.unlinkIdentity(req.user.id, req.params.id, getRequestContext(req));
+        sendSuccess(res, null, 'Account unlinked');
+    });
+
     // Get user profile
     static getProfile = catchAsync(async (req, res) => {
         const { query, getClient } = req.db;
@@ -39,7 +286,7 @@ class AuthController {
     // Update user profile
     static updateProfile = catchAsync(async (req, res) => {
         const { query, getClient } = req.db;
-        const updatedUser = await UserService.updateUserProfile(req.user.id, req.body, { query, getClient });
+        const updatedUser = await UserService.updateUserProfile(req.user.id, req.body, { query, getClient, ...getRequestContext(req) });
         sendSuccess(res, { user: updatedUser }, 'Profile updated successfully');
     });
 
@@ -66,63 +313,73 @@ class AuthController {
         }
         
         try {
-            // Use database functions from middleware
-            const { query, getClient } = req.db;
-            
-            // Use direct database query for token verification
-            const tokenResult = await query(
-                'SELECT user_id, expires_at FROM email_verification_tokens WHERE token = $1 AND used = false',
-                [token]
-            );
-            
-            if (tokenResult.rows.length === 0) {
-                return res.redirect(`${process.env.FRONTEND_URL}/verify-email-error?error=invalid_token`);
-            }
-            
-            const tokenData = tokenResult.rows[0];
-            
-            // Check if token is expired
-            if (new Date() > new Date(tokenData.expires_at)) {
-                return res.redirect(`${process.env.FRONTEND_URL}/verify-email-error?error=expired_token`);
-            }
-            
-            // Start transaction for email verification
-            const client = await getClient();
-            try {
-                await client.query('BEGIN');
-                
-                // Mark email as verified
-                await client.query(
-                    'UPDATE users SET email_verified = true, email_verified_at = NOW() WHERE id = $1',
-                    [tokenData.user_id]
-                );
-                
-                // Mark token as used
-                await client.query(
-                    'UPDATE email_verification_tokens SET used = true, used_at = NOW() WHERE token = $1',
-                    [token]
-                );
-                
-                await client.query('COMMIT');
-                
-                res.redirect(`${process.env.FRONTEND_URL}/verify-email-success?verified=true`);
-            } catch (error) {
-                await client.query('ROLLBACK');
-                throw error;
-            } finally {
-                client.release();
+            await UserService.verifyEmail(token, getRequestContext(req));
+            res.redirect(`${FRONTEND_URL}/verify-email-success?verified=true`);
+        } catch (error) {
+            const reason = {
+                VERIFICATION_TOKEN_EXPIRED: 'expired_token',
+                VERIFICATION_TOKEN_INVALID: 'invalid_token'
+            }[error.errorCode] || 'server_error';
+
+            if (reason === 'server_error') {
+                console.error('Email verification error:', error);
             }
-            
+            res.redirect(`${FRONTEND_URL}/verify-email-error?error=${reason}`);
+        }
+    });
+
+    // Unlock account (called from email link)
+    static unlockAccount = catchAsync(async (req, res) => {
+        try {
+            await UserService.unlockAccount(req.params.token, getRequestContext(req));
+            res.redirect(`${FRONTEND_URL}/account-unlocked?unlocked=true`);
         } catch (error) {
-            console.error('Email verification error:', error);
-            res.redirect(`${process.env.FRONTEND_URL}/verify-email-error?error=server_error`);
+            console.error('Account unlock error:', error.message);
+            res.redirect(`${FRONTEND_URL}/account-unlocked?error=invalid_token`);
         }
     });
 
+    // "This wasn't me" link from a new-device email: only leads to the
+    // confirmation page (token in the fragment), which POSTs to /not-me
+    static reviewUnrecognizedLogin = catchAsync(async (req, res) => {
+        try {
+            await UserService.checkLoginAlertToken(req.params.token);
+            res.redirect(`${FRONTEND_URL}/account-secured?status=confirm#token=${encodeURIComponent(req.params.token)}`);
+        } catch (error) {
+            const reason = error.errorCode === 'LOGIN_ALERT_INVALID' ? 'invalid_token' : 'server_error';
+            if (reason === 'server_error') {
+                console.error('Unrecognized login check error:', error);
+            }
+            res.redirect(`${FRONTEND_URL}/account-secured?error=${reason}`);
+        }
+    });
+
+    // Confirmed "this wasn't me": lock the account down
+    static reportUnrecognizedLogin = catchAsync(async (req, res) => {
+        const result = await UserService.reportUnrecognizedLogin(req.body.token, getRequestContext(req));
+        sendSuccess(res, result, 'Account secured');
+    });
+
+    // Get security events
+    static getSecurityEvents = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const pagination = {
+            page: parseInt(req.query.page) || 1,
+            limit: Math.min(parseInt(req.query.limit) || 50, 100)
+        };
+        const filters = {
+            event_types: req.query.event_type ? req.query.event_type.split(',') : [],
+            from: req.query.from || null,
+            to: req.query.to || null
+        };
+        const result = await UserService.getSecurityEvents(req.user.id, pagination, filters, { query, getClient });
+        sendSuccess(res, result, 'Security events retrieved successfully');
+    });
+
     // Send mobile OTP
     static sendMobileOTP = catchAsync(async (req, res) => {
         const { query, getClient } = req.db;
-        const result = await UserService.sendMobileOTP(req.user.id, { query, getClient });
+        const result = await UserService.sendMobileOTP(req.user.id, { query, getClient, ...getRequestContext(req) });
         sendSuccess(res, result, 'OTP sent to your mobile number');
     });
 
@@ -130,7 +387,7 @@ class AuthController {
     static verifyMobileOTP = catchAsync(async (req, res) => {
         const { otp, verification_id } = req.body;
         const { query, getClient } = req.db;
-        const result = await UserService.verifyMobileOTP(req.user.id, otp, verification_id, { query, getClient });
+        const result = await UserService.verifyMobileOTP(req.user.id, otp, verification_id, { query, getClient, ...getRequestContext(req) });
         sendSuccess(res, result, 'Mobile number verified successfully');
     });
 
@@ -147,117 +404,238 @@ class AuthController {
         }
 
         const { query, getClient } = req.db;
-        const result = await UserService.changePassword(req.user.id, current_password, new_password, { query, getClient });
+        const result = await UserService.changePassword(req.user.id, current_password, new_password, { query, getClient, ...getRequestContext(req) });
         sendSuccess(res, result, 'Password changed successfully');
     });
 
-    // Forgot password (initiate reset)
-    static forgotPassword = catchAsync(async (req, res) => {
-        const { email } = req.body;
-        
-        if (!email) {
-            return sendError(res, 'Email is required', 400);
-        }
+    // Request a phone number change
+    static requestPhoneChange = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const result = await UserService.requestPhoneChange(req.user.id, req.body.mobile_no, { query, getClient, ...getRequestContext(req) });
+        sendSuccess(res, result, 'OTP sent to your new mobile number');
+    });
 
+    // Verify a phone number change
+    static verifyPhoneChange = catchAsync(async (req, res) => {
+        const { otp, verification_id } = req.body;
         const { query, getClient } = req.db;
+        const result = await UserService.verifyPhoneChange(req.user.id, otp, verification_id, { query, getClient, ...getRequestContext(req) });
+        sendSuccess(res, result, 'Mobile number changed successfully');
+    });
 
-        // Check if user exists
-        const userResult = await query('SELECT id, email FROM users WHERE email = $1', [email]);
-        
-        if (userResult.rows.length === 0) {
-            // Don't reveal if user exists or not for security
-            return sendSuccess(res, 
-                { 
-                    message: 'If an account with this email exists, a password reset link has been sent.',
-                    email 
-                },
-                'Password reset initiated'
-            );
+    // Cancel a pending phone number change
+    static cancelPhoneChange = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const result = await UserService.cancelPhoneChange(req.user.id, { query, getClient, ...getRequestContext(req) });
+        sendSuccess(res, result, 'Phone number change cancelled');
+    });
+
+    // Request an email change
+    static requestEmailChange = catchAsync(async (req, res) => {
+        const { password, new_email } = req.body;
+        const { query, getClient } = req.db;
+        const result = await UserService.requestEmailChange(req.user.id, password, new_email, { query, getClient, ...getRequestContext(req), token: req.token });
+        sendSuccess(res, result, 'Email change requested');
+    });
+
+    // Get pending email change
+    static getEmailChange = catchAsync(async (req, res) => {
+        const result = await UserService.getPendingEmailChange(req.user.id);
+        sendSuccess(res, result, 'Email change status retrieved');
+    });
+
+    // Confirm email change (called from email link)
+    static confirmEmailChange = catchAsync(async (req, res) => {
+        try {
+            await UserService.confirmEmailChange(req.params.token, getRequestContext(req));
+            res.redirect(`${FRONTEND_URL}/email-change?status=confirmed`);
+        } catch (error) {
+            const reason = {
+                EMAIL_IN_USE: 'email_in_use',
+                EMAIL_CHANGE_TOKEN_INVALID: 'invalid_token',
+                EMAIL_CHANGE_STALE: 'stale_request'
+            }[error.errorCode] || 'server_error';
+
+            if (reason === 'server_error') {
+                console.error('Email change confirmation error:', error);
+            }
+            res.redirect(`${FRONTEND_URL}/email-change?error=${reason}`);
         }
+    });
 
-        // Generate reset token and send email (implement based on your needs)
-        const result = await UserService.initiatePasswordReset(email, { query, getClient });
+    // Cancel email change (called from the notice sent to the old address)
+    static cancelEmailChange = catchAsync(async (req, res) => {
+        try {
+            await UserService.cancelEmailChange(req.params.token, getRequestContext(req));
+            res.redirect(`${FRONTEND_URL}/email-change?status=cancelled`);
+        } catch (error) {
+            console.error('Email change cancellation error:', error.message);
+            res.redirect(`${FRONTEND_URL}/email-change?error=invalid_token`);
+        }
+    });
+
+    // Forgot password (initiate reset)
+    static forgotPassword = catchAsync(async (req, res) => {
+        const { email } = req.body;
+        const { query, getClient } = req.db;
+
+        // Same response whether or not the account exists
+        const result = await UserService.initiatePasswordReset(email, { query, getClient, ...getRequestContext(req) });
         sendSuccess(res, 
             { 
-                message: 'If an account with this email exists, a password reset link has been sent.',
+                message: result.message,
                 email 
             },
             'Password reset initiated'
         );
     });
 
+    // Check a reset token before showing the new-password form
+    static validateResetToken = catchAsync(async (req, res) => {
+        const result = await UserService.validatePasswordResetToken(req.body.token);
+        sendSuccess(res, result, 'Reset token is valid');
+    });
+
     // Reset password (with token from email)
     static resetPassword = catchAsync(async (req, res) => {
         const { token, new_password } = req.body;
-        
-        if (!token || !new_password) {
-            return sendError(res, 'Reset token and new password are required', 400);
-        }
-
-        if (new_password.length < 8) {
-            return sendError(res, 'New password must be at least 8 characters long', 400);
-        }
-
         const { query, getClient } = req.db;
-        const result = await UserService.resetPassword(token, new_password, { query, getClient });
+        const result = await UserService.resetPassword(token, new_password, { query, getClient, ...getRequestContext(req) });
+
+        clearAuthCookies(res);
         sendSuccess(res, 
-            { message: 'Password reset successfully' },
+            { message: result.message },
             'Password reset completed'
         );
     });
 
-    // Delete account
+    // Delete account (scheduled; restorable during the grace period)
     static deleteAccount = catchAsync(async (req, res) => {
         const { password } = req.body;
+        const { query, getClient } = req.db;
+        const result = await UserService.deleteAccount(req.user.id, password, { query, getClient, ...getRequestContext(req), token: req.token });
         
-        if (!password) {
-            return sendError(res, 'Password is required to delete account', 400);
-        }
+        // Clear cookies
+        clearAuthCookies(res);
+        
+        sendSuccess(res, result, 'Account scheduled for deletion');
+    });
 
-        const { query, getClient } = req.db;
+    // Restore a scheduled deletion (called from email link)
+    static restoreAccount = catchAsync(async (req, res) => {
+        try {
+            await UserService.restoreAccount(req.params.token, getRequestContext(req));
+            res.redirect(`${FRONTEND_URL}/account-restored?restored=true`);
+        } catch (error) {
+            const reason = {
+                RESTORE_TOKEN_INVALID: 'invalid_token',
+                RESTORE_WINDOW_CLOSED: 'expired_token'
+            }[error.errorCode] || 'server_error';
 
-        // Verify password before deletion using direct DB query
-        const userResult = await query('SELECT password FROM users WHERE id = $1', [req.user.id]);
-        
-        if (userResult.rows.length === 0) {
-            return sendError(res, 'User not found', 404);
+            if (reason === 'server_error') {
+                console.error('Account restore error:', error);
+            }
+            res.redirect(`${FRONTEND_URL}/account-restored?error=${reason}`);
         }
+    });
 
-        const bcrypt = require('bcryptjs');
-        const isPasswordValid = await bcrypt.compare(password, userResult.rows[0].password);
-        
-        if (!isPasswordValid) {
-            return sendError(res, 'Incorrect password', 401);
+    // Current terms of service / privacy policy versions
+    static getPolicies = catchAsync(async (req, res) => {
+        const policies = await ConsentService.getCurrentPolicies();
+        sendSuccess(res, { policies }, 'Policies retrieved successfully');
+    });
+
+    // Accepted policies, pending ones and marketing opt-ins
+    static getConsents = catchAsync(async (req, res) => {
+        const consents = await ConsentService.getConsents(req.user.id);
+        sendSuccess(res, consents, 'Consents retrieved successfully');
+    });
+
+    // Accept the current policy versions
+    static acceptPolicies = catchAsync(async (req, res) => {
+        const result = await ConsentService.acceptPolicies(req.user.id, req.body, getRequestContext(req));
+        sendSuccess(res, result, 'Policies accepted');
+    });
+
+    // Change marketing opt-ins
+    static updateMarketingConsent = catchAsync(async (req, res) => {
+        const { marketing_email, marketing_sms } = req.body;
+        const marketing = await ConsentService.updateMarketingConsent(
+            req.user.id,
+            { email: marketing_email, sms: marketing_sms },
+            getRequestContext(req)
+        );
+        sendSuccess(res, { marketing }, 'Marketing preferences updated');
+    });
+
+    // Request a copy of all account data
+    static requestDataExport = catchAsync(async (req, res) => {
+        const dataExport = await DataExportService.request(req.user.id, getRequestContext(req));
+        sendSuccess(res, { export: dataExport }, 'Data export started. We will email you a download link when it is ready', 202);
+    });
+
+    // List recent data exports
+    static getDataExports = catchAsync(async (req, res) => {
+        const exports = await DataExportService.list(req.user.id);
+        sendSuccess(res, { exports }, 'Data exports retrieved successfully');
+    });
+
+    // Download an export archive (signed link from the email)
+    static downloadDataExport = catchAsync(async (req, res) => {
+        try {
+            const { filePath, fileName } = await DataExportService.getDownload(req.params.id, req.query, getRequestContext(req));
+            res.download(filePath, fileName);
+        } catch (error) {
+            const reason = {
+                DATA_EXPORT_LINK_INVALID: 'invalid_link',
+                DATA_EXPORT_EXPIRED: 'expired_link'
+            }[error.errorCode] || 'server_error';
+
+            if (reason === 'server_error') {
+                console.error('Data export download error:', error);
+            }
+            res.redirect(`${FRONTEND_URL}/data-export?error=${reason}`);
         }
+    });
 
-        const result = await UserService.deleteAccount(req.user.id, { query, getClient });
-        
-        // Clear cookie
-        res.clearCookie('token');
-        
-        sendSuccess(res, result, 'Account deleted successfully');
+    // List active sessions
+    static getSessions = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const result = await UserService.getSessions(req.user.id, req.token.sid, { query, getClient });
+        sendSuccess(res, result, 'Sessions retrieved successfully');
+    });
+
+    // Revoke a session (sign out a device)
+    static revokeSession = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const result = await UserService.revokeSession(req.user.id, req.params.id, { query, getClient, ...getRequestContext(req) });
+        sendSuccess(res, result, 'Session revoked successfully');
     });
 
-    // Logout (clear token)
+    // Logout (revoke current access token and its refresh token family)
     static logout = catchAsync(async (req, res) => {
-        // Optionally blacklist token in database
-        if (req.user && req.user.jti) {
-            try {
-                const { query } = req.db;
-                await query(
-                    'INSERT INTO token_blacklist (jti, user_id, blacklisted_at) VALUES ($1, $2, NOW())',
-                    [req.user.jti, req.user.id]
-                );
-            } catch (error) {
-                console.error('Error blacklisting token:', error);
-                // Don't fail logout if blacklisting fails
-            }
+        const refreshToken = req.body?.refresh_token || req.cookies?.refresh_token;
+
+        try {
+            await UserService.logout(req.token, refreshToken, getRequestContext(req));
+        } catch (error) {
+            console.error('Error revoking tokens on logout:', error);
+            // Don't fail logout if revocation fails
         }
         
-        res.clearCookie('token');
+        clearAuthCookies(res);
         sendSuccess(res, null, 'Logged out successfully');
     });
 
+    // Logout from all devices
+    static logoutAll = catchAsync(async (req, res) => {
+        const { query, getClient } = req.db;
+        const result = await UserService.logoutAll(req.user.id, { query, getClient, ...getRequestContext(req) });
+        
+        clearAuthCookies(res);
+        sendSuccess(res, result, 'Logged out from all devices');
+    });
+
     // Additional utility method to check database connectivity
     static healthCheck = catchAsync(async (req, res) => {
         try {
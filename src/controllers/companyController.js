@@ -1,6 +1,9 @@
 // src/controllers/companyController.js
 const CompanyService = require('../services/companyService');
 const CloudinaryService = require('../services/cloudinaryService');
+const SecurityEventService = require('../services/securityEventService');
+const { getRequestContext } = require('../utils/requestContext');
+const { diffFields } = require('../utils/diff');
 const { query, getClient, pool } = require('../config/database');
 const createError = require('http-errors');
 const { validationResult } = require('express-validator');
@@ -41,6 +44,11 @@ class CompanyController {
                 profileData, 
                 { query, getClient }
             );
+
+            await SecurityEventService.record(userId, 'company_profile_created', getRequestContext(req), {
+                company_id: companyProfile.id,
+                company_name: companyProfile.company_name
+            });
             
             res.status(201).json({
                 success: true,
@@ -118,6 +126,12 @@ class CompanyController {
             
             const userId = req.user.id;
             const updateData = req.body;
+
+            // Current values, for the audit diff
+            const beforeResult = await client.query(
+                'SELECT * FROM company_profile WHERE user_id = $1 FOR UPDATE',
+                [userId]
+            );
             
             // If company name is being updated, check availability
             if (updateData.company_name) {
@@ -173,6 +187,13 @@ class CompanyController {
             await client.query('COMMIT');
             
             const updatedProfile = result.rows[0];
+
+            const changes = diffFields(beforeResult.rows[0], updatedProfile, Object.keys(updateData));
+            if (changes) {
+                await SecurityEventService.record(userId, 'company_profile_updated', getRequestContext(req), {
+                    company_id: updatedProfile.id
+                }, changes);
+            }
             updatedProfile.profile_completion = calculateProfileCompletion(updatedProfile);
             
             res.json({
@@ -222,6 +243,12 @@ class CompanyController {
             );
             
             await client.query('COMMIT');
+
+            await SecurityEventService.record(userId, 'company_profile_deleted', getRequestContext(req), {
+                company_id: deleteResult.rows[0].id,
+                company_name: deleteResult.rows[0].company_name,
+                deleted_images: [logo_url, banner_url].filter(Boolean)
+            });
             
             // Clean up old images from Cloudinary (async, don't wait)
             const promises = [];
@@ -300,9 +327,20 @@ class CompanyController {
                 uploadResult.secure_url
             );
             
+            const context = getRequestContext(req);
+            await SecurityEventService.record(userId, 'company_image_uploaded', context, {
+                image_type: 'logo',
+                public_id: uploadResult.public_id
+            }, diffFields({ logo_url: oldLogoUrl }, { logo_url: uploadResult.secure_url }));
+
             // Delete old logo from Cloudinary (async, don't wait)
             if (oldLogoUrl) {
-                CloudinaryService.deleteImage(oldLogoUrl).catch(console.error);
+                CloudinaryService.deleteImage(oldLogoUrl)
+                    .then(() => SecurityEventService.record(userId, 'company_image_deleted', context, {
+                        image_type: 'logo',
+                        url: oldLogoUrl
+                    }))
+                    .catch(console.error);
             }
             
             res.json({
@@ -368,9 +406,20 @@ class CompanyController {
                 uploadResult.secure_url
             );
             
+            const context = getRequestContext(req);
+            await SecurityEventService.record(userId, 'company_image_uploaded', context, {
+                image_type: 'banner',
+                public_id: uploadResult.public_id
+            }, diffFields({ banner_url: oldBannerUrl }, { banner_url: uploadResult.secure_url }));
+
             // Delete old banner from Cloudinary (async, don't wait)
             if (oldBannerUrl) {
-                CloudinaryService.deleteImage(oldBannerUrl).catch(console.error);
+                CloudinaryService.deleteImage(oldBannerUrl)
+                    .then(() => SecurityEventService.record(userId, 'company_image_deleted', context, {
+                        image_type: 'banner',
+                        url: oldBannerUrl
+                    }))
+                    .catch(console.error);
             }
             
             res.json({
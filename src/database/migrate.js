@@ -0,0 +1,64 @@
+// src/database/migrate.js
+// Applies pending SQL migrations from ./migrations in filename order.
+// Usage: npm run migrate
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool, getClient } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const runMigrations = async () => {
+    const client = await getClient();
+
+    try {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                filename VARCHAR(255) PRIMARY KEY,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const appliedResult = await client.query('SELECT filename FROM schema_migrations');
+        const applied = new Set(appliedResult.rows.map(row => row.filename));
+
+        const files = fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => file.endsWith('.sql'))
+            .sort();
+
+        for (const file of files) {
+            if (applied.has(file)) {
+                continue;
+            }
+
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+            try {
+                await client.query('BEGIN');
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
+                await client.query('COMMIT');
+                console.log(`✅ Applied migration ${file}`);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                console.error(`❌ Migration ${file} failed:`, error.message);
+                throw error;
+            }
+        }
+
+        console.log('📋 Migrations up to date');
+    } finally {
+        client.release();
+    }
+};
+
+if (require.main === module) {
+    runMigrations()
+        .then(() => pool.end())
+        .catch(() => {
+            pool.end();
+            process.exit(1);
+        });
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,28 @@
+-- Revoked access tokens, keyed by JWT id. Rows are only needed until the
+-- token would have expired anyway and are pruned after that.
+CREATE TABLE IF NOT EXISTS token_blacklist (
+    jti UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    blacklisted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Older databases have a token_blacklist without expiry (tokens then lived
+-- 90 days) whose jti was free text and not unique
+ALTER TABLE token_blacklist ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+UPDATE token_blacklist
+SET expires_at = COALESCE(blacklisted_at, CURRENT_TIMESTAMP) + INTERVAL '90 days'
+WHERE expires_at IS NULL;
+DELETE FROM token_blacklist
+WHERE jti IS NULL OR jti::text !~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+DELETE FROM token_blacklist a USING token_blacklist b
+WHERE a.jti::text = b.jti::text AND a.ctid < b.ctid;
+ALTER TABLE token_blacklist ALTER COLUMN jti TYPE UUID USING jti::text::uuid;
+ALTER TABLE token_blacklist ALTER COLUMN jti SET NOT NULL;
+ALTER TABLE token_blacklist ALTER COLUMN expires_at SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_token_blacklist_jti ON token_blacklist(jti);
+CREATE INDEX IF NOT EXISTS idx_token_blacklist_expires_at ON token_blacklist(expires_at);
+
+-- Access tokens issued before this moment are rejected (logout from all devices)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_revoked_at TIMESTAMP;
@@ -0,0 +1,26 @@
+-- WebAuthn credentials (passkeys / security keys)
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT NOT NULL UNIQUE,     -- base64url
+    public_key BYTEA NOT NULL,              -- COSE encoded
+    counter BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[],
+    device_type VARCHAR(20),                -- singleDevice | multiDevice
+    backed_up BOOLEAN DEFAULT false,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+
+-- Pending registration/authentication ceremonies (single use)
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    challenge TEXT NOT NULL,
+    purpose VARCHAR(20) NOT NULL,           -- registration | authentication
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
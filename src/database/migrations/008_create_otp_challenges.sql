@@ -0,0 +1,16 @@
+-- One-time SMS codes. The id is the verification id handed to the client;
+-- codes are stored as HMACs, never in plaintext.
+CREATE TABLE IF NOT EXISTS otp_challenges (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    phone_number VARCHAR(32) NOT NULL,
+    purpose VARCHAR(30) NOT NULL,           -- mobile_verification | login | phone_change
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_challenges_phone ON otp_challenges(phone_number, purpose, created_at DESC);
@@ -0,0 +1,20 @@
+-- Delivery log for outgoing SMS. Message bodies are not stored because
+-- they usually carry one-time codes; the template name is kept instead.
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    phone_number VARCHAR(32) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    locale VARCHAR(10) NOT NULL,
+    driver VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',   -- pending | sent | failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    provider_message_id VARCHAR(255),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_messages_phone ON sms_messages(phone_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_status ON sms_messages(status, created_at);
@@ -0,0 +1,26 @@
+-- Email verification links. Only a SHA-256 hash of each token is stored;
+-- issuing a new token deletes the user's older unused ones.
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Older databases may have a plaintext-token version of this table
+ALTER TABLE email_verification_tokens ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64);
+ALTER TABLE email_verification_tokens ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+ALTER TABLE email_verification_tokens ADD COLUMN IF NOT EXISTS used_at TIMESTAMP;
+DELETE FROM email_verification_tokens WHERE token_hash IS NULL OR email IS NULL;
+ALTER TABLE email_verification_tokens DROP COLUMN IF EXISTS token;
+ALTER TABLE email_verification_tokens DROP COLUMN IF EXISTS used;
+ALTER TABLE email_verification_tokens ALTER COLUMN token_hash SET NOT NULL;
+ALTER TABLE email_verification_tokens ALTER COLUMN email SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_verification_tokens_hash ON email_verification_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
@@ -0,0 +1,4 @@
+-- A requested phone number waiting for OTP verification. mobile_no only
+-- changes once the code sent to the pending number is confirmed.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_mobile_no VARCHAR(32);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_mobile_requested_at TIMESTAMP;
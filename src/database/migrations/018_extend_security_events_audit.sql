@@ -0,0 +1,54 @@
+-- security_events becomes the append-only audit log: who acted, in which
+-- request, and what changed
+ALTER TABLE security_events ADD COLUMN IF NOT EXISTS actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE security_events ADD COLUMN IF NOT EXISTS request_id VARCHAR(64);
+ALTER TABLE security_events ADD COLUMN IF NOT EXISTS changes JSONB;
+
+-- Earlier admin actions kept the actor in metadata
+UPDATE security_events e
+SET actor_id = (e.metadata->>'actor_id')::INTEGER
+WHERE e.actor_id IS NULL
+    AND e.metadata ? 'actor_id'
+    AND EXISTS (SELECT 1 FROM users u WHERE u.id = (e.metadata->>'actor_id')::INTEGER);
+
+-- History outlives the account it belongs to
+ALTER TABLE security_events DROP CONSTRAINT IF EXISTS security_events_user_id_fkey;
+ALTER TABLE security_events ADD CONSTRAINT security_events_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_event_type ON security_events(event_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_actor_id ON security_events(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_request_id ON security_events(request_id);
+
+-- Rows can never be edited or removed. The only update allowed is the
+-- ON DELETE SET NULL of user_id / actor_id when an account is deleted.
+CREATE OR REPLACE FUNCTION security_events_append_only() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.id = OLD.id
+        AND NEW.event_type = OLD.event_type
+        AND NEW.ip_address IS NOT DISTINCT FROM OLD.ip_address
+        AND NEW.user_agent IS NOT DISTINCT FROM OLD.user_agent
+        AND NEW.metadata IS NOT DISTINCT FROM OLD.metadata
+        AND NEW.changes IS NOT DISTINCT FROM OLD.changes
+        AND NEW.request_id IS NOT DISTINCT FROM OLD.request_id
+        AND NEW.created_at IS NOT DISTINCT FROM OLD.created_at
+        AND (NEW.user_id IS NULL OR NEW.user_id = OLD.user_id)
+        AND (NEW.actor_id IS NULL OR NEW.actor_id = OLD.actor_id) THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'security_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS security_events_no_modify ON security_events;
+CREATE TRIGGER security_events_no_modify
+    BEFORE UPDATE OR DELETE ON security_events
+    FOR EACH ROW EXECUTE FUNCTION security_events_append_only();
+
+DROP TRIGGER IF EXISTS security_events_no_truncate ON security_events;
+CREATE TRIGGER security_events_no_truncate
+    BEFORE TRUNCATE ON security_events
+    FOR EACH STATEMENT EXECUTE FUNCTION security_events_append_only();
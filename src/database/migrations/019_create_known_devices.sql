@@ -0,0 +1,31 @@
+-- Devices a user has signed in from. The fingerprint is a SHA-256 of the
+-- browser family, OS and IP range, so minor upgrades do not count as new.
+CREATE TABLE IF NOT EXISTS known_devices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fingerprint VARCHAR(64) NOT NULL,
+    label VARCHAR(100),
+    ip_address VARCHAR(45),
+    location VARCHAR(255),
+    country_code VARCHAR(2),
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, fingerprint)
+);
+
+-- "This wasn't me" links sent with new-device emails (hash only)
+CREATE TABLE IF NOT EXISTS login_alerts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id INTEGER REFERENCES known_devices(id) ON DELETE SET NULL,
+    session_id UUID,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_alerts_user_id ON login_alerts(user_id);
+
+-- Set when a login is reported as not the user's; cleared by a password reset
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT FALSE;
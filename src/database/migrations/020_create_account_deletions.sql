@@ -0,0 +1,25 @@
+-- Scheduled account deletions. Requesting one sets the user to
+-- pending_deletion; a background job purges it once purge_after passes
+-- unless it was restored first. Rows outlive the user as the deletion
+-- receipt, so the email and restore token are cleared on purge.
+CREATE TABLE IF NOT EXISTS account_deletions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    restore_token_hash VARCHAR(64) UNIQUE,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    requested_ip VARCHAR(45),
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    purge_after TIMESTAMP NOT NULL,
+    restored_at TIMESTAMP,
+    purge_started_at TIMESTAMP,
+    purged_at TIMESTAMP,
+    receipt JSONB
+);
+
+-- At most one open deletion per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletions_open_user
+    ON account_deletions(user_id) WHERE restored_at IS NULL AND purged_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_account_deletions_due
+    ON account_deletions(purge_after) WHERE restored_at IS NULL AND purged_at IS NULL;
@@ -0,0 +1,58 @@
+-- Versioned legal documents (terms of service, privacy policy). The newest
+-- published version of each type is current; when it is mandatory, users
+-- who have not accepted it must do so before using protected routes.
+CREATE TABLE IF NOT EXISTS policy_documents (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(20) NOT NULL,              -- terms | privacy
+    version VARCHAR(20) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    url TEXT,
+    mandatory BOOLEAN NOT NULL DEFAULT TRUE,
+    published_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    published_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (type, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_policy_documents_current ON policy_documents(type, published_at DESC);
+
+-- Proof of acceptance: which version, when and from where
+CREATE TABLE IF NOT EXISTS policy_acceptances (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_id INTEGER NOT NULL REFERENCES policy_documents(id),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    accepted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, document_id)
+);
+
+-- Marketing opt-ins per channel. Every change is a new row, so the latest
+-- row per channel is the current choice and the rest is its history.
+CREATE TABLE IF NOT EXISTS marketing_consents (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL,           -- email | sms
+    granted BOOLEAN NOT NULL,
+    source VARCHAR(20) NOT NULL,            -- registration | settings
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_marketing_consents_user ON marketing_consents(user_id, channel, created_at DESC);
+
+-- First versions, so registration has something to accept
+INSERT INTO policy_documents (type, version, title, mandatory) VALUES
+    ('terms', '1.0', 'Terms of Service', TRUE),
+    ('privacy', '1.0', 'Privacy Policy', TRUE)
+ON CONFLICT (type, version) DO NOTHING;
+
+INSERT INTO permissions (name, description) VALUES
+    ('policies:manage', 'Publish terms of service and privacy policy versions')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'policies:manage'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
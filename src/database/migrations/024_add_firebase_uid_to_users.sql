@@ -0,0 +1,5 @@
+-- Firebase account a user is tied to, so Firebase ID tokens resolve to the
+-- same Postgres user even if either side's email changes
+ALTER TABLE users ADD COLUMN IF NOT EXISTS firebase_uid VARCHAR(128);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_firebase_uid ON users(firebase_uid) WHERE firebase_uid IS NOT NULL;
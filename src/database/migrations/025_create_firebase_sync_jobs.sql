@@ -0,0 +1,24 @@
+-- Firebase changes that could not be applied when they happened. PostgreSQL
+-- is the source of truth; a worker replays these in order per user so the
+-- Firebase user catches up. The payload is encrypted (it can carry a
+-- password) and cleared once the job is finished.
+CREATE TABLE IF NOT EXISTS firebase_sync_jobs (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    operation VARCHAR(20) NOT NULL,                  -- create | update | delete
+    firebase_uid VARCHAR(128),
+    email VARCHAR(255),                              -- address to look the Firebase user up by
+    payload TEXT,                                    -- encrypted JSON
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',   -- pending | processing | done | failed | cancelled
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    result VARCHAR(20),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_firebase_sync_jobs_due ON firebase_sync_jobs(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_firebase_sync_jobs_user ON firebase_sync_jobs(user_id, created_at);
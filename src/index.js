@@ -4,24 +4,40 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 
 // Import middleware
 const { errorHandler } = require('./utils/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { trustProxy } = require('./config/trustProxy');
+const TokenService = require('./services/tokenService');
+const EmailService = require('./services/emailService');
+const AccountDeletionService = require('./services/accountDeletionService');
+const DataExportService = require('./services/dataExportService');
+const FirebaseSyncService = require('./services/firebaseSyncService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Client IPs behind a load balancer come from X-Forwarded-For (see config/trustProxy)
+app.set('trust proxy', trustProxy);
+
+// Request id first so every log and audit entry can be correlated
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
 }));
 
 // General middleware
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // DEBUG: Import and check routes one by one
 console.log('Importing auth routes...');
@@ -59,6 +75,14 @@ try {
 
 */
 
+// Admin API
+app.use('/api/admin', require('./routes/admin'));
+
+// Development-only helpers (OTP sink, mock OIDC issuer)
+if (process.env.NODE_ENV === 'development') {
+    app.use('/api/dev', require('./routes/dev'));
+}
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ 
@@ -83,6 +107,13 @@ app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
+
+    // Background jobs
+    TokenService.startBlacklistPruning();
+    EmailService.startOutboxWorker();
+    AccountDeletionService.startPurgeWorker();
+    DataExportService.startExportWorker();
+    FirebaseSyncService.startSyncWorker();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -2,9 +2,77 @@
 const { verifyToken, getTokenFromHeader } = require('../utils/jwt');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const UserModel = require('../models/userModel');
+const TokenService = require('../services/tokenService');
+const SessionService = require('../services/sessionService');
+const RbacService = require('../services/rbacService');
+const AccountStatusService = require('../services/accountStatusService');
+const ConsentService = require('../services/consentService');
+const FirebaseLoginService = require('../services/firebaseLoginService');
+const TwoFactorModel = require('../models/twoFactorModel');
+const { getRequestContext } = require('../utils/requestContext');
 
-// Protect routes - require valid JWT
-const protect = catchAsync(async (req, res, next) => {
+// Firebase ID token (mobile apps on the Firebase SDK, ACCEPT_FIREBASE_ID_TOKENS=true).
+// Shaped like our own token payload so revocation and logout work the same;
+// auth_time stands in for iat so "log out everywhere" outlives Firebase's hourly refresh.
+const authenticateFirebaseToken = async (token, context) => {
+    const { user, claims } = await FirebaseLoginService.resolveUser(token, context);
+
+    const decoded = {
+        id: user.id,
+        iat: claims.authTime || claims.iat,
+        exp: claims.exp,
+        sid: null,
+        firebase_uid: claims.firebaseUID
+    };
+
+    if (await TokenService.isAccessTokenRevoked(decoded)) {
+        throw new AppError('Token has been revoked. Please log in again', 401, true, 'TOKEN_REVOKED');
+    }
+
+    // These users must sign in through POST /api/auth/firebase to pass
+    // their second factor / reset their password
+    if (user.password_reset_required) {
+        throw new AppError('For your security, reset your password using the link we emailed you', 403, true, 'PASSWORD_RESET_REQUIRED');
+    }
+    if (await TwoFactorModel.isEnabled(user.id)) {
+        throw new AppError('Two-factor authentication required. Exchange the Firebase token at /api/auth/firebase', 401, true, 'TWO_FACTOR_REQUIRED');
+    }
+
+    await AccountStatusService.assertActive(user);
+
+    return { user, decoded };
+};
+
+// Verify token, check revocation and load the (active) user it belongs to
+const authenticateToken = async (token, context = {}) => {
+    if (FirebaseLoginService.acceptsIdTokensInProtect() && FirebaseLoginService.isFirebaseIdToken(token)) {
+        return authenticateFirebaseToken(token, context);
+    }
+
+    const decoded = verifyToken(token);
+
+    if (await TokenService.isAccessTokenRevoked(decoded)) {
+        throw new AppError('Token has been revoked. Please log in again', 401, true, 'TOKEN_REVOKED');
+    }
+
+    // Reject tokens from revoked sessions and record activity on live ones
+    if (decoded.sid && !(await SessionService.touchSession(decoded.sid))) {
+        throw new AppError('Session has been revoked. Please log in again', 401, true, 'SESSION_REVOKED');
+    }
+
+    const user = await UserModel.findById(decoded.id);
+
+    // A still-valid token must not outlive a suspension
+    if (user) {
+        await AccountStatusService.assertActive(user);
+    }
+
+    return { user, decoded };
+};
+
+// Require a valid JWT. Use directly only on routes that must stay
+// reachable while policies are awaiting acceptance; everything else uses protect
+const authenticate = catchAsync(async (req, res, next) => {
     // Get token from header
     const token = getTokenFromHeader(req);
     
@@ -13,32 +81,68 @@ const protect = catchAsync(async (req, res, next) => {
     }
 
     try {
-        // Verify token
-        const decoded = verifyToken(token);
-        
-        // Get user from database
-        const user = await UserModel.findById(decoded.id);
+        // Verify token and get user from database
+        const { user, decoded } = await authenticateToken(token, getRequestContext(req));
         if (!user) {
             return next(new AppError('Token is valid but user no longer exists', 401));
         }
 
-        // Add user to request
-        req.user = user;
+        // Add user and token details to request
+        req.user = { ...user, jti: decoded.jti };
+        req.token = decoded;
         next();
     } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        // Distinct code so clients know to call /api/auth/refresh instead of logging out
+        if (error.expired) {
+            return next(new AppError('Access token has expired', 401, true, 'TOKEN_EXPIRED'));
+        }
         return next(new AppError(error.message, 401));
     }
 });
 
+// Block the API until the current mandatory terms / privacy policy
+// versions are accepted (POST /api/auth/policies/accept) - use after authenticate
+const requirePolicyAcceptance = catchAsync(async (req, res, next) => {
+    const pending = await ConsentService.getPendingPolicies(req.user.id);
+    if (pending.length > 0) {
+        const documents = pending.map(document => `${document.title} (version ${document.version})`).join(' and ');
+        return next(new AppError(`Please review and accept the updated ${documents} to continue`, 403, true, 'POLICY_ACCEPTANCE_REQUIRED'));
+    }
+    next();
+});
+
+// Protect routes - require valid JWT and accepted policies
+const protect = [authenticate, requirePolicyAcceptance];
+
+// Require every listed permission - use after protect.
+// Checks the user's current roles in the database rather than the JWT
+// claims, so a revoked role stops working without waiting for token expiry.
+const authorize = (...permissions) => catchAsync(async (req, res, next) => {
+    if (!req.user) {
+        return next(new AppError('Access denied. No token provided', 401));
+    }
+
+    if (!(await RbacService.hasPermissions(req.user.id, permissions))) {
+        return next(new AppError('You do not have permission to perform this action', 403, true, 'INSUFFICIENT_PERMISSIONS'));
+    }
+
+    next();
+});
+
 // Optional authentication - don't require token
 const optionalAuth = catchAsync(async (req, res, next) => {
     const token = getTokenFromHeader(req);
     
     if (token) {
         try {
-            const decoded = verifyToken(token);
-            const user = await UserModel.findById(decoded.id);
-            req.user = user;
+            const { user, decoded } = await authenticateToken(token, getRequestContext(req));
+            if (user) {
+                req.user = { ...user, jti: decoded.jti };
+                req.token = decoded;
+            }
         } catch (error) {
             // Ignore token errors for optional auth
             console.log('Optional auth token error:', error.message);
@@ -65,7 +169,10 @@ const requireMobileVerification = (req, res, next) => {
 };
 
 module.exports = {
+    authenticate,
     protect,
+    requirePolicyAcceptance,
+    authorize,
     optionalAuth,
     requireEmailVerification,
     requireMobileVerification
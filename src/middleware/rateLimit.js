@@ -0,0 +1,148 @@
+// src/middleware/rateLimit.js
+const rateLimitConfig = require('../config/rateLimits');
+const { createStore } = require('../utils/rateLimitStores');
+const { AppError } = require('../utils/errorHandler');
+
+let sharedStore = null;
+
+// Store configured through RATE_LIMIT_STORE, created on first use
+const getSharedStore = () => {
+    if (!sharedStore) {
+        sharedStore = createStore(rateLimitConfig.store);
+    }
+    return sharedStore;
+};
+
+const normalizePhone = (phone) => (phone ? String(phone).replace(/[^\d+]/g, '') : null);
+
+// How each rule identifies the client. Returning null skips the rule
+// (e.g. no email in the body - validation rejects the request anyway).
+const KEY_RESOLVERS = {
+    ip: (req) => req.ip || null,
+    user: (req) => (req.user ? `u${req.user.id}` : req.ip || null),
+    email: (req) => {
+        const email = req.body && req.body.email;
+        return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+    },
+    // The signed-in account's own number, for routes that text it
+    phone: (req) => normalizePhone(req.user && req.user.mobile_no),
+    // The number in the body, for routes that text a number the client picks
+    targetPhone: (req) => normalizePhone(req.body && req.body.mobile_no)
+};
+
+// Fixed window: one counter per window
+const evaluateFixed = async (store, key, rule, now) => {
+    const windowIndex = Math.floor(now / rule.windowMs);
+    const resetAt = (windowIndex + 1) * rule.windowMs;
+    const count = await store.increment(`${key}:${windowIndex}`, new Date(resetAt));
+
+    return { count, resetAt };
+};
+
+// Sliding window: current counter plus the previous window's counter
+// weighted by how much of it still overlaps the sliding window
+const evaluateSliding = async (store, key, rule, now) => {
+    const windowIndex = Math.floor(now / rule.windowMs);
+    const windowStart = windowIndex * rule.windowMs;
+    const elapsed = (now - windowStart) / rule.windowMs;
+
+    const previous = await store.get(`${key}:${windowIndex - 1}`);
+    // Keep the counter for a second window so it can be weighted next time
+    const current = await store.increment(`${key}:${windowIndex}`, new Date(windowStart + 2 * rule.windowMs));
+
+    const count = Math.ceil(previous * (1 - elapsed) + current);
+
+    // Earliest moment the weighted count falls back under the limit
+    let resetAt = windowStart + rule.windowMs;
+    if (current < rule.limit && previous > 0) {
+        resetAt = windowStart + (1 - (rule.limit - current) / previous) * rule.windowMs;
+    }
+
+    return { count, resetAt: Math.max(resetAt, now) };
+};
+
+/**
+ * Rate-limit middleware factory
+ * @param {string|Object} policy - Policy name from config/rateLimits, or
+ *   { name, rules: [{ keyBy, limit, window|windowMs, algorithm }], store }
+ */
+const rateLimit = (policy) => {
+    const name = typeof policy === 'string' ? policy : policy.name;
+    const rules = typeof policy === 'string'
+        ? rateLimitConfig.policies[policy]
+        : policy.rules.map(rule => ({
+            keyBy: rule.keyBy || 'ip',
+            limit: rule.limit,
+            windowMs: rule.windowMs || rateLimitConfig.parseWindow(rule.window),
+            algorithm: rule.algorithm === 'fixed' ? 'fixed' : 'sliding'
+        }));
+
+    if (!rules) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    return async (req, res, next) => {
+        if (!rateLimitConfig.enabled) {
+            return next();
+        }
+
+        const store = (typeof policy === 'object' && policy.store) || getSharedStore();
+        const now = Date.now();
+        let tightest = null;
+
+        try {
+            for (const [index, rule] of rules.entries()) {
+                const resolveKey = typeof rule.keyBy === 'function' ? rule.keyBy : KEY_RESOLVERS[rule.keyBy];
+                const identifier = resolveKey ? resolveKey(req) : null;
+                if (!identifier) {
+                    continue;
+                }
+
+                const key = `rl:${name}:${index}:${identifier}`;
+                const evaluate = rule.algorithm === 'fixed' ? evaluateFixed : evaluateSliding;
+                const { count, resetAt } = await evaluate(store, key, rule, now);
+
+                const result = {
+                    limit: rule.limit,
+                    remaining: Math.max(rule.limit - count, 0),
+                    resetSeconds: Math.max(Math.ceil((resetAt - now) / 1000), 1),
+                    exceeded: count > rule.limit
+                };
+
+                if (!tightest || result.exceeded || (!tightest.exceeded && result.remaining < tightest.remaining)) {
+                    tightest = result;
+                }
+
+                if (result.exceeded) {
+                    break;
+                }
+            }
+        } catch (error) {
+            // Never take the API down because the limiter's store is unavailable
+            console.error(`Rate limit store error (${name}):`, error.message);
+            return next();
+        }
+
+        if (!tightest) {
+            return next();
+        }
+
+        res.set({
+            'RateLimit-Limit': String(tightest.limit),
+            'RateLimit-Remaining': String(tightest.remaining),
+            'RateLimit-Reset': String(tightest.resetSeconds)
+        });
+
+        if (tightest.exceeded) {
+            const error = new AppError('Too many requests. Please try again later', 429, true, 'RATE_LIMITED');
+            error.retryAfter = tightest.resetSeconds;
+            return next(error);
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit
+};
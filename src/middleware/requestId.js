@@ -0,0 +1,17 @@
+// src/middleware/requestId.js
+const crypto = require('crypto');
+
+// Accept a caller's id (e.g. from a proxy) only if it is short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Tag every request with an id that is echoed back and written to the audit log
+const requestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = {
+    requestId
+};
@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const sanitizeHtml = require('sanitize-html');
 const { parsePhoneNumber } = require('libphonenumber-js');
 const { AppError } = require('../utils/errorHandler');
@@ -56,6 +56,9 @@ const sanitizeInput = (req, res, next) => {
         disallowedTagsMode: 'discard'
     };
 
+    // Express 5 leaves req.body undefined when the request has none
+    req.body = req.body || {};
+
     // Sanitize string fields in body
     for (const [key, value] of Object.entries(req.body)) {
         if (typeof value === 'string') {
@@ -66,6 +69,19 @@ const sanitizeInput = (req, res, next) => {
     next();
 };
 
+// Password policy, shared by registration and password reset
+const passwordPolicy = (field) => body(field)
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character');
+
+// Marketing opt-ins, one boolean per channel
+const marketingConsentFields = [
+    body('marketing_email').optional().isBoolean({ strict: true }).withMessage('marketing_email must be true or false'),
+    body('marketing_sms').optional().isBoolean({ strict: true }).withMessage('marketing_sms must be true or false')
+];
+
 // User registration validation
 const validateUserRegistration = [
     body('email')
@@ -75,11 +91,7 @@ const validateUserRegistration = [
         .isLength({ max: 255 })
         .withMessage('Email must not exceed 255 characters'),
 
-    body('password')
-        .isLength({ min: 8 })
-        .withMessage('Password must be at least 8 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    passwordPolicy('password'),
 
     body('full_name')
         .isLength({ min: 2, max: 255 })
@@ -104,11 +116,25 @@ const validateUserRegistration = [
             }
         }),
 
+    // Other sign-up types ('o' for OIDC) come from the provider flow
     body('signup_type')
         .optional()
         .isIn(['e'])
         .withMessage('Signup type must be e (email)'),
 
+    // Versions of the documents shown on the sign-up form
+    body('terms_version')
+        .isString()
+        .notEmpty()
+        .withMessage('You must accept the Terms of Service'),
+
+    body('privacy_version')
+        .isString()
+        .notEmpty()
+        .withMessage('You must accept the Privacy Policy'),
+
+    ...marketingConsentFields,
+
     sanitizeInput,
     handleValidationErrors
 ];
@@ -534,7 +560,348 @@ const validateMobileOTP = [
 
     body('verification_id')
         .notEmpty()
-        .withMessage('Verification ID is required'),
+        .withMessage('Verification ID is required')
+        .isUUID()
+        .withMessage('Invalid verification ID'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Phone number change request
+const validatePhoneChange = [
+    body('mobile_no')
+        .custom((value) => {
+            try {
+                const phoneNumber = parsePhoneNumber(value);
+                if (!phoneNumber || !phoneNumber.isValid()) {
+                    throw new Error('Invalid phone number format');
+                }
+                return true;
+            } catch (error) {
+                throw new Error('Invalid phone number format');
+            }
+        }),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Email change request
+const validateEmailChange = [
+    body('password')
+        .optional()
+        .isString()
+        .withMessage('Password must be a string'),
+
+    body('new_email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+        .isLength({ max: 255 })
+        .withMessage('Email must not exceed 255 characters'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Forgot password request
+const validateForgotPassword = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+
+    handleValidationErrors
+];
+
+// Password reset token (pre-check)
+const validateResetToken = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+
+    handleValidationErrors
+];
+
+// "This wasn't me" confirmation
+const validateLoginAlertToken = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Token is required'),
+
+    handleValidationErrors
+];
+
+// Password reset; sanitized like registration so the stored password matches what login receives
+const validatePasswordReset = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+
+    passwordPolicy('new_password'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Two-factor code (enrollment confirmation)
+const validateTwoFactorCode = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be a 6-digit number'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Second login step: challenge plus a TOTP or recovery code
+const validateTwoFactorLogin = [
+    body('challenge_token')
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+
+    body('code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be a 6-digit number'),
+
+    body('recovery_code')
+        .optional()
+        .isString()
+        .isLength({ min: 10, max: 20 })
+        .withMessage('Invalid recovery code format'),
+
+    body('ceremony_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid ceremony id'),
+
+    body()
+        .custom((value, { req }) => {
+            const hasPasskey = req.body.ceremony_id && req.body.response;
+            if (!req.body.code && !req.body.recovery_code && !hasPasskey) {
+                throw new Error('Either code, recovery_code or a passkey response is required');
+            }
+            return true;
+        }),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Re-authentication with the current password. Optional here: accounts
+// without one re-authenticate by signing in again (ReauthService)
+const validatePasswordConfirmation = [
+    body('password')
+        .optional()
+        .isString()
+        .withMessage('Password must be a string'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Login challenge token only (e.g. requesting passkey options)
+const validateChallengeToken = [
+    body('challenge_token')
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+
+    handleValidationErrors
+];
+
+// WebAuthn ceremony response
+const validatePasskeyResponse = [
+    body('ceremony_id')
+        .isUUID()
+        .withMessage('Invalid ceremony id'),
+
+    body('response')
+        .isObject()
+        .withMessage('Passkey response is required'),
+
+    body('response.id')
+        .isString()
+        .withMessage('Passkey response must include a credential id'),
+
+    handleValidationErrors
+];
+
+// Passkey label
+const validatePasskeyName = [
+    body('name')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Passkey name must be between 1 and 100 characters'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Passkey registration: ceremony response plus optional label
+const validatePasskeyRegistration = [
+    ...validatePasskeyResponse.slice(0, -1),
+
+    body('name')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Passkey name must be between 1 and 100 characters'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Numeric id in the route
+const validateIdParam = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid id')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+// Admin user search filters
+const validateAdminUserQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    query('email_verified').optional().isBoolean().withMessage('email_verified must be true or false').toBoolean(),
+    query('mobile_verified').optional().isBoolean().withMessage('mobile_verified must be true or false').toBoolean(),
+    query('status').optional().isIn(['active', 'suspended', 'pending_deletion']).withMessage('Invalid status'),
+    query('created_from').optional().isISO8601().withMessage('created_from must be an ISO 8601 date'),
+    query('created_to').optional().isISO8601().withMessage('created_to must be an ISO 8601 date'),
+    query('sort_by').optional().isIn(['created_at', 'email', 'full_name', 'updated_at']).withMessage('Invalid sort field'),
+    query('sort_order').optional().isIn(['asc', 'desc', 'ASC', 'DESC']).withMessage('Sort order must be asc or desc'),
+
+    handleValidationErrors
+];
+
+// Admin: disable an account
+const validateAdminDisable = [
+    body('reason')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Reason must not exceed 500 characters'),
+
+    body('until')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('until must be an ISO 8601 date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('until must be in the future'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Admin: grant a role
+const validateRoleAssignment = [
+    body('role')
+        .isString()
+        .notEmpty()
+        .withMessage('Role is required'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Security event history filters (own history)
+const securityEventFilters = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    query('event_type')
+        .optional()
+        .matches(/^[a-z0-9_]+(,[a-z0-9_]+)*$/)
+        .withMessage('event_type must be a comma-separated list of event names'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+const validateSecurityEventQuery = [
+    ...securityEventFilters,
+
+    handleValidationErrors
+];
+
+// Admin audit log search and export
+const validateAuditEventQuery = [
+    ...securityEventFilters,
+    query('user_id').optional().isInt({ min: 1 }).withMessage('user_id must be a positive integer').toInt(),
+    query('actor_id').optional().isInt({ min: 1 }).withMessage('actor_id must be a positive integer').toInt(),
+    query('ip').optional().isIP().withMessage('ip must be an IP address'),
+    query('request_id').optional().isLength({ max: 64 }).withMessage('request_id must not exceed 64 characters'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json'),
+
+    handleValidationErrors
+];
+
+// Firebase ID token exchange
+const validateFirebaseLogin = [
+    body('id_token')
+        .isString()
+        .notEmpty()
+        .withMessage('Firebase ID token is required'),
+
+    handleValidationErrors
+];
+
+// Link a provider to an existing account
+const validateOidcLink = [
+    body('link_token')
+        .isString()
+        .notEmpty()
+        .withMessage('Link token is required'),
+
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Accept current policy versions
+const validatePolicyAcceptance = [
+    body('terms_version').optional().isString().notEmpty().withMessage('terms_version must be a version string'),
+    body('privacy_version').optional().isString().notEmpty().withMessage('privacy_version must be a version string'),
+
+    sanitizeInput,
+    handleValidationErrors
+];
+
+// Change marketing opt-ins
+const validateMarketingConsent = [
+    ...marketingConsentFields,
+
+    handleValidationErrors
+];
+
+// Admin: publish a policy document version
+const validatePolicyDocument = [
+    body('type')
+        .isIn(['terms', 'privacy'])
+        .withMessage('Type must be terms or privacy'),
+
+    body('version')
+        .matches(/^[0-9A-Za-z.-]{1,20}$/)
+        .withMessage('Version must be up to 20 letters, digits, dots or dashes'),
+
+    body('title')
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Title must be between 1 and 255 characters'),
+
+    body('url')
+        .optional()
+        .isURL()
+        .withMessage('URL must be valid'),
+
+    body('mandatory')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('mandatory must be true or false'),
 
     sanitizeInput,
     handleValidationErrors
@@ -544,6 +911,30 @@ module.exports = {
     validateUserRegistration,
     validateUserLogin,
     validateMobileOTP, // Add this line
+    validatePhoneChange,
+    validateEmailChange,
+    validateForgotPassword,
+    validateResetToken,
+    validatePasswordReset,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validatePasswordConfirmation,
+    validateLoginAlertToken,
+    validateChallengeToken,
+    validatePasskeyResponse,
+    validatePasskeyName,
+    validatePasskeyRegistration,
+    validateIdParam,
+    validateAdminUserQuery,
+    validateAdminDisable,
+    validateRoleAssignment,
+    validateSecurityEventQuery,
+    validateAuditEventQuery,
+    validatePolicyAcceptance,
+    validateMarketingConsent,
+    validateOidcLink,
+    validateFirebaseLogin,
+    validatePolicyDocument,
     validateCompanyProfile: [...validateCompanyProfile, sanitizeCompanyData],
     validateCompanyProfileUpdate: [...validateCompanyProfileUpdate, sanitizeCompanyData],
     validateImageUpload,
@@ -0,0 +1,120 @@
+// src/models/accountDeletionModel.js
+const { query } = require('../config/database');
+
+class AccountDeletionModel {
+    // Schedule a deletion (purge_started_at is set for immediate deletions)
+    static async create({ id, user_id, email, restore_token_hash, requested_by, requested_ip, purge_after, purge_started_at }) {
+        const sql = `
+            INSERT INTO account_deletions
+                (id, user_id, email, restore_token_hash, requested_by, requested_ip, purge_after, purge_started_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `;
+        const values = [
+            id, user_id, email, restore_token_hash || null, requested_by || null, requested_ip || null,
+            purge_after, purge_started_at || null
+        ];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // The user's open (not restored, not purged) deletion
+    static async findOpenByUserId(user_id) {
+        const sql = `
+            SELECT * FROM account_deletions
+            WHERE user_id = $1 AND restored_at IS NULL AND purged_at IS NULL
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows[0];
+    }
+
+    // Look up a restore link regardless of state (to tell expired from invalid)
+    static async findByRestoreTokenHash(restore_token_hash) {
+        const sql = 'SELECT * FROM account_deletions WHERE restore_token_hash = $1';
+        const result = await query(sql, [restore_token_hash]);
+        return result.rows[0];
+    }
+
+    // Cancel a deletion that is still inside its grace period and not being purged
+    static async markRestored(id) {
+        const sql = `
+            UPDATE account_deletions
+            SET restored_at = CURRENT_TIMESTAMP, restore_token_hash = NULL
+            WHERE id = $1
+                AND restored_at IS NULL AND purged_at IS NULL AND purge_started_at IS NULL
+                AND purge_after > NOW()
+            RETURNING *
+        `;
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Close the user's open deletion when the account is made active some
+    // other way (e.g. suspended, then re-enabled). A purge already under way
+    // is left alone.
+    static async cancelOpenByUserId(user_id) {
+        const sql = `
+            UPDATE account_deletions
+            SET restored_at = CURRENT_TIMESTAMP, restore_token_hash = NULL
+            WHERE user_id = $1
+                AND restored_at IS NULL AND purged_at IS NULL AND purge_started_at IS NULL
+            RETURNING id
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows[0];
+    }
+
+    // Claim deletions whose grace period is over. A claim older than
+    // 30 minutes is assumed to belong to a crashed worker and is retried.
+    // A purge that has not started yet only goes ahead while the account
+    // is still pending deletion.
+    static async claimDue(limit = 10) {
+        const sql = `
+            UPDATE account_deletions
+            SET purge_started_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM account_deletions
+                WHERE restored_at IS NULL AND purged_at IS NULL AND purge_after <= NOW()
+                    AND (purge_started_at IS NULL OR purge_started_at < NOW() - INTERVAL '30 minutes')
+                    AND (purge_started_at IS NOT NULL OR EXISTS (
+                        SELECT 1 FROM users
+                        WHERE users.id = account_deletions.user_id AND users.status = 'pending_deletion'
+                    ))
+                ORDER BY purge_after
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+        const result = await query(sql, [limit]);
+        return result.rows;
+    }
+
+    // Claim one open deletion for an immediate purge
+    static async claim(id) {
+        const sql = `
+            UPDATE account_deletions
+            SET purge_started_at = CURRENT_TIMESTAMP, purge_after = LEAST(purge_after, CURRENT_TIMESTAMP)
+            WHERE id = $1 AND restored_at IS NULL AND purged_at IS NULL
+                AND (purge_started_at IS NULL OR purge_started_at < NOW() - INTERVAL '30 minutes')
+            RETURNING *
+        `;
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Record the purge and keep only the receipt
+    static async markPurged(id, receipt, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE account_deletions
+            SET purged_at = CURRENT_TIMESTAMP, receipt = $2, email = NULL, restore_token_hash = NULL
+            WHERE id = $1
+            RETURNING id, purged_at, receipt
+        `;
+        const result = await executor.query(sql, [id, JSON.stringify(receipt)]);
+        return result.rows[0];
+    }
+}
+
+module.exports = AccountDeletionModel;
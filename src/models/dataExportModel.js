@@ -0,0 +1,111 @@
+// src/models/dataExportModel.js
+const { query } = require('../config/database');
+
+const PUBLIC_FIELDS = 'id, status, file_size, error, created_at, completed_at, expires_at';
+
+class DataExportModel {
+    // Queue an export
+    static async create({ id, user_id, requested_ip }) {
+        const sql = `
+            INSERT INTO data_exports (id, user_id, requested_ip)
+            VALUES ($1, $2, $3)
+            RETURNING ${PUBLIC_FIELDS}
+        `;
+        const result = await query(sql, [id, user_id, requested_ip || null]);
+        return result.rows[0];
+    }
+
+    // Export still being built, if any
+    static async findOpenByUserId(user_id) {
+        const sql = `
+            SELECT ${PUBLIC_FIELDS} FROM data_exports
+            WHERE user_id = $1 AND status IN ('pending', 'processing')
+            LIMIT 1
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows[0];
+    }
+
+    // A user's exports, newest first
+    static async findByUserId(user_id, limit = 10) {
+        const sql = `
+            SELECT ${PUBLIC_FIELDS} FROM data_exports
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `;
+        const result = await query(sql, [user_id, limit]);
+        return result.rows;
+    }
+
+    // Full row, including where the archive is stored
+    static async findById(id) {
+        const result = await query('SELECT * FROM data_exports WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    // Claim the oldest pending export. A build running for over 30 minutes
+    // is assumed to belong to a crashed worker and is retried.
+    static async claimNext() {
+        const sql = `
+            UPDATE data_exports
+            SET status = 'processing', started_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM data_exports
+                WHERE status = 'pending'
+                    OR (status = 'processing' AND started_at < NOW() - INTERVAL '30 minutes')
+                ORDER BY created_at
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+        const result = await query(sql);
+        return result.rows[0];
+    }
+
+    static async markReady(id, file_path, file_size, expires_at) {
+        const sql = `
+            UPDATE data_exports
+            SET status = 'ready', file_path = $2, file_size = $3, expires_at = $4,
+                completed_at = CURRENT_TIMESTAMP, error = NULL
+            WHERE id = $1
+            RETURNING ${PUBLIC_FIELDS}
+        `;
+        const result = await query(sql, [id, file_path, file_size, expires_at]);
+        return result.rows[0];
+    }
+
+    static async markFailed(id, error) {
+        const sql = `
+            UPDATE data_exports
+            SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await query(sql, [id, error]);
+    }
+
+    // Ready archives past their expiry
+    static async findExpired(limit = 100) {
+        const sql = `
+            SELECT id, file_path FROM data_exports
+            WHERE status = 'ready' AND expires_at <= NOW()
+            LIMIT $1
+        `;
+        const result = await query(sql, [limit]);
+        return result.rows;
+    }
+
+    static async markExpired(id) {
+        await query("UPDATE data_exports SET status = 'expired', file_path = NULL WHERE id = $1", [id]);
+    }
+
+    // Archive files still on disk for a user (account purge)
+    static async findFilePathsByUserId(user_id) {
+        const sql = 'SELECT file_path FROM data_exports WHERE user_id = $1 AND file_path IS NOT NULL';
+        const result = await query(sql, [user_id]);
+        return result.rows.map(row => row.file_path);
+    }
+}
+
+module.exports = DataExportModel;
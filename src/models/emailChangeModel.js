@@ -0,0 +1,65 @@
+// src/models/emailChangeModel.js
+const { query } = require('../config/database');
+
+class EmailChangeModel {
+    // Store a new request, cancelling the user's other pending ones
+    static async create({ user_id, old_email, new_email, confirm_token_hash, cancel_token_hash, expires_at }) {
+        await query(
+            `UPDATE email_change_requests
+             SET cancelled_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+            [user_id]
+        );
+
+        const sql = `
+            INSERT INTO email_change_requests
+                (user_id, old_email, new_email, confirm_token_hash, cancel_token_hash, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, new_email, expires_at, created_at
+        `;
+        const values = [user_id, old_email, new_email, confirm_token_hash, cancel_token_hash, expires_at];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // Pending, unexpired request for a user
+    static async findPendingByUserId(user_id) {
+        const sql = `
+            SELECT id, new_email, expires_at, created_at
+            FROM email_change_requests
+            WHERE user_id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL AND expires_at > NOW()
+            ORDER BY created_at DESC
+            LIMIT 1
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows[0];
+    }
+
+    // Mark a pending request confirmed and return it
+    static async confirm(confirm_token_hash, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE email_change_requests
+            SET confirmed_at = CURRENT_TIMESTAMP
+            WHERE confirm_token_hash = $1
+                AND confirmed_at IS NULL AND cancelled_at IS NULL AND expires_at > NOW()
+            RETURNING id, user_id, old_email, new_email
+        `;
+        const result = await executor.query(sql, [confirm_token_hash]);
+        return result.rows[0];
+    }
+
+    // Mark a pending request cancelled and return it
+    static async cancel(cancel_token_hash) {
+        const sql = `
+            UPDATE email_change_requests
+            SET cancelled_at = CURRENT_TIMESTAMP
+            WHERE cancel_token_hash = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL
+            RETURNING id, user_id, old_email, new_email
+        `;
+        const result = await query(sql, [cancel_token_hash]);
+        return result.rows[0];
+    }
+}
+
+module.exports = EmailChangeModel;
@@ -0,0 +1,88 @@
+// src/models/emailOutboxModel.js
+const { query } = require('../config/database');
+
+class EmailOutboxModel {
+    // Queue a message
+    static async create({ id, user_id, to_address, template, subject, payload, max_attempts }) {
+        const sql = `
+            INSERT INTO email_outbox (id, user_id, to_address, template, subject, payload, max_attempts)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, status, created_at
+        `;
+        const values = [id, user_id || null, to_address, template, subject, payload, max_attempts];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // Take a pending message for delivery; returns nothing if another
+    // worker already has it
+    static async claim(id) {
+        const sql = `
+            UPDATE email_outbox
+            SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `;
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Take a batch of messages whose retry time has come. Rows stuck in
+    // 'sending' (worker crashed mid-delivery) are picked up again after 10 minutes.
+    static async claimDue(limit = 20) {
+        const sql = `
+            UPDATE email_outbox
+            SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM email_outbox
+                WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                    OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes')
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+        const result = await query(sql, [limit]);
+        return result.rows;
+    }
+
+    // Record delivery and drop the stored content
+    static async markSent(id, transport, provider_message_id = null) {
+        const sql = `
+            UPDATE email_outbox
+            SET status = 'sent', transport = $2, provider_message_id = $3, payload = NULL,
+                last_error = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await query(sql, [id, transport, provider_message_id]);
+    }
+
+    // Schedule a retry, or give up when next_attempt_at is null
+    static async markFailed(id, transport, error, next_attempt_at = null) {
+        const sql = `
+            UPDATE email_outbox
+            SET status = $5, transport = $2, last_error = $3, next_attempt_at = $4,
+                payload = CASE WHEN $5 = 'failed' THEN NULL ELSE payload END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await query(sql, [id, transport, error, next_attempt_at, next_attempt_at ? 'pending' : 'failed']);
+    }
+
+    // Delivery log for a user
+    static async findByUserId(user_id, limit = 50) {
+        const sql = `
+            SELECT id, to_address, template, subject, status, attempts, transport,
+                   provider_message_id, last_error, created_at, sent_at
+            FROM email_outbox
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `;
+        const result = await query(sql, [user_id, limit]);
+        return result.rows;
+    }
+}
+
+module.exports = EmailOutboxModel;
@@ -0,0 +1,46 @@
+// src/models/emailVerificationTokenModel.js
+const { query } = require('../config/database');
+
+class EmailVerificationTokenModel {
+    // Store a new token (hash only), replacing the user's unused ones
+    static async create(user_id, token_hash, email, expires_at) {
+        await query(
+            'DELETE FROM email_verification_tokens WHERE user_id = $1 AND used_at IS NULL',
+            [user_id]
+        );
+
+        const sql = `
+            INSERT INTO email_verification_tokens (user_id, token_hash, email, expires_at)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, expires_at
+        `;
+        const result = await query(sql, [user_id, token_hash, email, expires_at]);
+        return result.rows[0];
+    }
+
+    // Look up a token regardless of state (to tell expired from invalid)
+    static async findByHash(token_hash) {
+        const sql = `
+            SELECT user_id, email, expires_at, used_at
+            FROM email_verification_tokens
+            WHERE token_hash = $1
+        `;
+        const result = await query(sql, [token_hash]);
+        return result.rows[0];
+    }
+
+    // Mark a valid token as used and return its owner
+    static async consume(token_hash, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE email_verification_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id, email
+        `;
+        const result = await executor.query(sql, [token_hash]);
+        return result.rows[0];
+    }
+}
+
+module.exports = EmailVerificationTokenModel;
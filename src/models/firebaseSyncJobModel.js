@@ -0,0 +1,113 @@
+// src/models/firebaseSyncJobModel.js
+const { query } = require('../config/database');
+
+class FirebaseSyncJobModel {
+    // Queue a change; attempts > 0 when it already failed once inline
+    static async create({ id, user_id, operation, firebase_uid, email, payload, max_attempts, attempts = 0, last_error = null, next_attempt_at = null }) {
+        const sql = `
+            INSERT INTO firebase_sync_jobs
+                (id, user_id, operation, firebase_uid, email, payload, max_attempts, attempts, last_error, next_attempt_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, CURRENT_TIMESTAMP))
+            RETURNING id, operation, status, next_attempt_at
+        `;
+        const values = [
+            id, user_id || null, operation, firebase_uid || null, email || null, payload,
+            max_attempts, attempts, last_error, next_attempt_at
+        ];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // Whether the user has changes still waiting to reach Firebase
+    static async hasOpenJobs(user_id) {
+        const sql = `
+            SELECT 1 FROM firebase_sync_jobs
+            WHERE user_id = $1 AND status IN ('pending', 'processing')
+            LIMIT 1
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows.length > 0;
+    }
+
+    // Which of the given users have changes waiting to reach Firebase
+    static async findUserIdsWithOpenJobs(user_ids) {
+        const sql = `
+            SELECT DISTINCT user_id FROM firebase_sync_jobs
+            WHERE user_id = ANY($1) AND status IN ('pending', 'processing')
+        `;
+        const result = await query(sql, [user_ids]);
+        return result.rows.map(row => row.user_id);
+    }
+
+    // Take a batch of due jobs. A job waits while an older one for the same
+    // user is still open, so changes reach Firebase in the order they were
+    // made. Rows stuck in 'processing' are picked up again after 10 minutes.
+    static async claimDue(limit = 20) {
+        const sql = `
+            UPDATE firebase_sync_jobs
+            SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT j.id FROM firebase_sync_jobs j
+                WHERE ((j.status = 'pending' AND j.next_attempt_at <= CURRENT_TIMESTAMP)
+                        OR (j.status = 'processing' AND j.updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes'))
+                    AND NOT EXISTS (
+                        SELECT 1 FROM firebase_sync_jobs earlier
+                        WHERE earlier.user_id = j.user_id
+                            AND earlier.status IN ('pending', 'processing')
+                            AND earlier.created_at < j.created_at
+                    )
+                ORDER BY j.created_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+        const result = await query(sql, [limit]);
+        return result.rows;
+    }
+
+    // Record the outcome and drop the stored payload. Jobs cancelled while
+    // in flight stay cancelled.
+    static async markDone(id, outcome) {
+        const sql = `
+            UPDATE firebase_sync_jobs
+            SET status = 'done', result = $2, payload = NULL, last_error = NULL,
+                completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'processing'
+        `;
+        await query(sql, [id, outcome]);
+    }
+
+    // Schedule a retry, or give up when next_attempt_at is null
+    static async markFailed(id, error, next_attempt_at = null) {
+        const sql = `
+            UPDATE firebase_sync_jobs
+            SET status = $4, last_error = $2, next_attempt_at = $3,
+                payload = CASE WHEN $4 = 'failed' THEN NULL ELSE payload END,
+                completed_at = CASE WHEN $4 = 'failed' THEN CURRENT_TIMESTAMP ELSE NULL END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'processing'
+        `;
+        await query(sql, [id, error, next_attempt_at, next_attempt_at ? 'pending' : 'failed']);
+    }
+
+    // Drop a user's open jobs (the Firebase user is being deleted anyway)
+    static async cancelOpenByUserId(user_id) {
+        const sql = `
+            UPDATE firebase_sync_jobs
+            SET status = 'cancelled', payload = NULL,
+                completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND status IN ('pending', 'processing')
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rowCount;
+    }
+
+    // Job counts per status, e.g. { pending: 2, failed: 1 }
+    static async countByStatus() {
+        const result = await query('SELECT status, COUNT(*) AS total FROM firebase_sync_jobs GROUP BY status');
+        return Object.fromEntries(result.rows.map(row => [row.status, parseInt(row.total)]));
+    }
+}
+
+module.exports = FirebaseSyncJobModel;
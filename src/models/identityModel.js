@@ -0,0 +1,77 @@
+// src/models/identityModel.js
+const { query } = require('../config/database');
+
+const PUBLIC_FIELDS = 'id, user_id, provider, subject, email, email_verified, created_at, last_login_at';
+
+class IdentityModel {
+    // Link a provider account to a user
+    static async create({ user_id, provider, subject, email, email_verified }) {
+        const sql = `
+            INSERT INTO user_identities (user_id, provider, subject, email, email_verified, last_login_at)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+            RETURNING ${PUBLIC_FIELDS}
+        `;
+        const result = await query(sql, [user_id, provider, subject, email || null, Boolean(email_verified)]);
+        return result.rows[0];
+    }
+
+    // Find the identity for a provider account
+    static async findByProviderSubject(provider, subject) {
+        const sql = `SELECT ${PUBLIC_FIELDS} FROM user_identities WHERE provider = $1 AND subject = $2`;
+        const result = await query(sql, [provider, subject]);
+        return result.rows[0];
+    }
+
+    // A user's linked identities
+    static async findByUserId(user_id) {
+        const sql = `
+            SELECT ${PUBLIC_FIELDS}
+            FROM user_identities
+            WHERE user_id = $1
+            ORDER BY created_at
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Record a sign-in and refresh the email the provider reports
+    static async touch(id, { email, email_verified }) {
+        const sql = `
+            UPDATE user_identities
+            SET last_login_at = CURRENT_TIMESTAMP, email = $2, email_verified = $3
+            WHERE id = $1
+        `;
+        await query(sql, [id, email || null, Boolean(email_verified)]);
+    }
+
+    // Unlink an identity; returns the removed row
+    static async delete(id, user_id) {
+        const sql = `DELETE FROM user_identities WHERE id = $1 AND user_id = $2 RETURNING ${PUBLIC_FIELDS}`;
+        const result = await query(sql, [id, user_id]);
+        return result.rows[0];
+    }
+
+    // Store an authorization request (expired ones are cleared on the way)
+    static async createAuthRequest({ state_hash, provider, nonce, code_verifier_encrypted, user_id, expires_at }) {
+        await query('DELETE FROM oidc_auth_requests WHERE expires_at < CURRENT_TIMESTAMP');
+
+        const sql = `
+            INSERT INTO oidc_auth_requests (state_hash, provider, nonce, code_verifier_encrypted, user_id, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `;
+        await query(sql, [state_hash, provider, nonce, code_verifier_encrypted, user_id || null, expires_at]);
+    }
+
+    // Take an authorization request (single use); nothing if unknown or expired
+    static async consumeAuthRequest(state_hash, provider) {
+        const sql = `
+            DELETE FROM oidc_auth_requests
+            WHERE state_hash = $1 AND provider = $2 AND expires_at > CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await query(sql, [state_hash, provider]);
+        return result.rows[0];
+    }
+}
+
+module.exports = IdentityModel;
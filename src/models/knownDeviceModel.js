@@ -0,0 +1,72 @@
+// src/models/knownDeviceModel.js
+const { query } = require('../config/database');
+
+class KnownDeviceModel {
+    // Look up a device the user has signed in from before
+    static async findByFingerprint(user_id, fingerprint) {
+        const sql = `
+            SELECT id, label, location, country_code, first_seen_at, last_seen_at
+            FROM known_devices
+            WHERE user_id = $1 AND fingerprint = $2
+        `;
+        const result = await query(sql, [user_id, fingerprint]);
+        return result.rows[0];
+    }
+
+    // Remember a new device; returns nothing if a concurrent login already did
+    static async create({ user_id, fingerprint, label, ip_address, location, country_code }) {
+        const sql = `
+            INSERT INTO known_devices (user_id, fingerprint, label, ip_address, location, country_code)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (user_id, fingerprint) DO NOTHING
+            RETURNING id, label, location, country_code, first_seen_at
+        `;
+        const values = [user_id, fingerprint, label, ip_address || null, location || null, country_code || null];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // All devices, most recently used first
+    static async findByUserId(user_id) {
+        const sql = `
+            SELECT id, label, ip_address, location, first_seen_at, last_seen_at
+            FROM known_devices
+            WHERE user_id = $1
+            ORDER BY last_seen_at DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Record another sign-in from a known device
+    static async touch(id, ip_address = null) {
+        const sql = `
+            UPDATE known_devices
+            SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+            WHERE id = $1
+        `;
+        await query(sql, [id, ip_address]);
+    }
+
+    // How many devices the user has, and the countries they signed in from
+    static async getSummary(user_id) {
+        const sql = `
+            SELECT COUNT(*) AS total,
+                COALESCE(array_agg(DISTINCT country_code) FILTER (WHERE country_code IS NOT NULL), '{}') AS country_codes
+            FROM known_devices
+            WHERE user_id = $1
+        `;
+        const result = await query(sql, [user_id]);
+        return {
+            total: parseInt(result.rows[0].total),
+            countryCodes: result.rows[0].country_codes
+        };
+    }
+
+    // Forget every device, so the next sign-ins alert again
+    static async deleteByUserId(user_id) {
+        await query('DELETE FROM known_devices WHERE user_id = $1', [user_id]);
+    }
+}
+
+module.exports = KnownDeviceModel;
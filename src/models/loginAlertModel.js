@@ -0,0 +1,40 @@
+// src/models/loginAlertModel.js
+const { query } = require('../config/database');
+
+class LoginAlertModel {
+    // Store the "this wasn't me" token (hash only) for a new-device alert
+    static async create({ user_id, device_id, session_id, token_hash, expires_at }) {
+        const sql = `
+            INSERT INTO login_alerts (user_id, device_id, session_id, token_hash, expires_at)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, expires_at, created_at
+        `;
+        const result = await query(sql, [user_id, device_id || null, session_id || null, token_hash, expires_at]);
+        return result.rows[0];
+    }
+
+    // Find an alert whose token is still usable, without using it
+    static async findValid(token_hash) {
+        const sql = `
+            SELECT user_id, created_at, expires_at
+            FROM login_alerts
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        `;
+        const result = await query(sql, [token_hash]);
+        return result.rows[0];
+    }
+
+    // Mark a valid token as used and return the alert
+    static async consume(token_hash) {
+        const sql = `
+            UPDATE login_alerts
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id, device_id, session_id, created_at
+        `;
+        const result = await query(sql, [token_hash]);
+        return result.rows[0];
+    }
+}
+
+module.exports = LoginAlertModel;
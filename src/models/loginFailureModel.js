@@ -0,0 +1,51 @@
+// src/models/loginFailureModel.js
+const { query } = require('../config/database');
+
+class LoginFailureModel {
+    // Get throttling state for an account (email) or IP
+    static async find(scope, identifier) {
+        const sql = `
+            SELECT scope, identifier, failed_count, last_failed_at, next_attempt_at, locked_until
+            FROM login_failures
+            WHERE scope = $1 AND identifier = $2
+        `;
+        const result = await query(sql, [scope, identifier]);
+        return result.rows[0];
+    }
+
+    // Count a failure; the counter restarts once the window has passed
+    static async increment(scope, identifier, windowMinutes) {
+        const sql = `
+            INSERT INTO login_failures (scope, identifier, failed_count, last_failed_at)
+            VALUES ($1, $2, 1, NOW())
+            ON CONFLICT (scope, identifier) DO UPDATE
+            SET failed_count = CASE
+                    WHEN login_failures.last_failed_at < NOW() - ($3 * INTERVAL '1 minute') THEN 1
+                    ELSE login_failures.failed_count + 1
+                END,
+                last_failed_at = NOW()
+            RETURNING failed_count
+        `;
+        const result = await query(sql, [scope, identifier, windowMinutes]);
+        return result.rows[0].failed_count;
+    }
+
+    // Apply backoff and lockout times
+    static async setRestrictions(scope, identifier, nextAttemptAt, lockedUntil) {
+        const sql = `
+            UPDATE login_failures
+            SET next_attempt_at = $1, locked_until = COALESCE($2, locked_until)
+            WHERE scope = $3 AND identifier = $4
+        `;
+        await query(sql, [nextAttemptAt, lockedUntil, scope, identifier]);
+    }
+
+    // Reset state (successful login or unlock)
+    static async clear(scope, identifier) {
+        const sql = 'DELETE FROM login_failures WHERE scope = $1 AND identifier = $2 RETURNING locked_until';
+        const result = await query(sql, [scope, identifier]);
+        return result.rows[0];
+    }
+}
+
+module.exports = LoginFailureModel;
@@ -0,0 +1,42 @@
+// src/models/marketingConsentModel.js
+const { query } = require('../config/database');
+
+class MarketingConsentModel {
+    // Record a choice for one channel
+    static async create({ user_id, channel, granted, source, ip_address, user_agent }, client = null) {
+        const executor = client || { query };
+        const sql = `
+            INSERT INTO marketing_consents (user_id, channel, granted, source, ip_address, user_agent)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING channel, granted, created_at
+        `;
+        const result = await executor.query(sql, [user_id, channel, granted, source, ip_address || null, user_agent || null]);
+        return result.rows[0];
+    }
+
+    // Latest choice per channel
+    static async findCurrentByUserId(user_id) {
+        const sql = `
+            SELECT DISTINCT ON (channel) channel, granted, created_at
+            FROM marketing_consents
+            WHERE user_id = $1
+            ORDER BY channel, created_at DESC, id DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Every change, newest first
+    static async findHistoryByUserId(user_id) {
+        const sql = `
+            SELECT channel, granted, source, ip_address, user_agent, created_at
+            FROM marketing_consents
+            WHERE user_id = $1
+            ORDER BY created_at DESC, id DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+}
+
+module.exports = MarketingConsentModel;
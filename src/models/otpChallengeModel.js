@@ -0,0 +1,72 @@
+// src/models/otpChallengeModel.js
+const { query } = require('../config/database');
+
+class OtpChallengeModel {
+    // Create a challenge, invalidating any still-open one for the same phone and purpose
+    static async create({ id, user_id, phone_number, purpose, code_hash, max_attempts, expires_at }) {
+        await query(
+            `UPDATE otp_challenges
+             SET consumed_at = CURRENT_TIMESTAMP
+             WHERE phone_number = $1 AND purpose = $2 AND consumed_at IS NULL`,
+            [phone_number, purpose]
+        );
+
+        const sql = `
+            INSERT INTO otp_challenges (id, user_id, phone_number, purpose, code_hash, max_attempts, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, phone_number, purpose, expires_at, created_at
+        `;
+        const values = [id, user_id, phone_number, purpose, code_hash, max_attempts, expires_at];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // Most recent challenge for a phone and purpose (resend cooldown)
+    static async findLatest(phone_number, purpose) {
+        const sql = `
+            SELECT id, created_at
+            FROM otp_challenges
+            WHERE phone_number = $1 AND purpose = $2
+            ORDER BY created_at DESC
+            LIMIT 1
+        `;
+        const result = await query(sql, [phone_number, purpose]);
+        return result.rows[0];
+    }
+
+    // Codes sent to a phone in the last 24 hours (daily cap)
+    static async countSentSince(phone_number, since) {
+        const sql = 'SELECT COUNT(*) as sent FROM otp_challenges WHERE phone_number = $1 AND created_at >= $2';
+        const result = await query(sql, [phone_number, since]);
+        return parseInt(result.rows[0].sent);
+    }
+
+    // Use up one attempt on an open challenge; returns nothing if the
+    // challenge is unknown, consumed, expired or out of attempts
+    static async registerAttempt(id) {
+        const sql = `
+            UPDATE otp_challenges
+            SET attempts = attempts + 1
+            WHERE id = $1
+                AND consumed_at IS NULL
+                AND expires_at > NOW()
+                AND attempts < max_attempts
+            RETURNING id, user_id, phone_number, purpose, code_hash, attempts, max_attempts
+        `;
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Mark a challenge as used
+    static async consume(id) {
+        await query('UPDATE otp_challenges SET consumed_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    }
+
+    // Remove a challenge that was never delivered, so it does not count
+    // against the resend cooldown or the daily cap
+    static async delete(id) {
+        await query('DELETE FROM otp_challenges WHERE id = $1', [id]);
+    }
+}
+
+module.exports = OtpChallengeModel;
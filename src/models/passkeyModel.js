@@ -0,0 +1,136 @@
+// src/models/passkeyModel.js
+const { query } = require('../config/database');
+
+const PUBLIC_FIELDS = `id, name, device_type, backed_up, transports, created_at, last_used_at`;
+
+class PasskeyModel {
+    // Store a verified credential
+    static async create(credentialData) {
+        const {
+            user_id,
+            credential_id,
+            public_key,
+            counter,
+            transports,
+            device_type,
+            backed_up,
+            name
+        } = credentialData;
+
+        const sql = `
+            INSERT INTO webauthn_credentials (
+                user_id, credential_id, public_key, counter, transports,
+                device_type, backed_up, name
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING ${PUBLIC_FIELDS}
+        `;
+
+        const values = [
+            user_id, credential_id, public_key, counter, transports || null,
+            device_type || null, backed_up || false, name
+        ];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // Find a credential by its WebAuthn id (includes key material)
+    static async findByCredentialId(credential_id) {
+        const sql = `
+            SELECT id, user_id, credential_id, public_key, counter, transports
+            FROM webauthn_credentials
+            WHERE credential_id = $1
+        `;
+        const result = await query(sql, [credential_id]);
+        return result.rows[0];
+    }
+
+    // List a user's credentials for display
+    static async findByUserId(user_id) {
+        const sql = `
+            SELECT ${PUBLIC_FIELDS}
+            FROM webauthn_credentials
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Credential ids/transports for allow/exclude lists
+    static async findDescriptorsByUserId(user_id) {
+        const sql = 'SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1';
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Check if a user has any passkeys
+    static async existsForUser(user_id) {
+        const sql = 'SELECT 1 FROM webauthn_credentials WHERE user_id = $1 LIMIT 1';
+        const result = await query(sql, [user_id]);
+        return result.rows.length > 0;
+    }
+
+    // Record a successful authentication
+    static async updateCounter(id, counter) {
+        const sql = `
+            UPDATE webauthn_credentials
+            SET counter = $1, last_used_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `;
+        await query(sql, [counter, id]);
+    }
+
+    // Rename a credential owned by the user
+    static async rename(id, user_id, name) {
+        const sql = `
+            UPDATE webauthn_credentials
+            SET name = $1
+            WHERE id = $2 AND user_id = $3
+            RETURNING ${PUBLIC_FIELDS}
+        `;
+        const result = await query(sql, [name, id, user_id]);
+        return result.rows[0];
+    }
+
+    // Delete a credential owned by the user
+    static async delete(id, user_id) {
+        const sql = 'DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2 RETURNING id, name';
+        const result = await query(sql, [id, user_id]);
+        return result.rows[0];
+    }
+
+    // Delete every credential of a user (account lockdown)
+    static async deleteByUserId(user_id) {
+        const result = await query('DELETE FROM webauthn_credentials WHERE user_id = $1', [user_id]);
+        return result.rowCount;
+    }
+
+    // Store a ceremony challenge
+    static async createChallenge({ id, user_id, challenge, purpose, expires_at }) {
+        const sql = `
+            INSERT INTO webauthn_challenges (id, user_id, challenge, purpose, expires_at)
+            VALUES ($1, $2, $3, $4, $5)
+        `;
+        await query(sql, [id, user_id, challenge, purpose, expires_at]);
+    }
+
+    // Take a challenge out of the store (single use); expired ones are ignored
+    static async consumeChallenge(id, purpose) {
+        const sql = `
+            DELETE FROM webauthn_challenges
+            WHERE id = $1 AND purpose = $2 AND expires_at > NOW()
+            RETURNING user_id, challenge
+        `;
+        const result = await query(sql, [id, purpose]);
+        return result.rows[0];
+    }
+
+    // Remove abandoned ceremonies
+    static async deleteExpiredChallenges() {
+        const result = await query('DELETE FROM webauthn_challenges WHERE expires_at < NOW()');
+        return result.rowCount;
+    }
+}
+
+module.exports = PasskeyModel;
@@ -0,0 +1,59 @@
+// src/models/passwordResetTokenModel.js
+const { query } = require('../config/database');
+
+class PasswordResetTokenModel {
+    // Store a new token (hash only), replacing the user's unused one
+    static async create(user_id, token_hash, expires_at, requested_ip = null) {
+        await query(
+            'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+            [user_id]
+        );
+
+        const sql = `
+            INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, expires_at, created_at
+        `;
+        const result = await query(sql, [user_id, token_hash, expires_at, requested_ip]);
+        return result.rows[0];
+    }
+
+    // When the user last requested a reset (request throttling)
+    static async findLatestRequestAt(user_id) {
+        const sql = `
+            SELECT created_at FROM password_reset_tokens
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+            LIMIT 1
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows[0] ? result.rows[0].created_at : null;
+    }
+
+    // Look up a token regardless of state (to tell expired from invalid)
+    static async findByHash(token_hash) {
+        const sql = `
+            SELECT t.user_id, t.expires_at, t.used_at, u.email
+            FROM password_reset_tokens t
+            JOIN users u ON u.id = t.user_id
+            WHERE t.token_hash = $1
+        `;
+        const result = await query(sql, [token_hash]);
+        return result.rows[0];
+    }
+
+    // Mark a valid token as used and return its owner
+    static async consume(token_hash, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE password_reset_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id
+        `;
+        const result = await executor.query(sql, [token_hash]);
+        return result.rows[0];
+    }
+}
+
+module.exports = PasswordResetTokenModel;
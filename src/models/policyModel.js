@@ -0,0 +1,88 @@
+// src/models/policyModel.js
+const { query } = require('../config/database');
+
+const DOCUMENT_FIELDS = 'id, type, version, title, url, mandatory, published_at';
+
+class PolicyModel {
+    // Publish a new document version
+    static async create({ type, version, title, url, mandatory = true, published_by }) {
+        const sql = `
+            INSERT INTO policy_documents (type, version, title, url, mandatory, published_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${DOCUMENT_FIELDS}
+        `;
+        const result = await query(sql, [type, version, title, url || null, mandatory, published_by || null]);
+        return result.rows[0];
+    }
+
+    // Newest published version of each document type
+    static async findCurrent() {
+        const sql = `
+            SELECT DISTINCT ON (type) ${DOCUMENT_FIELDS}
+            FROM policy_documents
+            WHERE published_at <= CURRENT_TIMESTAMP
+            ORDER BY type, published_at DESC, id DESC
+        `;
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    // Every version, newest first
+    static async findAll() {
+        const sql = `
+            SELECT ${DOCUMENT_FIELDS}, published_by, created_at,
+                (SELECT COUNT(*) FROM policy_acceptances a WHERE a.document_id = d.id)::int AS acceptances
+            FROM policy_documents d
+            ORDER BY type, published_at DESC
+        `;
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    // Current mandatory documents the user has not accepted yet
+    static async findPendingForUser(user_id) {
+        const sql = `
+            SELECT ${DOCUMENT_FIELDS}
+            FROM (
+                SELECT DISTINCT ON (type) *
+                FROM policy_documents
+                WHERE published_at <= CURRENT_TIMESTAMP
+                ORDER BY type, published_at DESC, id DESC
+            ) current
+            WHERE mandatory AND NOT EXISTS (
+                SELECT 1 FROM policy_acceptances a
+                WHERE a.document_id = current.id AND a.user_id = $1
+            )
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Record acceptance of documents (re-accepting is a no-op)
+    static async accept(user_id, document_ids, { ip_address, user_agent } = {}, client = null) {
+        const executor = client || { query };
+        const sql = `
+            INSERT INTO policy_acceptances (user_id, document_id, ip_address, user_agent)
+            SELECT $1, UNNEST($2::int[]), $3, $4
+            ON CONFLICT (user_id, document_id) DO NOTHING
+            RETURNING document_id, accepted_at
+        `;
+        const result = await executor.query(sql, [user_id, document_ids, ip_address || null, user_agent || null]);
+        return result.rows;
+    }
+
+    // Acceptance history for a user, newest first
+    static async findAcceptancesByUserId(user_id) {
+        const sql = `
+            SELECT d.type, d.version, d.title, a.accepted_at, a.ip_address, a.user_agent
+            FROM policy_acceptances a
+            JOIN policy_documents d ON d.id = a.document_id
+            WHERE a.user_id = $1
+            ORDER BY a.accepted_at DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+}
+
+module.exports = PolicyModel;
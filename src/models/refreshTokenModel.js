@@ -0,0 +1,75 @@
+// src/models/refreshTokenModel.js
+const { query } = require('../config/database');
+
+class RefreshTokenModel {
+    // Store a new refresh token (hash only)
+    static async create({ user_id, token_hash, family_id, expires_at }, client = null) {
+        const executor = client || { query };
+        const sql = `
+            INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, user_id, family_id, expires_at, created_at
+        `;
+        const result = await executor.query(sql, [user_id, token_hash, family_id, expires_at]);
+        return result.rows[0];
+    }
+
+    // Find token by hash, locking the row when used inside a transaction
+    static async findByHash(token_hash, client = null) {
+        const executor = client || { query };
+        const sql = `
+            SELECT id, user_id, family_id, replaced_by, expires_at, revoked_at, created_at
+            FROM refresh_tokens
+            WHERE token_hash = $1
+            ${client ? 'FOR UPDATE' : ''}
+        `;
+        const result = await executor.query(sql, [token_hash]);
+        return result.rows[0];
+    }
+
+    // Mark token as rotated and link it to its successor
+    static async markReplaced(id, replacedById, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1
+            WHERE id = $2
+        `;
+        await executor.query(sql, [replacedById, id]);
+    }
+
+    // Revoke a single token
+    static async revoke(id) {
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND revoked_at IS NULL
+        `;
+        await query(sql, [id]);
+    }
+
+    // Revoke every token in a family (used on reuse detection)
+    static async revokeFamily(family_id, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE family_id = $1 AND revoked_at IS NULL
+        `;
+        const result = await executor.query(sql, [family_id]);
+        return result.rowCount;
+    }
+
+    // Revoke every token of a user
+    static async revokeAllForUser(user_id) {
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND revoked_at IS NULL
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rowCount;
+    }
+}
+
+module.exports = RefreshTokenModel;
@@ -0,0 +1,85 @@
+// src/models/roleModel.js
+const { query } = require('../config/database');
+
+class RoleModel {
+    // Role names held by a user
+    static async getRoleNamesForUser(user_id) {
+        const sql = `
+            SELECT r.name
+            FROM user_roles ur
+            JOIN roles r ON r.id = ur.role_id
+            WHERE ur.user_id = $1
+            ORDER BY r.name
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows.map(row => row.name);
+    }
+
+    // Permission names granted to a user through any of their roles
+    static async getPermissionNamesForUser(user_id) {
+        const sql = `
+            SELECT DISTINCT p.name
+            FROM user_roles ur
+            JOIN role_permissions rp ON rp.role_id = ur.role_id
+            JOIN permissions p ON p.id = rp.permission_id
+            WHERE ur.user_id = $1
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows.map(row => row.name);
+    }
+
+    // All roles with their permissions
+    static async findAllWithPermissions() {
+        const sql = `
+            SELECT r.name, r.description,
+                COALESCE(ARRAY_AGG(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') as permissions
+            FROM roles r
+            LEFT JOIN role_permissions rp ON rp.role_id = r.id
+            LEFT JOIN permissions p ON p.id = rp.permission_id
+            GROUP BY r.id
+            ORDER BY r.name
+        `;
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    // Grant a role by name; returns false if the role does not exist
+    static async assignToUser(user_id, role_name, granted_by = null) {
+        const sql = `
+            INSERT INTO user_roles (user_id, role_id, granted_by)
+            SELECT $1, id, $3 FROM roles WHERE name = $2
+            ON CONFLICT (user_id, role_id) DO NOTHING
+            RETURNING role_id
+        `;
+        const result = await query(sql, [user_id, role_name, granted_by]);
+        if (result.rows.length > 0) {
+            return true;
+        }
+        const exists = await query('SELECT 1 FROM roles WHERE name = $1', [role_name]);
+        return exists.rows.length > 0;
+    }
+
+    // Revoke a role by name
+    static async removeFromUser(user_id, role_name) {
+        const sql = `
+            DELETE FROM user_roles
+            WHERE user_id = $1 AND role_id = (SELECT id FROM roles WHERE name = $2)
+        `;
+        const result = await query(sql, [user_id, role_name]);
+        return result.rowCount > 0;
+    }
+
+    // Number of users holding a role (e.g. to protect the last admin)
+    static async countUsersWithRole(role_name) {
+        const sql = `
+            SELECT COUNT(*) as total
+            FROM user_roles ur
+            JOIN roles r ON r.id = ur.role_id
+            WHERE r.name = $1
+        `;
+        const result = await query(sql, [role_name]);
+        return parseInt(result.rows[0].total);
+    }
+}
+
+module.exports = RoleModel;
@@ -0,0 +1,149 @@
+// src/models/securityEventModel.js
+const { query } = require('../config/database');
+
+const EVENT_COLUMNS = `
+    e.id, e.user_id, e.actor_id, e.event_type, e.ip_address, e.user_agent,
+    e.request_id, e.metadata, e.changes, e.created_at
+`;
+
+// WHERE clause for audit queries; every filter is optional
+const buildFilters = (filters = {}) => {
+    const {
+        user_id = null,
+        actor_id = null,
+        event_types = [],
+        ip_address = '',
+        request_id = '',
+        from = null,
+        to = null
+    } = filters;
+
+    const conditions = [];
+    const values = [];
+
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace(/\?/g, `$${values.length}`));
+    };
+
+    if (user_id) {
+        addCondition('e.user_id = ?', user_id);
+    }
+    if (actor_id) {
+        addCondition('e.actor_id = ?', actor_id);
+    }
+    if (event_types.length > 0) {
+        addCondition('e.event_type = ANY(?)', event_types);
+    }
+    if (ip_address) {
+        addCondition('e.ip_address = ?', ip_address);
+    }
+    if (request_id) {
+        addCondition('e.request_id = ?', request_id);
+    }
+    if (from) {
+        addCondition('e.created_at >= ?', from);
+    }
+    if (to) {
+        addCondition('e.created_at <= ?', to);
+    }
+
+    return { conditions, values };
+};
+
+class SecurityEventModel {
+    // Record an event (rows are append-only, see migration 018)
+    static async create({ user_id, actor_id, event_type, ip_address, user_agent, request_id, metadata, changes }) {
+        const sql = `
+            INSERT INTO security_events
+                (user_id, actor_id, event_type, ip_address, user_agent, request_id, metadata, changes)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id, event_type, created_at
+        `;
+        const values = [
+            user_id || null, actor_id || null, event_type, ip_address || null, user_agent || null,
+            request_id || null,
+            metadata ? JSON.stringify(metadata) : null,
+            changes ? JSON.stringify(changes) : null
+        ];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    // Most recent events for a user
+    static async findByUserId(user_id, limit = 50, offset = 0, filters = {}) {
+        const { conditions, values } = buildFilters({ ...filters, user_id });
+
+        const sql = `
+            SELECT ${EVENT_COLUMNS}
+            FROM security_events e
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY e.created_at DESC, e.id DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `;
+        const result = await query(sql, [...values, limit, offset]);
+        return result.rows;
+    }
+
+    // Filtered audit search with actor/subject emails for admins
+    static async search(filters = {}, pagination = {}) {
+        const { page = 1, limit = 50 } = pagination;
+        const offset = (page - 1) * limit;
+        const { conditions, values } = buildFilters(filters);
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const sql = `
+            SELECT ${EVENT_COLUMNS}, u.email AS user_email, a.email AS actor_email
+            FROM security_events e
+            LEFT JOIN users u ON u.id = e.user_id
+            LEFT JOIN users a ON a.id = e.actor_id
+            ${whereClause}
+            ORDER BY e.created_at DESC, e.id DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `;
+        const countSql = `SELECT COUNT(*) as total FROM security_events e ${whereClause}`;
+
+        const [eventsResult, countResult] = await Promise.all([
+            query(sql, [...values, limit, offset]),
+            query(countSql, values)
+        ]);
+
+        const total = parseInt(countResult.rows[0].total);
+        const totalPages = Math.ceil(total / limit);
+
+        return {
+            events: eventsResult.rows,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalRecords: total,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        };
+    }
+
+    // One page of a filtered export, walking back from beforeId (keyset)
+    static async findBatch(filters = {}, beforeId = null, limit = 500) {
+        const { conditions, values } = buildFilters(filters);
+        if (beforeId) {
+            values.push(beforeId);
+            conditions.push(`e.id < $${values.length}`);
+        }
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const sql = `
+            SELECT ${EVENT_COLUMNS}, u.email AS user_email, a.email AS actor_email
+            FROM security_events e
+            LEFT JOIN users u ON u.id = e.user_id
+            LEFT JOIN users a ON a.id = e.actor_id
+            ${whereClause}
+            ORDER BY e.id DESC
+            LIMIT $${values.length + 1}
+        `;
+        const result = await query(sql, [...values, limit]);
+        return result.rows;
+    }
+}
+
+module.exports = SecurityEventModel;
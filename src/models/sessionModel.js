@@ -0,0 +1,97 @@
+// src/models/sessionModel.js
+const { query } = require('../config/database');
+
+class SessionModel {
+    // Create a session for a new login
+    static async create({ id, user_id, user_agent, ip_address }) {
+        const sql = `
+            INSERT INTO user_sessions (id, user_id, user_agent, ip_address)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, user_id, user_agent, ip_address, created_at, last_seen_at
+        `;
+        const result = await query(sql, [id, user_id, user_agent, ip_address]);
+        return result.rows[0];
+    }
+
+    // List sessions that are not revoked and still hold a usable refresh token
+    static async findActiveByUserId(user_id) {
+        const sql = `
+            SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+            FROM user_sessions s
+            WHERE s.user_id = $1
+                AND s.revoked_at IS NULL
+                AND EXISTS (
+                    SELECT 1 FROM refresh_tokens rt
+                    WHERE rt.family_id = s.id
+                        AND rt.revoked_at IS NULL
+                        AND rt.expires_at > NOW()
+                )
+            ORDER BY s.last_seen_at DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Every session the user ever had, including revoked ones (data export)
+    static async findAllByUserId(user_id) {
+        const sql = `
+            SELECT id, user_agent, ip_address, created_at, last_seen_at, revoked_at
+            FROM user_sessions
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows;
+    }
+
+    // Look up a live session (revocation checks, sign-in time for re-authentication)
+    static async findActiveById(id) {
+        const sql = `
+            SELECT id, user_id, created_at
+            FROM user_sessions
+            WHERE id = $1 AND revoked_at IS NULL
+        `;
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Update last-seen time; returns false if the session is gone or revoked
+    static async touch(id) {
+        const sql = `
+            UPDATE user_sessions
+            SET last_seen_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND revoked_at IS NULL
+            RETURNING id
+        `;
+        const result = await query(sql, [id]);
+        return result.rows.length > 0;
+    }
+
+    // Revoke a session (optionally scoped to its owner)
+    static async revoke(id, user_id = null, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND revoked_at IS NULL
+            ${user_id ? 'AND user_id = $2' : ''}
+            RETURNING id
+        `;
+        const values = user_id ? [id, user_id] : [id];
+        const result = await executor.query(sql, values);
+        return result.rows[0];
+    }
+
+    // Revoke every session of a user
+    static async revokeAllForUser(user_id) {
+        const sql = `
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND revoked_at IS NULL
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rowCount;
+    }
+}
+
+module.exports = SessionModel;
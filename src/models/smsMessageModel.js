@@ -0,0 +1,64 @@
+// src/models/smsMessageModel.js
+const { query } = require('../config/database');
+
+class SmsMessageModel {
+    // Log a message before the first delivery attempt
+    static async create({ id, user_id, phone_number, template, locale, driver }) {
+        const sql = `
+            INSERT INTO sms_messages (id, user_id, phone_number, template, locale, driver)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, status, created_at
+        `;
+        const result = await query(sql, [id, user_id || null, phone_number, template, locale, driver]);
+        return result.rows[0];
+    }
+
+    // Record a successful delivery attempt
+    static async markSent(id, attempts, provider_message_id = null) {
+        const sql = `
+            UPDATE sms_messages
+            SET status = 'sent', attempts = $2, provider_message_id = $3, last_error = NULL,
+                sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await query(sql, [id, attempts, provider_message_id]);
+    }
+
+    // Record a failed attempt; status stays pending while retries remain
+    static async markAttemptFailed(id, attempts, error, final) {
+        const sql = `
+            UPDATE sms_messages
+            SET status = $4, attempts = $2, last_error = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await query(sql, [id, attempts, error, final ? 'failed' : 'pending']);
+    }
+
+    // Delivery history for a phone number
+    static async findByPhone(phone_number, limit = 20) {
+        const sql = `
+            SELECT id, template, locale, driver, status, attempts, provider_message_id, last_error, created_at, sent_at
+            FROM sms_messages
+            WHERE phone_number = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `;
+        const result = await query(sql, [phone_number, limit]);
+        return result.rows;
+    }
+
+    // Messages sent to a user, whatever number they went to
+    static async findByUserId(user_id, limit = 100) {
+        const sql = `
+            SELECT id, phone_number, template, locale, status, created_at, sent_at
+            FROM sms_messages
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `;
+        const result = await query(sql, [user_id, limit]);
+        return result.rows;
+    }
+}
+
+module.exports = SmsMessageModel;
@@ -0,0 +1,30 @@
+// src/models/tokenBlacklistModel.js
+const { query } = require('../config/database');
+
+class TokenBlacklistModel {
+    // Blacklist an access token until it expires
+    static async add(jti, user_id, expires_at) {
+        const sql = `
+            INSERT INTO token_blacklist (jti, user_id, blacklisted_at, expires_at)
+            VALUES ($1, $2, NOW(), $3)
+            ON CONFLICT (jti) DO NOTHING
+        `;
+        await query(sql, [jti, user_id, expires_at]);
+    }
+
+    // Check if a token id is blacklisted
+    static async exists(jti) {
+        const sql = 'SELECT 1 FROM token_blacklist WHERE jti = $1';
+        const result = await query(sql, [jti]);
+        return result.rows.length > 0;
+    }
+
+    // Remove rows for tokens that have expired anyway
+    static async deleteExpired() {
+        const sql = 'DELETE FROM token_blacklist WHERE expires_at < NOW()';
+        const result = await query(sql);
+        return result.rowCount;
+    }
+}
+
+module.exports = TokenBlacklistModel;
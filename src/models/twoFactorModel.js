@@ -0,0 +1,140 @@
+// src/models/twoFactorModel.js
+const { query, getClient } = require('../config/database');
+
+class TwoFactorModel {
+    // Find 2FA settings for a user
+    static async findByUserId(user_id) {
+        const sql = `
+            SELECT user_id, secret_encrypted, enabled_at, last_used_step, created_at
+            FROM user_two_factor
+            WHERE user_id = $1
+        `;
+        const result = await query(sql, [user_id]);
+        return result.rows[0];
+    }
+
+    // Check if 2FA is enabled for a user
+    static async isEnabled(user_id) {
+        const sql = 'SELECT 1 FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL';
+        const result = await query(sql, [user_id]);
+        return result.rows.length > 0;
+    }
+
+    // Start (or restart) a pending enrollment
+    static async upsertPending(user_id, secret_encrypted) {
+        const sql = `
+            INSERT INTO user_two_factor (user_id, secret_encrypted)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE
+            SET secret_encrypted = EXCLUDED.secret_encrypted,
+                enabled_at = NULL,
+                last_used_step = NULL,
+                created_at = CURRENT_TIMESTAMP
+            WHERE user_two_factor.enabled_at IS NULL
+            RETURNING user_id
+        `;
+        const result = await query(sql, [user_id, secret_encrypted]);
+        return result.rows[0];
+    }
+
+    // Record an accepted code; fails if the step was already used (replay)
+    static async recordUsedStep(user_id, step) {
+        const sql = `
+            UPDATE user_two_factor
+            SET last_used_step = $1
+            WHERE user_id = $2 AND (last_used_step IS NULL OR last_used_step < $1)
+            RETURNING user_id
+        `;
+        const result = await query(sql, [step, user_id]);
+        return result.rows.length > 0;
+    }
+
+    // Enable 2FA and replace recovery codes in one transaction
+    static async enable(user_id, codeHashes) {
+        const client = await getClient();
+
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+                [user_id]
+            );
+            await this.#insertRecoveryCodes(client, user_id, codeHashes);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Remove 2FA and its recovery codes
+    static async disable(user_id) {
+        const client = await getClient();
+
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [user_id]);
+            await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [user_id]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Replace all recovery codes
+    static async replaceRecoveryCodes(user_id, codeHashes) {
+        const client = await getClient();
+
+        try {
+            await client.query('BEGIN');
+            await this.#insertRecoveryCodes(client, user_id, codeHashes);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Consume a recovery code; returns false if unknown or already used
+    static async useRecoveryCode(user_id, code_hash) {
+        const sql = `
+            UPDATE two_factor_recovery_codes
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+            RETURNING id
+        `;
+        const result = await query(sql, [user_id, code_hash]);
+        return result.rows.length > 0;
+    }
+
+    // Count unused recovery codes
+    static async countRemainingRecoveryCodes(user_id) {
+        const sql = `
+            SELECT COUNT(*) as remaining
+            FROM two_factor_recovery_codes
+            WHERE user_id = $1 AND used_at IS NULL
+        `;
+        const result = await query(sql, [user_id]);
+        return parseInt(result.rows[0].remaining);
+    }
+
+    static async #insertRecoveryCodes(client, user_id, codeHashes) {
+        await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [user_id]);
+
+        for (const codeHash of codeHashes) {
+            await client.query(
+                'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                [user_id, codeHash]
+            );
+        }
+    }
+}
+
+module.exports = TwoFactorModel;
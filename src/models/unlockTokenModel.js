@@ -0,0 +1,29 @@
+// src/models/unlockTokenModel.js
+const { query } = require('../config/database');
+
+class UnlockTokenModel {
+    // Store a new unlock token (hash only)
+    static async create(user_id, token_hash, expires_at) {
+        const sql = `
+            INSERT INTO account_unlock_tokens (user_id, token_hash, expires_at)
+            VALUES ($1, $2, $3)
+            RETURNING id, expires_at
+        `;
+        const result = await query(sql, [user_id, token_hash, expires_at]);
+        return result.rows[0];
+    }
+
+    // Mark a valid token as used and return its owner
+    static async consume(token_hash) {
+        const sql = `
+            UPDATE account_unlock_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id
+        `;
+        const result = await query(sql, [token_hash]);
+        return result.rows[0];
+    }
+}
+
+module.exports = UnlockTokenModel;
@@ -30,11 +30,24 @@ class UserModel {
         return result.rows[0];
     }
 
+    // Create a user who signed up through an identity provider (no password)
+    static async createFederated({ email, full_name, signup_type, is_email_verified = false, firebase_uid = null }) {
+        const sql = `
+            INSERT INTO users (email, full_name, signup_type, is_email_verified, firebase_uid)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, email, full_name, gender, mobile_no, signup_type,
+                    is_mobile_verified, is_email_verified, status, firebase_uid, created_at
+        `;
+        const result = await query(sql, [email, full_name, signup_type, is_email_verified, firebase_uid]);
+        return result.rows[0];
+    }
+
     // Find user by email
     static async findByEmail(email) {
         const sql = `
             SELECT id, email, password, full_name, gender, mobile_no, signup_type,
-                is_mobile_verified, is_email_verified, created_at, updated_at
+                is_mobile_verified, is_email_verified, status, suspended_until, password_reset_required,
+                firebase_uid, created_at, updated_at
             FROM users 
             WHERE email = $1
         `;
@@ -46,7 +59,8 @@ class UserModel {
     static async findById(id) {
         const sql = `
             SELECT id, email, full_name, gender, mobile_no, signup_type,
-                is_mobile_verified, is_email_verified, created_at, updated_at
+                is_mobile_verified, is_email_verified, status, suspended_until, password_reset_required,
+                firebase_uid, created_at, updated_at
             FROM users 
             WHERE id = $1
         `;
@@ -54,9 +68,52 @@ class UserModel {
         return result.rows[0];
     }
 
-    // Update user
+    // Find user by Firebase UID
+    static async findByFirebaseUid(firebase_uid) {
+        const sql = `
+            SELECT id, email, full_name, gender, mobile_no, signup_type,
+                is_mobile_verified, is_email_verified, status, suspended_until, password_reset_required,
+                firebase_uid, created_at, updated_at
+            FROM users 
+            WHERE firebase_uid = $1
+        `;
+        const result = await query(sql, [firebase_uid]);
+        return result.rows[0];
+    }
+
+    // Tie a user to a Firebase account (null unties it)
+    static async setFirebaseUid(id, firebase_uid, client = null) {
+        const executor = client || { query };
+        const sql = 'UPDATE users SET firebase_uid = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2';
+        await executor.query(sql, [firebase_uid, id]);
+    }
+
+    // Users in id order for batch jobs such as Firebase reconciliation
+    static async findBatch(afterId = 0, limit = 100) {
+        const sql = `
+            SELECT id, email, full_name, mobile_no, is_email_verified, status, firebase_uid
+            FROM users
+            WHERE id > $1
+            ORDER BY id
+            LIMIT $2
+        `;
+        const result = await query(sql, [afterId, limit]);
+        return result.rows;
+    }
+
+    // Users holding any of the given Firebase UIDs or emails
+    static async findByFirebaseUidsOrEmails(firebase_uids, emails) {
+        const sql = `
+            SELECT id, email, firebase_uid FROM users
+            WHERE firebase_uid = ANY($1) OR email = ANY($2)
+        `;
+        const result = await query(sql, [firebase_uids, emails]);
+        return result.rows;
+    }
+
     static async update(id, updateData) {
-        const allowedFields = ['full_name', 'gender', 'mobile_no'];
+        // mobile_no changes go through setPendingMobile/applyPendingMobile
+        const allowedFields = ['full_name', 'gender'];
         const updates = [];
         const values = [];
         let paramCounter = 1;
@@ -90,20 +147,50 @@ class UserModel {
         return result.rows[0];
     }
 
+    // Get password hash by ID (for re-authentication checks)
+    static async getPasswordHash(id) {
+        const sql = 'SELECT password FROM users WHERE id = $1';
+        const result = await query(sql, [id]);
+        return result.rows[0] ? result.rows[0].password : null;
+    }
+
+    // Set a new password (hashed here, like create)
+    static async updatePassword(id, newPassword, client = null) {
+        const executor = client || { query };
+        const saltRounds = 12;
+        const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+        const sql = `
+            UPDATE users 
+            SET password = $1, password_reset_required = FALSE, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, email
+        `;
+        const result = await executor.query(sql, [hashedPassword, id]);
+        return result.rows[0];
+    }
+
     // Verify password
     static async verifyPassword(plainPassword, hashedPassword) {
+        // Accounts created through an identity provider have no password
+        if (!hashedPassword || !plainPassword) {
+            return false;
+        }
         return await bcrypt.compare(plainPassword, hashedPassword);
     }
 
     // Update verification status
-    static async updateEmailVerification(id, isVerified = true) {
+    static async updateEmailVerification(id, isVerified = true, client = null) {
+        const executor = client || { query };
         const sql = `
             UPDATE users 
-            SET is_email_verified = $1, updated_at = CURRENT_TIMESTAMP
+            SET is_email_verified = $1,
+                email_verified_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END,
+                updated_at = CURRENT_TIMESTAMP
             WHERE id = $2
-            RETURNING id, email, is_email_verified
+            RETURNING id, email, is_email_verified, email_verified_at
         `;
-        const result = await query(sql, [isVerified, id]);
+        const result = await executor.query(sql, [isVerified, id]);
         return result.rows[0];
     }
 
@@ -118,6 +205,210 @@ class UserModel {
         return result.rows[0];
     }
 
+    // Store (or clear, with null) a phone number awaiting verification
+    static async setPendingMobile(id, mobile_no) {
+        const sql = `
+            UPDATE users 
+            SET pending_mobile_no = $1,
+                pending_mobile_requested_at = CASE WHEN $1::VARCHAR IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, pending_mobile_no, pending_mobile_requested_at
+        `;
+        const result = await query(sql, [mobile_no, id]);
+        return result.rows[0];
+    }
+
+    // Get the phone number awaiting verification
+    static async getPendingMobile(id) {
+        const sql = 'SELECT pending_mobile_no, pending_mobile_requested_at FROM users WHERE id = $1';
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Promote the verified pending number to mobile_no
+    static async applyPendingMobile(id, mobile_no) {
+        const sql = `
+            UPDATE users 
+            SET mobile_no = pending_mobile_no, is_mobile_verified = true,
+                pending_mobile_no = NULL, pending_mobile_requested_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND pending_mobile_no = $2
+            RETURNING id, mobile_no, is_mobile_verified
+        `;
+        const result = await query(sql, [id, mobile_no]);
+        return result.rows[0];
+    }
+
+    // Get the cut-off before which access tokens are no longer accepted
+    static async getTokensRevokedAt(id) {
+        const sql = 'SELECT tokens_revoked_at FROM users WHERE id = $1';
+        const result = await query(sql, [id]);
+        return result.rows[0] ? result.rows[0].tokens_revoked_at : null;
+    }
+
+    // Invalidate every access token issued so far
+    static async revokeAllTokens(id) {
+        const sql = `
+            UPDATE users 
+            SET tokens_revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING tokens_revoked_at
+        `;
+        const result = await query(sql, [id]);
+        return result.rows[0] ? result.rows[0].tokens_revoked_at : null;
+    }
+
+    // Switch to a confirmed new email address
+    // Only applies while the account still has currentEmail; returns
+    // undefined when the address changed in the meantime
+    static async updateEmail(id, currentEmail, email, client = null) {
+        const executor = client || { query };
+        const sql = `
+            UPDATE users 
+            SET email = $1, is_email_verified = true, email_verified_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND email = $3
+            RETURNING id, email, is_email_verified
+        `;
+        const result = await executor.query(sql, [email, id, currentEmail]);
+        return result.rows[0];
+    }
+
+    // Search users with filters and pagination (admin)
+    static async search(filters = {}, pagination = {}) {
+        const {
+            search = '',
+            email = '',
+            name = '',
+            phone = '',
+            is_email_verified,
+            is_mobile_verified,
+            status = '',
+            created_from = null,
+            created_to = null
+        } = filters;
+
+        const {
+            page = 1,
+            limit = 20,
+            sortBy = 'created_at',
+            sortOrder = 'DESC'
+        } = pagination;
+
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const values = [];
+
+        const addCondition = (sql, value) => {
+            values.push(value);
+            conditions.push(sql.replace(/\?/g, `$${values.length}`));
+        };
+
+        if (search.trim()) {
+            addCondition('(email ILIKE ? OR full_name ILIKE ? OR mobile_no ILIKE ?)', `%${search.trim()}%`);
+        }
+        if (email.trim()) {
+            addCondition('email ILIKE ?', `%${email.trim()}%`);
+        }
+        if (name.trim()) {
+            addCondition('full_name ILIKE ?', `%${name.trim()}%`);
+        }
+        if (phone.replace(/\D/g, '')) {
+            // Match on digits so "+234 803" and "234803" both work
+            addCondition("regexp_replace(mobile_no, '\\D', '', 'g') LIKE ?", `%${phone.replace(/\D/g, '')}%`);
+        }
+        if (typeof is_email_verified === 'boolean') {
+            addCondition('is_email_verified = ?', is_email_verified);
+        }
+        if (typeof is_mobile_verified === 'boolean') {
+            addCondition('is_mobile_verified = ?', is_mobile_verified);
+        }
+        if (status) {
+            addCondition('status = ?', status);
+        }
+        if (created_from) {
+            addCondition('created_at >= ?', created_from);
+        }
+        if (created_to) {
+            addCondition('created_at <= ?', created_to);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const allowedSortFields = ['created_at', 'email', 'full_name', 'updated_at'];
+        const validSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
+        const validSortOrder = ['ASC', 'DESC'].includes(String(sortOrder).toUpperCase())
+            ? String(sortOrder).toUpperCase()
+            : 'DESC';
+
+        const sql = `
+            SELECT id, email, full_name, gender, mobile_no, signup_type,
+                is_mobile_verified, is_email_verified, status, suspended_until, created_at, updated_at
+            FROM users
+            ${whereClause}
+            ORDER BY ${validSortBy} ${validSortOrder}
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `;
+        const countSql = `SELECT COUNT(*) as total FROM users ${whereClause}`;
+
+        const [usersResult, countResult] = await Promise.all([
+            query(sql, [...values, limit, offset]),
+            query(countSql, values)
+        ]);
+
+        const total = parseInt(countResult.rows[0].total);
+        const totalPages = Math.ceil(total / limit);
+
+        return {
+            users: usersResult.rows,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalRecords: total,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        };
+    }
+
+    // Block sign-in until the password is reset (cleared by updatePassword)
+    static async setPasswordResetRequired(id, required = true) {
+        const sql = `
+            UPDATE users 
+            SET password_reset_required = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `;
+        await query(sql, [required, id]);
+    }
+
+    // Set account status (active | suspended | pending_deletion)
+    static async setStatus(id, status, reason = null, suspended_until = null) {
+        const sql = `
+            UPDATE users 
+            SET status = $1, status_reason = $2, suspended_until = $3,
+                status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+            RETURNING id, email, status, status_reason, suspended_until, status_changed_at
+        `;
+        const result = await query(sql, [status, reason, suspended_until, id]);
+        return result.rows[0];
+    }
+
+    // Get account status details
+    static async getStatus(id) {
+        const sql = 'SELECT status, status_reason, suspended_until, status_changed_at FROM users WHERE id = $1';
+        const result = await query(sql, [id]);
+        return result.rows[0];
+    }
+
+    // Delete a user row
+    static async delete(id, client = null) {
+        const executor = client || { query };
+        const result = await executor.query('DELETE FROM users WHERE id = $1 RETURNING id, email', [id]);
+        return result.rows[0];
+    }
+
     // Check if email exists
     static async emailExists(email) {
         const sql = 'SELECT id FROM users WHERE email = $1';
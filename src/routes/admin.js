@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AdminController = require('../controllers/adminController');
+
+// Import middleware
+const { protect, authorize } = require('../middleware/auth');
+const {
+    validateIdParam,
+    validateAdminUserQuery,
+    validateAdminDisable,
+    validateRoleAssignment,
+    validateAuditEventQuery,
+    validatePolicyDocument
+} = require('../middleware/validation');
+
+// Every admin route needs a signed-in user; each route checks its own permission
+router.use(protect);
+
+// Users
+router.get('/users', authorize('users:read'), validateAdminUserQuery, AdminController.listUsers);
+router.get('/users/:id', authorize('users:read'), validateIdParam, AdminController.getUser);
+router.post('/users/:id/verify-email', authorize('users:manage'), validateIdParam, AdminController.verifyEmail);
+router.post('/users/:id/verify-mobile', authorize('users:manage'), validateIdParam, AdminController.verifyMobile);
+router.post('/users/:id/disable', authorize('users:manage'), validateIdParam, validateAdminDisable, AdminController.disableUser);
+router.post('/users/:id/enable', authorize('users:manage'), validateIdParam, AdminController.enableUser);
+router.post('/users/:id/password-reset', authorize('users:manage'), validateIdParam, AdminController.triggerPasswordReset);
+router.post('/users/:id/unlock', authorize('users:manage'), validateIdParam, AdminController.unlockUser);
+router.delete('/users/:id/sessions', authorize('users:manage'), validateIdParam, AdminController.revokeSessions);
+router.delete('/users/:id', authorize('users:delete'), validateIdParam, AdminController.deleteUser);
+
+// Roles
+router.get('/roles', authorize('roles:manage'), AdminController.listRoles);
+router.post('/users/:id/roles', authorize('roles:manage'), validateIdParam, validateRoleAssignment, AdminController.grantRole);
+router.delete('/users/:id/roles/:role', authorize('roles:manage'), validateIdParam, AdminController.revokeRole);
+
+// Terms of service / privacy policy
+router.get('/policies', authorize('policies:manage'), AdminController.listPolicies);
+router.post('/policies', authorize('policies:manage'), validatePolicyDocument, AdminController.publishPolicy);
+
+// Audit log
+router.get('/audit-events', authorize('audit:read'), validateAuditEventQuery, AdminController.listAuditEvents);
+router.get('/audit-events/export', authorize('audit:read'), validateAuditEventQuery, AdminController.exportAuditEvents);
+
+module.exports = router;
@@ -18,11 +18,31 @@ try {
 const AuthController = require('../controllers/authController');
 
 // Import middleware
-const { protect } = require('../middleware/auth');
+const { authenticate, protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const {
     validateUserRegistration,
     validateUserLogin,
-    validateMobileOTP
+    validateMobileOTP,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validatePasswordConfirmation,
+    validateLoginAlertToken,
+    validateChallengeToken,
+    validatePasskeyResponse,
+    validatePasskeyName,
+    validatePasskeyRegistration,
+    validateIdParam,
+    validatePhoneChange,
+    validateEmailChange,
+    validateForgotPassword,
+    validateResetToken,
+    validatePasswordReset,
+    validateSecurityEventQuery,
+    validatePolicyAcceptance,
+    validateMarketingConsent,
+    validateOidcLink,
+    validateFirebaseLogin
 } = require('../middleware/validation');
 
 // Make database functions available to controllers if database config was loaded
@@ -41,29 +61,91 @@ if (dbConfig && dbConfig.query && dbConfig.getClient && dbConfig.pool) {
 }
 
 // Public routes
-router.post('/register', validateUserRegistration, AuthController.register);
-router.post('/login', validateUserLogin, AuthController.login);
+router.post('/register', rateLimit('register'), validateUserRegistration, AuthController.register);
+router.post('/login', rateLimit('login'), validateUserLogin, AuthController.login);
+router.post('/login/2fa', rateLimit('loginSecondFactor'), validateTwoFactorLogin, AuthController.verifyTwoFactorLogin);
+router.post('/login/2fa/passkey-options', rateLimit('loginSecondFactor'), validateChallengeToken, AuthController.twoFactorPasskeyOptions);
+router.post('/passkeys/login/options', rateLimit('login'), AuthController.passkeyLoginOptions);
+router.post('/passkeys/login', rateLimit('login'), validatePasskeyResponse, AuthController.passkeyLogin);
+router.post('/refresh', rateLimit('refresh'), AuthController.refresh);
+router.post('/firebase', rateLimit('login'), validateFirebaseLogin, AuthController.firebaseLogin); // Firebase ID token -> our session
+router.get('/policies', AuthController.getPolicies); // Current versions for the sign-up form
+
+// Social sign-in (OpenID Connect)
+router.get('/oidc/providers', AuthController.getOidcProviders);
+router.get('/oidc/:provider/authorize', rateLimit('login'), AuthController.oidcAuthorize);
+router.get('/oidc/:provider/callback', rateLimit('login'), AuthController.oidcCallback); // Provider redirect
+router.post('/oidc/link', rateLimit('login'), validateOidcLink, AuthController.completeOidcLink);
+router.post('/oidc/:provider/link', protect, AuthController.oidcLinkAuthorize);
+router.get('/identities', protect, AuthController.listIdentities);
+router.delete('/identities/:id', protect, validateIdParam, AuthController.unlinkIdentity);
 
 // Protected routes (require authentication)
-router.get('/profile', protect, AuthController.getProfile);
+router.get('/profile', authenticate, AuthController.getProfile);
 router.put('/profile', protect, AuthController.updateProfile);
 router.get('/verification-status', protect, AuthController.getVerificationStatus);
+router.post('/logout', authenticate, AuthController.logout);
+router.post('/logout-all', authenticate, AuthController.logoutAll);
+
+// Consent - reachable while updated policies are awaiting acceptance
+router.get('/consents', authenticate, AuthController.getConsents);
+router.post('/policies/accept', authenticate, validatePolicyAcceptance, AuthController.acceptPolicies);
+router.put('/consents/marketing', authenticate, validateMarketingConsent, AuthController.updateMarketingConsent);
+
+router.get('/security-events', protect, validateSecurityEventQuery, AuthController.getSecurityEvents);
+
+// Session management
+router.get('/sessions', protect, AuthController.getSessions);
+router.delete('/sessions/:id', protect, AuthController.revokeSession);
 
 // Email verification routes
-router.post('/send-email-verification', protect, AuthController.sendEmailVerification);
+router.post('/send-email-verification', protect, rateLimit('sendEmailVerification'), AuthController.sendEmailVerification);
 router.get('/verify-email/:token', AuthController.verifyEmail); // This will be called from email link
 
 // Mobile verification routes
-router.post('/send-mobile-otp', protect, AuthController.sendMobileOTP);
-router.post('/verify-mobile-otp', protect, validateMobileOTP, AuthController.verifyMobileOTP);
+router.post('/send-mobile-otp', protect, rateLimit('sendMobileOtp'), AuthController.sendMobileOTP);
+router.post('/verify-mobile-otp', protect, rateLimit('verifyMobileOtp'), validateMobileOTP, AuthController.verifyMobileOTP);
+
+// Two-factor authentication (authenticator app)
+router.get('/2fa', protect, AuthController.getTwoFactorStatus);
+router.post('/2fa/setup', protect, AuthController.setupTwoFactor);
+router.post('/2fa/confirm', protect, validateTwoFactorCode, AuthController.confirmTwoFactor);
+router.post('/2fa/disable', protect, validatePasswordConfirmation, AuthController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, validatePasswordConfirmation, AuthController.regenerateRecoveryCodes);
+
+// Passkeys (WebAuthn)
+router.get('/passkeys', protect, AuthController.listPasskeys);
+router.post('/passkeys/register/options', protect, validatePasswordConfirmation, AuthController.passkeyRegistrationOptions);
+router.post('/passkeys/register', protect, validatePasskeyRegistration, AuthController.registerPasskey);
+router.patch('/passkeys/:id', protect, validateIdParam, validatePasskeyName, AuthController.renamePasskey);
+router.delete('/passkeys/:id', protect, validateIdParam, validatePasswordConfirmation, AuthController.deletePasskey);
+
+// Phone number change
+router.post('/change-phone', protect, rateLimit('changePhone'), validatePhoneChange, AuthController.requestPhoneChange);
+router.post('/change-phone/verify', protect, rateLimit('verifyMobileOtp'), validateMobileOTP, AuthController.verifyPhoneChange);
+router.delete('/change-phone', protect, AuthController.cancelPhoneChange);
+
+// Email change
+router.get('/change-email', protect, AuthController.getEmailChange);
+router.post('/change-email', protect, rateLimit('changeEmail'), validateEmailChange, AuthController.requestEmailChange);
+router.get('/change-email/confirm/:token', AuthController.confirmEmailChange); // Link sent to the new address
+router.get('/change-email/cancel/:token', AuthController.cancelEmailChange); // Link sent to the old address
 
 // Password management
 router.post('/change-password', protect, AuthController.changePassword);
-router.post('/forgot-password', AuthController.forgotPassword);
-router.post('/reset-password', AuthController.resetPassword);
+router.post('/forgot-password', rateLimit('forgotPassword'), validateForgotPassword, AuthController.forgotPassword);
+router.post('/reset-password/validate', rateLimit('resetPassword'), validateResetToken, AuthController.validateResetToken);
+router.post('/reset-password', rateLimit('resetPassword'), validatePasswordReset, AuthController.resetPassword);
 
 // Account management
-router.delete('/delete-account', protect, AuthController.deleteAccount);
+router.get('/unlock-account/:token', AuthController.unlockAccount); // Called from email link
+router.get('/not-me/:token', AuthController.reviewUnrecognizedLogin); // "This wasn't me" link in new-device emails; leads to a confirmation page
+router.post('/not-me', validateLoginAlertToken, AuthController.reportUnrecognizedLogin);
+router.delete('/delete-account', authenticate, validatePasswordConfirmation, AuthController.deleteAccount);
+router.get('/restore-account/:token', AuthController.restoreAccount); // Link sent when deletion is scheduled
+router.post('/data-export', authenticate, rateLimit('dataExport'), AuthController.requestDataExport);
+router.get('/data-export', authenticate, AuthController.getDataExports);
+router.get('/data-export/:id/download', AuthController.downloadDataExport); // Signed link, no session needed
 
 // Health check for auth service
 router.get('/health', async (req, res) => {
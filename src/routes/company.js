@@ -9,7 +9,8 @@ const { query, getClient, pool } = require('../config/database');
 const CompanyController = require('../controllers/companyController');
 
 // Import middleware
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { 
     validateCompanyProfile, 
     validateCompanyProfileUpdate,
@@ -50,20 +51,22 @@ router.delete('/profile', CompanyController.deleteProfile);
 
 // Image upload routes - ADD MULTER MIDDLEWARE
 router.post('/upload-logo', 
+    rateLimit('imageUpload'),
     upload.single('logo'), // This processes the file upload
     validateImageUpload, 
     CompanyController.uploadLogo
 );
 
 router.post('/upload-banner', 
+    rateLimit('imageUpload'),
     upload.single('banner'), // This processes the file upload
     validateImageUpload, 
     CompanyController.uploadBanner
 );
 
-// Company search and listing (for admin or public use)
-router.get('/search', CompanyController.searchCompanies);
-router.get('/stats', CompanyController.getStats);
+// Company search and listing (admin)
+router.get('/search', authorize('companies:read'), rateLimit('companySearch'), CompanyController.searchCompanies);
+router.get('/stats', authorize('stats:read'), CompanyController.getStats);
 
 // Health check
 router.get('/health', async (req, res) => {
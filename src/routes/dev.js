@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const OtpService = require('../services/otpService');
+const { sendSuccess, sendError } = require('../utils/errorHandler');
+
+// Development-only helpers. Mounted by index.js when NODE_ENV=development.
+
+// Latest OTP sent to a phone number, so flows can be exercised without an SMS provider
+router.get('/otp/:phone', (req, res) => {
+    const entry = OtpService.getDevSinkEntry(req.params.phone);
+    if (!entry) {
+        return sendError(res, 'No OTP has been sent to this number', 404);
+    }
+    sendSuccess(res, { phone_number: req.params.phone, ...entry }, 'Latest OTP retrieved');
+});
+
+// Local OpenID Connect issuer for the "mock" sign-in provider
+router.use('/oidc', require('./mockOidc'));
+
+module.exports = router;
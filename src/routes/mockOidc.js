@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+
+const TTLCache = require('../utils/ttlCache');
+
+// Minimal OpenID Connect issuer for exercising social sign-in locally.
+// Mounted under /api/dev/oidc in development; config/oidcProviders adds a
+// matching "mock" provider. /authorize signs in straight away as the user
+// named by login_hint (default mock.user@example.com), so a browser or a
+// script can follow the redirects without any UI:
+//   GET /api/auth/oidc/mock/authorize -> /api/dev/oidc/authorize?...&login_hint=you@example.com
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const ISSUER = `${API_URL}/api/dev/oidc`;
+const CLIENT_ID = 'mock-client';
+const CLIENT_SECRET = 'mock-secret';
+const DEFAULT_EMAIL = 'mock.user@example.com';
+
+// Fresh signing key per process; the relying party picks it up via JWKS
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new TTLCache(60 * 1000, 1000);
+
+const oidcError = (res, error, description, status = 400) => res.status(status).json({
+    error,
+    error_description: description
+});
+
+router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        scopes_supported: ['openid', 'email', 'profile']
+    });
+});
+
+router.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Query extras for testing: login_hint (email), name, email_verified=false, deny=1
+router.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== CLIENT_ID || !redirect_uri) {
+        return oidcError(res, 'invalid_request', 'Unknown client or missing redirect_uri');
+    }
+    if (!code_challenge || code_challenge_method !== 'S256') {
+        return oidcError(res, 'invalid_request', 'PKCE with S256 is required');
+    }
+
+    const redirect = new URL(redirect_uri);
+    if (state) {
+        redirect.searchParams.set('state', state);
+    }
+
+    if (req.query.deny) {
+        redirect.searchParams.set('error', 'access_denied');
+        return res.redirect(redirect.toString());
+    }
+
+    const email = String(login_hint || DEFAULT_EMAIL).toLowerCase();
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        redirect_uri,
+        nonce,
+        code_challenge,
+        email,
+        name: req.query.name || email.split('@')[0],
+        email_verified: req.query.email_verified !== 'false'
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+router.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+    }
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return oidcError(res, 'invalid_client', 'Client authentication failed', 401);
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+        return oidcError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.redirect_uri !== req.body.redirect_uri) {
+        return oidcError(res, 'invalid_grant', 'Unknown or used code');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.code_challenge) {
+        return oidcError(res, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const idToken = jwt.sign({
+        sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+        email: grant.email,
+        email_verified: grant.email_verified,
+        name: grant.name,
+        ...(grant.nonce && { nonce: grant.nonce })
+    }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+    });
+
+    res.json({
+        access_token: crypto.randomBytes(24).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// src/scripts/bootstrapAdmin.js
+// Grants the admin role to an existing account. Only works while no admin
+// exists; pass --force to add another admin from the command line anyway.
+// Usage: npm run bootstrap-admin -- user@example.com [--force]
+require('dotenv').config();
+const { pool } = require('../config/database');
+const RbacService = require('../services/rbacService');
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    const email = args.find(arg => !arg.startsWith('--'));
+    const force = args.includes('--force');
+
+    if (!email) {
+        console.error('Usage: npm run bootstrap-admin -- <email> [--force]');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const user = await RbacService.bootstrapAdmin(email.trim().toLowerCase(), { force });
+        console.log(`✅ ${user.email} (id ${user.id}) is now an admin`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+};
+
+run().finally(() => pool.end());
@@ -0,0 +1,49 @@
+// src/scripts/reconcileFirebase.js
+// Compares every user with their Firebase Auth record (existence, email,
+// display name, phone, disabled state) and repairs the differences from
+// PostgreSQL. Firebase users that match no account, and ones that share an
+// email without both sides being verified, are only reported.
+// Usage: npm run reconcile-firebase -- [--dry-run]
+require('dotenv').config();
+const { pool } = require('../config/database');
+const FirebaseSyncService = require('../services/firebaseSyncService');
+
+const describe = (finding) => {
+    const who = finding.user_id ? `user ${finding.user_id} <${finding.email}>` : `firebase ${finding.firebase_uid} <${finding.email || 'no email'}>`;
+    const fields = finding.fields && Object.keys(finding.fields).length > 0
+        ? ' ' + Object.entries(finding.fields)
+            .map(([field, { postgres, firebase }]) => `${field}: ${JSON.stringify(firebase)} -> ${JSON.stringify(postgres)}`)
+            .join(', ')
+        : '';
+    const outcome = finding.error || finding.reason;
+
+    return `[${finding.status}] ${who} ${finding.issue} (${finding.action})${fields}${outcome ? ` - ${outcome}` : ''}`;
+};
+
+const run = async () => {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    if (dryRun) {
+        console.log('Dry run: nothing will be changed');
+    }
+
+    try {
+        const summary = await FirebaseSyncService.reconcile({
+            dryRun,
+            onFinding: finding => console.log(describe(finding))
+        });
+
+        const { queue, ...counts } = summary;
+        console.log(`\n${Object.entries(counts).map(([key, value]) => `${key}: ${value}`).join(', ')}`);
+        console.log(`Sync queue: ${Object.entries(queue).map(([status, total]) => `${status}: ${total}`).join(', ') || 'empty'}`);
+
+        if (summary.failed > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+};
+
+run().finally(() => pool.end());
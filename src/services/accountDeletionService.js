@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { getClient } = require('../config/database');
+const UserModel = require('../models/userModel');
+const CompanyModel = require('../models/companyModel');
+const AccountDeletionModel = require('../models/accountDeletionModel');
+const AccountStatusService = require('./accountStatusService');
+const TokenService = require('./tokenService');
+const EmailService = require('./emailService');
+const SecurityEventService = require('./securityEventService');
+const CloudinaryService = require('./cloudinaryService');
+const FirebaseSyncService = require('./firebaseSyncService');
+const DataExportService = require('./dataExportService');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { AppError } = require('../utils/errorHandler');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const PURGE_INTERVAL_MS = (parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const PURGE_BATCH_SIZE = 10;
+
+/**
+ * Account Deletion Service
+ * Deleting an account deactivates it straight away and schedules a purge
+ * after a grace period. Until then it can be restored by signing in or
+ * through the emailed link. The purge removes the user, their company
+ * profile and images, data export archives, Firebase user, tokens and
+ * sessions, and leaves a receipt in account_deletions.
+ */
+class AccountDeletionService {
+    /**
+     * Deactivate an account and schedule its purge
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context (ip, userAgent, actorId)
+     * @returns {Promise<Object>} { deletionId, purgeAfter }
+     */
+    static async schedule(userId, context = {}) {
+        const user = await this.#findUser(userId);
+
+        if (await AccountDeletionModel.findOpenByUserId(userId)) {
+            throw new AppError('This account is already scheduled for deletion', 409, true, 'ACCOUNT_PENDING_DELETION');
+        }
+
+        const rawToken = generateRandomToken(32);
+        const deletion = await AccountDeletionModel.create({
+            id: crypto.randomUUID(),
+            user_id: userId,
+            email: user.email,
+            restore_token_hash: hashToken(rawToken),
+            requested_by: context.actorId || userId,
+            requested_ip: context.ip,
+            purge_after: new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        await AccountStatusService.markPendingDeletion(userId);
+        await TokenService.revokeAllSessions(userId);
+        await SecurityEventService.record(userId, 'account_deletion_scheduled', context, {
+            deletion_id: deletion.id,
+            purge_after: deletion.purge_after
+        });
+
+        await EmailService.send({
+            to: user.email,
+            template: 'securityAlert',
+            userId,
+            params: {
+                name: user.full_name,
+                title: 'Your account is scheduled for deletion',
+                message: `Your account has been deactivated and will be permanently deleted in ${GRACE_PERIOD_DAYS} days. Changed your mind? Sign in again or use the button below before then to restore it.`,
+                details: {
+                    'Deletion date': new Date(deletion.purge_after).toUTCString(),
+                    'IP address': context.ip
+                },
+                actionUrl: `${API_URL}/api/auth/restore-account/${rawToken}`,
+                actionLabel: 'Restore my account'
+            }
+        });
+
+        return {
+            deletionId: deletion.id,
+            purgeAfter: deletion.purge_after
+        };
+    }
+
+    /**
+     * Restore from the emailed link
+     * @param {string} rawToken - Token from the email
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async restoreWithToken(rawToken, context = {}) {
+        const deletion = await AccountDeletionModel.findByRestoreTokenHash(hashToken(rawToken || ''));
+        if (!deletion || deletion.restored_at || deletion.purged_at) {
+            throw new AppError('Invalid or already used restore link', 400, true, 'RESTORE_TOKEN_INVALID');
+        }
+
+        await this.#restore(deletion, 'link', context);
+    }
+
+    /**
+     * Restore on sign-in during the grace period. Leaves the account alone
+     * when the grace period is over (the caller's status check then refuses it).
+     * @param {Object} user - User row; its status is updated in place
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<boolean>} Whether the account was restored
+     */
+    static async restoreOnLogin(user, context = {}) {
+        const deletion = await AccountDeletionModel.findOpenByUserId(user.id);
+        if (!deletion) {
+            return false;
+        }
+
+        try {
+            await this.#restore(deletion, 'login', context);
+        } catch (error) {
+            if (error.errorCode === 'RESTORE_WINDOW_CLOSED') {
+                return false;
+            }
+            throw error;
+        }
+
+        user.status = 'active';
+        return true;
+    }
+
+    /**
+     * Cancel a scheduled deletion on the user's behalf (admin re-enable)
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     */
+    static async cancel(userId, context = {}) {
+        const deletion = await AccountDeletionModel.findOpenByUserId(userId);
+        if (!deletion) {
+            throw new AppError('This account is not scheduled for deletion', 400);
+        }
+
+        await this.#restore(deletion, 'admin', context);
+    }
+
+    /**
+     * Delete an account right away (admin action), skipping the grace period
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     * @returns {Promise<Object>} Deletion receipt
+     */
+    static async deleteNow(userId, context = {}) {
+        const user = await this.#findUser(userId);
+
+        const open = await AccountDeletionModel.findOpenByUserId(userId);
+        const deletion = open
+            ? await AccountDeletionModel.claim(open.id)
+            : await AccountDeletionModel.create({
+                id: crypto.randomUUID(),
+                user_id: userId,
+                email: user.email,
+                requested_by: context.actorId || userId,
+                requested_ip: context.ip,
+                purge_after: new Date(),
+                purge_started_at: new Date()
+            });
+
+        if (!deletion) {
+            throw new AppError('This account is already being deleted', 409);
+        }
+
+        return this.#purge(deletion, context);
+    }
+
+    /**
+     * Purge every deletion whose grace period has ended
+     * @returns {Promise<number>} Number of purged accounts
+     */
+    static async purgeDue() {
+        let purged = 0;
+
+        for (;;) {
+            const due = await AccountDeletionModel.claimDue(PURGE_BATCH_SIZE);
+            if (due.length === 0) {
+                break;
+            }
+
+            for (const deletion of due) {
+                try {
+                    await this.#purge(deletion);
+                    purged++;
+                } catch (error) {
+                    // Claim goes stale and is retried on a later run
+                    console.error(`Purging account deletion ${deletion.id} failed:`, error.message);
+                }
+            }
+
+            if (due.length < PURGE_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (purged > 0) {
+            console.log(`🗑️ Purged ${purged} deleted accounts`);
+        }
+        return purged;
+    }
+
+    /**
+     * Run purgeDue periodically
+     * @returns {NodeJS.Timeout} Interval handle
+     */
+    static startPurgeWorker() {
+        const timer = setInterval(() => {
+            this.purgeDue().catch(error => {
+                console.error('Account purge failed:', error.message);
+            });
+        }, PURGE_INTERVAL_MS);
+
+        // Don't keep the process alive just for the purge
+        timer.unref();
+        return timer;
+    }
+
+    static async #findUser(userId) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+        return user;
+    }
+
+    static async #restore(deletion, method, context) {
+        const restored = await AccountDeletionModel.markRestored(deletion.id);
+        if (!restored) {
+            throw new AppError('This account can no longer be restored', 410, true, 'RESTORE_WINDOW_CLOSED');
+        }
+
+        await AccountStatusService.reactivate(deletion.user_id, context);
+        await SecurityEventService.record(deletion.user_id, 'account_restored', context, {
+            deletion_id: deletion.id,
+            method
+        });
+    }
+
+    // External clean-up runs first: it is idempotent, so if the database
+    // step fails the claim goes stale and the whole purge is simply retried
+    static async #purge(deletion, context = {}) {
+        const userId = deletion.user_id;
+        const user = await UserModel.findById(userId);
+        const company = user ? await CompanyModel.findByOwnerId(userId) : null;
+
+        const images = await this.#deleteImages(company);
+        // Queued for retry if Firebase is unavailable
+        const firebase = await FirebaseSyncService.deleteUser(user || { email: deletion.email });
+        const dataExports = await DataExportService.deleteForUser(userId);
+
+        // Blacklist any access token that is still in flight
+        if (user) {
+            await TokenService.revokeAllSessions(userId);
+        }
+
+        const client = await getClient();
+        let receipt;
+
+        try {
+            await client.query('BEGIN');
+
+            const companyResult = await client.query('DELETE FROM company_profile WHERE owner_id = $1 RETURNING id', [userId]);
+            const sessionResult = await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+            const tokenResult = await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+            await UserModel.delete(userId, client);
+
+            receipt = {
+                receipt_id: deletion.id,
+                user_id: userId,
+                email_sha256: deletion.email ? hashToken(deletion.email.toLowerCase()) : null,
+                requested_at: deletion.requested_at,
+                requested_by: deletion.requested_by === userId ? 'user' : 'admin',
+                purged_at: new Date().toISOString(),
+                deleted: {
+                    account: Boolean(user),
+                    company_profile: companyResult.rows[0] ? companyResult.rows[0].id : null,
+                    sessions: sessionResult.rowCount,
+                    refresh_tokens: tokenResult.rowCount,
+                    images,
+                    data_exports: dataExports,
+                    firebase_user: firebase
+                }
+            };
+
+            await AccountDeletionModel.markPurged(deletion.id, receipt, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // The user row is gone, so log against no user
+        await SecurityEventService.record(null, 'account_purged', context, {
+            deletion_id: deletion.id,
+            deleted_user_id: userId
+        });
+
+        if (deletion.email) {
+            await EmailService.send({
+                to: deletion.email,
+                template: 'securityAlert',
+                params: {
+                    name: user ? user.full_name : null,
+                    title: 'Your account has been deleted',
+                    message: 'Your account and its data have been permanently deleted. Keep this email as your deletion receipt.',
+                    details: {
+                        'Receipt': deletion.id,
+                        'Deleted on': new Date(receipt.purged_at).toUTCString()
+                    }
+                }
+            });
+        }
+
+        return receipt;
+    }
+
+    static async #deleteImages(company) {
+        const urls = company ? [company.logo_url, company.banner_url].filter(Boolean) : [];
+        if (urls.length === 0) {
+            return [];
+        }
+
+        try {
+            const results = await CloudinaryService.bulkDeleteImages(urls);
+            return results.map(result => ({ url: result.url, deleted: result.success }));
+        } catch (error) {
+            console.error('Company image cleanup failed:', error.message);
+            return urls.map(url => ({ url, deleted: false }));
+        }
+    }
+
+}
+
+module.exports = AccountDeletionService;
@@ -0,0 +1,131 @@
+const UserModel = require('../models/userModel');
+const AccountDeletionModel = require('../models/accountDeletionModel');
+const TokenService = require('./tokenService');
+const SecurityEventService = require('./securityEventService');
+const FirebaseSyncService = require('./firebaseSyncService');
+const { AppError } = require('../utils/errorHandler');
+
+const STATUSES = ['active', 'suspended', 'pending_deletion'];
+
+/**
+ * Account Status Service
+ * Owns the active / suspended / pending_deletion lifecycle of an account.
+ * PostgreSQL is the source of truth; the Firebase user is disabled whenever
+ * the account is not active so client SDK sign-ins are refused as well.
+ */
+class AccountStatusService {
+    static STATUSES = STATUSES;
+
+    /**
+     * Refuse accounts that may not sign in or use the API.
+     * A suspension whose until-date has passed is lifted on the spot.
+     * @param {Object} user - User row (status, suspended_until)
+     */
+    static async assertActive(user) {
+        if (!user.status || user.status === 'active') {
+            return;
+        }
+
+        if (user.status === 'suspended' && user.suspended_until && new Date(user.suspended_until) <= new Date()) {
+            await this.#apply(user, 'active');
+            await SecurityEventService.record(user.id, 'account_suspension_expired', {});
+            user.status = 'active';
+            user.suspended_until = null;
+            return;
+        }
+
+        if (user.status === 'pending_deletion') {
+            throw new AppError('This account is scheduled for deletion', 403, true, 'ACCOUNT_PENDING_DELETION');
+        }
+
+        const until = user.suspended_until
+            ? ` until ${new Date(user.suspended_until).toISOString()}`
+            : '';
+        throw new AppError(`This account has been suspended${until}. Please contact support`, 403, true, 'ACCOUNT_SUSPENDED');
+    }
+
+    /**
+     * Like assertActive, but lets a pending deletion through: completing
+     * sign-in restores the account (see SessionService.startSession)
+     * @param {Object} user - User row (status, suspended_until)
+     */
+    static async assertCanSignIn(user) {
+        if (user.status === 'pending_deletion') {
+            return;
+        }
+        await this.assertActive(user);
+    }
+
+    /**
+     * Suspend an account and sign it out everywhere
+     * @param {number} userId - User ID
+     * @param {Object} options - { reason, until } - no until-date means indefinitely
+     * @param {Object} context - Request context (actorId when an admin acts)
+     * @returns {Promise<Object>} Status details
+     */
+    static async suspend(userId, { reason = null, until = null } = {}, context = {}) {
+        const user = await this.#findUser(userId);
+
+        // Suspending would hide the account from the purge worker without
+        // cancelling the deletion; re-enabling it cancels the deletion
+        if (user.status === 'pending_deletion') {
+            throw new AppError('This account is scheduled for deletion. Re-enable it to cancel the deletion first', 409, true, 'ACCOUNT_PENDING_DELETION');
+        }
+
+        if (until && new Date(until) <= new Date()) {
+            throw new AppError('Suspension end date must be in the future', 400);
+        }
+
+        const status = await this.#apply(user, 'suspended', reason, until);
+        await TokenService.revokeAllSessions(userId);
+        await SecurityEventService.record(userId, 'account_suspended', context, { reason, until });
+
+        return status;
+    }
+
+    /**
+     * Return an account to active
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context (actorId when an admin acts)
+     * @returns {Promise<Object>} Status details
+     */
+    static async reactivate(userId, context = {}) {
+        const user = await this.#findUser(userId);
+
+        const status = await this.#apply(user, 'active');
+        await SecurityEventService.record(userId, 'account_reactivated', context, { previous_status: user.status });
+
+        return status;
+    }
+
+    /**
+     * Deactivate an account that is scheduled for deletion
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Status details
+     */
+    static async markPendingDeletion(userId) {
+        const user = await this.#findUser(userId);
+        return this.#apply(user, 'pending_deletion', 'Deletion requested');
+    }
+
+    static async #findUser(userId) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+        return user;
+    }
+
+    static async #apply(user, status, reason = null, until = null) {
+        const details = await UserModel.setStatus(user.id, status, reason, until);
+        // An active account is never purged by a deletion left open
+        if (status === 'active') {
+            await AccountDeletionModel.cancelOpenByUserId(user.id);
+        }
+        // A stale Firebase flag never blocks the status change; the sync queue catches up
+        await FirebaseSyncService.updateUser(user, { disabled: status !== 'active' });
+        return details;
+    }
+}
+
+module.exports = AccountStatusService;
@@ -0,0 +1,190 @@
+const UserModel = require('../models/userModel');
+const CompanyModel = require('../models/companyModel');
+const SessionModel = require('../models/sessionModel');
+const TokenService = require('./tokenService');
+const TwoFactorService = require('./twoFactorService');
+const LoginThrottleService = require('./loginThrottleService');
+const PasswordResetService = require('./passwordResetService');
+const RbacService = require('./rbacService');
+const AccountStatusService = require('./accountStatusService');
+const AccountDeletionService = require('./accountDeletionService');
+const SecurityEventService = require('./securityEventService');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Admin User Service
+ * Support operations on user accounts. Every action is recorded as a
+ * security event on the target account with the acting admin's id
+ * (context.actorId)
+ */
+class AdminUserService {
+    /**
+     * Search users
+     * @param {Object} filters - search, email, name, phone, verification flags, status, created range
+     * @param {Object} pagination - { page, limit, sortBy, sortOrder }
+     * @returns {Promise<Object>} { users, pagination }
+     */
+    static async listUsers(filters = {}, pagination = {}) {
+        return UserModel.search(filters, pagination);
+    }
+
+    /**
+     * Full view of one user, including their company
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} User details
+     */
+    static async getUser(userId) {
+        const user = await this.#findUser(userId);
+
+        const [statusDetails, company, roles, lockout, sessions, twoFactorEnabled] = await Promise.all([
+            UserModel.getStatus(userId),
+            CompanyModel.findByOwnerId(userId),
+            RbacService.getRoles(userId),
+            LoginThrottleService.getLockoutState(user.email),
+            SessionModel.findActiveByUserId(userId),
+            TwoFactorService.isEnabled(userId)
+        ]);
+
+        return {
+            user: { ...user, ...statusDetails },
+            company: company || null,
+            roles,
+            lockout,
+            active_sessions: sessions.length,
+            two_factor_enabled: twoFactorEnabled
+        };
+    }
+
+    /**
+     * Mark email or mobile as verified without the usual flow
+     * @param {number} userId - User ID
+     * @param {string} channel - 'email' or 'mobile'
+     * @param {Object} context - Request context with actorId
+     */
+    static async forceVerification(userId, channel, context = {}) {
+        await this.#findUser(userId);
+
+        if (channel === 'email') {
+            await UserModel.updateEmailVerification(userId, true);
+        } else {
+            await UserModel.updateMobileVerification(userId, true);
+        }
+
+        await SecurityEventService.record(userId, `admin_${channel}_verified`, context);
+        return UserModel.findById(userId);
+    }
+
+    /**
+     * Suspend an account and sign it out everywhere
+     * @param {number} userId - User ID
+     * @param {Object} options - { reason, until } - reason is shown to support staff
+     * @param {Object} context - Request context with actorId
+     */
+    static async disableUser(userId, { reason = null, until = null } = {}, context = {}) {
+        await this.#findUser(userId);
+        this.#assertNotSelf(userId, context, 'disable');
+
+        return AccountStatusService.suspend(userId, { reason, until }, context);
+    }
+
+    /**
+     * Re-enable a suspended account, or restore one scheduled for deletion
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     */
+    static async enableUser(userId, context = {}) {
+        const user = await this.#findUser(userId);
+
+        // Re-enabling must also stop a scheduled purge
+        if (user.status === 'pending_deletion') {
+            await AccountDeletionService.cancel(userId, context);
+            return UserModel.getStatus(userId);
+        }
+
+        return AccountStatusService.reactivate(userId, context);
+    }
+
+    /**
+     * Email the user a password reset link
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     */
+    static async triggerPasswordReset(userId, context = {}) {
+        const user = await this.#findUser(userId);
+
+        await PasswordResetService.request(user.email, context, { bypassCooldown: true });
+        await SecurityEventService.record(userId, 'admin_password_reset_sent', context);
+
+        return { email: user.email };
+    }
+
+    /**
+     * Sign the user out of every device
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     */
+    static async revokeSessions(userId, context = {}) {
+        await this.#findUser(userId);
+
+        await TokenService.revokeAllSessions(userId);
+        await SecurityEventService.record(userId, 'admin_sessions_revoked', context);
+    }
+
+    /**
+     * Lift a login lockout
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     */
+    static async unlockUser(userId, context = {}) {
+        await this.#findUser(userId);
+        return LoginThrottleService.unlockAccount(userId, 'admin', context);
+    }
+
+    /**
+     * Grant or revoke a role
+     * @param {number} userId - User ID
+     * @param {string} roleName - Role name
+     * @param {boolean} grant - True to grant, false to revoke
+     * @param {Object} context - Request context with actorId
+     */
+    static async setRole(userId, roleName, grant, context = {}) {
+        if (grant) {
+            await RbacService.assignRole(userId, roleName, context.actorId, context);
+        } else {
+            this.#assertNotSelf(userId, context, 'remove roles from');
+            await RbacService.revokeRole(userId, roleName, context.actorId, context);
+        }
+
+        return { roles: await RbacService.getRoles(userId) };
+    }
+
+    /**
+     * Delete an account right away, skipping the grace period
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context with actorId
+     * @returns {Promise<Object>} Deletion receipt
+     */
+    static async deleteUser(userId, context = {}) {
+        await this.#findUser(userId);
+        this.#assertNotSelf(userId, context, 'delete');
+
+        return AccountDeletionService.deleteNow(userId, context);
+    }
+
+    static async #findUser(userId) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+        return user;
+    }
+
+    // Admins cannot lock themselves out
+    static #assertNotSelf(userId, context, action) {
+        if (context.actorId && Number(context.actorId) === Number(userId)) {
+            throw new AppError(`You cannot ${action} your own account`, 400);
+        }
+    }
+}
+
+module.exports = AdminUserService;
@@ -89,6 +89,31 @@ class CloudinaryService {
         }
     }
     
+    /**
+     * Check that a URL delivers an image from this account's cloud.
+     * Server-side fetches use it so they never follow an address a client
+     * chose.
+     * Time Complexity: O(1)
+     * @param {string} imageUrl - Image URL
+     * @returns {boolean} Whether the URL belongs to this account
+     */
+    static isDeliveryUrl(imageUrl) {
+        const cloudName = cloudinary.config().cloud_name;
+        if (!cloudName) {
+            return false;
+        }
+
+        try {
+            const url = new URL(imageUrl);
+            return url.protocol === 'https:'
+                && url.host === 'res.cloudinary.com'
+                && !url.username && !url.password
+                && url.pathname.startsWith(`/${cloudName}/image/`);
+        } catch (error) {
+            return false;
+        }
+    }
+    
     /**
      * Extract public_id from Cloudinary URL
      * Time Complexity: O(1)
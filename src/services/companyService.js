@@ -30,8 +30,6 @@ class CompanyService {
                 country,
                 postal_code,
                 website,
-                logo_url,
-                banner_url,
                 industry,
                 founded_date,
                 description,
@@ -58,8 +56,9 @@ class CompanyService {
                 country,
                 postal_code,
                 website || null,
-                logo_url || null,
-                banner_url || null,
+                // Images are only set by the upload endpoints (updateCompanyImage)
+                null,
+                null,
                 industry,
                 founded_date || null,
                 description || null,
@@ -131,9 +130,11 @@ class CompanyService {
             const values = [];
             let paramCounter = 1;
             
+            // logo_url and banner_url are only set by the upload endpoints
+            // (updateCompanyImage), never from client input
             const allowedFields = [
                 'company_name', 'address', 'city', 'state', 'country',
-                'postal_code', 'website', 'logo_url', 'banner_url',
+                'postal_code', 'website',
                 'industry', 'founded_date', 'description', 'social_links'
             ];
             
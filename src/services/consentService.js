@@ -0,0 +1,262 @@
+const PolicyModel = require('../models/policyModel');
+const MarketingConsentModel = require('../models/marketingConsentModel');
+const SecurityEventService = require('./securityEventService');
+const TTLCache = require('../utils/ttlCache');
+const { AppError } = require('../utils/errorHandler');
+
+const POLICY_TYPES = ['terms', 'privacy'];
+const MARKETING_CHANNELS = ['email', 'sms'];
+
+// Pending documents are re-read at most this often per user. Publishing
+// clears the cache, so only other instances wait for the TTL.
+const PENDING_CACHE_TTL_MS = (parseInt(process.env.POLICY_CACHE_TTL_SECONDS) || 60) * 1000;
+const pendingCache = new TTLCache(PENDING_CACHE_TTL_MS);
+
+/**
+ * Consent Service
+ * Versioned terms of service / privacy policy documents, proof of which
+ * versions each user accepted (with time and IP), and per-channel
+ * marketing opt-ins with their full history.
+ */
+class ConsentService {
+    static POLICY_TYPES = POLICY_TYPES;
+    static MARKETING_CHANNELS = MARKETING_CHANNELS;
+
+    /**
+     * Current version of every document
+     * @returns {Promise<Array>} Documents
+     */
+    static async getCurrentPolicies() {
+        return PolicyModel.findCurrent();
+    }
+
+    /**
+     * Current mandatory documents the user still has to accept
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Documents, empty when up to date
+     */
+    static async getPendingPolicies(userId) {
+        const cached = pendingCache.get(userId);
+        if (cached) {
+            return cached;
+        }
+
+        const pending = await PolicyModel.findPendingForUser(userId);
+        pendingCache.set(userId, pending);
+        return pending;
+    }
+
+    /**
+     * Check the versions a new user agreed to are the current ones
+     * @param {Object} versions - { terms_version, privacy_version }
+     * @returns {Promise<Array>} The matching documents
+     */
+    static async resolveRegistrationPolicies(versions = {}) {
+        const current = await PolicyModel.findCurrent();
+        const required = current.filter(document => document.mandatory);
+
+        const outdated = required.filter(document => versions[`${document.type}_version`] !== document.version);
+        if (outdated.length > 0) {
+            throw new AppError(
+                `Please accept the current ${outdated.map(document => `${document.title} (version ${document.version})`).join(' and ')}`,
+                400,
+                true,
+                'POLICY_VERSION_MISMATCH'
+            );
+        }
+
+        return current.filter(document => versions[`${document.type}_version`] === document.version);
+    }
+
+    /**
+     * Record a new user's acceptances and marketing choices
+     * @param {number} userId - User ID
+     * @param {Array} documents - From resolveRegistrationPolicies
+     * @param {Object} marketing - { email, sms } booleans; missing means not asked
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async recordRegistration(userId, documents, marketing = {}, context = {}) {
+        await this.#accept(userId, documents, context);
+
+        for (const channel of MARKETING_CHANNELS) {
+            if (typeof marketing[channel] === 'boolean') {
+                await MarketingConsentModel.create({
+                    user_id: userId,
+                    channel,
+                    granted: marketing[channel],
+                    source: 'registration',
+                    ip_address: context.ip,
+                    user_agent: context.userAgent
+                });
+            }
+        }
+    }
+
+    /**
+     * Accept current document versions
+     * @param {number} userId - User ID
+     * @param {Object} versions - { terms_version, privacy_version }; only the types given are accepted
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} { accepted, pending }
+     */
+    static async acceptPolicies(userId, versions = {}, context = {}) {
+        const current = await PolicyModel.findCurrent();
+        const given = current.filter(document => versions[`${document.type}_version`] !== undefined);
+
+        const outdated = given.filter(document => versions[`${document.type}_version`] !== document.version);
+        if (outdated.length > 0) {
+            throw new AppError(
+                `${outdated.map(document => document.title).join(' and ')} ${outdated.length > 1 ? 'have' : 'has'} been updated. Please review the current version`,
+                409,
+                true,
+                'POLICY_VERSION_MISMATCH'
+            );
+        }
+        if (given.length === 0) {
+            throw new AppError('No current policy version was accepted', 400);
+        }
+
+        const accepted = await this.#accept(userId, given, context);
+        pendingCache.delete(userId);
+
+        return {
+            accepted,
+            pending: await this.getPendingPolicies(userId)
+        };
+    }
+
+    /**
+     * Everything the user has consented to
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { pending, acceptances, marketing }
+     */
+    static async getConsents(userId) {
+        const [pending, acceptances, marketing] = await Promise.all([
+            PolicyModel.findPendingForUser(userId),
+            PolicyModel.findAcceptancesByUserId(userId),
+            this.getMarketingConsent(userId)
+        ]);
+
+        return { pending, acceptances, marketing };
+    }
+
+    /**
+     * Current marketing opt-ins; channels never answered are off
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { email: boolean, sms: boolean }
+     */
+    static async getMarketingConsent(userId) {
+        const rows = await MarketingConsentModel.findCurrentByUserId(userId);
+        return Object.fromEntries(MARKETING_CHANNELS.map(channel => [
+            channel,
+            rows.some(row => row.channel === channel && row.granted)
+        ]));
+    }
+
+    /**
+     * Change marketing opt-ins
+     * @param {number} userId - User ID
+     * @param {Object} choices - { email, sms } booleans; missing channels are unchanged
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} Current opt-ins
+     */
+    static async updateMarketingConsent(userId, choices = {}, context = {}) {
+        const before = await this.getMarketingConsent(userId);
+        const changes = {};
+
+        for (const channel of MARKETING_CHANNELS) {
+            if (typeof choices[channel] === 'boolean' && choices[channel] !== before[channel]) {
+                await MarketingConsentModel.create({
+                    user_id: userId,
+                    channel,
+                    granted: choices[channel],
+                    source: 'settings',
+                    ip_address: context.ip,
+                    user_agent: context.userAgent
+                });
+                changes[channel] = { from: before[channel], to: choices[channel] };
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            await SecurityEventService.record(userId, 'marketing_consent_updated', context, null, changes);
+        }
+
+        return { ...before, ...Object.fromEntries(Object.entries(changes).map(([channel, change]) => [channel, change.to])) };
+    }
+
+    /**
+     * Acceptance and marketing history for the data export
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { acceptances, marketing, marketing_history }
+     */
+    static async getConsentRecords(userId) {
+        const [acceptances, marketing, history] = await Promise.all([
+            PolicyModel.findAcceptancesByUserId(userId),
+            this.getMarketingConsent(userId),
+            MarketingConsentModel.findHistoryByUserId(userId)
+        ]);
+
+        return { acceptances, marketing, marketing_history: history };
+    }
+
+    /**
+     * Every document version (admin)
+     * @returns {Promise<Array>} Documents with acceptance counts
+     */
+    static async listPolicies() {
+        return PolicyModel.findAll();
+    }
+
+    /**
+     * Publish a new document version. A mandatory version makes every
+     * user accept it before they can carry on using the API.
+     * @param {Object} document - { type, version, title, url, mandatory }
+     * @param {Object} context - Request context with actorId
+     * @returns {Promise<Object>} The new document
+     */
+    static async publishPolicy({ type, version, title, url, mandatory = true }, context = {}) {
+        if (!POLICY_TYPES.includes(type)) {
+            throw new AppError(`Policy type must be one of: ${POLICY_TYPES.join(', ')}`, 400);
+        }
+
+        let document;
+        try {
+            document = await PolicyModel.create({ type, version, title, url, mandatory, published_by: context.actorId });
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new AppError(`Version ${version} of this document already exists`, 409);
+            }
+            throw error;
+        }
+
+        pendingCache.clear();
+        await SecurityEventService.record(null, 'policy_published', context, {
+            document_id: document.id,
+            type,
+            version,
+            mandatory: document.mandatory
+        });
+
+        return document;
+    }
+
+    static async #accept(userId, documents, context) {
+        if (documents.length === 0) {
+            return [];
+        }
+
+        const rows = await PolicyModel.accept(userId, documents.map(document => document.id), {
+            ip_address: context.ip,
+            user_agent: context.userAgent
+        });
+
+        const accepted = documents.map(document => ({ type: document.type, version: document.version }));
+        if (rows.length > 0) {
+            await SecurityEventService.record(userId, 'policies_accepted', context, { documents: accepted });
+        }
+        return accepted;
+    }
+}
+
+module.exports = ConsentService;
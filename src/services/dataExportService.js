@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const UserModel = require('../models/userModel');
+const CompanyModel = require('../models/companyModel');
+const RoleModel = require('../models/roleModel');
+const SessionModel = require('../models/sessionModel');
+const SecurityEventModel = require('../models/securityEventModel');
+const KnownDeviceModel = require('../models/knownDeviceModel');
+const PasskeyModel = require('../models/passkeyModel');
+const TwoFactorModel = require('../models/twoFactorModel');
+const EmailOutboxModel = require('../models/emailOutboxModel');
+const SmsMessageModel = require('../models/smsMessageModel');
+const DataExportModel = require('../models/dataExportModel');
+const IdentityModel = require('../models/identityModel');
+const EmailService = require('./emailService');
+const CloudinaryService = require('./cloudinaryService');
+const SecurityEventService = require('./securityEventService');
+const ConsentService = require('./consentService');
+const { AppError } = require('../utils/errorHandler');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(process.cwd(), 'tmp', 'data-exports');
+const EXPIRES_IN_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_IN_HOURS) || 48;
+const POLL_MS = (parseInt(process.env.DATA_EXPORT_POLL_SECONDS) || 60) * 1000;
+const IMAGE_TIMEOUT_MS = 15000;
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const HISTORY_LIMIT = 1000;
+
+// What goes into an export. Each section adds a key to data.json and a
+// block to summary.txt; add new kinds of personal data here.
+const SECTIONS = [
+    {
+        key: 'account',
+        title: 'Account',
+        collect: async (user) => ({
+            ...user,
+            roles: await RoleModel.getRoleNamesForUser(user.id)
+        }),
+        summarize: (account) => [
+            `Name: ${account.full_name}`,
+            `Email: ${account.email} (${account.is_email_verified ? 'verified' : 'not verified'})`,
+            `Mobile: ${account.mobile_no || '-'} (${account.is_mobile_verified ? 'verified' : 'not verified'})`,
+            `Status: ${account.status}`,
+            `Roles: ${account.roles.join(', ') || '-'}`,
+            `Member since: ${formatDate(account.created_at)}`
+        ]
+    },
+    {
+        key: 'company',
+        title: 'Company profile',
+        collect: async (user) => (await CompanyModel.findByOwnerId(user.id)) || null,
+        summarize: (company) => (company
+            ? [
+                `Name: ${company.company_name}`,
+                `Industry: ${company.industry || '-'}`,
+                `Location: ${[company.city, company.state, company.country].filter(Boolean).join(', ') || '-'}`,
+                `Website: ${company.website || '-'}`
+            ]
+            : ['No company profile'])
+    },
+    {
+        key: 'images',
+        title: 'Uploaded images',
+        collect: async (user, { company }) => (company
+            ? [['logo', company.logo_url], ['banner', company.banner_url]]
+                .filter(([, url]) => url)
+                .map(([type, url]) => ({ type, url }))
+            : []),
+        summarize: (images) => (images.length
+            ? images.map(image => `${image.type}: ${image.url}${image.file ? ` (original in ${image.file})` : ''}`)
+            : ['No uploaded images'])
+    },
+    {
+        key: 'sessions',
+        title: 'Sessions',
+        collect: (user) => SessionModel.findAllByUserId(user.id),
+        summarize: (sessions) => [
+            `${sessions.length} sessions, ${sessions.filter(session => !session.revoked_at).length} still active`,
+            ...sessions.slice(0, 10).map(session => `${formatDate(session.created_at)}  ${session.ip_address || '-'}  ${session.user_agent || '-'}`)
+        ]
+    },
+    {
+        key: 'devices',
+        title: 'Known devices',
+        collect: (user) => KnownDeviceModel.findByUserId(user.id),
+        summarize: (devices) => (devices.length
+            ? devices.map(device => `${device.label} - ${device.location || 'unknown location'}, last seen ${formatDate(device.last_seen_at)}`)
+            : ['No known devices'])
+    },
+    {
+        key: 'security',
+        title: 'Sign-in security',
+        collect: async (user) => {
+            const twoFactor = await TwoFactorModel.findByUserId(user.id);
+            return {
+                two_factor_enabled_at: twoFactor ? twoFactor.enabled_at : null,
+                recovery_codes_remaining: twoFactor ? await TwoFactorModel.countRemainingRecoveryCodes(user.id) : 0,
+                passkeys: await PasskeyModel.findByUserId(user.id)
+            };
+        },
+        summarize: (security) => [
+            `Two-factor authentication: ${security.two_factor_enabled_at ? `enabled since ${formatDate(security.two_factor_enabled_at)}` : 'off'}`,
+            `Passkeys: ${security.passkeys.map(passkey => passkey.name).join(', ') || 'none'}`
+        ]
+    },
+    {
+        key: 'identities',
+        title: 'Linked accounts',
+        collect: (user) => IdentityModel.findByUserId(user.id),
+        summarize: (identities) => (identities.length
+            ? identities.map(identity => `${identity.provider}: ${identity.email || identity.subject}, linked ${formatDate(identity.created_at)}`)
+            : ['No linked accounts'])
+    },
+    {
+        key: 'security_events',
+        title: 'Account activity',
+        collect: (user) => SecurityEventModel.findByUserId(user.id, HISTORY_LIMIT),
+        summarize: (events) => [
+            `${events.length} recorded events (full list in data.json)`,
+            ...events.slice(0, 20).map(event => `${formatDate(event.created_at)}  ${event.event_type}  ${event.ip_address || ''}`.trim())
+        ]
+    },
+    {
+        key: 'consents',
+        title: 'Consents',
+        collect: (user) => ConsentService.getConsentRecords(user.id),
+        summarize: (consents) => [
+            ...consents.acceptances.map(acceptance => `Accepted ${acceptance.title} version ${acceptance.version} on ${formatDate(acceptance.accepted_at)} from ${acceptance.ip_address || 'unknown IP'}`),
+            `Marketing email: ${consents.marketing.email ? 'yes' : 'no'}`,
+            `Marketing text messages: ${consents.marketing.sms ? 'yes' : 'no'}`
+        ]
+    },
+    {
+        key: 'notifications',
+        title: 'Notifications sent to you',
+        collect: async (user) => ({
+            emails: await EmailOutboxModel.findByUserId(user.id, HISTORY_LIMIT),
+            sms: await SmsMessageModel.findByUserId(user.id, HISTORY_LIMIT)
+        }),
+        summarize: (notifications) => [
+            `Emails: ${notifications.emails.length}`,
+            `Text messages: ${notifications.sms.length}`
+        ]
+    }
+];
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+/**
+ * Data Export Service
+ * Builds a zip of everything held about a user (data.json, summary.txt and
+ * the original uploaded images) in the background, then emails a signed
+ * download link. Archives are deleted when the link expires.
+ */
+class DataExportService {
+    static SECTIONS = SECTIONS;
+
+    /**
+     * Queue an export for the user
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context (ip, userAgent, requestId)
+     * @returns {Promise<Object>} Export record
+     */
+    static async request(userId, context = {}) {
+        if (await DataExportModel.findOpenByUserId(userId)) {
+            throw new AppError('A data export is already being prepared', 409, true, 'DATA_EXPORT_IN_PROGRESS');
+        }
+
+        const dataExport = await DataExportModel.create({
+            id: crypto.randomUUID(),
+            user_id: userId,
+            requested_ip: context.ip
+        });
+
+        await SecurityEventService.record(userId, 'data_export_requested', context, { export_id: dataExport.id });
+
+        // Start right away rather than waiting for the next worker tick
+        setImmediate(() => {
+            this.processPending().catch(error => {
+                console.error('Data export processing failed:', error.message);
+            });
+        });
+
+        return dataExport;
+    }
+
+    /**
+     * A user's recent exports, with a download link for ready ones
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Exports, newest first
+     */
+    static async list(userId) {
+        const exports = await DataExportModel.findByUserId(userId);
+        return exports.map(dataExport => ({
+            ...dataExport,
+            download_url: dataExport.status === 'ready' ? this.#downloadUrl(dataExport) : null
+        }));
+    }
+
+    /**
+     * Check a signed download link
+     * @param {string} id - Export ID
+     * @param {Object} link - { expires, signature } from the query string
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} { filePath, fileName }
+     */
+    static async getDownload(id, { expires, signature } = {}, context = {}) {
+        if (!this.#verifySignature(id, expires, signature)) {
+            throw new AppError('Invalid download link', 403, true, 'DATA_EXPORT_LINK_INVALID');
+        }
+
+        const dataExport = await DataExportModel.findById(id);
+        if (!dataExport || dataExport.status === 'expired' || new Date(dataExport.expires_at) <= new Date()
+            || parseInt(expires) * 1000 <= Date.now()) {
+            throw new AppError('This download link has expired', 410, true, 'DATA_EXPORT_EXPIRED');
+        }
+        if (dataExport.status !== 'ready') {
+            throw new AppError('Invalid download link', 403, true, 'DATA_EXPORT_LINK_INVALID');
+        }
+
+        await SecurityEventService.record(dataExport.user_id, 'data_export_downloaded', context, { export_id: id });
+
+        return {
+            filePath: dataExport.file_path,
+            fileName: `account-data-${new Date(dataExport.completed_at).toISOString().slice(0, 10)}.zip`
+        };
+    }
+
+    /**
+     * Build every queued export
+     * @returns {Promise<number>} Number of exports attempted
+     */
+    static async processPending() {
+        let processed = 0;
+
+        for (let dataExport = await DataExportModel.claimNext(); dataExport; dataExport = await DataExportModel.claimNext()) {
+            processed++;
+            try {
+                await this.#build(dataExport);
+            } catch (error) {
+                console.error(`Data export ${dataExport.id} failed:`, error.message);
+                await DataExportModel.markFailed(dataExport.id, error.message);
+                await this.#removeFile(this.#filePath(dataExport.id));
+            }
+        }
+
+        return processed;
+    }
+
+    /**
+     * Delete archives whose link has expired
+     * @returns {Promise<number>} Number of archives removed
+     */
+    static async removeExpired() {
+        const expired = await DataExportModel.findExpired();
+        for (const dataExport of expired) {
+            await this.#removeFile(dataExport.file_path);
+            await DataExportModel.markExpired(dataExport.id);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Delete a user's archives from disk (account purge); the rows go with the user
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Number of archives removed
+     */
+    static async deleteForUser(userId) {
+        const filePaths = await DataExportModel.findFilePathsByUserId(userId);
+        await Promise.all(filePaths.map(filePath => this.#removeFile(filePath)));
+        return filePaths.length;
+    }
+
+    /**
+     * Build queued exports and clean up expired ones periodically
+     * @returns {NodeJS.Timeout} Interval handle
+     */
+    static startExportWorker() {
+        const timer = setInterval(() => {
+            this.processPending()
+                .then(() => this.removeExpired())
+                .catch(error => {
+                    console.error('Data export worker failed:', error.message);
+                });
+        }, POLL_MS);
+
+        // Don't keep the process alive just for exports
+        timer.unref();
+        return timer;
+    }
+
+    static async #build(dataExport) {
+        const user = await UserModel.findById(dataExport.user_id);
+        if (!user) {
+            throw new Error('User no longer exists');
+        }
+
+        const generatedAt = new Date();
+        const data = {
+            export_id: dataExport.id,
+            generated_at: generatedAt.toISOString()
+        };
+        for (const section of SECTIONS) {
+            data[section.key] = await section.collect(user, data);
+        }
+
+        const images = await this.#downloadImages(data.images || []);
+
+        const filePath = this.#filePath(dataExport.id);
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+        await this.#writeArchive(filePath, [
+            { name: 'data.json', content: JSON.stringify(data, null, 2) },
+            { name: 'summary.txt', content: this.#summarize(data) },
+            ...images
+        ]);
+
+        const { size } = await fs.promises.stat(filePath);
+        const expiresAt = new Date(generatedAt.getTime() + EXPIRES_IN_HOURS * 60 * 60 * 1000);
+        const ready = await DataExportModel.markReady(dataExport.id, filePath, size, expiresAt);
+
+        await SecurityEventService.record(user.id, 'data_export_ready', {}, { export_id: dataExport.id, file_size: size });
+
+        await EmailService.send({
+            to: user.email,
+            template: 'dataExportReady',
+            userId: user.id,
+            params: {
+                name: user.full_name,
+                downloadUrl: this.#downloadUrl(ready),
+                expiresAt
+            }
+        });
+    }
+
+    // Fetch the originals of uploaded images. Only URLs on this account's
+    // Cloudinary cloud are fetched, without following redirects. An image
+    // that cannot be fetched is left out; its URL is still listed in data.json.
+    static async #downloadImages(images) {
+        const files = [];
+
+        for (const image of images) {
+            if (!CloudinaryService.isDeliveryUrl(image.url)) {
+                image.error = 'Not an uploaded image';
+                continue;
+            }
+
+            try {
+                const response = await fetch(image.url, {
+                    redirect: 'error',
+                    signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS)
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                if (parseInt(response.headers.get('content-length')) > IMAGE_MAX_BYTES) {
+                    throw new Error('Image too large');
+                }
+
+                const content = Buffer.from(await response.arrayBuffer());
+                if (content.length > IMAGE_MAX_BYTES) {
+                    throw new Error('Image too large');
+                }
+
+                const extension = path.extname(new URL(image.url).pathname) || '.jpg';
+                image.file = `images/${image.type}${extension}`;
+                files.push({ name: image.file, content });
+            } catch (error) {
+                console.error(`Fetching ${image.type} image for data export failed:`, error.message);
+                image.error = 'Original could not be downloaded';
+            }
+        }
+
+        return files;
+    }
+
+    static #summarize(data) {
+        const blocks = SECTIONS.map(section => [
+            section.title,
+            '-'.repeat(section.title.length),
+            ...section.summarize(data[section.key])
+        ].join('\n'));
+
+        return [
+            'Your account data',
+            `Generated ${formatDate(data.generated_at)} UTC. The complete data is in data.json.`,
+            ...blocks
+        ].join('\n\n') + '\n';
+    }
+
+    static #writeArchive(filePath, entries) {
+        return new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(filePath);
+            const archive = archiver('zip', { zlib: { level: 9 } });
+
+            output.on('close', resolve);
+            output.on('error', reject);
+            archive.on('error', reject);
+
+            archive.pipe(output);
+            for (const entry of entries) {
+                archive.append(entry.content, { name: entry.name });
+            }
+            archive.finalize();
+        });
+    }
+
+    static #filePath(id) {
+        return path.join(EXPORT_DIR, `${id}.zip`);
+    }
+
+    static async #removeFile(filePath) {
+        if (!filePath) {
+            return;
+        }
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Removing data export ${filePath} failed:`, error.message);
+            }
+        }
+    }
+
+    // Links stop working with the archive; the signature covers both the
+    // export id and the expiry so neither can be changed
+    static #downloadUrl(dataExport) {
+        const expires = Math.floor(new Date(dataExport.expires_at).getTime() / 1000);
+        const signature = this.#sign(dataExport.id, expires);
+        return `${API_URL}/api/auth/data-export/${dataExport.id}/download?expires=${expires}&signature=${signature}`;
+    }
+
+    static #sign(id, expires) {
+        const secret = process.env.DATA_EXPORT_SIGNING_SECRET || process.env.JWT_SECRET;
+        return crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('hex');
+    }
+
+    static #verifySignature(id, expires, signature) {
+        if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.#sign(id, expires));
+        const received = Buffer.from(signature);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+}
+
+module.exports = DataExportService;
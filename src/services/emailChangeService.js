@@ -0,0 +1,174 @@
+const EmailChangeModel = require('../models/emailChangeModel');
+const UserModel = require('../models/userModel');
+const EmailService = require('./emailService');
+const FirebaseSyncService = require('./firebaseSyncService');
+const SecurityEventService = require('./securityEventService');
+const ReauthService = require('./reauthService');
+const { getClient } = require('../config/database');
+const { AppError } = require('../utils/errorHandler');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const EMAIL_CHANGE_EXPIRES_IN_HOURS = parseInt(process.env.EMAIL_CHANGE_EXPIRES_IN_HOURS) || 24;
+
+/**
+ * Email Change Service
+ * Changes a user's email only after the new address is confirmed; the old
+ * address is notified and can cancel while the change is pending
+ */
+class EmailChangeService {
+    /**
+     * Request a change (requires the account password, or a recent sign-in without one)
+     * @param {number} userId - User ID
+     * @param {string} password - Current password
+     * @param {string} newEmail - Requested address (normalized)
+     * @param {Object} context - Request context (ip, userAgent, token)
+     * @returns {Promise<Object>} { newEmail, expiresAt }
+     */
+    static async request(userId, password, newEmail, context = {}) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        await ReauthService.confirm(userId, password, context.token);
+
+        if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+            throw new AppError('New email must be different from your current email', 400);
+        }
+
+        if (await UserModel.emailExists(newEmail)) {
+            throw new AppError('Email is already in use', 409, true, 'EMAIL_IN_USE');
+        }
+
+        const confirmToken = generateRandomToken(32);
+        const cancelToken = generateRandomToken(32);
+        const request = await EmailChangeModel.create({
+            user_id: userId,
+            old_email: user.email,
+            new_email: newEmail,
+            confirm_token_hash: hashToken(confirmToken),
+            cancel_token_hash: hashToken(cancelToken),
+            expires_at: new Date(Date.now() + EMAIL_CHANGE_EXPIRES_IN_HOURS * 60 * 60 * 1000)
+        });
+
+        await EmailService.send({
+            to: newEmail,
+            template: 'emailChangeConfirm',
+            userId,
+            params: {
+                name: user.full_name,
+                newEmail,
+                confirmUrl: `${API_URL}/api/auth/change-email/confirm/${confirmToken}`,
+                expiresInHours: EMAIL_CHANGE_EXPIRES_IN_HOURS
+            }
+        });
+        await EmailService.send({
+            to: user.email,
+            template: 'emailChangeNotice',
+            userId,
+            params: {
+                name: user.full_name,
+                newEmail,
+                cancelUrl: `${API_URL}/api/auth/change-email/cancel/${cancelToken}`
+            }
+        });
+
+        await SecurityEventService.record(userId, 'email_change_requested', context, { new_email: newEmail });
+
+        return {
+            newEmail: request.new_email,
+            expiresAt: request.expires_at
+        };
+    }
+
+    /**
+     * Pending change for a user, if any
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} { newEmail, expiresAt }
+     */
+    static async getPending(userId) {
+        const request = await EmailChangeModel.findPendingByUserId(userId);
+        return request ? { newEmail: request.new_email, expiresAt: request.expires_at } : null;
+    }
+
+    /**
+     * Apply a change from the link sent to the new address. Clicking it
+     * proves ownership, so the new address is marked verified
+     * @param {string} rawToken - Confirm token
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} { userId, email }
+     */
+    static async confirm(rawToken, context = {}) {
+        const client = await getClient();
+        let request;
+
+        try {
+            await client.query('BEGIN');
+
+            request = await EmailChangeModel.confirm(hashToken(rawToken), client);
+            if (!request) {
+                throw new AppError('Invalid or expired email change link', 400, true, 'EMAIL_CHANGE_TOKEN_INVALID');
+            }
+
+            // The address may have been taken since the request was made
+            if (await UserModel.emailExists(request.new_email)) {
+                throw new AppError('Email is already in use', 409, true, 'EMAIL_IN_USE');
+            }
+
+            // Another change (or an admin edit) may have replaced the address
+            // this request was made for; the link must not apply on top of it
+            const updated = await UserModel.updateEmail(request.user_id, request.old_email, request.new_email, client);
+            if (!updated) {
+                throw new AppError('This email change request is out of date', 409, true, 'EMAIL_CHANGE_STALE');
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                throw new AppError('Email is already in use', 409, true, 'EMAIL_IN_USE');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await this.#syncFirebase(request);
+        await SecurityEventService.record(request.user_id, 'email_changed', context, {
+            old_email: request.old_email,
+            new_email: request.new_email
+        });
+
+        return {
+            userId: request.user_id,
+            email: request.new_email
+        };
+    }
+
+    /**
+     * Cancel a pending change from the link sent to the old address
+     * @param {string} rawToken - Cancel token
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async cancel(rawToken, context = {}) {
+        const request = await EmailChangeModel.cancel(hashToken(rawToken));
+        if (!request) {
+            throw new AppError('Invalid or already used email change link', 400, true, 'EMAIL_CHANGE_TOKEN_INVALID');
+        }
+
+        await SecurityEventService.record(request.user_id, 'email_change_cancelled', context, {
+            new_email: request.new_email
+        });
+    }
+
+    // Mirror the new address to Firebase; PostgreSQL stays the source of truth.
+    // An account not linked yet is still under the old address in Firebase.
+    static async #syncFirebase(request) {
+        const user = await UserModel.findById(request.user_id);
+        if (user) {
+            await FirebaseSyncService.updateUser(user, { email: request.new_email, emailVerified: true }, { lookupEmail: request.old_email });
+        }
+    }
+}
+
+module.exports = EmailChangeService;
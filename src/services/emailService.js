@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const EmailOutboxModel = require('../models/emailOutboxModel');
+const { createTransport } = require('../utils/emailTransports');
+const { render } = require('../templates/email');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const EMAIL_RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const EMAIL_OUTBOX_POLL_MS = (parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS) || 30) * 1000;
+
+/**
+ * Email Service
+ * Renders templates into a persisted outbox and delivers them through the
+ * configured transport (EMAIL_TRANSPORT: smtp or file). Failed deliveries
+ * are retried with exponential backoff by the outbox worker.
+ * The file transport keeps links in plain text, so it is only the default in
+ * development; elsewhere EMAIL_TRANSPORT must be set
+ */
+class EmailService {
+    static #transport = null;
+
+    /**
+     * Configured transport
+     * @returns {Object} Transport instance
+     */
+    static getTransport() {
+        if (!this.#transport) {
+            const name = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'file' : null);
+            if (!name) {
+                throw new Error('Missing required environment variable: EMAIL_TRANSPORT (smtp or file)');
+            }
+            this.#transport = createTransport(name);
+        }
+        return this.#transport;
+    }
+
+    /**
+     * Replace the transport (e.g. a FileTransport pointed at a test outbox)
+     * @param {Object} transport - Object with a send(message) method
+     */
+    static setTransport(transport) {
+        this.#transport = transport;
+    }
+
+    /**
+     * Queue a templated email and make the first delivery attempt.
+     * Delivery failures do not throw; the message stays queued for retry
+     * @param {Object} message - { to, template, params, userId }
+     * @returns {Promise<Object>} { id, status }
+     */
+    static async send({ to, template, params = {}, userId = null }) {
+        const { subject, html, text } = render(template, params);
+        const id = crypto.randomUUID();
+
+        await EmailOutboxModel.create({
+            id,
+            user_id: userId,
+            to_address: to,
+            template,
+            subject,
+            payload: encrypt(JSON.stringify({ html, text })),
+            max_attempts: EMAIL_MAX_ATTEMPTS
+        });
+
+        const message = await EmailOutboxModel.claim(id);
+        const status = message ? await this.#deliver(message) : 'pending';
+
+        return { id, status };
+    }
+
+    /**
+     * Deliver messages whose retry time has come
+     * @returns {Promise<number>} Number of messages attempted
+     */
+    static async processOutbox() {
+        const messages = await EmailOutboxModel.claimDue();
+        for (const message of messages) {
+            await this.#deliver(message);
+        }
+        return messages.length;
+    }
+
+    /**
+     * Poll the outbox in the background
+     * @returns {Object} Interval timer
+     */
+    static startOutboxWorker() {
+        // Fail at startup rather than on the first email
+        this.getTransport();
+
+        const timer = setInterval(() => {
+            this.processOutbox().catch(error => {
+                console.error('Email outbox processing failed:', error.message);
+            });
+        }, EMAIL_OUTBOX_POLL_MS);
+
+        // Don't keep the process alive just for the outbox
+        timer.unref();
+        return timer;
+    }
+
+    /**
+     * Delivery log for a user
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Messages, newest first
+     */
+    static async getDeliveryLog(userId) {
+        return EmailOutboxModel.findByUserId(userId);
+    }
+
+    // Attempt one delivery of a claimed message and record the outcome
+    static async #deliver(message) {
+        const transport = this.getTransport();
+
+        try {
+            const { html, text } = JSON.parse(decrypt(message.payload));
+            const { providerMessageId = null } = await transport.send({
+                id: message.id,
+                from: process.env.EMAIL_FROM || `${process.env.APP_NAME || 'Auths'} <no-reply@localhost>`,
+                to: message.to_address,
+                subject: message.subject,
+                html,
+                text,
+                template: message.template
+            }) || {};
+
+            await EmailOutboxModel.markSent(message.id, transport.name, providerMessageId);
+            return 'sent';
+        } catch (error) {
+            const retry = error.transient && message.attempts < message.max_attempts;
+            const nextAttemptAt = retry
+                ? new Date(Date.now() + EMAIL_RETRY_BASE_SECONDS * 1000 * 2 ** (message.attempts - 1))
+                : null;
+
+            await EmailOutboxModel.markFailed(message.id, transport.name, error.message, nextAttemptAt);
+            console.error(` Email ${message.id} to ${message.to_address} failed (attempt ${message.attempts}):`, error.message);
+            return retry ? 'pending' : 'failed';
+        }
+    }
+}
+
+module.exports = EmailService;
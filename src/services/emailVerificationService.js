@@ -0,0 +1,111 @@
+const EmailVerificationTokenModel = require('../models/emailVerificationTokenModel');
+const UserModel = require('../models/userModel');
+const EmailService = require('./emailService');
+const FirebaseSyncService = require('./firebaseSyncService');
+const SecurityEventService = require('./securityEventService');
+const { getClient } = require('../config/database');
+const { AppError } = require('../utils/errorHandler');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const EMAIL_VERIFICATION_EXPIRES_IN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN_HOURS) || 24;
+
+/**
+ * Email Verification Service
+ * Issues single-use verification links (stored hashed) and applies them
+ */
+class EmailVerificationService {
+    /**
+     * Issue a new verification link and email it. Older unused links stop working
+     * @param {Object} user - User row (id, email, full_name)
+     * @returns {Promise<Object>} { email, expiresAt }
+     */
+    static async issue(user) {
+        const rawToken = generateRandomToken(32);
+        const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_IN_HOURS * 60 * 60 * 1000);
+
+        await EmailVerificationTokenModel.create(user.id, hashToken(rawToken), user.email, expiresAt);
+
+        await EmailService.send({
+            to: user.email,
+            template: 'emailVerification',
+            userId: user.id,
+            params: {
+                name: user.full_name,
+                verificationUrl: `${API_URL}/api/auth/verify-email/${rawToken}`,
+                expiresInHours: EMAIL_VERIFICATION_EXPIRES_IN_HOURS
+            }
+        });
+
+        return {
+            email: user.email,
+            expiresAt
+        };
+    }
+
+    /**
+     * Apply a verification link
+     * @param {string} rawToken - Token from the link
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} { userId, email }
+     */
+    static async verify(rawToken, context = {}) {
+        const tokenHash = hashToken(rawToken);
+        const client = await getClient();
+        let consumed;
+
+        try {
+            await client.query('BEGIN');
+
+            consumed = await EmailVerificationTokenModel.consume(tokenHash, client);
+            if (!consumed) {
+                await client.query('ROLLBACK');
+                throw await this.#rejection(tokenHash);
+            }
+
+            // The link only verifies the address it was sent to
+            const user = await UserModel.findById(consumed.user_id);
+            if (!user || user.email.toLowerCase() !== consumed.email.toLowerCase()) {
+                await client.query('ROLLBACK');
+                throw new AppError('Invalid verification link', 400, true, 'VERIFICATION_TOKEN_INVALID');
+            }
+
+            await UserModel.updateEmailVerification(consumed.user_id, true, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            if (!(error instanceof AppError)) {
+                await client.query('ROLLBACK');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await SecurityEventService.record(consumed.user_id, 'email_verified', context, { email: consumed.email });
+        await this.#syncFirebase(consumed.user_id);
+
+        return {
+            userId: consumed.user_id,
+            email: consumed.email
+        };
+    }
+
+    // Explain why a token could not be used
+    static async #rejection(tokenHash) {
+        const token = await EmailVerificationTokenModel.findByHash(tokenHash);
+        if (token && !token.used_at && new Date(token.expires_at) <= new Date()) {
+            return new AppError('Verification link has expired. Please request a new one', 400, true, 'VERIFICATION_TOKEN_EXPIRED');
+        }
+        return new AppError('Invalid verification link', 400, true, 'VERIFICATION_TOKEN_INVALID');
+    }
+
+    // Mirror the verified flag to Firebase; PostgreSQL stays the source of truth
+    static async #syncFirebase(userId) {
+        const user = await UserModel.findById(userId);
+        if (user) {
+            await FirebaseSyncService.updateUser(user, { emailVerified: true });
+        }
+    }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const UserModel = require('../models/userModel');
+const FirebaseService = require('./firebaseService');
+const SecurityEventService = require('./securityEventService');
+const { AppError } = require('../utils/errorHandler');
+
+const FIREBASE_ISSUER_PREFIX = 'https://securetoken.google.com/';
+
+/**
+ * Firebase Login Service
+ * Accepts Firebase ID tokens (from the Firebase client SDKs) as a
+ * credential. The token's Firebase UID is resolved to a Postgres user,
+ * linking an existing account by verified email or creating a new one.
+ */
+class FirebaseLoginService {
+    /**
+     * Whether protect() should accept Firebase ID tokens as well as our own
+     * @returns {boolean}
+     */
+    static acceptsIdTokensInProtect() {
+        return process.env.ACCEPT_FIREBASE_ID_TOKENS === 'true';
+    }
+
+    /**
+     * Cheap check, without verifying, whether a bearer token was issued by
+     * Firebase for our project rather than by us
+     * @param {string} token - Bearer token
+     * @returns {boolean}
+     */
+    static isFirebaseIdToken(token) {
+        const payload = jwt.decode(token);
+        return Boolean(payload)
+            && typeof payload.iss === 'string'
+            && payload.iss === `${FIREBASE_ISSUER_PREFIX}${FirebaseService.getProjectId()}`;
+    }
+
+    /**
+     * Verify a Firebase ID token and find, link or create its Postgres user
+     * @param {string} idToken - Firebase ID token
+     * @param {Object} context - Request context (ip, userAgent)
+     * @param {Object} options - { checkRevoked } to also ask Firebase about revocation
+     * @returns {Promise<Object>} { user, claims }
+     */
+    static async resolveUser(idToken, context = {}, { checkRevoked = false } = {}) {
+        const claims = await this.#verify(idToken, checkRevoked);
+
+        const linked = await UserModel.findByFirebaseUid(claims.firebaseUID);
+        if (linked) {
+            return { user: linked, claims };
+        }
+
+        if (!claims.email) {
+            throw new AppError('This Firebase account has no email address', 400, true, 'FIREBASE_EMAIL_REQUIRED');
+        }
+
+        try {
+            const user = await this.#linkByEmail(claims, context) || await this.#createUser(claims, context);
+            return { user, claims };
+        } catch (error) {
+            // A parallel request for the same account got there first
+            if (error.code === '23505') {
+                const user = await UserModel.findByFirebaseUid(claims.firebaseUID);
+                if (user) {
+                    return { user, claims };
+                }
+            }
+            throw error;
+        }
+    }
+
+    static async #verify(idToken, checkRevoked) {
+        try {
+            return await FirebaseService.verifyIdToken(idToken, checkRevoked);
+        } catch (error) {
+            if (error.message === 'Token has expired') {
+                throw new AppError('Firebase ID token has expired', 401, true, 'TOKEN_EXPIRED');
+            }
+            throw new AppError('Invalid Firebase ID token', 401, true, 'FIREBASE_TOKEN_INVALID');
+        }
+    }
+
+    // Existing account with the same email. Only a verified Firebase email
+    // proves ownership; an account tied to another Firebase user is refused.
+    static async #linkByEmail(claims, context) {
+        const existing = await UserModel.findByEmail(claims.email.toLowerCase());
+        if (!existing) {
+            return null;
+        }
+
+        if (existing.firebase_uid && existing.firebase_uid !== claims.firebaseUID) {
+            throw new AppError('This email belongs to an account linked to a different Firebase user', 409, true, 'FIREBASE_ACCOUNT_MISMATCH');
+        }
+        if (!claims.emailVerified) {
+            throw new AppError('Verify your email address in the app before signing in', 403, true, 'FIREBASE_EMAIL_UNVERIFIED');
+        }
+
+        await UserModel.setFirebaseUid(existing.id, claims.firebaseUID);
+        await SecurityEventService.record(existing.id, 'firebase_account_linked', context, {
+            firebase_uid: claims.firebaseUID,
+            sign_in_provider: claims.signInProvider || null
+        });
+
+        const { password: _, ...user } = existing;
+        return { ...user, firebase_uid: claims.firebaseUID };
+    }
+
+    static async #createUser(claims, context) {
+        const email = claims.email.toLowerCase();
+
+        const user = await UserModel.createFederated({
+            email,
+            full_name: (claims.name || email.split('@')[0]).slice(0, 255),
+            signup_type: 'f',
+            is_email_verified: Boolean(claims.emailVerified),
+            firebase_uid: claims.firebaseUID
+        });
+
+        await SecurityEventService.record(user.id, 'account_registered', context, {
+            signup_type: 'f',
+            sign_in_provider: claims.signInProvider || null
+        });
+
+        return user;
+    }
+}
+
+module.exports = FirebaseLoginService;
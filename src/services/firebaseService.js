@@ -1,6 +1,9 @@
 
 require('dotenv').config();
 const admin = require('firebase-admin');
+const OtpService = require('./otpService');
+const SmsService = require('./smsService');
+const { AppError } = require('../utils/errorHandler');
 
 /**
  * Firebase Authentication Service
@@ -19,6 +22,16 @@ class FirebaseAuthService {
             return;
         }
 
+        // Auth emulator (FIREBASE_AUTH_EMULATOR_HOST): no credentials needed
+        // and the SDK accepts the emulator's unsigned ID tokens
+        if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+            admin.initializeApp({ projectId: this.getProjectId() });
+            this.#auth = admin.auth();
+            this.#initialized = true;
+            console.log(` Firebase Auth SDK using emulator at ${process.env.FIREBASE_AUTH_EMULATOR_HOST}`);
+            return;
+        }
+
         try {
             // Validate required environment variables
             const requiredEnvVars = [
@@ -84,14 +97,16 @@ class FirebaseAuthService {
      */
     static async createUser(userData) {
         try {
-            const { email, password, displayName, phoneNumber } = userData;
+            const { uid, email, password, displayName, phoneNumber, emailVerified = false, disabled = false } = userData;
 
             const userRecord = await this.getAuth().createUser({
+                ...(uid && { uid }),
                 email,
-                password,
+                ...(password && { password }),
                 displayName,
                 phoneNumber,
-                emailVerified: false
+                emailVerified,
+                disabled
             });
 
             console.log(' Firebase user created:', userRecord.uid);
@@ -166,6 +181,39 @@ class FirebaseAuthService {
         }
     }
 
+    /**
+     * Look up several Firebase users at once (max 100 identifiers)
+     * Identifiers are { uid } or { email }; returns { found, notFound }
+     */
+    static async getUsers(identifiers) {
+        try {
+            const result = await this.getAuth().getUsers(identifiers);
+            return {
+                found: result.users.map(userRecord => this.#toUser(userRecord)),
+                notFound: result.notFound
+            };
+        } catch (error) {
+            console.error(' Get users failed:', error.message);
+            throw new Error(`Get users failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Page through all Firebase users (up to 1000 per page)
+     */
+    static async listUsers(pageToken = undefined, maxResults = 1000) {
+        try {
+            const result = await this.getAuth().listUsers(maxResults, pageToken);
+            return {
+                users: result.users.map(userRecord => this.#toUser(userRecord)),
+                pageToken: result.pageToken
+            };
+        } catch (error) {
+            console.error(' List users failed:', error.message);
+            throw new Error(`List users failed: ${error.message}`);
+        }
+    }
+
     /**
      * Update Firebase user
      */
@@ -182,7 +230,10 @@ class FirebaseAuthService {
             };
         } catch (error) {
             console.error(' Firebase user update failed:', error.message);
-            throw new Error(`User update failed: ${error.message}`);
+            // Keep the auth/... code so callers can tell a missing user apart
+            const wrapped = new Error(`User update failed: ${error.message}`);
+            wrapped.code = error.code;
+            throw wrapped;
         }
     }
 
@@ -196,22 +247,28 @@ class FirebaseAuthService {
             return true;
         } catch (error) {
             console.error(' Firebase user deletion failed:', error.message);
-            throw new Error(`User deletion failed: ${error.message}`);
+            // Keep the auth/... code so callers can tell a missing user apart
+            const wrapped = new Error(`User deletion failed: ${error.message}`);
+            wrapped.code = error.code;
+            throw wrapped;
         }
     }
 
     /**
      * Verify Firebase ID token
+     * checkRevoked also asks Firebase whether the session was revoked (one extra request)
      */
-    static async verifyIdToken(idToken) {
+    static async verifyIdToken(idToken, checkRevoked = false) {
         try {
-            const decodedToken = await this.getAuth().verifyIdToken(idToken);
+            const decodedToken = await this.getAuth().verifyIdToken(idToken, checkRevoked);
             return {
                 firebaseUID: decodedToken.uid,
                 email: decodedToken.email,
                 emailVerified: decodedToken.email_verified,
                 phoneNumber: decodedToken.phone_number,
                 name: decodedToken.name,
+                signInProvider: decodedToken.firebase?.sign_in_provider,
+                authTime: decodedToken.auth_time,
                 iat: decodedToken.iat,
                 exp: decodedToken.exp
             };
@@ -265,36 +322,35 @@ class FirebaseAuthService {
     // =========================
 
     /**
-     * Send SMS OTP (Mock implementation for development)
-     * In production, integrate with Firebase Auth Phone verification
-     * or a service like Twilio
+     * Send SMS OTP
+     * Codes are persisted (hashed) by OtpService and delivered through
+     * SmsService; a code that cannot be delivered is discarded
      */
-    static async sendSMSOTP(phoneNumber) {
+    static async sendSMSOTP(phoneNumber, { purpose = 'mobile_verification', userId = null, locale = null } = {}) {
         try {
-            // Generate mock OTP for development
-            const mockOTP = Math.floor(100000 + Math.random() * 900000).toString();
-            const verificationId = `verify_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            
-            // Store OTP temporarily (use Redis in production)
-            global.otpStore = global.otpStore || {};
-            global.otpStore[verificationId] = {
-                otp: mockOTP,
-                phoneNumber,
-                timestamp: Date.now(),
-                expires: Date.now() + (5 * 60 * 1000) // 5 minutes
-            };
-            
-            console.log(` Mock SMS OTP for ${phoneNumber}: ${mockOTP}`);
-            console.log(` Verification ID: ${verificationId}`);
-            
-            // const verificationId = await admin.auth().createCustomToken(uid);
-            
-            return { 
+            const { verificationId, code, expiresAt, expiresInMinutes } = await OtpService.issue({ phoneNumber, purpose, userId });
+
+            try {
+                await SmsService.send({
+                    to: phoneNumber,
+                    template: `otp_${purpose}`,
+                    params: { code, minutes: expiresInMinutes },
+                    locale,
+                    userId
+                });
+            } catch (error) {
+                await OtpService.discard(verificationId);
+                throw error;
+            }
+
+            return {
                 verificationId,
-                // Remove otp from response in production
-                otp: mockOTP // Only for development testing
+                expiresAt
             };
         } catch (error) {
+            if (error instanceof AppError) {
+                throw error;
+            }
             console.error(' SMS OTP generation failed:', error.message);
             throw new Error(`SMS OTP failed: ${error.message}`);
         }
@@ -303,32 +359,12 @@ class FirebaseAuthService {
     /**
      * Verify SMS OTP
      */
-    static async verifySMSOTP(verificationId, otp) {
+    static async verifySMSOTP(verificationId, otp, { purpose = 'mobile_verification', userId = null, phoneNumber = null } = {}) {
         try {
-            global.otpStore = global.otpStore || {};
-            const storedOTP = global.otpStore[verificationId];
-            
-            if (!storedOTP) {
-                throw new Error('Invalid or expired verification ID');
-            }
-            
-            if (Date.now() > storedOTP.expires) {
-                delete global.otpStore[verificationId];
-                throw new Error('OTP has expired');
-            }
-            
-            if (storedOTP.otp !== otp) {
-                throw new Error('Invalid OTP');
-            }
-            
-            // Clean up
-            delete global.otpStore[verificationId];
-            
+            const result = await OtpService.verify(verificationId, otp, { purpose, userId, phoneNumber });
+
             console.log(' SMS OTP verified successfully');
-            return { 
-                verified: true, 
-                phoneNumber: storedOTP.phoneNumber 
-            };
+            return result;
         } catch (error) {
             console.error(' OTP verification failed:', error.message);
             throw error;
@@ -346,6 +382,24 @@ class FirebaseAuthService {
         return this.#initialized;
     }
 
+    /**
+     * Firebase project ID (the emulator accepts any demo-* project)
+     */
+    static getProjectId() {
+        return process.env.FIREBASE_ADMIN_PROJECT_ID || (process.env.FIREBASE_AUTH_EMULATOR_HOST ? 'demo-project' : undefined);
+    }
+
+    static #toUser(userRecord) {
+        return {
+            firebaseUID: userRecord.uid,
+            email: userRecord.email,
+            displayName: userRecord.displayName,
+            phoneNumber: userRecord.phoneNumber,
+            emailVerified: userRecord.emailVerified,
+            disabled: userRecord.disabled
+        };
+    }
+
     /**
      * Get Firebase configuration
      */
@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const { parsePhoneNumber } = require('libphonenumber-js');
+const UserModel = require('../models/userModel');
+const FirebaseSyncJobModel = require('../models/firebaseSyncJobModel');
+const FirebaseService = require('./firebaseService');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { AppError } = require('../utils/errorHandler');
+
+const FIREBASE_SYNC_MAX_ATTEMPTS = parseInt(process.env.FIREBASE_SYNC_MAX_ATTEMPTS) || 8;
+const FIREBASE_SYNC_RETRY_BASE_SECONDS = parseInt(process.env.FIREBASE_SYNC_RETRY_BASE_SECONDS) || 60;
+const FIREBASE_SYNC_POLL_MS = (parseInt(process.env.FIREBASE_SYNC_POLL_SECONDS) || 60) * 1000;
+
+// Firebase's getUsers() takes at most 100 identifiers
+const RECONCILE_BATCH_SIZE = 100;
+
+/**
+ * Firebase Sync Service
+ * Mirrors account changes to the user's Firebase Auth record, found by the
+ * stored firebase_uid. PostgreSQL is the source of truth: a change Firebase
+ * does not accept right away is queued and retried by the sync worker, and
+ * reconcile() finds and repairs whatever drifted anyway.
+ * Sync calls never throw; they resolve to 'created', 'updated', 'deleted',
+ * 'not_found', 'conflict', 'queued' or 'failed'.
+ */
+class FirebaseSyncService {
+    /**
+     * Create the Firebase user for a new account and store its UID
+     * @param {Object} user - User row
+     * @param {string} password - Plain password, so Firebase sign-in works too
+     * @returns {Promise<string>} Outcome
+     */
+    static async createUser(user, password = null) {
+        return this.#sync('create', user, { password });
+    }
+
+    /**
+     * Apply changes to the user's Firebase account
+     * @param {Object} user - User row (id, email, firebase_uid, is_email_verified)
+     * @param {Object} changes - Firebase fields, e.g. { password } or { disabled: true }
+     * @param {Object} options - { lookupEmail } when an unlinked Firebase user still has an older address
+     * @returns {Promise<string>} Outcome
+     */
+    static async updateUser(user, changes, { lookupEmail = null } = {}) {
+        return this.#sync('update', { ...user, email: lookupEmail || user.email }, changes);
+    }
+
+    /**
+     * Delete the user's Firebase account. Changes still queued for it are
+     * dropped first so a retry cannot bring the account back.
+     * @param {Object} user - User row, or { email } when the row is gone
+     * @returns {Promise<string>} Outcome
+     */
+    static async deleteUser(user) {
+        if (user.id) {
+            try {
+                await FirebaseSyncJobModel.cancelOpenByUserId(user.id);
+            } catch (error) {
+                console.error('Cancelling queued Firebase syncs failed:', error.message);
+            }
+        }
+        return this.#sync('delete', user, { email_verified: Boolean(user.is_email_verified) });
+    }
+
+    /**
+     * Retry queued changes whose time has come
+     * @returns {Promise<number>} Number of jobs attempted
+     */
+    static async processQueue() {
+        const jobs = await FirebaseSyncJobModel.claimDue();
+        for (const job of jobs) {
+            await this.#runJob(job);
+        }
+        return jobs.length;
+    }
+
+    /**
+     * Poll the retry queue in the background
+     * @returns {Object} Interval timer
+     */
+    static startSyncWorker() {
+        const timer = setInterval(() => {
+            this.processQueue().catch(error => {
+                console.error('Firebase sync queue processing failed:', error.message);
+            });
+        }, FIREBASE_SYNC_POLL_MS);
+
+        // Don't keep the process alive just for the queue
+        timer.unref();
+        return timer;
+    }
+
+    /**
+     * Compare every Postgres user with Firebase (existence, email, display
+     * name, phone, disabled state) and repair the differences. Firebase users
+     * that match no account are only reported, never deleted.
+     * @param {Object} options - { dryRun } to report without changing anything,
+     *   { onFinding } called with each difference as it is found
+     * @returns {Promise<Object>} Counts per outcome plus the retry queue status
+     */
+    static async reconcile({ dryRun = false, onFinding = () => {} } = {}) {
+        const summary = { checked: 0, in_sync: 0, repaired: 0, planned: 0, reported: 0, skipped: 0, failed: 0, orphans: 0 };
+        const report = (finding) => {
+            summary[finding.status] += 1;
+            onFinding(finding);
+        };
+
+        let afterId = 0;
+        while (true) {
+            const users = await UserModel.findBatch(afterId, RECONCILE_BATCH_SIZE);
+            if (users.length === 0) {
+                break;
+            }
+            afterId = users[users.length - 1].id;
+
+            const firebaseUsers = await this.#fetchFirebaseUsers(users);
+            const queued = new Set(await FirebaseSyncJobModel.findUserIdsWithOpenJobs(users.map(user => user.id)));
+
+            for (const user of users) {
+                summary.checked += 1;
+                const finding = await this.#reconcileUser(user, firebaseUsers, queued.has(user.id), dryRun);
+                if (finding) {
+                    report(finding);
+                } else {
+                    summary.in_sync += 1;
+                }
+            }
+        }
+
+        for await (const orphan of this.#findOrphans()) {
+            summary.orphans += 1;
+            onFinding(orphan);
+        }
+
+        return {
+            ...summary,
+            queue: await FirebaseSyncJobModel.countByStatus()
+        };
+    }
+
+    // Apply now, unless older changes for the user are still queued (they
+    // must land first); anything Firebase refuses goes to the queue
+    static async #sync(operation, target, payload) {
+        try {
+            if (target.id && await FirebaseSyncJobModel.hasOpenJobs(target.id)) {
+                return await this.#enqueue(operation, target, payload);
+            }
+            return await this.#apply(operation, target, payload);
+        } catch (error) {
+            if (error instanceof AppError) {
+                console.error(`Firebase ${operation} sync skipped:`, error.message);
+                return 'conflict';
+            }
+
+            console.error(`Firebase ${operation} sync failed, queued for retry:`, error.message);
+            try {
+                return await this.#enqueue(operation, target, payload, error);
+            } catch (queueError) {
+                console.error('Queueing Firebase sync failed:', queueError.message);
+                return 'failed';
+            }
+        }
+    }
+
+    static async #enqueue(operation, target, payload, error = null) {
+        await FirebaseSyncJobModel.create({
+            id: crypto.randomUUID(),
+            user_id: target.id,
+            operation,
+            firebase_uid: target.firebase_uid,
+            email: target.email,
+            payload: encrypt(JSON.stringify(payload)),
+            max_attempts: FIREBASE_SYNC_MAX_ATTEMPTS,
+            // The inline try counts as the first attempt
+            attempts: error ? 1 : 0,
+            last_error: error ? error.message : null,
+            next_attempt_at: error ? this.#nextAttemptAt(1) : null
+        });
+        return 'queued';
+    }
+
+    static #nextAttemptAt(attempts) {
+        return new Date(Date.now() + FIREBASE_SYNC_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1));
+    }
+
+    // Attempt one queued change and record the outcome. Conflicts are not
+    // retried; reconcile() reports them.
+    static async #runJob(job) {
+        try {
+            const payload = job.payload ? JSON.parse(decrypt(job.payload)) : {};
+            const target = await this.#jobTarget(job, payload);
+            const outcome = target ? await this.#apply(job.operation, target, payload) : 'not_found';
+
+            await FirebaseSyncJobModel.markDone(job.id, outcome);
+            return outcome;
+        } catch (error) {
+            const retry = !(error instanceof AppError) && job.attempts < job.max_attempts;
+            await FirebaseSyncJobModel.markFailed(job.id, error.message, retry ? this.#nextAttemptAt(job.attempts) : null);
+            console.error(` Firebase ${job.operation} job ${job.id} failed (attempt ${job.attempts}):`, error.message);
+            return retry ? 'pending' : 'failed';
+        }
+    }
+
+    // Creates and updates use the account as it is now; deletes outlive the
+    // user row, so they carry what they need
+    static async #jobTarget(job, payload) {
+        if (job.operation === 'delete') {
+            return {
+                id: job.user_id,
+                email: job.email,
+                firebase_uid: job.firebase_uid,
+                is_email_verified: payload.email_verified
+            };
+        }
+
+        const user = job.user_id ? await UserModel.findById(job.user_id) : null;
+        if (!user) {
+            return null;
+        }
+        return job.operation === 'update' && job.email ? { ...user, email: job.email } : user;
+    }
+
+    static async #apply(operation, target, payload) {
+        if (operation === 'create') {
+            return this.#create(target, payload.password);
+        }
+
+        const firebaseUID = await this.#resolveUid(target);
+        if (!firebaseUID) {
+            return 'not_found';
+        }
+
+        try {
+            if (operation === 'delete') {
+                await FirebaseService.deleteUser(firebaseUID);
+                return 'deleted';
+            }
+            await FirebaseService.updateUser(firebaseUID, this.#toFirebaseFields(payload));
+            return 'updated';
+        } catch (error) {
+            // Removed in Firebase already; reconcile() recreates it if needed
+            if (error.code === 'auth/user-not-found') {
+                return 'not_found';
+            }
+            throw error;
+        }
+    }
+
+    static async #create(user, password) {
+        const fields = { ...this.#profileFields(user), ...(password && { password }) };
+
+        if (!user.firebase_uid) {
+            try {
+                const created = await FirebaseService.createUser(fields);
+                await this.#link(user.id, created.firebaseUID);
+                return 'created';
+            } catch (error) {
+                if (error.message !== 'Email already registered') {
+                    throw error;
+                }
+            }
+        }
+
+        // Already linked, or a Firebase user with this email exists that we may adopt
+        const firebaseUID = await this.#resolveUid(user);
+        await FirebaseService.updateUser(firebaseUID, fields);
+        return 'updated';
+    }
+
+    // The linked Firebase user, falling back to one with the same email. That
+    // one is only adopted when both sides have verified the address; anything
+    // else could hand one person's Firebase account to another.
+    static async #resolveUid(target) {
+        if (target.firebase_uid) {
+            return target.firebase_uid;
+        }
+        if (!target.email) {
+            return null;
+        }
+
+        const firebaseUser = await FirebaseService.getUserByEmail(target.email);
+        if (!firebaseUser) {
+            return null;
+        }
+
+        if (!target.is_email_verified || !firebaseUser.emailVerified) {
+            throw new AppError(`Firebase user ${firebaseUser.firebaseUID} has this email but is not linked to the account`, 409, true, 'FIREBASE_USER_UNLINKED');
+        }
+
+        if (target.id) {
+            await this.#link(target.id, firebaseUser.firebaseUID);
+        }
+        return firebaseUser.firebaseUID;
+    }
+
+    static async #link(userId, firebaseUID) {
+        try {
+            await UserModel.setFirebaseUid(userId, firebaseUID);
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new AppError(`Firebase user ${firebaseUID} is already linked to another account`, 409, true, 'FIREBASE_ACCOUNT_MISMATCH');
+            }
+            throw error;
+        }
+    }
+
+    // What the Firebase user should look like for a Postgres user
+    static #profileFields(user) {
+        return {
+            email: user.email,
+            displayName: user.full_name || null,
+            phoneNumber: this.#toE164(user.mobile_no),
+            emailVerified: Boolean(user.is_email_verified),
+            disabled: Boolean(user.status) && user.status !== 'active'
+        };
+    }
+
+    // Firebase expects E.164; we store numbers formatted for display
+    static #toFirebaseFields(changes) {
+        if (!changes.phoneNumber) {
+            return changes;
+        }
+        return { ...changes, phoneNumber: this.#toE164(changes.phoneNumber) };
+    }
+
+    static #toE164(mobileNo) {
+        if (!mobileNo) {
+            return null;
+        }
+        try {
+            return parsePhoneNumber(mobileNo).number;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Firebase users for a batch, keyed by UID and by lowercased email
+    static async #fetchFirebaseUsers(users) {
+        const identifiers = users.map(user => (user.firebase_uid ? { uid: user.firebase_uid } : { email: user.email }));
+        const { found } = await FirebaseService.getUsers(identifiers);
+
+        return {
+            byUid: new Map(found.map(firebaseUser => [firebaseUser.firebaseUID, firebaseUser])),
+            byEmail: new Map(found.filter(firebaseUser => firebaseUser.email)
+                .map(firebaseUser => [firebaseUser.email.toLowerCase(), firebaseUser]))
+        };
+    }
+
+    // One user's differences, or null when in sync. status is 'repaired',
+    // 'planned' (dry run), 'reported' (needs a person), 'skipped' or 'failed'.
+    static async #reconcileUser(user, firebaseUsers, hasQueuedChanges, dryRun) {
+        const firebaseUser = user.firebase_uid
+            ? firebaseUsers.byUid.get(user.firebase_uid)
+            : firebaseUsers.byEmail.get(user.email.toLowerCase());
+
+        const finding = {
+            user_id: user.id,
+            email: user.email,
+            firebase_uid: user.firebase_uid || (firebaseUser ? firebaseUser.firebaseUID : null)
+        };
+
+        let changes = {};
+        if (!firebaseUser) {
+            finding.issue = 'missing';
+            finding.action = 'create';
+        } else {
+            const diff = this.#diff(user, firebaseUser);
+            changes = diff.changes;
+            finding.fields = diff.fields;
+
+            if (!user.firebase_uid) {
+                // Same adoption rule as #resolveUid
+                const adoptable = user.is_email_verified && firebaseUser.emailVerified;
+                finding.issue = adoptable ? 'unlinked' : 'conflict';
+                finding.action = adoptable ? 'link' : 'none';
+            } else if (Object.keys(changes).length > 0) {
+                finding.issue = 'mismatch';
+                finding.action = 'update';
+            } else {
+                return null;
+            }
+        }
+
+        if (finding.action === 'none') {
+            return { ...finding, status: 'reported' };
+        }
+        // The worker will apply those first; look again once the queue is empty
+        if (hasQueuedChanges) {
+            return { ...finding, status: 'skipped', reason: 'changes still queued' };
+        }
+        if (dryRun) {
+            return { ...finding, status: 'planned' };
+        }
+
+        try {
+            await this.#repair(user, firebaseUser, finding.action, changes);
+            return { ...finding, status: 'repaired' };
+        } catch (error) {
+            return { ...finding, status: 'failed', error: error.message };
+        }
+    }
+
+    static async #repair(user, firebaseUser, action, changes) {
+        if (action === 'create') {
+            // A stale link keeps its UID so existing references stay valid;
+            // there is no password to copy, the user can reset it in the app
+            const created = await FirebaseService.createUser({
+                ...(user.firebase_uid && { uid: user.firebase_uid }),
+                ...this.#profileFields(user)
+            });
+            if (!user.firebase_uid) {
+                await this.#link(user.id, created.firebaseUID);
+            }
+            return;
+        }
+
+        if (action === 'link') {
+            await this.#link(user.id, firebaseUser.firebaseUID);
+        }
+        if (Object.keys(changes).length > 0) {
+            await FirebaseService.updateUser(firebaseUser.firebaseUID, changes);
+        }
+    }
+
+    // Fields that differ, as { field: { postgres, firebase } }, plus the
+    // update that brings Firebase in line
+    static #diff(user, firebaseUser) {
+        const expected = this.#profileFields(user);
+        const actual = {
+            email: firebaseUser.email || null,
+            displayName: firebaseUser.displayName || null,
+            phoneNumber: firebaseUser.phoneNumber || null,
+            disabled: Boolean(firebaseUser.disabled)
+        };
+
+        const fields = {};
+        const changes = {};
+        for (const field of Object.keys(actual)) {
+            const same = field === 'email'
+                ? (actual.email || '').toLowerCase() === expected.email.toLowerCase()
+                : actual[field] === expected[field];
+
+            if (!same) {
+                fields[field] = { postgres: expected[field], firebase: actual[field] };
+                changes[field] = expected[field];
+            }
+        }
+
+        return { fields, changes };
+    }
+
+    // Firebase users that match no account by UID or email
+    static async *#findOrphans() {
+        let pageToken;
+        do {
+            const page = await FirebaseService.listUsers(pageToken);
+            pageToken = page.pageToken;
+
+            const emails = page.users.filter(firebaseUser => firebaseUser.email)
+                .map(firebaseUser => firebaseUser.email.toLowerCase());
+            const matches = await UserModel.findByFirebaseUidsOrEmails(page.users.map(firebaseUser => firebaseUser.firebaseUID), emails);
+            const linkedUids = new Set(matches.map(user => user.firebase_uid));
+            const knownEmails = new Set(matches.map(user => user.email.toLowerCase()));
+
+            for (const firebaseUser of page.users) {
+                if (linkedUids.has(firebaseUser.firebaseUID)
+                    || (firebaseUser.email && knownEmails.has(firebaseUser.email.toLowerCase()))) {
+                    continue;
+                }
+                yield {
+                    user_id: null,
+                    email: firebaseUser.email || null,
+                    firebase_uid: firebaseUser.firebaseUID,
+                    issue: 'orphan',
+                    action: 'none',
+                    status: 'reported'
+                };
+            }
+        } while (pageToken);
+    }
+}
+
+module.exports = FirebaseSyncService;
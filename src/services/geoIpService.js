@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const maxmind = require('maxmind');
+const { normalizeIp } = require('../utils/deviceFingerprint');
+
+// MaxMind GeoLite2/GeoIP2 City (or Country) database, downloaded separately
+const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH || path.join(__dirname, '../../data/GeoLite2-City.mmdb');
+
+/**
+ * GeoIP Service
+ * Approximate location of an IP address from an offline MaxMind database.
+ * Without the file every lookup returns null and callers carry on.
+ */
+class GeoIpService {
+    static #readerPromise = null;
+
+    /**
+     * Look up an IP address
+     * @param {string} ip - IPv4 or IPv6 address
+     * @returns {Promise<Object|null>} { city, region, country, countryCode, label }
+     */
+    static async lookup(ip) {
+        const address = normalizeIp(ip);
+        if (!address || !maxmind.validate(address)) {
+            return null;
+        }
+
+        const reader = await this.#getReader();
+        if (!reader) {
+            return null;
+        }
+
+        const record = reader.get(address);
+        if (!record) {
+            return null;
+        }
+
+        const city = record.city?.names?.en || null;
+        const region = record.subdivisions?.[0]?.names?.en || null;
+        const country = record.country?.names?.en || null;
+
+        return {
+            city,
+            region,
+            country,
+            countryCode: record.country?.iso_code || null,
+            label: [city, region, country].filter(Boolean).join(', ') || null
+        };
+    }
+
+    // Opened once, on first use
+    static #getReader() {
+        if (!this.#readerPromise) {
+            if (!fs.existsSync(GEOIP_DB_PATH)) {
+                console.warn(`GeoIP database not found at ${GEOIP_DB_PATH}; login locations will be omitted`);
+                this.#readerPromise = Promise.resolve(null);
+            } else {
+                this.#readerPromise = maxmind.open(GEOIP_DB_PATH).catch((error) => {
+                    console.error('Opening GeoIP database failed:', error.message);
+                    return null;
+                });
+            }
+        }
+        return this.#readerPromise;
+    }
+}
+
+module.exports = GeoIpService;
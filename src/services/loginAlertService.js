@@ -0,0 +1,163 @@
+const UserModel = require('../models/userModel');
+const KnownDeviceModel = require('../models/knownDeviceModel');
+const LoginAlertModel = require('../models/loginAlertModel');
+const PasskeyModel = require('../models/passkeyModel');
+const TokenService = require('./tokenService');
+const EmailService = require('./emailService');
+const GeoIpService = require('./geoIpService');
+const PasswordResetService = require('./passwordResetService');
+const SecurityEventService = require('./securityEventService');
+const { fingerprintDevice } = require('../utils/deviceFingerprint');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { AppError } = require('../utils/errorHandler');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const ALERT_LINK_EXPIRES_IN_DAYS = parseInt(process.env.LOGIN_ALERT_EXPIRES_IN_DAYS) || 7;
+
+/**
+ * Login Alert Service
+ * Remembers the devices each user signs in from and emails them when an
+ * unseen one shows up, with a "this wasn't me" link that locks the account
+ * down: every session is revoked, passkeys are removed and a password reset
+ * is required. Opening the link only checks it; the lockdown needs a POST
+ * from the confirmation page, so mail scanners that prefetch links are harmless.
+ */
+class LoginAlertService {
+    /**
+     * Check a fresh session against the user's known devices.
+     * Never throws - an alert problem must not block a valid login.
+     * @param {Object} user - User row
+     * @param {string} sessionId - Session just started
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async handleLogin(user, sessionId, context = {}) {
+        try {
+            const device = fingerprintDevice(context);
+
+            const known = await KnownDeviceModel.findByFingerprint(user.id, device.fingerprint);
+            if (known) {
+                await KnownDeviceModel.touch(known.id, context.ip);
+                return;
+            }
+
+            const [summary, location] = await Promise.all([
+                KnownDeviceModel.getSummary(user.id),
+                GeoIpService.lookup(context.ip)
+            ]);
+
+            const created = await KnownDeviceModel.create({
+                user_id: user.id,
+                fingerprint: device.fingerprint,
+                label: device.label,
+                ip_address: context.ip,
+                location: location?.label,
+                country_code: location?.countryCode
+            });
+
+            // Lost a race with a parallel login from the same device, or this
+            // is the first device ever (registration) - nothing to warn about
+            if (!created || summary.total === 0) {
+                return;
+            }
+
+            const newCountry = Boolean(location?.countryCode) && !summary.countryCodes.includes(location.countryCode);
+
+            await SecurityEventService.record(user.id, 'new_device_login', context, {
+                session_id: sessionId,
+                device: device.label,
+                location: location?.label || null,
+                new_country: newCountry
+            });
+
+            await this.#sendAlert(user, { deviceId: created.id, sessionId, device, location, newCountry }, context);
+        } catch (error) {
+            console.error('New device check failed:', error.message);
+        }
+    }
+
+    /**
+     * Check a "this wasn't me" link before asking the user to confirm
+     * @param {string} rawToken - Token from the alert email
+     * @returns {Promise<Object>} { alerted_at }
+     */
+    static async checkReportToken(rawToken) {
+        const alert = await LoginAlertModel.findValid(hashToken(rawToken || ''));
+        if (!alert) {
+            throw new AppError('Invalid or expired link', 400, true, 'LOGIN_ALERT_INVALID');
+        }
+
+        return {
+            alerted_at: alert.created_at,
+            expires_at: alert.expires_at
+        };
+    }
+
+    /**
+     * "This wasn't me": sign out everywhere and require a new password
+     * @param {string} rawToken - Token from the alert email
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} { email }
+     */
+    static async reportUnrecognizedLogin(rawToken, context = {}) {
+        const alert = await LoginAlertModel.consume(hashToken(rawToken || ''));
+        if (!alert) {
+            throw new AppError('Invalid or expired link', 400, true, 'LOGIN_ALERT_INVALID');
+        }
+
+        const user = await UserModel.findById(alert.user_id);
+        if (!user) {
+            throw new AppError('Invalid or expired link', 400, true, 'LOGIN_ALERT_INVALID');
+        }
+
+        await UserModel.setPasswordResetRequired(user.id, true);
+        await TokenService.revokeAllSessions(user.id);
+        // Every device has to prove itself again after the reset, and a
+        // passkey added by whoever got in would otherwise outlive it
+        await KnownDeviceModel.deleteByUserId(user.id);
+        const passkeysRemoved = await PasskeyModel.deleteByUserId(user.id);
+
+        await SecurityEventService.record(user.id, 'login_reported_not_me', context, {
+            session_id: alert.session_id,
+            alerted_at: alert.created_at,
+            passkeys_removed: passkeysRemoved
+        });
+
+        await PasswordResetService.request(user.email, context, { bypassCooldown: true });
+
+        return { email: user.email };
+    }
+
+    static async #sendAlert(user, { deviceId, sessionId, device, location, newCountry }, context) {
+        const rawToken = generateRandomToken(32);
+        const expiresAt = new Date(Date.now() + ALERT_LINK_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+        await LoginAlertModel.create({
+            user_id: user.id,
+            device_id: deviceId,
+            session_id: sessionId,
+            token_hash: hashToken(rawToken),
+            expires_at: expiresAt
+        });
+
+        await EmailService.send({
+            to: user.email,
+            template: 'securityAlert',
+            userId: user.id,
+            params: {
+                name: user.full_name,
+                title: newCountry ? 'Sign-in from a new country' : 'New sign-in to your account',
+                message: 'Your account was just signed in to from a device we have not seen before. If this was you, there is nothing to do. If not, use the button below: we will sign out every device and ask you to choose a new password.',
+                details: {
+                    'Time': new Date().toUTCString(),
+                    'Device': device.label,
+                    'Approximate location': location?.label,
+                    'IP address': context.ip
+                },
+                actionUrl: `${API_URL}/api/auth/not-me/${rawToken}`,
+                actionLabel: 'This wasn\'t me'
+            }
+        });
+    }
+}
+
+module.exports = LoginAlertService;
@@ -0,0 +1,227 @@
+const LoginFailureModel = require('../models/loginFailureModel');
+const UnlockTokenModel = require('../models/unlockTokenModel');
+const UserModel = require('../models/userModel');
+const SecurityEventService = require('./securityEventService');
+const EmailService = require('./emailService');
+const { AppError } = require('../utils/errorHandler');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60;
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 300;
+const UNLOCK_TOKEN_EXPIRES_IN_HOURS = 24;
+
+// Per-scope policy: failures allowed before backoff starts, and the count
+// at which the account/IP is locked outright
+const POLICIES = {
+    account: {
+        freeAttempts: parseInt(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS) || 3,
+        lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+        lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+    },
+    ip: {
+        freeAttempts: parseInt(process.env.LOGIN_IP_BACKOFF_FREE_ATTEMPTS) || 20,
+        lockoutThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 100,
+        lockoutMinutes: parseInt(process.env.LOGIN_IP_LOCKOUT_MINUTES) || 60
+    }
+};
+
+/**
+ * Login Throttle Service
+ * Exponential backoff and temporary lockout after failed logins, tracked
+ * per account and per IP. State is keyed by the submitted email whether or
+ * not an account exists, so responses never reveal which emails are registered.
+ */
+class LoginThrottleService {
+    /**
+     * Reject the attempt if the account or IP is locked or backing off
+     * @param {string} email - Submitted email
+     * @param {string|null} ip - Client IP
+     */
+    static async assertAllowed(email, ip) {
+        const checks = [['account', this.#accountKey(email)]];
+        if (ip) {
+            checks.push(['ip', ip]);
+        }
+
+        const now = new Date();
+
+        for (const [scope, identifier] of checks) {
+            const state = await LoginFailureModel.find(scope, identifier);
+            if (!state) {
+                continue;
+            }
+
+            if (state.locked_until && new Date(state.locked_until) > now) {
+                throw this.#throttledError(
+                    'Too many failed login attempts. Login is temporarily locked',
+                    'ACCOUNT_LOCKED',
+                    state.locked_until
+                );
+            }
+
+            if (state.next_attempt_at && new Date(state.next_attempt_at) > now) {
+                throw this.#throttledError(
+                    'Too many failed login attempts. Please wait before trying again',
+                    'LOGIN_THROTTLED',
+                    state.next_attempt_at
+                );
+            }
+        }
+    }
+
+    /**
+     * Count a failed login and apply backoff/lockout
+     * @param {string} email - Submitted email
+     * @param {Object|null} user - Matching user, if any
+     * @param {Object} context - Request context (ip, userAgent)
+     * @param {Object} options - { factor } that failed: 'password' or 'second_factor'
+     */
+    static async recordFailure(email, user, context = {}, { factor = 'password' } = {}) {
+        const accountResult = await this.#applyFailure('account', this.#accountKey(email));
+        if (context.ip) {
+            await this.#applyFailure('ip', context.ip);
+        }
+
+        if (!user) {
+            // Kept against no account so probing for emails is still visible
+            await SecurityEventService.record(null, 'login_failed', context, { email });
+            return;
+        }
+
+        await SecurityEventService.record(user.id, 'login_failed', context, {
+            failed_count: accountResult.failedCount,
+            factor
+        });
+
+        if (accountResult.lockedUntil) {
+            await SecurityEventService.record(user.id, 'account_locked', context, {
+                failed_count: accountResult.failedCount,
+                locked_until: accountResult.lockedUntil
+            });
+            await this.#sendUnlockLink(user, accountResult.lockedUntil, context);
+        }
+    }
+
+    /**
+     * Reset account failures after a successful login
+     * @param {string} email - Submitted email
+     */
+    static async recordSuccess(email) {
+        await LoginFailureModel.clear('account', this.#accountKey(email));
+    }
+
+    /**
+     * Get lockout state for a user's account
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} Lockout state
+     */
+    static async getLockoutState(email) {
+        const state = await LoginFailureModel.find('account', this.#accountKey(email));
+        const locked = !!(state && state.locked_until && new Date(state.locked_until) > new Date());
+
+        return {
+            locked,
+            locked_until: locked ? state.locked_until : null,
+            recent_failed_attempts: state ? state.failed_count : 0
+        };
+    }
+
+    /**
+     * Lift a lockout (timeout is handled implicitly by locked_until)
+     * @param {number} userId - User ID
+     * @param {string} method - 'email_link' or 'admin'
+     * @param {Object} context - Request context of whoever unlocked
+     */
+    static async unlockAccount(userId, method, context = {}) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        await LoginFailureModel.clear('account', this.#accountKey(user.email));
+        await SecurityEventService.record(user.id, 'account_unlocked', context, { method });
+
+        return {
+            unlocked: true
+        };
+    }
+
+    /**
+     * Unlock using the emailed link
+     * @param {string} rawToken - Token from the link
+     * @param {Object} context - Request context
+     */
+    static async unlockWithToken(rawToken, context = {}) {
+        const token = await UnlockTokenModel.consume(hashToken(rawToken));
+        if (!token) {
+            throw new AppError('Unlock link is invalid or has expired', 400);
+        }
+
+        return this.unlockAccount(token.user_id, 'email_link', context);
+    }
+
+    static async #applyFailure(scope, identifier) {
+        const policy = POLICIES[scope];
+        const failedCount = await LoginFailureModel.increment(scope, identifier, WINDOW_MINUTES);
+
+        let nextAttemptAt = null;
+        if (failedCount > policy.freeAttempts) {
+            const delaySeconds = Math.min(
+                BASE_DELAY_SECONDS * 2 ** (failedCount - policy.freeAttempts - 1),
+                MAX_DELAY_SECONDS
+            );
+            nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+        }
+
+        const lockedUntil = failedCount >= policy.lockoutThreshold
+            ? new Date(Date.now() + policy.lockoutMinutes * 60 * 1000)
+            : null;
+
+        if (nextAttemptAt || lockedUntil) {
+            await LoginFailureModel.setRestrictions(scope, identifier, nextAttemptAt, lockedUntil);
+        }
+
+        return { failedCount, lockedUntil };
+    }
+
+    static async #sendUnlockLink(user, lockedUntil, context) {
+        const rawToken = generateRandomToken(32);
+        const expiresAt = new Date(Date.now() + UNLOCK_TOKEN_EXPIRES_IN_HOURS * 60 * 60 * 1000);
+        await UnlockTokenModel.create(user.id, hashToken(rawToken), expiresAt);
+
+        try {
+            await EmailService.send({
+                to: user.email,
+                template: 'securityAlert',
+                userId: user.id,
+                params: {
+                    name: user.full_name,
+                    title: 'Your account has been locked',
+                    message: 'We locked your account after several failed sign-in attempts. It will unlock automatically, or you can unlock it now if these attempts were yours.',
+                    details: {
+                        'Locked until': new Date(lockedUntil).toUTCString(),
+                        'IP address': context.ip
+                    },
+                    actionUrl: `${API_URL}/api/auth/unlock-account/${rawToken}`,
+                    actionLabel: 'Unlock my account'
+                }
+            });
+        } catch (error) {
+            console.error('Unlock email failed:', error.message);
+        }
+    }
+
+    static #throttledError(message, code, until) {
+        const error = new AppError(message, 429, true, code);
+        error.retryAfter = Math.max(Math.ceil((new Date(until) - Date.now()) / 1000), 1);
+        return error;
+    }
+
+    static #accountKey(email) {
+        return (email || '').trim().toLowerCase();
+    }
+}
+
+module.exports = LoginThrottleService;
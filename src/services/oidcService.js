@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const IdentityModel = require('../models/identityModel');
+const UserModel = require('../models/userModel');
+const SecurityEventService = require('./securityEventService');
+const TTLCache = require('../utils/ttlCache');
+const { getProvider } = require('../config/oidcProviders');
+const { hashToken } = require('../utils/tokens');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateChallengeToken, verifyChallengeToken } = require('../utils/jwt');
+const { AppError } = require('../utils/errorHandler');
+
+const AUTH_REQUEST_EXPIRES_MS = (parseInt(process.env.OIDC_AUTH_REQUEST_EXPIRES_MINUTES) || 10) * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and key sets change rarely. An unknown key id forces
+// a JWKS refetch (key rotation), at most once per cooldown per provider.
+const METADATA_CACHE_TTL_MS = (parseInt(process.env.OIDC_METADATA_CACHE_TTL_SECONDS) || 3600) * 1000;
+const JWKS_REFRESH_COOLDOWN_MS = 30 * 1000;
+const discoveryCache = new TTLCache(METADATA_CACHE_TTL_MS, 100);
+const jwksCache = new TTLCache(METADATA_CACHE_TTL_MS, 100);
+const jwksFetchedAt = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * OIDC Service
+ * Sign-in through OpenID Connect providers with the authorization-code flow
+ * and PKCE. State and nonce are single use; ID tokens are checked against
+ * the provider's published keys (cached JWKS), issuer, audience and expiry.
+ * Provider accounts are stored as identities, several per user.
+ */
+class OidcService {
+    /**
+     * Start an authorization request
+     * @param {string} providerName - Provider from config/oidcProviders
+     * @param {Object} options - { userId } when a signed-in user links a provider
+     * @returns {Promise<string>} Provider authorization URL to redirect to
+     */
+    static async createAuthorizationUrl(providerName, { userId = null } = {}) {
+        const provider = this.#getProvider(providerName);
+        const metadata = await this.#discover(provider);
+
+        const state = base64url(crypto.randomBytes(32));
+        const nonce = base64url(crypto.randomBytes(32));
+        const codeVerifier = base64url(crypto.randomBytes(32));
+
+        await IdentityModel.createAuthRequest({
+            state_hash: hashToken(state),
+            provider: provider.name,
+            nonce,
+            code_verifier_encrypted: encrypt(codeVerifier),
+            user_id: userId,
+            expires_at: new Date(Date.now() + AUTH_REQUEST_EXPIRES_MS)
+        });
+
+        const url = new URL(metadata.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: provider.redirectUri,
+            scope: provider.scopes.join(' '),
+            state,
+            nonce,
+            code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+            code_challenge_method: 'S256'
+        }).toString();
+
+        return url.toString();
+    }
+
+    /**
+     * Finish an authorization request from the provider callback
+     * @param {string} providerName - Provider from the callback URL
+     * @param {Object} params - Callback query ({ code, state, error })
+     * @returns {Promise<Object>} { provider, claims, linkUserId }
+     */
+    static async handleCallback(providerName, { code, state, error } = {}) {
+        const provider = this.#getProvider(providerName);
+
+        // The state is consumed even when the provider reports an error
+        const request = state ? await IdentityModel.consumeAuthRequest(hashToken(String(state)), provider.name) : null;
+        if (!request) {
+            throw new AppError('Invalid or expired sign-in request', 400, true, 'OIDC_STATE_INVALID');
+        }
+        if (error) {
+            throw new AppError(`Sign-in was cancelled at ${provider.label}`, 400, true, 'OIDC_ACCESS_DENIED');
+        }
+        if (!code) {
+            throw new AppError('Missing authorization code', 400, true, 'OIDC_STATE_INVALID');
+        }
+
+        const tokens = await this.#exchangeCode(provider, String(code), decrypt(request.code_verifier_encrypted));
+        const claims = await this.#verifyIdToken(provider, tokens.id_token, request.nonce);
+
+        return {
+            provider: provider.name,
+            claims,
+            linkUserId: request.user_id
+        };
+    }
+
+    /**
+     * Identity for a provider account
+     * @param {string} provider - Provider name
+     * @param {Object} claims - Verified ID token claims
+     * @returns {Promise<Object|undefined>} Identity, updated with the latest email
+     */
+    static async findIdentity(provider, claims) {
+        const identity = await IdentityModel.findByProviderSubject(provider, claims.sub);
+        if (identity) {
+            await IdentityModel.touch(identity.id, claims);
+        }
+        return identity;
+    }
+
+    /**
+     * Link a provider account to a user
+     * @param {number} userId - User ID
+     * @param {string} provider - Provider name
+     * @param {Object} claims - Verified ID token claims
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} The identity
+     */
+    static async linkIdentity(userId, provider, claims, context = {}) {
+        const existing = await IdentityModel.findByProviderSubject(provider, claims.sub);
+        if (existing) {
+            if (existing.user_id === userId) {
+                return existing;
+            }
+            throw new AppError('This account is already linked to another user', 409, true, 'IDENTITY_ALREADY_LINKED');
+        }
+
+        const identity = await IdentityModel.create({
+            user_id: userId,
+            provider,
+            subject: claims.sub,
+            email: claims.email,
+            email_verified: claims.email_verified
+        });
+
+        await SecurityEventService.record(userId, 'identity_linked', context, {
+            identity_id: identity.id,
+            provider,
+            email: claims.email || null
+        });
+
+        return identity;
+    }
+
+    /**
+     * Short-lived token that lets the owner of an existing account link a
+     * provider to it by confirming their password
+     * @param {number} userId - Existing account with the provider's email
+     * @param {string} provider - Provider name
+     * @param {Object} claims - Verified ID token claims
+     * @returns {string} Link token
+     */
+    static createLinkToken(userId, provider, claims) {
+        return generateChallengeToken({
+            id: userId,
+            purpose: 'oidc_link',
+            provider,
+            sub: claims.sub,
+            email: claims.email,
+            email_verified: Boolean(claims.email_verified)
+        });
+    }
+
+    /**
+     * Read a link token
+     * @param {string} linkToken - From createLinkToken
+     * @returns {Object} { userId, provider, claims }
+     */
+    static verifyLinkToken(linkToken) {
+        let payload;
+        try {
+            payload = verifyChallengeToken(linkToken);
+        } catch (error) {
+            throw new AppError('Invalid or expired link request', 401, true, 'OIDC_LINK_INVALID');
+        }
+        if (payload.purpose !== 'oidc_link') {
+            throw new AppError('Invalid or expired link request', 401, true, 'OIDC_LINK_INVALID');
+        }
+
+        return {
+            userId: payload.id,
+            provider: payload.provider,
+            claims: { sub: payload.sub, email: payload.email, email_verified: payload.email_verified }
+        };
+    }
+
+    /**
+     * A user's linked identities
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Identities
+     */
+    static async listIdentities(userId) {
+        return IdentityModel.findByUserId(userId);
+    }
+
+    /**
+     * Unlink an identity. The last way to sign in cannot be removed.
+     * @param {number} userId - User ID
+     * @param {number} identityId - Identity ID
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async unlinkIdentity(userId, identityId, context = {}) {
+        const identities = await IdentityModel.findByUserId(userId);
+        if (!identities.some(identity => identity.id === identityId)) {
+            throw new AppError('Linked account not found', 404);
+        }
+
+        if (identities.length === 1 && !(await UserModel.getPasswordHash(userId))) {
+            throw new AppError('Set a password before unlinking your only sign-in method', 400, true, 'LAST_SIGN_IN_METHOD');
+        }
+
+        const removed = await IdentityModel.delete(identityId, userId);
+        await SecurityEventService.record(userId, 'identity_unlinked', context, {
+            identity_id: identityId,
+            provider: removed.provider
+        });
+    }
+
+    static #getProvider(name) {
+        const provider = getProvider(name);
+        if (!provider) {
+            throw new AppError('Unknown sign-in provider', 404, true, 'OIDC_PROVIDER_UNKNOWN');
+        }
+        return provider;
+    }
+
+    static async #discover(provider) {
+        const cached = discoveryCache.get(provider.name);
+        if (cached) {
+            return cached;
+        }
+
+        const metadata = await this.#fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+        if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+            throw new AppError(`${provider.label} discovery document has an unexpected issuer`, 502, true, 'OIDC_PROVIDER_ERROR');
+        }
+
+        discoveryCache.set(provider.name, metadata);
+        return metadata;
+    }
+
+    static async #exchangeCode(provider, code, codeVerifier) {
+        const metadata = await this.#discover(provider);
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: provider.redirectUri,
+            code_verifier: codeVerifier
+        });
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Accept: 'application/json'
+        };
+
+        // client_secret_basic unless the provider only takes client_secret_post
+        const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        if (provider.clientSecret && authMethods.includes('client_secret_basic')) {
+            const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            body.set('client_id', provider.clientId);
+            if (provider.clientSecret) {
+                body.set('client_secret', provider.clientSecret);
+            }
+        }
+
+        const tokens = await this.#fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+        if (!tokens.id_token) {
+            throw new AppError(`${provider.label} did not return an ID token`, 502, true, 'OIDC_PROVIDER_ERROR');
+        }
+        return tokens;
+    }
+
+    static async #verifyIdToken(provider, idToken, nonce) {
+        const metadata = await this.#discover(provider);
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+            throw new AppError('Invalid ID token', 401, true, 'OIDC_TOKEN_INVALID');
+        }
+
+        const key = await this.#getSigningKey(provider, metadata, decoded.header.kid);
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, key, {
+                algorithms: [decoded.header.alg],
+                issuer: metadata.issuer,
+                audience: provider.clientId,
+                clockTolerance: CLOCK_TOLERANCE_SECONDS
+            });
+        } catch (error) {
+            throw new AppError(`Invalid ID token: ${error.message}`, 401, true, 'OIDC_TOKEN_INVALID');
+        }
+
+        // The nonce ties the token to this browser's authorization request
+        const nonceMatches = typeof claims.nonce === 'string'
+            && claims.nonce.length === nonce.length
+            && crypto.timingSafeEqual(Buffer.from(claims.nonce), Buffer.from(nonce));
+        if (!nonceMatches) {
+            throw new AppError('Invalid ID token: nonce mismatch', 401, true, 'OIDC_TOKEN_INVALID');
+        }
+
+        // With several audiences the token must name us as the authorized party
+        if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+            throw new AppError('Invalid ID token: unexpected authorized party', 401, true, 'OIDC_TOKEN_INVALID');
+        }
+        if (!claims.sub) {
+            throw new AppError('Invalid ID token: missing subject', 401, true, 'OIDC_TOKEN_INVALID');
+        }
+
+        return {
+            ...claims,
+            email: claims.email ? String(claims.email).toLowerCase() : null,
+            email_verified: claims.email_verified === true || claims.email_verified === 'true'
+        };
+    }
+
+    static async #getSigningKey(provider, metadata, kid) {
+        let keys = jwksCache.get(provider.name);
+
+        const findKey = () => keys && keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+        const lastFetch = jwksFetchedAt.get(provider.name) || 0;
+        if (!findKey() && Date.now() - lastFetch > JWKS_REFRESH_COOLDOWN_MS) {
+            const jwks = await this.#fetchJson(metadata.jwks_uri);
+            keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+            jwksCache.set(provider.name, keys);
+            jwksFetchedAt.set(provider.name, Date.now());
+        }
+
+        const jwk = findKey();
+        if (!jwk) {
+            throw new AppError('Invalid ID token: unknown signing key', 401, true, 'OIDC_TOKEN_INVALID');
+        }
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+
+    static async #fetchJson(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+        } catch (error) {
+            throw new AppError(`Identity provider unreachable: ${error.message}`, 502, true, 'OIDC_PROVIDER_ERROR');
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const reason = body.error_description || body.error || `HTTP ${response.status}`;
+            throw new AppError(`Identity provider request failed: ${reason}`, 502, true, 'OIDC_PROVIDER_ERROR');
+        }
+        return body;
+    }
+}
+
+module.exports = OidcService;
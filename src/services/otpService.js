@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const OtpChallengeModel = require('../models/otpChallengeModel');
+const { AppError } = require('../utils/errorHandler');
+
+const OTP_PURPOSES = ['mobile_verification', 'login', 'phone_change'];
+const OTP_EXPIRES_IN_MINUTES = parseInt(process.env.OTP_EXPIRES_IN_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_DAILY_LIMIT = parseInt(process.env.OTP_DAILY_LIMIT) || 10;
+const IS_DEV_SINK_ENABLED = process.env.NODE_ENV === 'development';
+
+// Latest code per phone, readable through the dev-only route. Never populated in production.
+const devOtpSink = new Map();
+
+/**
+ * OTP Service
+ * Database-backed one-time codes with hashed storage, attempt limits,
+ * resend cooldown, a per-phone daily cap and purpose scoping
+ */
+class OtpService {
+    /**
+     * Create a challenge for a phone number
+     * @param {Object} params - { phoneNumber, purpose, userId }
+     * @returns {Promise<Object>} { verificationId, code, expiresAt, expiresInMinutes } - the code is for delivery only
+     */
+    static async issue({ phoneNumber, purpose, userId = null }) {
+        if (!OTP_PURPOSES.includes(purpose)) {
+            throw new Error(`Unknown OTP purpose: ${purpose}`);
+        }
+
+        const latest = await OtpChallengeModel.findLatest(phoneNumber, purpose);
+        if (latest) {
+            const waitSeconds = Math.ceil(
+                (new Date(latest.created_at).getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000
+            );
+            if (waitSeconds > 0) {
+                const error = new AppError(`Please wait ${waitSeconds} seconds before requesting a new code`, 429, true, 'OTP_COOLDOWN');
+                error.retryAfter = waitSeconds;
+                throw error;
+            }
+        }
+
+        const sentToday = await OtpChallengeModel.countSentSince(phoneNumber, new Date(Date.now() - 24 * 60 * 60 * 1000));
+        if (sentToday >= OTP_DAILY_LIMIT) {
+            throw new AppError('Daily limit of verification codes reached for this number. Please try again tomorrow', 429, true, 'OTP_DAILY_LIMIT');
+        }
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const verificationId = crypto.randomUUID();
+
+        const challenge = await OtpChallengeModel.create({
+            id: verificationId,
+            user_id: userId,
+            phone_number: phoneNumber,
+            purpose,
+            code_hash: this.#hashCode(verificationId, code),
+            max_attempts: OTP_MAX_ATTEMPTS,
+            expires_at: new Date(Date.now() + OTP_EXPIRES_IN_MINUTES * 60 * 1000)
+        });
+
+        if (IS_DEV_SINK_ENABLED) {
+            devOtpSink.set(phoneNumber, { code, purpose, verificationId, createdAt: new Date() });
+        }
+
+        return {
+            verificationId,
+            code,
+            expiresAt: challenge.expires_at,
+            expiresInMinutes: OTP_EXPIRES_IN_MINUTES
+        };
+    }
+
+    /**
+     * Check a code against a challenge
+     * @param {string} verificationId - Challenge id
+     * @param {string} code - Code entered by the user
+     * @param {Object} scope - { purpose, userId, phoneNumber } the challenge must match
+     * @returns {Promise<Object>} { verified, phoneNumber }
+     */
+    static async verify(verificationId, code, { purpose, userId = null, phoneNumber = null } = {}) {
+        const challenge = await OtpChallengeModel.registerAttempt(verificationId);
+        if (!challenge) {
+            throw new AppError('Verification code is invalid or has expired. Please request a new one', 400, true, 'OTP_INVALID');
+        }
+
+        const inScope = challenge.purpose === purpose &&
+            (userId === null || challenge.user_id === userId) &&
+            (phoneNumber === null || challenge.phone_number === phoneNumber);
+
+        const expected = Buffer.from(challenge.code_hash, 'hex');
+        const actual = Buffer.from(this.#hashCode(verificationId, String(code)), 'hex');
+
+        if (!inScope || !crypto.timingSafeEqual(expected, actual)) {
+            const remaining = challenge.max_attempts - challenge.attempts;
+            if (remaining <= 0) {
+                throw new AppError('Too many incorrect attempts. Please request a new code', 400, true, 'OTP_ATTEMPTS_EXCEEDED');
+            }
+            throw new AppError(`Invalid OTP. ${remaining} attempt(s) remaining`, 400, true, 'OTP_INVALID');
+        }
+
+        await OtpChallengeModel.consume(verificationId);
+
+        return {
+            verified: true,
+            phoneNumber: challenge.phone_number
+        };
+    }
+
+    /**
+     * Drop a challenge whose code could not be delivered
+     * @param {string} verificationId - Challenge id
+     */
+    static async discard(verificationId) {
+        await OtpChallengeModel.delete(verificationId);
+    }
+
+    /**
+     * Read the latest code sent to a phone (development only)
+     * @param {string} phoneNumber - Phone number
+     * @returns {Object|null} Sink entry
+     */
+    static getDevSinkEntry(phoneNumber) {
+        if (!IS_DEV_SINK_ENABLED) {
+            return null;
+        }
+        return devOtpSink.get(phoneNumber) || null;
+    }
+
+    // HMAC keyed with a server secret; six digits are too few to store as a plain hash
+    static #hashCode(verificationId, code) {
+        const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+        return crypto.createHmac('sha256', secret).update(`${verificationId}:${code}`).digest('hex');
+    }
+}
+
+module.exports = OtpService;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const PasskeyModel = require('../models/passkeyModel');
+const UserModel = require('../models/userModel');
+const ReauthService = require('./reauthService');
+const SecurityEventService = require('./securityEventService');
+const EmailService = require('./emailService');
+const { AppError } = require('../utils/errorHandler');
+
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'Company Registration';
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim());
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Passkey Service
+ * WebAuthn registration and authentication ceremonies. Verification only
+ * uses the stored public keys, so no network access is needed.
+ * A passkey signs in on its own, so adding or removing one needs the same
+ * confirmation as other credential changes and is announced by email.
+ */
+class PasskeyService {
+    /**
+     * Start registering a passkey for a signed-in user
+     * (requires the account password, or a recent sign-in without one)
+     * @param {Object} user - User row
+     * @param {string} password - Current password
+     * @param {Object} context - Request context (token)
+     * @returns {Promise<Object>} Creation options plus ceremony id
+     */
+    static async beginRegistration(user, password, context = {}) {
+        await ReauthService.confirm(user.id, password, context.token);
+
+        const existing = await PasskeyModel.findDescriptorsByUserId(user.id);
+
+        const options = await generateRegistrationOptions({
+            rpName: RP_NAME,
+            rpID: RP_ID,
+            userName: user.email,
+            userDisplayName: user.full_name || user.email,
+            userID: new TextEncoder().encode(String(user.id)),
+            timeout: CEREMONY_TIMEOUT_MS,
+            attestationType: 'none',
+            excludeCredentials: existing.map(this.#toDescriptor),
+            authenticatorSelection: {
+                residentKey: 'preferred',
+                userVerification: 'preferred'
+            }
+        });
+
+        const ceremonyId = await this.#storeChallenge(user.id, options.challenge, 'registration');
+
+        return {
+            ceremony_id: ceremonyId,
+            options
+        };
+    }
+
+    /**
+     * Verify the authenticator's registration response and store the credential
+     * @param {number} userId - User ID
+     * @param {string} ceremonyId - Id returned by beginRegistration
+     * @param {Object} response - RegistrationResponseJSON from the browser
+     * @param {string} name - Label for the passkey
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} Stored passkey
+     */
+    static async finishRegistration(userId, ceremonyId, response, name, context = {}) {
+        const ceremony = await PasskeyModel.consumeChallenge(ceremonyId, 'registration');
+        if (!ceremony || ceremony.user_id !== userId) {
+            throw new AppError('Passkey registration has expired. Please try again', 400);
+        }
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: ceremony.challenge,
+                expectedOrigin: EXPECTED_ORIGINS,
+                expectedRPID: RP_ID,
+                requireUserVerification: false
+            });
+        } catch (error) {
+            console.error('Passkey registration verification failed:', error.message);
+            throw new AppError('Passkey registration could not be verified', 400);
+        }
+
+        if (!verification.verified) {
+            throw new AppError('Passkey registration could not be verified', 400);
+        }
+
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+        const existing = await PasskeyModel.findByCredentialId(credential.id);
+        if (existing) {
+            throw new AppError('This passkey is already registered', 409);
+        }
+
+        const passkey = await PasskeyModel.create({
+            user_id: userId,
+            credential_id: credential.id,
+            public_key: Buffer.from(credential.publicKey),
+            counter: credential.counter,
+            transports: credential.transports,
+            device_type: credentialDeviceType,
+            backed_up: credentialBackedUp,
+            name: name || 'Passkey'
+        });
+
+        await SecurityEventService.record(userId, 'passkey_registered', context, {
+            passkey_id: passkey.id,
+            name: passkey.name
+        });
+        await this.#notify(userId, context, {
+            title: 'A passkey was added to your account',
+            message: 'A new passkey was added to your account. It can be used to sign in without your password. If you did not add it, remove it in your security settings and reset your password.',
+            passkeyName: passkey.name
+        });
+
+        return passkey;
+    }
+
+    /**
+     * Start an authentication ceremony
+     * @param {number|null} userId - Restrict to this user's passkeys; null for discoverable credentials
+     * @param {string} purpose - 'passwordless' or 'second_factor'
+     * @returns {Promise<Object>} Request options plus ceremony id
+     */
+    static async beginAuthentication(userId = null, purpose = 'passwordless') {
+        const allowCredentials = userId
+            ? (await PasskeyModel.findDescriptorsByUserId(userId)).map(this.#toDescriptor)
+            : [];
+
+        const options = await generateAuthenticationOptions({
+            rpID: RP_ID,
+            allowCredentials,
+            timeout: CEREMONY_TIMEOUT_MS,
+            // Passwordless login relies on the passkey alone, so the device must verify the user
+            userVerification: purpose === 'passwordless' ? 'required' : 'preferred'
+        });
+
+        const ceremonyId = await this.#storeChallenge(userId, options.challenge, 'authentication');
+
+        return {
+            ceremony_id: ceremonyId,
+            options
+        };
+    }
+
+    /**
+     * Verify an authentication response against the stored public key
+     * @param {string} ceremonyId - Id returned by beginAuthentication
+     * @param {Object} response - AuthenticationResponseJSON from the browser
+     * @param {Object} options - { expectedUserId, requireUserVerification }
+     * @returns {Promise<number>} ID of the authenticated user
+     */
+    static async finishAuthentication(ceremonyId, response, { expectedUserId = null, requireUserVerification = true } = {}) {
+        const ceremony = await PasskeyModel.consumeChallenge(ceremonyId, 'authentication');
+        if (!ceremony) {
+            throw new AppError('Passkey sign-in has expired. Please try again', 401);
+        }
+
+        const stored = response && response.id ? await PasskeyModel.findByCredentialId(response.id) : null;
+
+        // The credential must belong to the user the ceremony (or login challenge) is for
+        const ownerMismatch = stored && (
+            (ceremony.user_id && ceremony.user_id !== stored.user_id) ||
+            (expectedUserId && expectedUserId !== stored.user_id)
+        );
+
+        if (!stored || ownerMismatch) {
+            throw new AppError('Passkey not recognised', 401);
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: ceremony.challenge,
+                expectedOrigin: EXPECTED_ORIGINS,
+                expectedRPID: RP_ID,
+                requireUserVerification,
+                credential: {
+                    id: stored.credential_id,
+                    publicKey: stored.public_key,
+                    counter: Number(stored.counter),
+                    transports: stored.transports || undefined
+                }
+            });
+        } catch (error) {
+            // Includes sign counter regressions, which point to a cloned authenticator
+            console.error('Passkey authentication verification failed:', error.message);
+            throw new AppError('Passkey could not be verified', 401);
+        }
+
+        if (!verification.verified) {
+            throw new AppError('Passkey could not be verified', 401);
+        }
+
+        await PasskeyModel.updateCounter(stored.id, verification.authenticationInfo.newCounter);
+
+        return stored.user_id;
+    }
+
+    /**
+     * Check if a user has registered passkeys
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} Whether any passkey exists
+     */
+    static async hasPasskeys(userId) {
+        return PasskeyModel.existsForUser(userId);
+    }
+
+    /**
+     * List a user's passkeys
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Passkeys (no key material)
+     */
+    static async listPasskeys(userId) {
+        return PasskeyModel.findByUserId(userId);
+    }
+
+    /**
+     * Rename a passkey
+     * @param {number} userId - User ID
+     * @param {number} passkeyId - Passkey ID
+     * @param {string} name - New label
+     * @returns {Promise<Object>} Updated passkey
+     */
+    static async renamePasskey(userId, passkeyId, name) {
+        const passkey = await PasskeyModel.rename(passkeyId, userId, name);
+        if (!passkey) {
+            throw new AppError('Passkey not found', 404);
+        }
+        return passkey;
+    }
+
+    /**
+     * Delete a passkey (requires the account password, or a recent sign-in without one)
+     * @param {number} userId - User ID
+     * @param {number} passkeyId - Passkey ID
+     * @param {string} password - Current password
+     * @param {Object} context - Request context (ip, userAgent, token)
+     */
+    static async deletePasskey(userId, passkeyId, password, context = {}) {
+        await ReauthService.confirm(userId, password, context.token);
+
+        const deleted = await PasskeyModel.delete(passkeyId, userId);
+        if (!deleted) {
+            throw new AppError('Passkey not found', 404);
+        }
+
+        await SecurityEventService.record(userId, 'passkey_deleted', context, {
+            passkey_id: deleted.id,
+            name: deleted.name
+        });
+        await this.#notify(userId, context, {
+            title: 'A passkey was removed from your account',
+            message: 'A passkey was removed from your account and can no longer be used to sign in. If you did not do this, reset your password and contact support.',
+            passkeyName: deleted.name
+        });
+
+        return { id: deleted.id, deleted: true };
+    }
+
+    // Security alert for a passkey change; a mail problem must not undo it
+    static async #notify(userId, context, { title, message, passkeyName }) {
+        try {
+            const user = await UserModel.findById(userId);
+            await EmailService.send({
+                to: user.email,
+                template: 'securityAlert',
+                userId,
+                params: {
+                    name: user.full_name,
+                    title,
+                    message,
+                    details: {
+                        'Passkey': passkeyName,
+                        'Time': new Date().toUTCString(),
+                        'IP address': context.ip
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Passkey change notification failed:', error.message);
+        }
+    }
+
+    static async #storeChallenge(userId, challenge, purpose) {
+        // Opportunistically clear abandoned ceremonies
+        PasskeyModel.deleteExpiredChallenges().catch(error => {
+            console.error('Clearing expired WebAuthn challenges failed:', error.message);
+        });
+
+        const id = crypto.randomUUID();
+        await PasskeyModel.createChallenge({
+            id,
+            user_id: userId,
+            challenge,
+            purpose,
+            expires_at: new Date(Date.now() + CEREMONY_TIMEOUT_MS)
+        });
+        return id;
+    }
+
+    static #toDescriptor(credential) {
+        return {
+            id: credential.credential_id,
+            transports: credential.transports || undefined
+        };
+    }
+}
+
+module.exports = PasskeyService;
@@ -0,0 +1,157 @@
+const PasswordResetTokenModel = require('../models/passwordResetTokenModel');
+const UserModel = require('../models/userModel');
+const PasskeyModel = require('../models/passkeyModel');
+const TokenService = require('./tokenService');
+const EmailService = require('./emailService');
+const FirebaseSyncService = require('./firebaseSyncService');
+const LoginThrottleService = require('./loginThrottleService');
+const SecurityEventService = require('./securityEventService');
+const { getClient } = require('../config/database');
+const { AppError } = require('../utils/errorHandler');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const PASSWORD_RESET_EXPIRES_IN_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_IN_MINUTES) || 30;
+const PASSWORD_RESET_COOLDOWN_SECONDS = parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS) || 60;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Password Reset Service
+ * Issues short-lived single-use reset links (stored hashed) and redeems them
+ */
+class PasswordResetService {
+    /**
+     * Start a reset. Always resolves the same way so callers cannot tell
+     * whether the email belongs to an account
+     * @param {string} email - Submitted email
+     * @param {Object} context - Request context (ip, userAgent)
+     * @param {Object} options - { bypassCooldown } for resets triggered by an admin
+     */
+    static async request(email, context = {}, { bypassCooldown = false } = {}) {
+        const user = await UserModel.findByEmail(email);
+        if (!user) {
+            return;
+        }
+
+        // Repeated requests inside the cooldown reuse the link already sent
+        const lastRequestAt = await PasswordResetTokenModel.findLatestRequestAt(user.id);
+        if (!bypassCooldown && lastRequestAt &&
+            Date.now() - new Date(lastRequestAt).getTime() < PASSWORD_RESET_COOLDOWN_SECONDS * 1000) {
+            return;
+        }
+
+        const rawToken = generateRandomToken(32);
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_IN_MINUTES * 60 * 1000);
+        await PasswordResetTokenModel.create(user.id, hashToken(rawToken), expiresAt, context.ip);
+
+        await EmailService.send({
+            to: user.email,
+            template: 'passwordReset',
+            userId: user.id,
+            params: {
+                name: user.full_name,
+                resetUrl: `${FRONTEND_URL}/reset-password?token=${rawToken}`,
+                expiresInMinutes: PASSWORD_RESET_EXPIRES_IN_MINUTES
+            }
+        });
+
+        await SecurityEventService.record(user.id, 'password_reset_requested', context);
+    }
+
+    /**
+     * Check a reset link before showing the form
+     * @param {string} rawToken - Token from the link
+     * @returns {Promise<Object>} { valid, email (masked), expiresAt }
+     */
+    static async validate(rawToken) {
+        const token = await PasswordResetTokenModel.findByHash(hashToken(rawToken));
+        if (!token || token.used_at) {
+            throw new AppError('Invalid or already used reset link', 400, true, 'RESET_TOKEN_INVALID');
+        }
+        if (new Date(token.expires_at) <= new Date()) {
+            throw new AppError('Reset link has expired. Please request a new one', 400, true, 'RESET_TOKEN_EXPIRED');
+        }
+
+        return {
+            valid: true,
+            email: this.#maskEmail(token.email),
+            expiresAt: token.expires_at
+        };
+    }
+
+    /**
+     * Redeem a reset link: set the password, sign out everywhere, sync
+     * Firebase and send a confirmation
+     * @param {string} rawToken - Token from the link
+     * @param {string} newPassword - New password (already validated)
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async reset(rawToken, newPassword, context = {}) {
+        const tokenHash = hashToken(rawToken);
+        const client = await getClient();
+        let userId;
+
+        try {
+            await client.query('BEGIN');
+
+            const consumed = await PasswordResetTokenModel.consume(tokenHash, client);
+            if (!consumed) {
+                await client.query('ROLLBACK');
+                // Reuse the pre-check to explain why
+                await this.validate(rawToken);
+                throw new AppError('Invalid or already used reset link', 400, true, 'RESET_TOKEN_INVALID');
+            }
+
+            userId = consumed.user_id;
+            await UserModel.updatePassword(userId, newPassword, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            if (!(error instanceof AppError)) {
+                await client.query('ROLLBACK');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const user = await UserModel.findById(userId);
+
+        await TokenService.revokeAllSessions(userId);
+        await LoginThrottleService.recordSuccess(user.email);
+        await FirebaseSyncService.updateUser(user, { password: newPassword });
+        await SecurityEventService.record(userId, 'password_reset', context);
+
+        try {
+            // Passkeys still sign in after a reset, so list them for review
+            const passkeys = await PasskeyModel.findByUserId(userId);
+            const passkeyNote = passkeys.length
+                ? ' Passkeys on your account still work: remove any you do not recognise in your security settings.'
+                : '';
+
+            await EmailService.send({
+                to: user.email,
+                template: 'securityAlert',
+                userId,
+                params: {
+                    name: user.full_name,
+                    title: 'Your password was changed',
+                    message: `The password for your account was just reset and all devices were signed out. If you did not do this, reset your password again right away and contact support.${passkeyNote}`,
+                    details: {
+                        'Time': new Date().toUTCString(),
+                        'IP address': context.ip,
+                        'Passkeys': passkeys.map(passkey => passkey.name).join(', ')
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Password reset confirmation email failed:', error.message);
+        }
+    }
+
+    // j***@example.com
+    static #maskEmail(email) {
+        const [local, domain] = email.split('@');
+        return `${local.charAt(0)}***@${domain}`;
+    }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,172 @@
+const { parsePhoneNumber } = require('libphonenumber-js');
+const UserModel = require('../models/userModel');
+const EmailService = require('./emailService');
+const FirebaseService = require('./firebaseService');
+const FirebaseSyncService = require('./firebaseSyncService');
+const SecurityEventService = require('./securityEventService');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Phone Change Service
+ * A new number is held as pending and only replaces mobile_no once the
+ * OTP sent to it is verified
+ */
+class PhoneChangeService {
+    /**
+     * Start a change: store the number as pending and text it a code
+     * @param {number} userId - User ID
+     * @param {string} mobileNo - Requested number
+     * @param {Object} context - Request context (ip, userAgent, locale)
+     * @returns {Promise<Object>} { pendingMobileNo, verificationId, expiresAt }
+     */
+    static async request(userId, mobileNo, context = {}) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const pendingMobileNo = this.#format(mobileNo);
+        if (pendingMobileNo === user.mobile_no) {
+            throw new AppError('New number must be different from your current number', 400);
+        }
+
+        if (await UserModel.mobileExists(pendingMobileNo)) {
+            throw new AppError('Mobile number is already in use', 409, true, 'MOBILE_IN_USE');
+        }
+
+        await UserModel.setPendingMobile(userId, pendingMobileNo);
+
+        const { verificationId, expiresAt } = await FirebaseService.sendSMSOTP(pendingMobileNo, {
+            purpose: 'phone_change',
+            userId,
+            locale: context.locale
+        });
+
+        await SecurityEventService.record(userId, 'phone_change_requested', context, {
+            pending_mobile_no: pendingMobileNo
+        });
+
+        return {
+            pendingMobileNo,
+            verificationId,
+            expiresAt
+        };
+    }
+
+    /**
+     * Complete a change with the code sent to the pending number
+     * @param {number} userId - User ID
+     * @param {string} otp - Code from the SMS
+     * @param {string} verificationId - Challenge id returned by request()
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} { mobileNo }
+     */
+    static async verify(userId, otp, verificationId, context = {}) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const { pending_mobile_no: pendingMobileNo } = await UserModel.getPendingMobile(userId);
+        if (!pendingMobileNo) {
+            throw new AppError('There is no pending phone number change', 400, true, 'NO_PENDING_PHONE_CHANGE');
+        }
+
+        await FirebaseService.verifySMSOTP(verificationId, otp, {
+            purpose: 'phone_change',
+            userId,
+            phoneNumber: pendingMobileNo
+        });
+
+        // The number may have been taken since the change was requested
+        if (await UserModel.mobileExists(pendingMobileNo)) {
+            await UserModel.setPendingMobile(userId, null);
+            throw new AppError('Mobile number is already in use', 409, true, 'MOBILE_IN_USE');
+        }
+
+        let updated;
+        try {
+            updated = await UserModel.applyPendingMobile(userId, pendingMobileNo);
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new AppError('Mobile number is already in use', 409, true, 'MOBILE_IN_USE');
+            }
+            throw error;
+        }
+        if (!updated) {
+            throw new AppError('There is no pending phone number change', 400, true, 'NO_PENDING_PHONE_CHANGE');
+        }
+
+        await FirebaseSyncService.updateUser(user, { phoneNumber: pendingMobileNo });
+        await SecurityEventService.record(userId, 'phone_changed', context, {
+            old_mobile_no: user.mobile_no,
+            new_mobile_no: pendingMobileNo
+        });
+
+        try {
+            await EmailService.send({
+                to: user.email,
+                template: 'securityAlert',
+                userId,
+                params: {
+                    name: user.full_name,
+                    title: 'Your phone number was changed',
+                    message: 'The phone number on your account was changed. If you did not make this change, reset your password and contact support.',
+                    details: {
+                        'Previous number': this.#mask(user.mobile_no),
+                        'New number': this.#mask(pendingMobileNo),
+                        'IP address': context.ip
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Phone change notification failed:', error.message);
+        }
+
+        return {
+            mobileNo: updated.mobile_no
+        };
+    }
+
+    /**
+     * Drop a pending change
+     * @param {number} userId - User ID
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async cancel(userId, context = {}) {
+        const { pending_mobile_no: pendingMobileNo } = await UserModel.getPendingMobile(userId) || {};
+        if (!pendingMobileNo) {
+            throw new AppError('There is no pending phone number change', 400, true, 'NO_PENDING_PHONE_CHANGE');
+        }
+
+        await UserModel.setPendingMobile(userId, null);
+        await SecurityEventService.record(userId, 'phone_change_cancelled', context, {
+            pending_mobile_no: pendingMobileNo
+        });
+    }
+
+    // Store numbers the way registration does
+    static #format(mobileNo) {
+        try {
+            const phoneNumber = parsePhoneNumber(mobileNo);
+            if (phoneNumber && phoneNumber.isValid()) {
+                return phoneNumber.formatInternational();
+            }
+        } catch (error) {
+            // Fall through to the validation error
+        }
+        throw new AppError('Invalid phone number format', 400);
+    }
+
+    // +234 ***5678
+    static #mask(mobileNo) {
+        if (!mobileNo) {
+            return null;
+        }
+        const digits = mobileNo.replace(/\D/g, '');
+        return `${mobileNo.split(' ')[0]} ***${digits.slice(-4)}`;
+    }
+
+}
+
+module.exports = PhoneChangeService;
@@ -0,0 +1,127 @@
+const RoleModel = require('../models/roleModel');
+const UserModel = require('../models/userModel');
+const SecurityEventService = require('./securityEventService');
+const TTLCache = require('../utils/ttlCache');
+const { AppError } = require('../utils/errorHandler');
+
+// Permissions are re-read at most this often per user, so a revoked role
+// stops working quickly without a database hit on every request
+const PERMISSION_CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS) || 30) * 1000;
+const permissionCache = new TTLCache(PERMISSION_CACHE_TTL_MS);
+
+/**
+ * RBAC Service
+ * Roles and permissions stored in PostgreSQL
+ */
+class RbacService {
+    /**
+     * Role names held by a user (used for JWT claims)
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<string>>} Role names
+     */
+    static async getRoles(userId) {
+        return RoleModel.getRoleNamesForUser(userId);
+    }
+
+    /**
+     * Permission names granted to a user
+     * @param {number} userId - User ID
+     * @returns {Promise<Set<string>>} Permissions
+     */
+    static async getPermissions(userId) {
+        const cached = permissionCache.get(userId);
+        if (cached) {
+            return cached;
+        }
+
+        const permissions = new Set(await RoleModel.getPermissionNamesForUser(userId));
+        permissionCache.set(userId, permissions);
+        return permissions;
+    }
+
+    /**
+     * Check that a user holds every listed permission
+     * @param {number} userId - User ID
+     * @param {Array<string>} required - Permission names
+     * @returns {Promise<boolean>} True if all are granted
+     */
+    static async hasPermissions(userId, required) {
+        const permissions = await this.getPermissions(userId);
+        return required.every(permission => permissions.has(permission));
+    }
+
+    /**
+     * All roles and what they grant
+     * @returns {Promise<Array>} Roles with permission names
+     */
+    static async listRoles() {
+        return RoleModel.findAllWithPermissions();
+    }
+
+    /**
+     * Grant a role
+     * @param {number} userId - User receiving the role
+     * @param {string} roleName - Role name
+     * @param {number|null} actorId - Admin granting it (null for bootstrap)
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async assignRole(userId, roleName, actorId = null, context = {}) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (!(await RoleModel.assignToUser(userId, roleName, actorId))) {
+            throw new AppError(`Unknown role: ${roleName}`, 400, true, 'UNKNOWN_ROLE');
+        }
+
+        permissionCache.delete(userId);
+        await SecurityEventService.record(userId, 'role_granted', context, { role: roleName, granted_by: actorId });
+    }
+
+    /**
+     * Revoke a role. The last admin cannot be removed
+     * @param {number} userId - User losing the role
+     * @param {string} roleName - Role name
+     * @param {number|null} actorId - Admin revoking it
+     * @param {Object} context - Request context (ip, userAgent)
+     */
+    static async revokeRole(userId, roleName, actorId = null, context = {}) {
+        const roles = await RoleModel.getRoleNamesForUser(userId);
+        if (!roles.includes(roleName)) {
+            throw new AppError(`User does not have the ${roleName} role`, 404);
+        }
+
+        if (roleName === 'admin' && (await RoleModel.countUsersWithRole('admin')) <= 1) {
+            throw new AppError('Cannot remove the last admin', 409, true, 'LAST_ADMIN');
+        }
+
+        await RoleModel.removeFromUser(userId, roleName);
+        permissionCache.delete(userId);
+        await SecurityEventService.record(userId, 'role_revoked', context, { role: roleName, revoked_by: actorId });
+    }
+
+    /**
+     * Make an existing user the first admin. Refuses once any admin exists
+     * unless forced, so it cannot be used to escalate later
+     * @param {string} email - Email of an existing account
+     * @param {Object} options - { force }
+     * @returns {Promise<Object>} The promoted user
+     */
+    static async bootstrapAdmin(email, { force = false } = {}) {
+        const adminCount = await RoleModel.countUsersWithRole('admin');
+        if (adminCount > 0 && !force) {
+            throw new AppError('An admin already exists. Grant further roles through the admin API', 409, true, 'ADMIN_EXISTS');
+        }
+
+        const user = await UserModel.findByEmail(email);
+        if (!user) {
+            throw new AppError(`No user with email ${email}`, 404);
+        }
+
+        await this.assignRole(user.id, 'admin', null, { userAgent: 'bootstrap-admin' });
+        return { id: user.id, email: user.email };
+    }
+}
+
+module.exports = RbacService;
@@ -0,0 +1,58 @@
+const UserModel = require('../models/userModel');
+const SessionModel = require('../models/sessionModel');
+const { AppError } = require('../utils/errorHandler');
+
+const REAUTH_WINDOW_MINUTES = parseInt(process.env.REAUTH_WINDOW_MINUTES) || 5;
+
+/**
+ * Re-authentication Service
+ * Confirms the account holder before sensitive changes. Accounts with a
+ * password confirm it; accounts created through an identity provider have
+ * none, so a sign-in within the last few minutes stands in for it.
+ */
+class ReauthService {
+    /**
+     * Require the password, or a recent sign-in for passwordless accounts
+     * @param {number} userId - User ID
+     * @param {string} password - Current password (unused without one)
+     * @param {Object|null} token - Decoded access token of the request (sid, iat, firebase_uid)
+     */
+    static async confirm(userId, password, token = null) {
+        const passwordHash = await UserModel.getPasswordHash(userId);
+
+        if (passwordHash) {
+            if (!password) {
+                throw new AppError('Password is required', 400, true, 'PASSWORD_REQUIRED');
+            }
+            if (!(await UserModel.verifyPassword(password, passwordHash))) {
+                throw new AppError('Incorrect password', 401);
+            }
+            return;
+        }
+
+        const signedInAt = await this.#signedInAt(userId, token);
+        if (!signedInAt || Date.now() - signedInAt.getTime() > REAUTH_WINDOW_MINUTES * 60 * 1000) {
+            throw new AppError(
+                `Your account has no password. Sign in again, then retry within ${REAUTH_WINDOW_MINUTES} minutes to confirm it's you`,
+                403, true, 'REAUTH_REQUIRED'
+            );
+        }
+    }
+
+    // Our tokens belong to a session started at sign-in; Firebase ID tokens
+    // carry their auth_time as iat (see middleware/auth)
+    static async #signedInAt(userId, token) {
+        if (!token) {
+            return null;
+        }
+
+        if (token.sid) {
+            const session = await SessionModel.findActiveById(token.sid);
+            return session && session.user_id === userId ? new Date(session.created_at) : null;
+        }
+
+        return token.firebase_uid && token.iat ? new Date(token.iat * 1000) : null;
+    }
+}
+
+module.exports = ReauthService;
@@ -0,0 +1,101 @@
+const SecurityEventModel = require('../models/securityEventModel');
+const { toCsvRow } = require('../utils/csv');
+
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 50000;
+
+const EXPORT_COLUMNS = [
+    'id', 'created_at', 'event_type', 'user_id', 'user_email', 'actor_id', 'actor_email',
+    'ip_address', 'user_agent', 'request_id', 'metadata', 'changes'
+];
+
+/**
+ * Security Event Service
+ * Append-only audit log of security-relevant and profile events. Each entry
+ * carries the account it concerns, who acted (context.actorId), the client
+ * and the request id, plus field-level changes where something was edited.
+ */
+class SecurityEventService {
+    static EXPORT_FORMATS = ['csv', 'json'];
+
+    /**
+     * Record an event. Failures are logged but never break the calling flow.
+     * @param {number|null} userId - User the event belongs to
+     * @param {string} eventType - e.g. 'account_locked'
+     * @param {Object} context - Request context (ip, userAgent, requestId, actorId)
+     * @param {Object|null} metadata - Extra details
+     * @param {Object|null} changes - Field diff, see utils/diff
+     */
+    static async record(userId, eventType, context = {}, metadata = null, changes = null) {
+        try {
+            await SecurityEventModel.create({
+                user_id: userId,
+                actor_id: context.actorId,
+                event_type: eventType,
+                ip_address: context.ip,
+                user_agent: context.userAgent,
+                request_id: context.requestId,
+                metadata,
+                changes
+            });
+        } catch (error) {
+            console.error(`Recording security event ${eventType} failed:`, error.message);
+        }
+    }
+
+    /**
+     * List a user's recent events
+     * @param {number} userId - User ID
+     * @param {Object} pagination - { page, limit }
+     * @param {Object} filters - { event_types, from, to }
+     * @returns {Promise<Array>} Events, newest first
+     */
+    static async listForUser(userId, { page = 1, limit = 50 } = {}, filters = {}) {
+        return SecurityEventModel.findByUserId(userId, limit, (page - 1) * limit, filters);
+    }
+
+    /**
+     * Search the whole log
+     * @param {Object} filters - user_id, actor_id, event_types, ip_address, request_id, from, to
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} { events, pagination }
+     */
+    static async search(filters = {}, pagination = {}) {
+        return SecurityEventModel.search(filters, pagination);
+    }
+
+    /**
+     * Stream a filtered export in batches, newest first
+     * @param {Object} filters - Same as search
+     * @param {string} format - 'csv' or 'json' (JSON Lines)
+     * @yields {string} Chunks ready to write to the response
+     */
+    static async *exportEvents(filters = {}, format = 'csv') {
+        if (format === 'csv') {
+            yield toCsvRow(EXPORT_COLUMNS);
+        }
+
+        let beforeId = null;
+        let exported = 0;
+
+        while (exported < EXPORT_MAX_ROWS) {
+            const batch = await SecurityEventModel.findBatch(
+                filters,
+                beforeId,
+                Math.min(EXPORT_BATCH_SIZE, EXPORT_MAX_ROWS - exported)
+            );
+            if (batch.length === 0) {
+                return;
+            }
+
+            yield batch.map(event => (format === 'csv'
+                ? toCsvRow(EXPORT_COLUMNS.map(column => event[column]))
+                : `${JSON.stringify(event)}\n`)).join('');
+
+            exported += batch.length;
+            beforeId = batch[batch.length - 1].id;
+        }
+    }
+}
+
+module.exports = SecurityEventService;
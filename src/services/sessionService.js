@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const SessionModel = require('../models/sessionModel');
+const RefreshTokenModel = require('../models/refreshTokenModel');
+const TokenService = require('./tokenService');
+const AccountStatusService = require('./accountStatusService');
+const SecurityEventService = require('./securityEventService');
+const LoginAlertService = require('./loginAlertService');
+const AccountDeletionService = require('./accountDeletionService');
+const { AppError } = require('../utils/errorHandler');
+const TTLCache = require('../utils/ttlCache');
+
+// Session checks run on every protected request and always read the
+// database, so revoking a session on one instance stops its access tokens on
+// all of them. Only the last-seen write is throttled, to one per session per
+// interval.
+const LAST_SEEN_INTERVAL_MS = (parseInt(process.env.SESSION_LAST_SEEN_INTERVAL_SECONDS) || 60) * 1000;
+const lastSeenWrites = new TTLCache(LAST_SEEN_INTERVAL_MS);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Session Service
+ * Tracks where a user is signed in and allows per-device sign out
+ */
+class SessionService {
+    /**
+     * Start a session for a successful login and issue its tokens
+     * @param {Object} user - User row
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<Object>} Token pair plus session id
+     */
+    static async startSession(user, context = {}) {
+        // Signing in during the grace period cancels a scheduled deletion
+        if (user.status === 'pending_deletion') {
+            await AccountDeletionService.restoreOnLogin(user, context);
+        }
+        await AccountStatusService.assertActive(user);
+
+        // Set after a "this wasn't me" report
+        if (user.password_reset_required) {
+            throw new AppError('For your security, reset your password using the link we emailed you', 403, true, 'PASSWORD_RESET_REQUIRED');
+        }
+
+        const session = await SessionModel.create({
+            id: crypto.randomUUID(),
+            user_id: user.id,
+            user_agent: context.userAgent || null,
+            ip_address: context.ip || null
+        });
+
+        const tokens = await TokenService.issueAuthTokens(user, session.id);
+        await SecurityEventService.record(user.id, 'login_succeeded', context, { session_id: session.id });
+        await LoginAlertService.handleLogin(user, session.id, context);
+
+        return {
+            ...tokens,
+            session_id: session.id
+        };
+    }
+
+    /**
+     * List active sessions of a user
+     * @param {number} userId - User ID
+     * @param {string|null} currentSessionId - Session of the calling token
+     * @returns {Promise<Array>} Sessions, flagged with `current`
+     */
+    static async listSessions(userId, currentSessionId = null) {
+        const sessions = await SessionModel.findActiveByUserId(userId);
+
+        return sessions.map(session => ({
+            ...session,
+            current: session.id === currentSessionId
+        }));
+    }
+
+    /**
+     * Revoke one of the user's sessions and its refresh tokens
+     * @param {number} userId - User ID
+     * @param {string} sessionId - Session to revoke
+     */
+    static async revokeSession(userId, sessionId) {
+        if (!UUID_PATTERN.test(sessionId)) {
+            throw new AppError('Session not found', 404);
+        }
+
+        const revoked = await SessionModel.revoke(sessionId, userId);
+        if (!revoked) {
+            throw new AppError('Session not found', 404);
+        }
+
+        await this.endSession(sessionId);
+
+        return {
+            session_id: sessionId,
+            revoked: true
+        };
+    }
+
+    /**
+     * End a session: revoke it with its refresh tokens
+     * @param {string} sessionId - Session to end
+     */
+    static async endSession(sessionId) {
+        await SessionModel.revoke(sessionId);
+        await RefreshTokenModel.revokeFamily(sessionId);
+        lastSeenWrites.delete(sessionId);
+    }
+
+    /**
+     * Confirm a session is still active and record activity on it
+     * @param {string} sessionId - Session id from the access token
+     * @returns {Promise<boolean>} Whether the session is active
+     */
+    static async touchSession(sessionId) {
+        // Recently touched: only check it has not been revoked since
+        if (lastSeenWrites.has(sessionId)) {
+            return Boolean(await SessionModel.findActiveById(sessionId));
+        }
+
+        const active = await SessionModel.touch(sessionId);
+        if (active) {
+            lastSeenWrites.set(sessionId, true);
+        }
+
+        return active;
+    }
+}
+
+module.exports = SessionService;
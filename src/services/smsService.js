@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const SmsMessageModel = require('../models/smsMessageModel');
+const { createDriver } = require('../utils/smsDrivers');
+const { resolveLocale, render } = require('../templates/sms');
+const { AppError } = require('../utils/errorHandler');
+
+const SMS_MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS) || 3;
+const SMS_RETRY_DELAY_MS = parseInt(process.env.SMS_RETRY_DELAY_MS) || 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * SMS Service
+ * Renders localized templates and delivers them through the configured
+ * driver (SMS_DRIVER: console, file or http), logging every message and
+ * retrying transient failures with exponential backoff
+ */
+class SmsService {
+    static #driver = null;
+
+    /**
+     * Configured delivery driver
+     * @returns {Object} Driver instance
+     */
+    static getDriver() {
+        if (!this.#driver) {
+            const name = process.env.SMS_DRIVER || (process.env.NODE_ENV === 'development' ? 'console' : 'http');
+            this.#driver = createDriver(name);
+        }
+        return this.#driver;
+    }
+
+    /**
+     * Replace the driver (e.g. a FileDriver pointed at a test outbox)
+     * @param {Object} driver - Object with a send(message) method
+     */
+    static setDriver(driver) {
+        this.#driver = driver;
+    }
+
+    /**
+     * Send a templated message
+     * @param {Object} message - { to, template, params, locale, userId }
+     * @returns {Promise<Object>} { id, status, attempts, providerMessageId }
+     */
+    static async send({ to, template, params = {}, locale = null, userId = null }) {
+        const driver = this.getDriver();
+        const resolvedLocale = resolveLocale(locale);
+        const body = render(template, resolvedLocale, params);
+        const id = crypto.randomUUID();
+
+        await SmsMessageModel.create({
+            id,
+            user_id: userId,
+            phone_number: to,
+            template,
+            locale: resolvedLocale,
+            driver: driver.name
+        });
+
+        for (let attempt = 1; attempt <= SMS_MAX_ATTEMPTS; attempt++) {
+            try {
+                const { providerMessageId = null } = await driver.send({ id, to, body, template, locale: resolvedLocale }) || {};
+                await SmsMessageModel.markSent(id, attempt, providerMessageId);
+
+                return { id, status: 'sent', attempts: attempt, providerMessageId };
+            } catch (error) {
+                const final = !error.transient || attempt === SMS_MAX_ATTEMPTS;
+                await SmsMessageModel.markAttemptFailed(id, attempt, error.message, final);
+
+                if (final) {
+                    console.error(` SMS ${id} to ${to} failed after ${attempt} attempt(s):`, error.message);
+                    throw new AppError('Failed to deliver SMS. Please try again later', 502, true, 'SMS_DELIVERY_FAILED');
+                }
+
+                await sleep(SMS_RETRY_DELAY_MS * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    /**
+     * Delivery history for a phone number
+     * @param {string} phoneNumber - Recipient
+     * @returns {Promise<Array>} Logged messages, newest first
+     */
+    static async getDeliveryLog(phoneNumber) {
+        return SmsMessageModel.findByPhone(phoneNumber);
+    }
+}
+
+module.exports = SmsService;
@@ -0,0 +1,254 @@
+const RefreshTokenModel = require('../models/refreshTokenModel');
+const TokenBlacklistModel = require('../models/tokenBlacklistModel');
+const SessionModel = require('../models/sessionModel');
+const UserModel = require('../models/userModel');
+const RbacService = require('./rbacService');
+const { getClient } = require('../config/database');
+const { generateToken, getTokenLifetime } = require('../utils/jwt');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { AppError } = require('../utils/errorHandler');
+const TTLCache = require('../utils/ttlCache');
+
+const REFRESH_TOKEN_EXPIRES_IN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+const REVOCATION_CACHE_TTL_MS = (parseInt(process.env.REVOCATION_CACHE_TTL_SECONDS) || 30) * 1000;
+const BLACKLIST_PRUNE_INTERVAL_MS = (parseInt(process.env.BLACKLIST_PRUNE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Revocation lookups run on every protected request, so results are cached.
+// Revocations made by this instance update the cache immediately; other
+// instances pick them up once their cached entry expires.
+const revocationCache = new TTLCache(REVOCATION_CACHE_TTL_MS);
+
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens.
+ * Refresh tokens are opaque, stored hashed, and grouped in families -
+ * presenting an already rotated token revokes the whole family.
+ * A family is a login session: its id is the session id (sid claim).
+ */
+class TokenService {
+    /**
+     * Build the access token payload for a user
+     * @param {Object} user - User row
+     * @param {string} sessionId - Session the token belongs to
+     * @param {Array<string>} roles - Role names (informational; authorize() re-checks the database)
+     * @returns {Object} JWT payload
+     */
+    static buildAccessPayload(user, sessionId, roles = []) {
+        return {
+            id: user.id,
+            email: user.email,
+            full_name: user.full_name,
+            sid: sessionId,
+            roles
+        };
+    }
+
+    /**
+     * Issue an access token plus a refresh token
+     * @param {Object} user - User row
+     * @param {string} sessionId - Session (token family) the tokens belong to
+     * @param {Object|null} client - Transaction client
+     * @returns {Promise<Object>} Token pair with lifetimes
+     */
+    static async issueAuthTokens(user, sessionId, client = null) {
+        const refresh = await this.#createRefreshToken(user.id, sessionId, client);
+        const roles = await RbacService.getRoles(user.id);
+        return this.#formatTokens(generateToken(this.buildAccessPayload(user, sessionId, roles)), refresh);
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (rotation)
+     * @param {string} rawToken - Refresh token presented by the client
+     * @returns {Promise<Object>} New token pair and the user
+     */
+    static async rotateRefreshToken(rawToken) {
+        if (!rawToken) {
+            throw new AppError('Refresh token is required', 401, true, 'REFRESH_TOKEN_INVALID');
+        }
+
+        const client = await getClient();
+        let committed = false;
+
+        try {
+            await client.query('BEGIN');
+
+            const stored = await RefreshTokenModel.findByHash(hashToken(rawToken), client);
+            if (!stored) {
+                throw new AppError('Invalid refresh token', 401, true, 'REFRESH_TOKEN_INVALID');
+            }
+
+            // A revoked token coming back means it was stolen or replayed
+            if (stored.revoked_at) {
+                await RefreshTokenModel.revokeFamily(stored.family_id, client);
+                await SessionModel.revoke(stored.family_id, null, client);
+                await client.query('COMMIT');
+                committed = true;
+
+                console.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id} revoked`);
+                throw new AppError('Refresh token has been revoked. Please log in again', 401, true, 'REFRESH_TOKEN_REUSED');
+            }
+
+            if (new Date() > new Date(stored.expires_at)) {
+                throw new AppError('Refresh token has expired. Please log in again', 401, true, 'REFRESH_TOKEN_EXPIRED');
+            }
+
+            const user = await UserModel.findById(stored.user_id);
+            if (!user) {
+                throw new AppError('User no longer exists', 401, true, 'REFRESH_TOKEN_INVALID');
+            }
+
+            const refresh = await this.#createRefreshToken(user.id, stored.family_id, client);
+            await RefreshTokenModel.markReplaced(stored.id, refresh.id, client);
+
+            await client.query('COMMIT');
+            committed = true;
+
+            const roles = await RbacService.getRoles(user.id);
+            const token = generateToken(this.buildAccessPayload(user, stored.family_id, roles));
+            return { user, ...this.#formatTokens(token, refresh) };
+        } catch (error) {
+            if (!committed) {
+                await client.query('ROLLBACK');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Revoke the family (session) a refresh token belongs to
+     * @param {string} rawToken - Refresh token presented by the client
+     * @returns {Promise<boolean>} Whether a token was found
+     */
+    static async revokeRefreshToken(rawToken) {
+        if (!rawToken) {
+            return false;
+        }
+
+        const stored = await RefreshTokenModel.findByHash(hashToken(rawToken));
+        if (!stored) {
+            return false;
+        }
+
+        await RefreshTokenModel.revokeFamily(stored.family_id);
+        await SessionModel.revoke(stored.family_id);
+        return true;
+    }
+
+    /**
+     * Blacklist a single access token until it expires
+     * @param {Object} decoded - Verified JWT payload (jti, id, exp)
+     */
+    static async revokeAccessToken(decoded) {
+        if (!decoded || !decoded.jti) {
+            return;
+        }
+
+        const expiresAt = new Date(decoded.exp * 1000);
+        await TokenBlacklistModel.add(decoded.jti, decoded.id, expiresAt);
+        revocationCache.set(`jti:${decoded.jti}`, true, Math.max(expiresAt - Date.now(), 0));
+    }
+
+    /**
+     * Check whether an access token has been revoked, either individually
+     * (logout) or by a user-wide cut-off (logout from all devices)
+     * @param {Object} decoded - Verified JWT payload
+     * @returns {Promise<boolean>} Revocation status
+     */
+    static async isAccessTokenRevoked(decoded) {
+        if (decoded.jti) {
+            const jtiKey = `jti:${decoded.jti}`;
+            let blacklisted = revocationCache.get(jtiKey);
+
+            if (blacklisted === undefined) {
+                blacklisted = await TokenBlacklistModel.exists(decoded.jti);
+                revocationCache.set(jtiKey, blacklisted);
+            }
+
+            if (blacklisted) {
+                return true;
+            }
+        }
+
+        const userKey = `user:${decoded.id}`;
+        let revokedAt = revocationCache.get(userKey);
+
+        if (revokedAt === undefined) {
+            const timestamp = await UserModel.getTokensRevokedAt(decoded.id);
+            revokedAt = timestamp ? Math.floor(new Date(timestamp).getTime() / 1000) : 0;
+            revocationCache.set(userKey, revokedAt);
+        }
+
+        return decoded.iat < revokedAt;
+    }
+
+    /**
+     * Sign a user out everywhere: reject all issued access tokens and
+     * revoke every refresh token
+     * @param {number} userId - User ID
+     */
+    static async revokeAllSessions(userId) {
+        const revokedAt = await UserModel.revokeAllTokens(userId);
+        await RefreshTokenModel.revokeAllForUser(userId);
+        await SessionModel.revokeAllForUser(userId);
+
+        if (revokedAt) {
+            revocationCache.set(`user:${userId}`, Math.floor(new Date(revokedAt).getTime() / 1000));
+        }
+    }
+
+    /**
+     * Delete blacklist rows whose tokens have expired
+     * @returns {Promise<number>} Number of pruned rows
+     */
+    static async pruneBlacklist() {
+        const pruned = await TokenBlacklistModel.deleteExpired();
+        if (pruned > 0) {
+            console.log(`🧹 Pruned ${pruned} expired blacklisted tokens`);
+        }
+        return pruned;
+    }
+
+    /**
+     * Prune the blacklist periodically
+     * @returns {NodeJS.Timeout} Interval handle
+     */
+    static startBlacklistPruning() {
+        const timer = setInterval(() => {
+            this.pruneBlacklist().catch(error => {
+                console.error('Blacklist pruning failed:', error.message);
+            });
+        }, BLACKLIST_PRUNE_INTERVAL_MS);
+
+        // Don't keep the process alive just for pruning
+        timer.unref();
+        return timer;
+    }
+
+    // Persist a new refresh token and return the raw value once
+    static async #createRefreshToken(userId, sessionId, client) {
+        const rawToken = generateRandomToken();
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+        const stored = await RefreshTokenModel.create({
+            user_id: userId,
+            token_hash: hashToken(rawToken),
+            family_id: sessionId,
+            expires_at: expiresAt
+        }, client);
+
+        return { id: stored.id, rawToken, expiresAt };
+    }
+
+    static #formatTokens(token, refresh) {
+        return {
+            token,
+            expires_in: getTokenLifetime(token),
+            refresh_token: refresh.rawToken,
+            refresh_expires_at: refresh.expiresAt
+        };
+    }
+}
+
+module.exports = TokenService;
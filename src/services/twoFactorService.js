@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const TwoFactorModel = require('../models/twoFactorModel');
+const UserModel = require('../models/userModel');
+const PasskeyService = require('./passkeyService');
+const LoginThrottleService = require('./loginThrottleService');
+const ReauthService = require('./reauthService');
+const { AppError } = require('../utils/errorHandler');
+const { generateChallengeToken, verifyChallengeToken } = require('../utils/jwt');
+const { hashToken } = require('../utils/tokens');
+const { encrypt, decrypt } = require('../utils/encryption');
+const TTLCache = require('../utils/ttlCache');
+const totp = require('../utils/totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Company Registration';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Failed attempts per login challenge (keyed by challenge jti), so a single
+// challenge cannot be hammered. The real limit is LoginThrottleService: its
+// per-account count survives restarts and new challenges.
+const challengeAttempts = new TTLCache(10 * 60 * 1000);
+
+/**
+ * Two-Factor Authentication Service
+ * Authenticator-app (TOTP) enrollment, recovery codes and the second
+ * step of the login flow (TOTP, recovery code or passkey)
+ */
+class TwoFactorService {
+    /**
+     * Check if a user has 2FA enabled
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} Enabled status
+     */
+    static async isEnabled(userId) {
+        return TwoFactorModel.isEnabled(userId);
+    }
+
+    /**
+     * Get 2FA status for a user
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Status and remaining recovery codes
+     */
+    static async getStatus(userId) {
+        const settings = await TwoFactorModel.findByUserId(userId);
+        const enabled = !!(settings && settings.enabled_at);
+
+        return {
+            enabled,
+            enabled_at: enabled ? settings.enabled_at : null,
+            recovery_codes_remaining: enabled ? await TwoFactorModel.countRemainingRecoveryCodes(userId) : 0
+        };
+    }
+
+    /**
+     * Start enrollment: create a pending secret and return it for the app
+     * @param {Object} user - User row
+     * @returns {Promise<Object>} Secret, otpauth URI and QR code data URL
+     */
+    static async beginEnrollment(user) {
+        const secret = totp.generateSecret();
+
+        const pending = await TwoFactorModel.upsertPending(user.id, encrypt(secret));
+        if (!pending) {
+            throw new AppError('Two-factor authentication is already enabled', 409);
+        }
+
+        const otpauthUrl = totp.buildOtpAuthUri(secret, user.email, TOTP_ISSUER);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        return {
+            secret,
+            otpauth_url: otpauthUrl,
+            qr_code: qrCode
+        };
+    }
+
+    /**
+     * Confirm enrollment with the first code from the app
+     * @param {number} userId - User ID
+     * @param {string} code - 6-digit TOTP code
+     * @returns {Promise<Object>} Plaintext recovery codes (shown once)
+     */
+    static async confirmEnrollment(userId, code) {
+        const settings = await TwoFactorModel.findByUserId(userId);
+        if (!settings) {
+            throw new AppError('Two-factor setup has not been started', 400);
+        }
+        if (settings.enabled_at) {
+            throw new AppError('Two-factor authentication is already enabled', 409);
+        }
+
+        const step = totp.verifyCode(decrypt(settings.secret_encrypted), code);
+        if (step === null || !(await TwoFactorModel.recordUsedStep(userId, step))) {
+            throw new AppError('Invalid authentication code', 400);
+        }
+
+        const recoveryCodes = this.#generateRecoveryCodes();
+        await TwoFactorModel.enable(userId, recoveryCodes.map(c => hashToken(this.#normalizeRecoveryCode(c))));
+
+        return {
+            enabled: true,
+            recovery_codes: recoveryCodes
+        };
+    }
+
+    /**
+     * Disable 2FA (requires the account password, or a recent sign-in without one)
+     * @param {number} userId - User ID
+     * @param {string} password - Current password
+     * @param {Object} context - Request context (token)
+     */
+    static async disable(userId, password, context = {}) {
+        await ReauthService.confirm(userId, password, context.token);
+
+        if (!(await TwoFactorModel.isEnabled(userId))) {
+            throw new AppError('Two-factor authentication is not enabled', 400);
+        }
+
+        await TwoFactorModel.disable(userId);
+
+        return {
+            enabled: false
+        };
+    }
+
+    /**
+     * Replace all recovery codes (requires the account password, or a recent sign-in without one)
+     * @param {number} userId - User ID
+     * @param {string} password - Current password
+     * @param {Object} context - Request context (token)
+     * @returns {Promise<Object>} New plaintext recovery codes
+     */
+    static async regenerateRecoveryCodes(userId, password, context = {}) {
+        await ReauthService.confirm(userId, password, context.token);
+
+        if (!(await TwoFactorModel.isEnabled(userId))) {
+            throw new AppError('Two-factor authentication is not enabled', 400);
+        }
+
+        const recoveryCodes = this.#generateRecoveryCodes();
+        await TwoFactorModel.replaceRecoveryCodes(userId, recoveryCodes.map(c => hashToken(this.#normalizeRecoveryCode(c))));
+
+        return {
+            recovery_codes: recoveryCodes
+        };
+    }
+
+    /**
+     * Issue a login challenge after a successful password check
+     * @param {Object} user - User row
+     * @returns {Promise<Object>} Challenge response for the client
+     */
+    static async createLoginChallenge(user) {
+        const methods = ['totp', 'recovery_code'];
+        if (await PasskeyService.hasPasskeys(user.id)) {
+            methods.push('passkey');
+        }
+
+        return {
+            two_factor_required: true,
+            challenge_token: generateChallengeToken({ id: user.id, purpose: 'login_2fa' }),
+            methods,
+            message: 'Two-factor authentication required'
+        };
+    }
+
+    /**
+     * Start a passkey ceremony to answer a login challenge
+     * @param {string} challengeToken - Token from the password step
+     * @returns {Promise<Object>} WebAuthn request options plus ceremony id
+     */
+    static async beginPasskeyChallenge(challengeToken) {
+        const challenge = this.verifyLoginChallenge(challengeToken);
+        return PasskeyService.beginAuthentication(challenge.id, 'second_factor');
+    }
+
+    /**
+     * Redeem a login challenge with a TOTP code, recovery code or passkey.
+     * Failures count towards the account's login backoff and lockout.
+     * @param {string} challengeToken - Token from the password step
+     * @param {Object} factors - { code }, { recovery_code } or { ceremony_id, passkey_response }
+     * @param {Object} context - Request context (ip, userAgent)
+     * @returns {Promise<number>} ID of the authenticated user
+     */
+    static async completeLoginChallenge(challengeToken, { code, recovery_code, ceremony_id, passkey_response }, context = {}) {
+        const challenge = this.verifyLoginChallenge(challengeToken);
+
+        const user = await UserModel.findById(challenge.id);
+        if (!user) {
+            throw new AppError('Login challenge is invalid or has expired. Please log in again', 401, true, 'CHALLENGE_INVALID');
+        }
+        await LoginThrottleService.assertAllowed(user.email, context.ip);
+
+        let verified;
+        if (code) {
+            verified = await this.#verifyTotp(challenge.id, code);
+        } else if (recovery_code) {
+            verified = await this.#useRecoveryCode(challenge.id, recovery_code);
+        } else {
+            verified = await this.#verifyPasskey(challenge.id, ceremony_id, passkey_response);
+        }
+
+        if (!verified) {
+            this.recordFailedChallengeAttempt(challenge);
+            await LoginThrottleService.recordFailure(user.email, user, context, { factor: 'second_factor' });
+            throw new AppError('Invalid authentication code', 401);
+        }
+
+        this.consumeLoginChallenge(challenge);
+        await LoginThrottleService.recordSuccess(user.email);
+        return challenge.id;
+    }
+
+    /**
+     * Verify a login challenge token is valid and not exhausted
+     * @param {string} challengeToken - Token from the password step
+     * @returns {Object} Decoded challenge
+     */
+    static verifyLoginChallenge(challengeToken) {
+        let challenge;
+        try {
+            challenge = verifyChallengeToken(challengeToken);
+        } catch (error) {
+            throw new AppError('Login challenge is invalid or has expired. Please log in again', 401, true, 'CHALLENGE_INVALID');
+        }
+
+        if (challenge.purpose !== 'login_2fa' || (challengeAttempts.get(challenge.jti) || 0) >= MAX_CHALLENGE_ATTEMPTS) {
+            throw new AppError('Login challenge is invalid or has expired. Please log in again', 401, true, 'CHALLENGE_INVALID');
+        }
+
+        return challenge;
+    }
+
+    // Count a failed attempt against a challenge
+    static recordFailedChallengeAttempt(challenge) {
+        challengeAttempts.set(challenge.jti, (challengeAttempts.get(challenge.jti) || 0) + 1);
+    }
+
+    // Challenges are single use
+    static consumeLoginChallenge(challenge) {
+        challengeAttempts.set(challenge.jti, MAX_CHALLENGE_ATTEMPTS);
+    }
+
+    static async #verifyTotp(userId, code) {
+        const settings = await TwoFactorModel.findByUserId(userId);
+        if (!settings || !settings.enabled_at) {
+            return false;
+        }
+
+        const step = totp.verifyCode(decrypt(settings.secret_encrypted), code);
+        return step !== null && TwoFactorModel.recordUsedStep(userId, step);
+    }
+
+    static async #verifyPasskey(userId, ceremonyId, response) {
+        try {
+            await PasskeyService.finishAuthentication(ceremonyId, response, {
+                expectedUserId: userId,
+                requireUserVerification: false
+            });
+            return true;
+        } catch (error) {
+            if (error instanceof AppError) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    static async #useRecoveryCode(userId, recoveryCode) {
+        if (!recoveryCode) {
+            return false;
+        }
+        return TwoFactorModel.useRecoveryCode(userId, hashToken(this.#normalizeRecoveryCode(recoveryCode)));
+    }
+
+    // Codes look like "k3j9d-2mf8q"
+    static #generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    static #normalizeRecoveryCode(code) {
+        return code.toLowerCase().replace(/[\s-]/g, '');
+    }
+}
+
+module.exports = TwoFactorService;
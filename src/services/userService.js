@@ -1,14 +1,33 @@
 
 const UserModel = require('../models/userModel');
-const { generateToken } = require('../utils/jwt');
+const TokenService = require('./tokenService');
+const SessionService = require('./sessionService');
+const AccountStatusService = require('./accountStatusService');
+const AccountDeletionService = require('./accountDeletionService');
+const ReauthService = require('./reauthService');
+const TwoFactorService = require('./twoFactorService');
+const PasskeyService = require('./passkeyService');
+const LoginThrottleService = require('./loginThrottleService');
+const LoginAlertService = require('./loginAlertService');
+const SecurityEventService = require('./securityEventService');
+const EmailVerificationService = require('./emailVerificationService');
+const PasswordResetService = require('./passwordResetService');
+const EmailChangeService = require('./emailChangeService');
+const PhoneChangeService = require('./phoneChangeService');
+const RbacService = require('./rbacService');
+const ConsentService = require('./consentService');
+const OidcService = require('./oidcService');
+const FirebaseLoginService = require('./firebaseLoginService');
 const { AppError } = require('../utils/errorHandler');
+const { diffFields } = require('../utils/diff');
 const FirebaseService = require('./firebaseService');
+const FirebaseSyncService = require('./firebaseSyncService');
 const { parsePhoneNumber } = require('libphonenumber-js');
 
 class UserService {
     // Register new user
-    static async registerUser(userData) {
-        const { email, password, full_name, gender, mobile_no, signup_type = 'e' } = userData;
+    static async registerUser(userData, context = {}) {
+        const { email, password, full_name, gender, mobile_no, signup_type = 'e', marketing_email, marketing_sms } = userData;
 
         // Check if user already exists
         const existingUserByEmail = await UserModel.emailExists(email);
@@ -21,6 +40,9 @@ class UserService {
             throw new AppError('User with this mobile number already exists', 409);
         }
 
+        // The versions shown on the sign-up form must still be current
+        const policies = await ConsentService.resolveRegistrationPolicies(userData);
+
         // Parse and format phone number
         const phoneNumber = parsePhoneNumber(mobile_no);
         const formattedMobile = phoneNumber.formatInternational();
@@ -35,56 +57,56 @@ class UserService {
             signup_type
         });
 
-        // Create user in Firebase for authentication
-        try {
-            await FirebaseService.createUser(email, password, {
-                displayName: full_name,
-                phoneNumber: formattedMobile
-            });
-        } catch (firebaseError) {
-            // If Firebase fails, we should ideally rollback the database user
-            console.error('Firebase user creation failed:', firebaseError);
-            // For now, we'll continue as the main registration succeeded
-        }
+        await SecurityEventService.record(newUser.id, 'account_registered', context, { signup_type });
+        await ConsentService.recordRegistration(newUser.id, policies, { email: marketing_email, sms: marketing_sms }, context);
+
+        // Mirror the account to Firebase; if Firebase is unavailable the
+        // sync queue creates it later, registration does not wait on it
+        await FirebaseSyncService.createUser(newUser, password);
 
         // Send email verification
         try {
-            await FirebaseService.sendEmailVerification(email);
+            await EmailVerificationService.issue(newUser);
         } catch (error) {
             console.error('Email verification sending failed:', error);
         }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: newUser.id,
-            email: newUser.email,
-            full_name: newUser.full_name
-        });
+        // Start a session and issue access + refresh tokens
+        const tokens = await SessionService.startSession(newUser, context);
 
         // Remove password from response
         const { password: _, ...userResponse } = newUser;
 
         return {
             user: userResponse,
-            token,
+            ...tokens,
             message: 'User registered successfully. Please verify your email and mobile number.'
         };
     }
 
     // Login user
-    static async loginUser(email, password) {
+    static async loginUser(email, password, context = {}) {
+        // Refuse early while the account or IP is backing off / locked
+        await LoginThrottleService.assertAllowed(email, context.ip);
+
         // Find user by email
         const user = await UserModel.findByEmail(email);
         if (!user) {
+            await LoginThrottleService.recordFailure(email, null, context);
             throw new AppError('Invalid email or password', 401);
         }
 
         // Verify password
         const isPasswordValid = await UserModel.verifyPassword(password, user.password);
         if (!isPasswordValid) {
+            await LoginThrottleService.recordFailure(email, user, context);
             throw new AppError('Invalid email or password', 401);
         }
 
+        // Correct password, but the account may not be allowed in
+        // (a pending deletion is let through and restored by startSession)
+        await AccountStatusService.assertCanSignIn(user);
+
         // Verify with Firebase
         try {
             await FirebaseService.verifyUser(email, password);
@@ -93,23 +115,234 @@ class UserService {
             // Continue with local authentication if Firebase fails
         }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: user.id,
-            email: user.email,
-            full_name: user.full_name
-        });
+        // Enrolled users must complete a second step before getting tokens.
+        // Failures are only cleared once that step succeeds, so repeating the
+        // password step cannot reset the count against second-factor guesses.
+        if (await TwoFactorService.isEnabled(user.id)) {
+            return TwoFactorService.createLoginChallenge(user);
+        }
+
+        await LoginThrottleService.recordSuccess(email);
+
+        // Start a session and issue access + refresh tokens
+        const tokens = await SessionService.startSession(user, context);
 
         // Remove password from response
         const { password: _, ...userResponse } = user;
 
         return {
             user: userResponse,
-            token,
+            ...tokens,
+            message: 'Login successful'
+        };
+    }
+
+    // Complete login with a TOTP or recovery code
+    static async completeTwoFactorLogin(challengeToken, factors, context = {}) {
+        const userId = await TwoFactorService.completeLoginChallenge(challengeToken, factors, context);
+
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        // Start a session and issue access + refresh tokens
+        const tokens = await SessionService.startSession(user, context);
+
+        return {
+            user,
+            ...tokens,
+            message: 'Login successful'
+        };
+    }
+
+    // Passwordless login with a passkey
+    static async loginWithPasskey(ceremonyId, response, context = {}) {
+        const userId = await PasskeyService.finishAuthentication(ceremonyId, response, {
+            requireUserVerification: true
+        });
+
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        // Start a session and issue access + refresh tokens
+        const tokens = await SessionService.startSession(user, context);
+
+        return {
+            user,
+            ...tokens,
             message: 'Login successful'
         };
     }
 
+    // Sign in (or sign up) from an OIDC provider callback
+    static async loginWithOidc(providerName, callbackParams, context = {}) {
+        const { provider, claims, linkUserId } = await OidcService.handleCallback(providerName, callbackParams);
+
+        // A signed-in user adding another provider to their account
+        if (linkUserId) {
+            await OidcService.linkIdentity(linkUserId, provider, claims, context);
+            return { linked: true, provider };
+        }
+
+        let user;
+        const identity = await OidcService.findIdentity(provider, claims);
+        if (identity) {
+            user = await UserModel.findById(identity.user_id);
+        } else {
+            if (!claims.email) {
+                throw new AppError('The provider did not share an email address', 400, true, 'OIDC_EMAIL_REQUIRED');
+            }
+
+            // Never merge into an existing account on the provider's word
+            // alone - the owner confirms with their password (completeOidcLink)
+            const existing = await UserModel.findByEmail(claims.email);
+            if (existing) {
+                return {
+                    link_required: true,
+                    provider,
+                    email: claims.email,
+                    link_token: OidcService.createLinkToken(existing.id, provider, claims)
+                };
+            }
+
+            user = await this.#registerFederatedUser(provider, claims, context);
+        }
+
+        return this.#completeFederatedLogin(user, context);
+    }
+
+    // Link a provider to an existing account after confirming its password
+    static async completeOidcLink(linkToken, password, context = {}) {
+        const { userId, provider, claims } = OidcService.verifyLinkToken(linkToken);
+
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        // Accounts created through another provider have no password to confirm
+        const passwordHash = await UserModel.getPasswordHash(userId);
+        if (!passwordHash) {
+            throw new AppError(
+                'This account has no password. Sign in the way you usually do, then link this provider from your account settings',
+                409, true, 'PASSWORD_NOT_SET'
+            );
+        }
+
+        await LoginThrottleService.assertAllowed(user.email, context.ip);
+        const isPasswordValid = await UserModel.verifyPassword(password, passwordHash);
+        if (!isPasswordValid) {
+            await LoginThrottleService.recordFailure(user.email, user, context);
+            throw new AppError('Incorrect password', 401);
+        }
+        await LoginThrottleService.recordSuccess(user.email);
+
+        await OidcService.linkIdentity(userId, provider, claims, context);
+
+        return this.#completeFederatedLogin(user, context);
+    }
+
+    // Exchange a Firebase ID token for our session
+    static async loginWithFirebase(idToken, context = {}) {
+        const { user } = await FirebaseLoginService.resolveUser(idToken, context, { checkRevoked: true });
+        return this.#completeFederatedLogin(user, context);
+    }
+
+    // Refresh tokens (rotation with reuse detection)
+    static async refreshTokens(refreshToken) {
+        const { user, ...tokens } = await TokenService.rotateRefreshToken(refreshToken);
+
+        return {
+            user,
+            ...tokens,
+            message: 'Token refreshed successfully'
+        };
+    }
+
+    // Logout (current device)
+    static async logout(decodedToken, refreshToken, context = {}) {
+        await TokenService.revokeAccessToken(decodedToken);
+        if (decodedToken && decodedToken.sid) {
+            await SessionService.endSession(decodedToken.sid);
+        }
+        await TokenService.revokeRefreshToken(refreshToken);
+
+        if (decodedToken) {
+            await SecurityEventService.record(decodedToken.id, 'logout', context, { session_id: decodedToken.sid || null });
+        }
+
+        return {
+            message: 'Logged out successfully'
+        };
+    }
+
+    // Logout from all devices
+    static async logoutAll(userId, context = {}) {
+        await TokenService.revokeAllSessions(userId);
+        await SecurityEventService.record(userId, 'logout_all', context);
+
+        return {
+            message: 'Logged out from all devices'
+        };
+    }
+
+    // List active sessions
+    static async getSessions(userId, currentSessionId) {
+        const sessions = await SessionService.listSessions(userId, currentSessionId);
+
+        return {
+            sessions,
+            total: sessions.length
+        };
+    }
+
+    // Revoke a session (sign out a device)
+    static async revokeSession(userId, sessionId, context = {}) {
+        const result = await SessionService.revokeSession(userId, sessionId);
+        await SecurityEventService.record(userId, 'session_revoked', context, { session_id: sessionId });
+        return result;
+    }
+
+    // Unlock account from emailed link
+    static async unlockAccount(token, context = {}) {
+        return LoginThrottleService.unlockWithToken(token, context);
+    }
+
+    // Check the link from a new-device email before the user confirms
+    static async checkLoginAlertToken(token) {
+        return LoginAlertService.checkReportToken(token);
+    }
+
+    // Login reported as not the user's (confirmed from the new-device email link)
+    static async reportUnrecognizedLogin(token, context = {}) {
+        await LoginAlertService.reportUnrecognizedLogin(token, context);
+
+        return {
+            message: 'All devices have been signed out. Check your email to choose a new password.'
+        };
+    }
+
+    // Security events plus current lockout state
+    static async getSecurityEvents(userId, pagination = {}, filters = {}) {
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const [events, lockout] = await Promise.all([
+            SecurityEventService.listForUser(userId, pagination, filters),
+            LoginThrottleService.getLockoutState(user.email)
+        ]);
+
+        return {
+            events,
+            lockout
+        };
+    }
+
     // Get user profile
     static async getUserProfile(userId) {
         const user = await UserModel.findById(userId);
@@ -117,33 +350,46 @@ class UserService {
             throw new AppError('User not found', 404);
         }
 
-        return user;
+        // Lets clients show admin features; the API still enforces permissions
+        const roles = await RbacService.getRoles(userId);
+        const permissions = await RbacService.getPermissions(userId);
+
+        return {
+            ...user,
+            roles,
+            permissions: [...permissions]
+        };
     }
 
     // Update user profile
-    static async updateUserProfile(userId, updateData) {
-        // Validate mobile number if provided
+    static async updateUserProfile(userId, updateData, context = {}) {
+        const currentUser = await UserModel.findById(userId);
+        if (!currentUser) {
+            throw new AppError('User not found', 404);
+        }
+
+        // A new number has to be verified first (see requestPhoneChange)
         if (updateData.mobile_no) {
-            const phoneNumber = parsePhoneNumber(updateData.mobile_no);
-            if (!phoneNumber || !phoneNumber.isValid()) {
+            let formattedMobile = updateData.mobile_no;
+            try {
+                formattedMobile = parsePhoneNumber(updateData.mobile_no).formatInternational();
+            } catch (error) {
                 throw new AppError('Invalid phone number format', 400);
             }
-            updateData.mobile_no = phoneNumber.formatInternational();
-
-            // Check if mobile number is already taken by another user
-            const existingUser = await UserModel.mobileExists(updateData.mobile_no);
-            if (existingUser) {
-                // Check if it's not the same user
-                const currentUser = await UserModel.findById(userId);
-                if (currentUser.mobile_no !== updateData.mobile_no) {
-                    throw new AppError('Mobile number is already in use', 409);
-                }
+
+            if (formattedMobile !== currentUser.mobile_no) {
+                throw new AppError(
+                    'Changing your mobile number requires verification. Use POST /api/auth/change-phone',
+                    400,
+                    true,
+                    'PHONE_CHANGE_REQUIRES_VERIFICATION'
+                );
             }
+            delete updateData.mobile_no;
 
-            // Reset mobile verification if number changed
-            const currentUser = await UserModel.findById(userId);
-            if (currentUser.mobile_no !== updateData.mobile_no) {
-                updateData.is_mobile_verified = false;
+            // Nothing else to change
+            if (Object.keys(updateData).length === 0) {
+                return currentUser;
             }
         }
 
@@ -152,11 +398,52 @@ class UserService {
             throw new AppError('User not found', 404);
         }
 
+        const changes = diffFields(currentUser, updatedUser, Object.keys(updateData));
+        if (changes) {
+            await SecurityEventService.record(userId, 'profile_updated', context, null, changes);
+        }
+
+        if (updatedUser.full_name !== currentUser.full_name) {
+            await FirebaseSyncService.updateUser(currentUser, { displayName: updatedUser.full_name });
+        }
+
         return updatedUser;
     }
 
+    // Request a phone number change (OTP goes to the new number)
+    static async requestPhoneChange(userId, mobileNo, context = {}) {
+        const { pendingMobileNo, verificationId, expiresAt } = await PhoneChangeService.request(userId, mobileNo, context);
+
+        return {
+            message: 'OTP sent to your new mobile number',
+            pending_mobile_no: pendingMobileNo,
+            verificationId,
+            expiresAt
+        };
+    }
+
+    // Verify a phone number change
+    static async verifyPhoneChange(userId, otp, verificationId, context = {}) {
+        const { mobileNo } = await PhoneChangeService.verify(userId, otp, verificationId, context);
+
+        return {
+            message: 'Mobile number changed successfully',
+            mobile_no: mobileNo,
+            is_mobile_verified: true
+        };
+    }
+
+    // Cancel a pending phone number change
+    static async cancelPhoneChange(userId, context = {}) {
+        await PhoneChangeService.cancel(userId, context);
+
+        return {
+            message: 'Pending phone number change cancelled'
+        };
+    }
+
     // Send mobile OTP
-    static async sendMobileOTP(userId) {
+    static async sendMobileOTP(userId, context = {}) {
         const user = await UserModel.findById(userId);
         if (!user) {
             throw new AppError('User not found', 404);
@@ -167,20 +454,28 @@ class UserService {
         }
 
         try {
-            const verificationId = await FirebaseService.sendSMSOTP(user.mobile_no);
+            const { verificationId, expiresAt } = await FirebaseService.sendSMSOTP(user.mobile_no, {
+                purpose: 'mobile_verification',
+                userId,
+                locale: context.locale
+            });
             return {
                 message: 'OTP sent successfully to your mobile number',
                 verificationId,
+                expiresAt,
                 mobile_no: user.mobile_no
             };
         } catch (error) {
+            if (error instanceof AppError) {
+                throw error;
+            }
             console.error('SMS OTP sending failed:', error);
             throw new AppError('Failed to send OTP. Please try again.', 500);
         }
     }
 
     // Verify mobile OTP
-    static async verifyMobileOTP(userId, otp, verificationId) {
+    static async verifyMobileOTP(userId, otp, verificationId, context = {}) {
         const user = await UserModel.findById(userId);
         if (!user) {
             throw new AppError('User not found', 404);
@@ -194,13 +489,18 @@ class UserService {
         }
 
         try {
-            const isValid = await FirebaseService.verifySMSOTP(verificationId, otp);
-            if (!isValid) {
+            const result = await FirebaseService.verifySMSOTP(verificationId, otp, {
+                purpose: 'mobile_verification',
+                userId,
+                phoneNumber: user.mobile_no
+            });
+            if (!result.verified) {
                 throw new AppError('Invalid OTP. Please try again.', 400);
             }
 
             // Update verification status in database
             await UserModel.updateMobileVerification(userId, true);
+            await SecurityEventService.record(userId, 'mobile_verified', context, { mobile_no: user.mobile_no });
 
             return {
                 message: 'Mobile number verified successfully',
@@ -215,8 +515,8 @@ class UserService {
         }
     }
 
-    // Resend email verification
-    static async resendEmailVerification(userId) {
+    // Send (or resend) email verification
+    static async sendEmailVerification(userId) {
         const user = await UserModel.findById(userId);
         if (!user) {
             throw new AppError('User not found', 404);
@@ -227,10 +527,11 @@ class UserService {
         }
 
         try {
-            await FirebaseService.sendEmailVerification(user.email);
+            const { email, expiresAt } = await EmailVerificationService.issue(user);
             return {
                 message: 'Email verification link sent successfully',
-                email: user.email
+                email,
+                expiresAt
             };
         } catch (error) {
             console.error('Email verification sending failed:', error);
@@ -239,26 +540,8 @@ class UserService {
     }
 
     // Verify email (called when user clicks verification link)
-    static async verifyEmail(userId) {
-        const user = await UserModel.findById(userId);
-        if (!user) {
-            throw new AppError('User not found', 404);
-        }
-
-        if (user.is_email_verified) {
-            return {
-                message: 'Email is already verified',
-                is_email_verified: true
-            };
-        }
-
-        // Update verification status in database
-        await UserModel.updateEmailVerification(userId, true);
-
-        return {
-            message: 'Email verified successfully',
-            is_email_verified: true
-        };
+    static async verifyEmail(token, context = {}) {
+        return EmailVerificationService.verify(token, context);
     }
 
     // Check verification status
@@ -268,66 +551,172 @@ class UserService {
             throw new AppError('User not found', 404);
         }
 
+        const { pending_mobile_no } = await UserModel.getPendingMobile(userId);
+
         return {
             is_email_verified: user.is_email_verified,
             is_mobile_verified: user.is_mobile_verified,
             email: user.email,
-            mobile_no: user.mobile_no
+            mobile_no: user.mobile_no,
+            pending_mobile_no
         };
     }
 
     // Change password
-    static async changePassword(userId, currentPassword, newPassword) {
-        const user = await UserModel.findByEmail(userId);
-        if (!user) {
+    static async changePassword(userId, currentPassword, newPassword, context = {}) {
+        const account = await UserModel.findById(userId);
+        if (!account) {
             throw new AppError('User not found', 404);
         }
 
+        // findById never returns the hash
+        const user = await UserModel.findByEmail(account.email);
+        if (!user.password) {
+            throw new AppError('Your account has no password yet. Use "Forgot password" to set one', 400, true, 'PASSWORD_NOT_SET');
+        }
+
         // Verify current password
         const isCurrentPasswordValid = await UserModel.verifyPassword(currentPassword, user.password);
         if (!isCurrentPasswordValid) {
+            await SecurityEventService.record(userId, 'password_change_failed', context);
             throw new AppError('Current password is incorrect', 400);
         }
 
-        // Update password in Firebase
-        try {
-            await FirebaseService.updatePassword(user.email, newPassword);
-        } catch (error) {
-            console.error('Firebase password update failed:', error);
+        await UserModel.updatePassword(userId, newPassword);
+        await FirebaseSyncService.updateUser(account, { password: newPassword });
+
+        await SecurityEventService.record(userId, 'password_changed', context);
+
+        return {
+            message: 'Password changed successfully'
+        };
+    }
+
+    // Request an email change (confirmation goes to the new address)
+    static async requestEmailChange(userId, password, newEmail, context = {}) {
+        const { newEmail: pendingEmail, expiresAt } = await EmailChangeService.request(userId, password, newEmail, context);
+
+        return {
+            message: `We sent a confirmation link to ${pendingEmail}. Your email will change once you confirm it.`,
+            pending_email: pendingEmail,
+            expires_at: expiresAt
+        };
+    }
+
+    // Pending email change, if any
+    static async getPendingEmailChange(userId) {
+        const pending = await EmailChangeService.getPending(userId);
+
+        return {
+            pending_email: pending ? pending.newEmail : null,
+            expires_at: pending ? pending.expiresAt : null
+        };
+    }
+
+    // Confirm an email change (called from the link sent to the new address)
+    static async confirmEmailChange(token, context = {}) {
+        return EmailChangeService.confirm(token, context);
+    }
+
+    // Cancel an email change (called from the link sent to the old address)
+    static async cancelEmailChange(token, context = {}) {
+        return EmailChangeService.cancel(token, context);
+    }
+
+    // Start a password reset (silent when the email is unknown)
+    static async initiatePasswordReset(email, context = {}) {
+        await PasswordResetService.request(email, context);
+
+        return {
+            message: 'If an account with this email exists, a password reset link has been sent.'
+        };
+    }
+
+    // Check a reset link before the form is shown
+    static async validatePasswordResetToken(token) {
+        return PasswordResetService.validate(token);
+    }
+
+    // Complete a password reset
+    static async resetPassword(token, newPassword, context = {}) {
+        await PasswordResetService.reset(token, newPassword, context);
+
+        return {
+            message: 'Password reset successfully. Please log in with your new password.'
+        };
+    }
+
+    // Schedule account deletion (restorable during the grace period)
+    static async deleteAccount(userId, password, context = {}) {
+        const account = await UserModel.findById(userId);
+        if (!account) {
+            throw new AppError('User not found', 404);
         }
 
-        // Hash and update password in database
-        const bcrypt = require('bcrypt');
-        const saltRounds = 12;
-        const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+        await ReauthService.confirm(userId, password, context.token);
 
-        await UserModel.update(userId, { password: hashedNewPassword });
+        const { purgeAfter } = await AccountDeletionService.schedule(userId, context);
 
         return {
-            message: 'Password changed successfully'
+            message: 'Your account has been deactivated and will be permanently deleted on the date below. Sign in again before then to restore it.',
+            purge_after: purgeAfter
         };
     }
 
-    // Delete user account
-    static async deleteAccount(userId) {
-        const user = await UserModel.findById(userId);
+    // Restore a scheduled deletion from the emailed link
+    static async restoreAccount(token, context = {}) {
+        await AccountDeletionService.restoreWithToken(token, context);
+
+        return {
+            message: 'Your account has been restored. You can sign in again.'
+        };
+    }
+
+    // New account from a provider's claims; policies are accepted on first use
+    static async #registerFederatedUser(provider, claims, context) {
+        const fullName = claims.name
+            || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+            || claims.email.split('@')[0];
+
+        const newUser = await UserModel.createFederated({
+            email: claims.email,
+            full_name: fullName.slice(0, 255),
+            signup_type: 'o',
+            is_email_verified: claims.email_verified
+        });
+
+        await OidcService.linkIdentity(newUser.id, provider, claims, context);
+        await SecurityEventService.record(newUser.id, 'account_registered', context, { signup_type: 'o', provider });
+
+        if (!claims.email_verified) {
+            try {
+                await EmailVerificationService.issue(newUser);
+            } catch (error) {
+                console.error('Email verification sending failed:', error);
+            }
+        }
+
+        return newUser;
+    }
+
+    // Same checks as a password login, minus the password
+    static async #completeFederatedLogin(user, context) {
         if (!user) {
             throw new AppError('User not found', 404);
         }
 
-        // Delete from Firebase
-        try {
-            await FirebaseService.deleteUser(user.email);
-        } catch (error) {
-            console.error('Firebase user deletion failed:', error);
+        await AccountStatusService.assertCanSignIn(user);
+
+        if (await TwoFactorService.isEnabled(user.id)) {
+            return TwoFactorService.createLoginChallenge(user);
         }
 
-        // Delete from database
-        // Note: This might need to handle cascading deletes for company profiles
-        const result = await UserModel.delete(userId);
+        const tokens = await SessionService.startSession(user, context);
 
         return {
-            message: 'Account deleted successfully'
+            user,
+            ...tokens,
+            message: 'Login successful'
         };
     }
 }
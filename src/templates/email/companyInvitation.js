@@ -0,0 +1,25 @@
+// src/templates/email/companyInvitation.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// params: { inviterName, companyName, acceptUrl, expiresInDays }
+module.exports = ({ inviterName, companyName, acceptUrl, expiresInDays = 7 }) => {
+    const title = `Join ${companyName} on ${appName()}`;
+    return {
+        subject: `${inviterName} invited you to join ${companyName}`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi,</p>
+        <p>${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(companyName)}</strong> on ${escapeHtml(appName())}.</p>
+        ${button(acceptUrl, 'Accept invitation')}
+        <p>This invitation expires in ${escapeHtml(expiresInDays)} days. If you were not expecting it, you can ignore this email.</p>`
+        }),
+        text: `Hi,
+
+${inviterName} has invited you to join ${companyName} on ${appName()}. Accept the invitation here:
+
+${acceptUrl}
+
+This invitation expires in ${expiresInDays} days. If you were not expecting it, you can ignore this email.${textFooter()}`
+    };
+};
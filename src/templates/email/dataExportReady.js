@@ -0,0 +1,26 @@
+// src/templates/email/dataExportReady.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// params: { name, downloadUrl, expiresAt }
+module.exports = ({ name, downloadUrl, expiresAt }) => {
+    const title = 'Your data export is ready';
+    const expires = new Date(expiresAt).toUTCString();
+    return {
+        subject: `${appName()}: your data export is ready`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi ${escapeHtml(name || 'there')},</p>
+        <p>The copy of your account data you asked for is ready to download. The archive holds your data as JSON, a readable summary and your uploaded images.</p>
+        ${button(downloadUrl, 'Download my data')}
+        <p>The link works until ${escapeHtml(expires)}, after which the archive is deleted. If you did not ask for an export, change your password and sign out of every device.</p>`
+        }),
+        text: `Hi ${name || 'there'},
+
+The copy of your account data you asked for is ready to download. The archive holds your data as JSON, a readable summary and your uploaded images:
+
+${downloadUrl}
+
+The link works until ${expires}, after which the archive is deleted. If you did not ask for an export, change your password and sign out of every device.${textFooter()}`
+    };
+};
@@ -0,0 +1,25 @@
+// src/templates/email/emailChangeConfirm.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// Sent to the new address. params: { name, newEmail, confirmUrl, expiresInHours }
+module.exports = ({ name, newEmail, confirmUrl, expiresInHours = 24 }) => {
+    const title = 'Confirm your new email address';
+    return {
+        subject: `${appName()}: confirm your new email address`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi ${escapeHtml(name || 'there')},</p>
+        <p>You asked to change the email address on your account to <strong>${escapeHtml(newEmail)}</strong>. Confirm the change to start using it.</p>
+        ${button(confirmUrl, 'Confirm new email')}
+        <p>This link expires in ${escapeHtml(expiresInHours)} hours. Until you confirm, your old address stays active.</p>`
+        }),
+        text: `Hi ${name || 'there'},
+
+You asked to change the email address on your account to ${newEmail}. Confirm the change here:
+
+${confirmUrl}
+
+This link expires in ${expiresInHours} hours. Until you confirm, your old address stays active.${textFooter()}`
+    };
+};
@@ -0,0 +1,25 @@
+// src/templates/email/emailChangeNotice.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// Sent to the old address. params: { name, newEmail, cancelUrl }
+module.exports = ({ name, newEmail, cancelUrl }) => {
+    const title = 'Your email address is being changed';
+    return {
+        subject: `${appName()}: your email address is being changed`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi ${escapeHtml(name || 'there')},</p>
+        <p>A request was made to change the email address on your account to <strong>${escapeHtml(newEmail)}</strong>.</p>
+        <p>If this was you, no action is needed. If it was not, cancel the change and reset your password.</p>
+        ${button(cancelUrl, 'This wasn\'t me')}`
+        }),
+        text: `Hi ${name || 'there'},
+
+A request was made to change the email address on your account to ${newEmail}.
+
+If this was you, no action is needed. If it was not, cancel the change and reset your password:
+
+${cancelUrl}${textFooter()}`
+    };
+};
@@ -0,0 +1,25 @@
+// src/templates/email/emailVerification.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// params: { name, verificationUrl, expiresInHours }
+module.exports = ({ name, verificationUrl, expiresInHours = 24 }) => {
+    const title = 'Verify your email address';
+    return {
+        subject: `${appName()}: verify your email address`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi ${escapeHtml(name || 'there')},</p>
+        <p>Please confirm that this is your email address to finish setting up your ${escapeHtml(appName())} account.</p>
+        ${button(verificationUrl, 'Verify email')}
+        <p>This link expires in ${escapeHtml(expiresInHours)} hours. If you did not create an account, you can ignore this email.</p>`
+        }),
+        text: `Hi ${name || 'there'},
+
+Please confirm that this is your email address to finish setting up your ${appName()} account:
+
+${verificationUrl}
+
+This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.${textFooter()}`
+    };
+};
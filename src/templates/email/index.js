@@ -0,0 +1,24 @@
+// src/templates/email/index.js
+// Each template takes a params object and returns { subject, html, text }
+const TEMPLATES = {
+    emailVerification: require('./emailVerification'),
+    passwordReset: require('./passwordReset'),
+    emailChangeConfirm: require('./emailChangeConfirm'),
+    emailChangeNotice: require('./emailChangeNotice'),
+    securityAlert: require('./securityAlert'),
+    companyInvitation: require('./companyInvitation'),
+    dataExportReady: require('./dataExportReady')
+};
+
+// Render a template by name
+const render = (name, params = {}) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return template(params);
+};
+
+module.exports = {
+    render
+};
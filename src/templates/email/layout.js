@@ -0,0 +1,47 @@
+// src/templates/email/layout.js
+// Shared HTML shell and helpers for email templates
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const appName = () => process.env.APP_NAME || 'Auths';
+
+// Call-to-action button
+const button = (url, label) => `
+    <p style="margin:24px 0;">
+        <a href="${escapeHtml(url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(label)}</a>
+    </p>
+    <p style="font-size:12px;color:#6b7280;">If the button does not work, copy this link into your browser:<br>${escapeHtml(url)}</p>`;
+
+// Wrap body HTML in the common shell
+const layout = ({ title, body }) => `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <div style="max-width:560px;margin:0 auto;padding:32px 24px;background:#ffffff;">
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+        ${body}
+        <hr style="border:none;border-top:1px solid #e5e7eb;margin:32px 0 16px;">
+        <p style="font-size:12px;color:#6b7280;">This message was sent by ${escapeHtml(appName())}. Please do not reply to this email.</p>
+    </div>
+</body>
+</html>`;
+
+// Plain-text footer shared by every template
+const textFooter = () => `\n\n--\nThis message was sent by ${appName()}. Please do not reply to this email.`;
+
+module.exports = {
+    escapeHtml,
+    appName,
+    button,
+    layout,
+    textFooter
+};
@@ -0,0 +1,25 @@
+// src/templates/email/passwordReset.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// params: { name, resetUrl, expiresInMinutes }
+module.exports = ({ name, resetUrl, expiresInMinutes = 30 }) => {
+    const title = 'Reset your password';
+    return {
+        subject: `${appName()}: reset your password`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi ${escapeHtml(name || 'there')},</p>
+        <p>We received a request to reset the password for your account.</p>
+        ${button(resetUrl, 'Choose a new password')}
+        <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once. If you did not ask for a reset, you can ignore this email; your password will not change.</p>`
+        }),
+        text: `Hi ${name || 'there'},
+
+We received a request to reset the password for your account. Choose a new password here:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email; your password will not change.${textFooter()}`
+    };
+};
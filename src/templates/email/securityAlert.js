@@ -0,0 +1,30 @@
+// src/templates/email/securityAlert.js
+const { escapeHtml, appName, button, layout, textFooter } = require('./layout');
+
+// Generic account security notice.
+// params: { name, title, message, details: { label: value }, actionUrl, actionLabel }
+module.exports = ({ name, title, message, details = {}, actionUrl = null, actionLabel = 'Review activity' }) => {
+    const rows = Object.entries(details).filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    const detailsHtml = rows.length
+        ? `<table style="font-size:14px;margin:16px 0;">${rows
+            .map(([label, value]) => `<tr><td style="color:#6b7280;padding-right:12px;">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+            .join('')}</table>`
+        : '';
+    const detailsText = rows.length ? `\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}` : '';
+
+    return {
+        subject: `${appName()} security alert: ${title}`,
+        html: layout({
+            title,
+            body: `
+        <p>Hi ${escapeHtml(name || 'there')},</p>
+        <p>${escapeHtml(message)}</p>
+        ${detailsHtml}
+        ${actionUrl ? button(actionUrl, actionLabel) : ''}`
+        }),
+        text: `Hi ${name || 'there'},
+
+${message}${detailsText}${actionUrl ? `\n\n${actionLabel}: ${actionUrl}` : ''}${textFooter()}`
+    };
+};
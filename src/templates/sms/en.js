@@ -0,0 +1,6 @@
+// src/templates/sms/en.js
+module.exports = {
+    otp_mobile_verification: '{appName}: your verification code is {code}. It expires in {minutes} minutes. Do not share it with anyone.',
+    otp_login: '{appName}: your sign-in code is {code}. It expires in {minutes} minutes. If you did not try to sign in, change your password.',
+    otp_phone_change: '{appName}: use {code} to confirm this number for your account. It expires in {minutes} minutes.'
+};
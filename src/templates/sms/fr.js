@@ -0,0 +1,6 @@
+// src/templates/sms/fr.js
+module.exports = {
+    otp_mobile_verification: '{appName} : votre code de vérification est {code}. Il expire dans {minutes} minutes. Ne le partagez avec personne.',
+    otp_login: '{appName} : votre code de connexion est {code}. Il expire dans {minutes} minutes. Si vous n\'êtes pas à l\'origine de cette demande, changez votre mot de passe.',
+    otp_phone_change: '{appName} : utilisez {code} pour confirmer ce numéro pour votre compte. Il expire dans {minutes} minutes.'
+};
@@ -0,0 +1,39 @@
+// src/templates/sms/index.js
+// Localized SMS templates. Add a locale by adding a file with the same keys;
+// missing keys fall back to the default locale.
+const TEMPLATES = {
+    en: require('./en'),
+    fr: require('./fr')
+};
+
+const DEFAULT_LOCALE = process.env.SMS_DEFAULT_LOCALE || 'en';
+
+// Pick the first supported locale from a tag or an Accept-Language header
+const resolveLocale = (requested) => {
+    if (!requested) {
+        return DEFAULT_LOCALE;
+    }
+
+    const candidates = String(requested)
+        .split(',')
+        .map((part) => part.split(';')[0].trim().toLowerCase().split('-')[0])
+        .filter(Boolean);
+
+    return candidates.find((locale) => TEMPLATES[locale]) || DEFAULT_LOCALE;
+};
+
+// Render a template with {placeholder} values
+const render = (name, locale, params = {}) => {
+    const template = TEMPLATES[locale]?.[name] || TEMPLATES[DEFAULT_LOCALE]?.[name];
+    if (!template) {
+        throw new Error(`Unknown SMS template: ${name}`);
+    }
+
+    const values = { appName: process.env.APP_NAME || 'Auths', ...params };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+};
+
+module.exports = {
+    resolveLocale,
+    render
+};
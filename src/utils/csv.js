@@ -0,0 +1,32 @@
+// src/utils/csv.js
+
+// Quote a value for CSV (RFC 4180); objects are written as JSON
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    // Neutralise spreadsheet formulas
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, terminated
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+    escapeCsvValue,
+    toCsvRow
+};
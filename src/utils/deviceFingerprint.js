@@ -0,0 +1,82 @@
+// src/utils/deviceFingerprint.js
+const crypto = require('crypto');
+const net = require('net');
+
+// First match wins, so more specific entries come first
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['ChromeOS', /CrOS/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+    const found = list.find(([, pattern]) => pattern.test(userAgent));
+    return found ? found[0] : null;
+};
+
+// Unwrap IPv4-mapped IPv6 addresses (::ffff:1.2.3.4)
+const normalizeIp = (ip) => {
+    if (!ip) {
+        return null;
+    }
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+};
+
+// /24 for IPv4, /48 for IPv6 - roughly "the same network"
+const getIpRange = (ip) => {
+    const address = normalizeIp(ip);
+
+    if (net.isIPv4(address)) {
+        return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    if (net.isIPv6(address)) {
+        const [head, tail = ''] = address.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = address.includes('::')
+            ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+            : headGroups;
+        return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+    }
+
+    return 'unknown';
+};
+
+// Coarse browser / OS from a user agent; versions are ignored on purpose
+const describeUserAgent = (userAgent = '') => {
+    const browser = match(BROWSERS, userAgent || '') || 'Unknown browser';
+    const os = match(SYSTEMS, userAgent || '') || 'unknown OS';
+    return { browser, os, label: `${browser} on ${os}` };
+};
+
+// Stable id for "this browser on this OS from this network"
+const fingerprintDevice = ({ userAgent, ip } = {}) => {
+    const { browser, os, label } = describeUserAgent(userAgent);
+    const ipRange = getIpRange(ip);
+    const fingerprint = crypto
+        .createHash('sha256')
+        .update(`${browser}|${os}|${ipRange}`)
+        .digest('hex');
+
+    return { fingerprint, label, ipRange };
+};
+
+module.exports = {
+    normalizeIp,
+    getIpRange,
+    describeUserAgent,
+    fingerprintDevice
+};
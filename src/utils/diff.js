@@ -0,0 +1,38 @@
+// src/utils/diff.js
+
+// Never written to the audit log, even when they change
+const ALWAYS_EXCLUDED = new Set(['password', 'created_at', 'updated_at']);
+
+const normalize = (value) => {
+    if (value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+};
+
+// Field-level { field: { from, to } } between two rows; null when nothing changed
+const diffFields = (before = {}, after = {}, fields = null) => {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = {};
+
+    for (const key of keys) {
+        if (ALWAYS_EXCLUDED.has(key)) {
+            continue;
+        }
+
+        const from = normalize(before?.[key]);
+        const to = normalize(after?.[key]);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from, to };
+        }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+};
+
+module.exports = {
+    diffFields
+};
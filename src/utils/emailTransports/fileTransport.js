@@ -0,0 +1,45 @@
+// src/utils/emailTransports/fileTransport.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends each email as a JSON line to an outbox file so tests and local
+// tooling can read what would have been sent. EMAIL_OUTBOX_FILE sets the path.
+class FileTransport {
+    constructor(filePath = process.env.EMAIL_OUTBOX_FILE || path.join(process.cwd(), 'tmp', 'email-outbox.jsonl')) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    async send({ id, from, to, subject, html, text, template }) {
+        const entry = { id, from, to, subject, template, text, html, sent_at: new Date().toISOString() };
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+        if (process.env.NODE_ENV !== 'production') {
+            console.log(` [Email] "${subject}" to ${to} written to ${this.filePath}`);
+        }
+        return { providerMessageId: id };
+    }
+
+    // Emails in the outbox, newest last, optionally for one recipient
+    async read(to = null) {
+        let contents;
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const messages = contents.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+        return to ? messages.filter((message) => message.to === to) : messages;
+    }
+
+    async clear() {
+        await fs.rm(this.filePath, { force: true });
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,23 @@
+// src/utils/emailTransports/index.js
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+
+const TRANSPORTS = {
+    smtp: SmtpTransport,
+    file: FileTransport
+};
+
+// Create a transport by name
+const createTransport = (name = 'file') => {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+    return new Transport();
+};
+
+module.exports = {
+    createTransport,
+    SmtpTransport,
+    FileTransport
+};
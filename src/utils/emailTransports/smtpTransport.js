@@ -0,0 +1,46 @@
+// src/utils/emailTransports/smtpTransport.js
+const nodemailer = require('nodemailer');
+
+// Errors worth retrying: connection problems and 4xx SMTP replies
+const TRANSIENT_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNREFUSED', 'ECONNRESET', 'EDNS'];
+
+// SMTP delivery. Works with any relay or a local catcher (e.g. MailHog on
+// port 1025). SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS.
+class SmtpTransport {
+    constructor() {
+        this.name = 'smtp';
+
+        if (!process.env.SMTP_HOST) {
+            throw new Error('Missing required environment variable: SMTP_HOST');
+        }
+
+        this.transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    async send({ id, from, to, subject, html, text }) {
+        try {
+            const info = await this.transporter.sendMail({
+                from,
+                to,
+                subject,
+                html,
+                text,
+                headers: { 'X-Outbox-Id': id }
+            });
+            return { providerMessageId: info.messageId };
+        } catch (error) {
+            error.transient = TRANSIENT_CODES.includes(error.code) ||
+                (error.responseCode >= 400 && error.responseCode < 500);
+            throw error;
+        }
+    }
+}
+
+module.exports = SmtpTransport;
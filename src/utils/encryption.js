@@ -0,0 +1,38 @@
+// src/utils/encryption.js
+// Symmetric encryption for secrets we must be able to read back (e.g. TOTP seeds)
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive a 32-byte key from the configured secret
+const getKey = () => {
+    const secret = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('Missing required environment variable: DATA_ENCRYPTION_KEY');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Encrypt text; output format is iv:authTag:ciphertext (hex)
+const encrypt = (plainText) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, encrypted].map(part => part.toString('hex')).join(':');
+};
+
+// Decrypt text produced by encrypt()
+const decrypt = (payload) => {
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    encrypt,
+    decrypt
+};
@@ -3,10 +3,11 @@ const createError = require('http-errors');
 
 // Custom error class
 class AppError extends Error {
-    constructor(message, statusCode, isOperational = true) {
+    constructor(message, statusCode, isOperational = true, errorCode = null) {
         super(message);
         this.statusCode = statusCode;
         this.isOperational = isOperational;
+        this.errorCode = errorCode; // Machine-readable code for clients (e.g. TOKEN_EXPIRED)
         this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
         
         Error.captureStackTrace(this, this.constructor);
@@ -60,9 +61,15 @@ const errorHandler = (err, req, res, next) => {
         error = new AppError(message, 400);
     }
 
+    // Throttling errors tell the client when to retry
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
     res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Internal server error',
+        ...(error.errorCode && { code: error.errorCode }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 };
@@ -1,33 +1,78 @@
 // src/utils/jwt.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '90d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const JWT_ISSUER = 'company-registration-api';
+const JWT_AUDIENCE = 'company-registration-frontend';
+const CHALLENGE_AUDIENCE = 'company-registration-mfa';
+const CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
 
-// Generate JWT token
+// Generate JWT (short-lived access token) with a unique id for revocation
 const generateToken = (payload) => {
     return jwt.sign(payload, JWT_SECRET, {
         expiresIn: JWT_EXPIRES_IN,
-        issuer: 'company-registration-api',
-        audience: 'company-registration-frontend'
+        jwtid: crypto.randomUUID(),
+        issuer: JWT_ISSUER,
+        audience: JWT_AUDIENCE
     });
 };
 
+// Map jsonwebtoken errors to our messages
+const translateVerifyError = (error) => {
+    if (error.name === 'TokenExpiredError') {
+        const expiredError = new Error('Token has expired');
+        expiredError.expired = true;
+        return expiredError;
+    }
+    if (error.name === 'JsonWebTokenError') {
+        return new Error('Invalid token');
+    }
+    return new Error('Token verification failed');
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
     try {
-        return jwt.verify(token, JWT_SECRET);
+        return jwt.verify(token, JWT_SECRET, {
+            issuer: JWT_ISSUER,
+            audience: JWT_AUDIENCE
+        });
     } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            throw new Error('Token has expired');
-        }
-        if (error.name === 'JsonWebTokenError') {
-            throw new Error('Invalid token');
-        }
-        throw new Error('Token verification failed');
+        throw translateVerifyError(error);
     }
 };
 
+// Generate a short-lived token proving the first login factor succeeded.
+// Uses its own audience so it can never be accepted as an access token.
+const generateChallengeToken = (payload) => {
+    return jwt.sign(payload, JWT_SECRET, {
+        expiresIn: CHALLENGE_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+        issuer: JWT_ISSUER,
+        audience: CHALLENGE_AUDIENCE
+    });
+};
+
+// Verify a login challenge token
+const verifyChallengeToken = (token) => {
+    try {
+        return jwt.verify(token, JWT_SECRET, {
+            issuer: JWT_ISSUER,
+            audience: CHALLENGE_AUDIENCE
+        });
+    } catch (error) {
+        throw translateVerifyError(error);
+    }
+};
+
+// Get lifetime of a token in seconds (exp - iat)
+const getTokenLifetime = (token) => {
+    const decoded = jwt.decode(token);
+    return decoded ? decoded.exp - decoded.iat : 0;
+};
+
 // Get token from request header
 const getTokenFromHeader = (req) => {
     const authHeader = req.headers.authorization;
@@ -47,5 +92,8 @@ const getTokenFromHeader = (req) => {
 module.exports = {
     generateToken,
     verifyToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    getTokenLifetime,
     getTokenFromHeader
 };
\ No newline at end of file
@@ -0,0 +1,23 @@
+// src/utils/rateLimitStores/index.js
+const MemoryStore = require('./memoryStore');
+const PostgresStore = require('./postgresStore');
+
+const STORES = {
+    memory: MemoryStore,
+    postgres: PostgresStore
+};
+
+// Create a store by name
+const createStore = (name = 'memory') => {
+    const Store = STORES[name];
+    if (!Store) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return new Store();
+};
+
+module.exports = {
+    createStore,
+    MemoryStore,
+    PostgresStore
+};
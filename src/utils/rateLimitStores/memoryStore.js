@@ -0,0 +1,54 @@
+// src/utils/rateLimitStores/memoryStore.js
+
+// In-process counters. Fine for a single instance; use the Postgres store
+// when several instances must share limits.
+class MemoryStore {
+    constructor() {
+        this.buckets = new Map();
+        this.lastCleanup = Date.now();
+    }
+
+    // Increment a bucket and return its new count
+    async increment(key, expiresAt) {
+        this.#cleanup();
+
+        const bucket = this.buckets.get(key);
+        if (!bucket || bucket.expiresAt <= Date.now()) {
+            this.buckets.set(key, { count: 1, expiresAt });
+            return 1;
+        }
+
+        bucket.count++;
+        return bucket.count;
+    }
+
+    // Read a bucket without incrementing
+    async get(key) {
+        const bucket = this.buckets.get(key);
+        if (!bucket || bucket.expiresAt <= Date.now()) {
+            return 0;
+        }
+        return bucket.count;
+    }
+
+    async reset(key) {
+        this.buckets.delete(key);
+    }
+
+    // Drop expired buckets at most once a minute
+    #cleanup() {
+        const now = Date.now();
+        if (now - this.lastCleanup < 60 * 1000) {
+            return;
+        }
+
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.expiresAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+        this.lastCleanup = now;
+    }
+}
+
+module.exports = MemoryStore;
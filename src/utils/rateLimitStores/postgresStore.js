@@ -0,0 +1,57 @@
+// src/utils/rateLimitStores/postgresStore.js
+const { query } = require('../../config/database');
+
+// Counters shared by every instance through the rate_limit_buckets table
+class PostgresStore {
+    constructor() {
+        this.lastCleanup = Date.now();
+    }
+
+    // Increment a bucket and return its new count
+    async increment(key, expiresAt) {
+        this.#cleanup();
+
+        const sql = `
+            INSERT INTO rate_limit_buckets (key, count, expires_at)
+            VALUES ($1, 1, $2)
+            ON CONFLICT (key) DO UPDATE
+            SET count = CASE
+                    WHEN rate_limit_buckets.expires_at <= NOW() THEN 1
+                    ELSE rate_limit_buckets.count + 1
+                END,
+                expires_at = CASE
+                    WHEN rate_limit_buckets.expires_at <= NOW() THEN EXCLUDED.expires_at
+                    ELSE rate_limit_buckets.expires_at
+                END
+            RETURNING count
+        `;
+        const result = await query(sql, [key, expiresAt]);
+        return result.rows[0].count;
+    }
+
+    // Read a bucket without incrementing
+    async get(key) {
+        const sql = 'SELECT count FROM rate_limit_buckets WHERE key = $1 AND expires_at > NOW()';
+        const result = await query(sql, [key]);
+        return result.rows[0] ? result.rows[0].count : 0;
+    }
+
+    async reset(key) {
+        await query('DELETE FROM rate_limit_buckets WHERE key = $1', [key]);
+    }
+
+    // Delete expired buckets at most once every five minutes
+    #cleanup() {
+        const now = Date.now();
+        if (now - this.lastCleanup < 5 * 60 * 1000) {
+            return;
+        }
+        this.lastCleanup = now;
+
+        query('DELETE FROM rate_limit_buckets WHERE expires_at <= NOW()').catch(error => {
+            console.error('Rate limit bucket cleanup failed:', error.message);
+        });
+    }
+}
+
+module.exports = PostgresStore;
@@ -0,0 +1,17 @@
+// src/utils/requestContext.js
+
+// Collect client details that services record alongside user actions.
+// actorId is whoever is signed in; it stays null for anonymous requests.
+const getRequestContext = (req) => {
+    return {
+        ip: req.ip || req.socket?.remoteAddress || null,
+        userAgent: req.get('user-agent') || null,
+        locale: req.get('accept-language') || null,
+        requestId: req.id || null,
+        actorId: req.user?.id || null
+    };
+};
+
+module.exports = {
+    getRequestContext
+};
@@ -0,0 +1,19 @@
+// src/utils/smsDrivers/consoleDriver.js
+
+// Prints messages to stdout. Default in development only; elsewhere digit
+// runs are masked so one-time codes never reach the logs.
+const SHOW_CODES = process.env.NODE_ENV === 'development';
+
+class ConsoleDriver {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send({ id, to, body }) {
+        const printed = SHOW_CODES ? body : body.replace(/\d{4,}/g, digits => '*'.repeat(digits.length));
+        console.log(` [SMS] to ${to}: ${printed}`);
+        return { providerMessageId: id };
+    }
+}
+
+module.exports = ConsoleDriver;
@@ -0,0 +1,41 @@
+// src/utils/smsDrivers/fileDriver.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends each message as a JSON line to an outbox file so tests and local
+// tooling can read what would have been sent. SMS_OUTBOX_FILE sets the path.
+class FileDriver {
+    constructor(filePath = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'tmp', 'sms-outbox.jsonl')) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    async send({ id, to, body, template, locale }) {
+        const entry = { id, to, body, template, locale, sent_at: new Date().toISOString() };
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+        return { providerMessageId: id };
+    }
+
+    // Messages in the outbox, newest last, optionally for one recipient
+    async read(to = null) {
+        let contents;
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const messages = contents.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+        return to ? messages.filter((message) => message.to === to) : messages;
+    }
+
+    async clear() {
+        await fs.rm(this.filePath, { force: true });
+    }
+}
+
+module.exports = FileDriver;
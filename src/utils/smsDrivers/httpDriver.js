@@ -0,0 +1,81 @@
+// src/utils/smsDrivers/httpDriver.js
+
+// Generic HTTP gateway. Any provider with an HTTP API can be plugged in by
+// configuration; {to}, {body}, {from} and {id} placeholders are substituted
+// in the URL (URL-encoded) and in the request body (JSON-escaped).
+//
+// SMS_HTTP_URL            e.g. https://gateway.example.com/send?to={to}&text={body}
+// SMS_HTTP_METHOD         GET or POST (default POST)
+// SMS_HTTP_BODY           optional body template, e.g. {"to":"{to}","message":"{body}"}
+// SMS_HTTP_HEADERS        optional JSON object of headers, e.g. {"Authorization":"Bearer ..."}
+// SMS_HTTP_ID_PATH        optional dotted path to the message id in a JSON response
+// SMS_HTTP_TIMEOUT_MS     request timeout (default 10000)
+// SMS_FROM                sender id passed as {from}
+class HttpDriver {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.url = options.url || process.env.SMS_HTTP_URL;
+        this.method = (options.method || process.env.SMS_HTTP_METHOD || 'POST').toUpperCase();
+        this.bodyTemplate = options.body ?? process.env.SMS_HTTP_BODY ?? null;
+        this.headers = options.headers || (process.env.SMS_HTTP_HEADERS ? JSON.parse(process.env.SMS_HTTP_HEADERS) : {});
+        this.idPath = options.idPath || process.env.SMS_HTTP_ID_PATH || null;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.SMS_HTTP_TIMEOUT_MS) || 10000;
+        this.from = options.from || process.env.SMS_FROM || '';
+
+        if (!this.url) {
+            throw new Error('Missing required environment variable: SMS_HTTP_URL');
+        }
+    }
+
+    async send({ id, to, body }) {
+        const values = { to, body, from: this.from, id };
+        const url = this.#fill(this.url, values, encodeURIComponent);
+
+        const request = {
+            method: this.method,
+            headers: { ...this.headers },
+            signal: AbortSignal.timeout(this.timeoutMs)
+        };
+        if (this.bodyTemplate && this.method !== 'GET') {
+            request.body = this.#fill(this.bodyTemplate, values, (value) => JSON.stringify(value).slice(1, -1));
+            request.headers['Content-Type'] = request.headers['Content-Type'] || 'application/json';
+        }
+
+        let response;
+        try {
+            response = await fetch(url, request);
+        } catch (error) {
+            // Network failures and timeouts are worth retrying
+            const failure = new Error(`SMS gateway unreachable: ${error.message}`);
+            failure.transient = true;
+            throw failure;
+        }
+
+        const text = await response.text();
+        if (!response.ok) {
+            const failure = new Error(`SMS gateway responded ${response.status}: ${text.slice(0, 200)}`);
+            failure.transient = response.status === 429 || response.status >= 500;
+            throw failure;
+        }
+
+        return { providerMessageId: this.#extractId(text) };
+    }
+
+    #fill(template, values, escape) {
+        return template.replace(/\{(to|body|from|id)\}/g, (match, key) => escape(String(values[key])));
+    }
+
+    #extractId(text) {
+        if (!this.idPath) {
+            return null;
+        }
+        try {
+            const value = this.idPath.split('.').reduce((node, key) => (node == null ? node : node[key]), JSON.parse(text));
+            return value == null ? null : String(value);
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = HttpDriver;
@@ -0,0 +1,26 @@
+// src/utils/smsDrivers/index.js
+const ConsoleDriver = require('./consoleDriver');
+const FileDriver = require('./fileDriver');
+const HttpDriver = require('./httpDriver');
+
+const DRIVERS = {
+    console: ConsoleDriver,
+    file: FileDriver,
+    http: HttpDriver
+};
+
+// Create a driver by name
+const createDriver = (name = 'console') => {
+    const Driver = DRIVERS[name];
+    if (!Driver) {
+        throw new Error(`Unknown SMS driver: ${name}`);
+    }
+    return new Driver();
+};
+
+module.exports = {
+    createDriver,
+    ConsoleDriver,
+    FileDriver,
+    HttpDriver
+};
@@ -0,0 +1,17 @@
+// src/utils/tokens.js
+const crypto = require('crypto');
+
+// Generate an opaque random token (hex encoded)
+const generateRandomToken = (bytes = 48) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token for storage - raw tokens are never persisted
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+    generateRandomToken,
+    hashToken
+};
@@ -0,0 +1,122 @@
+// src/utils/totp.js
+// Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+// Decode RFC 4648 base32 (padding and case insensitive)
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+// Current time step
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+// HOTP value for a counter (RFC 4226)
+const generateCode = (secret, step = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Verify a code allowing +/- `window` steps of clock drift.
+// Returns the matching time step (for replay protection) or null.
+const verifyCode = (secret, code, window = 1, timestamp = Date.now()) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestamp);
+
+    for (let drift = -window; drift <= window; drift++) {
+        const step = currentStep + drift;
+        const expected = generateCode(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+// Build an otpauth:// URI for authenticator apps
+const buildOtpAuthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: TOTP_DIGITS.toString(),
+        period: TOTP_PERIOD.toString()
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getTimeStep,
+    buildOtpAuthUri
+};
@@ -0,0 +1,47 @@
+// src/utils/ttlCache.js
+
+// Minimal in-memory cache with per-entry expiry
+class TTLCache {
+    constructor(defaultTtlMs = 60000, maxEntries = 10000) {
+        this.defaultTtlMs = defaultTtlMs;
+        this.maxEntries = maxEntries;
+        this.store = new Map();
+    }
+
+    get(key) {
+        const entry = this.store.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        if (Date.now() > entry.expiresAt) {
+            this.store.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    set(key, value, ttlMs = this.defaultTtlMs) {
+        // Drop the oldest entry when full (Map keeps insertion order)
+        if (this.store.size >= this.maxEntries && !this.store.has(key)) {
+            this.store.delete(this.store.keys().next().value);
+        }
+
+        this.store.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    delete(key) {
+        this.store.delete(key);
+    }
+
+    clear() {
+        this.store.clear();
+    }
+}
+
+module.exports = TTLCache;
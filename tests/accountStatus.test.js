@@ -0,0 +1,42 @@
+// tests/accountStatus.test.js
+// An account that is active again must never be purged by a deletion
+// scheduled before it was suspended and re-enabled.
+const mockUsers = new Map();
+
+jest.mock('../src/models/userModel', () => require('./helpers/memoryModels').createUserModel(mockUsers));
+jest.mock('../src/models/accountDeletionModel', () => ({ cancelOpenByUserId: jest.fn() }));
+jest.mock('../src/services/tokenService', () => ({ revokeAllSessions: jest.fn() }));
+jest.mock('../src/services/securityEventService', () => ({ record: jest.fn() }));
+jest.mock('../src/services/firebaseSyncService', () => ({ updateUser: jest.fn() }));
+
+const AccountDeletionModel = require('../src/models/accountDeletionModel');
+const TokenService = require('../src/services/tokenService');
+const AccountStatusService = require('../src/services/accountStatusService');
+
+beforeEach(() => {
+    mockUsers.clear();
+    AccountDeletionModel.cancelOpenByUserId.mockClear();
+    TokenService.revokeAllSessions.mockClear();
+});
+
+describe('suspend', () => {
+    it('refuses an account that is scheduled for deletion', async () => {
+        mockUsers.set(1, { id: 1, email: 'ada@example.com', status: 'pending_deletion' });
+
+        await expect(AccountStatusService.suspend(1, { reason: 'Abuse' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCOUNT_PENDING_DELETION' });
+        expect(mockUsers.get(1).status).toBe('pending_deletion');
+        expect(TokenService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+});
+
+describe('reactivate', () => {
+    it('cancels a deletion left open on the account', async () => {
+        mockUsers.set(1, { id: 1, email: 'ada@example.com', status: 'suspended' });
+
+        await AccountStatusService.reactivate(1);
+
+        expect(mockUsers.get(1).status).toBe('active');
+        expect(AccountDeletionModel.cancelOpenByUserId).toHaveBeenCalledWith(1);
+    });
+});
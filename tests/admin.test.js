@@ -0,0 +1,57 @@
+// tests/admin.test.js
+// Query string handling of the admin user search. Express 5 re-parses
+// req.query on every access, so the controller must convert values itself.
+const request = require('supertest');
+const { buildApp } = require('./helpers/app');
+const { asUser } = require('./helpers/fakeAuth');
+
+const mockUsers = new Map([[1, { id: 1, email: 'admin@example.com', full_name: 'Admin', status: 'active' }]]);
+
+jest.mock('../src/middleware/auth', () => require('./helpers/fakeAuth').createAuthMiddleware(mockUsers));
+jest.mock('../src/services/adminUserService', () => ({
+    listUsers: jest.fn(async (filters, pagination) => ({ users: [], pagination }))
+}));
+
+const AdminUserService = require('../src/services/adminUserService');
+
+const app = buildApp();
+
+const listUsers = (query) => request(app).get('/api/admin/users').query(query).set(asUser(1));
+
+beforeEach(() => {
+    AdminUserService.listUsers.mockClear();
+});
+
+describe('GET /api/admin/users', () => {
+    it('passes verification filters on as booleans', async () => {
+        const res = await listUsers({ email_verified: 'false', mobile_verified: 'true' });
+
+        expect(res.status).toBe(200);
+        expect(AdminUserService.listUsers).toHaveBeenCalledWith(
+            expect.objectContaining({ is_email_verified: false, is_mobile_verified: true }),
+            expect.any(Object)
+        );
+    });
+
+    it('leaves the verification filters off when they are not given', async () => {
+        await listUsers({});
+
+        const [filters] = AdminUserService.listUsers.mock.calls[0];
+        expect(filters.is_email_verified).toBeUndefined();
+        expect(filters.is_mobile_verified).toBeUndefined();
+    });
+
+    it('pages with numbers', async () => {
+        const res = await listUsers({ page: '2', limit: '5' });
+
+        expect(AdminUserService.listUsers).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ page: 2, limit: 5 }));
+        expect(res.body.data.pagination).toMatchObject({ page: 2, limit: 5 });
+    });
+
+    it('rejects a filter that is not a boolean', async () => {
+        const res = await listUsers({ email_verified: 'maybe' });
+
+        expect(res.status).toBe(400);
+        expect(AdminUserService.listUsers).not.toHaveBeenCalled();
+    });
+});
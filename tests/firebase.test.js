@@ -0,0 +1,209 @@
+// tests/firebase.test.js
+// Firebase ID tokens from the Auth emulator, exchanged at POST /api/auth/firebase
+// and (with ACCEPT_FIREBASE_ID_TOKENS=true) presented directly to protected
+// routes. Run through `npm test`, which starts the emulator; skipped when
+// FIREBASE_AUTH_EMULATOR_HOST is not set. Models are in memory.
+const request = require('supertest');
+const emulator = require('./helpers/firebaseEmulator');
+const { buildApp } = require('./helpers/app');
+
+const mockUsers = new Map();
+
+jest.mock('../src/models/userModel', () => require('./helpers/memoryModels').createUserModel(mockUsers));
+jest.mock('../src/models/identityModel', () => require('./helpers/memoryModels').createIdentityModel());
+jest.mock('../src/models/twoFactorModel', () => ({ isEnabled: jest.fn(async () => false) }));
+jest.mock('../src/services/sessionService', () => require('./helpers/fakeAuth').createSessionService());
+jest.mock('../src/services/securityEventService', () => ({ record: jest.fn() }));
+jest.mock('../src/services/consentService', () => ({ getPendingPolicies: async () => [] }));
+
+const describeWithEmulator = emulator.emulatorHost() ? describe : describe.skip;
+
+const app = buildApp();
+
+const now = () => Math.floor(Date.now() / 1000);
+const findUser = (email) => [...mockUsers.values()].find(row => row.email === email);
+
+const exchange = (idToken) => request(app).post('/api/auth/firebase').send({ id_token: idToken });
+
+// A protected route; any would do
+const callProtected = (idToken) => request(app).get('/api/auth/identities').set('Authorization', `Bearer ${idToken}`);
+
+const expiredToken = (idToken) => emulator.rewriteClaims(idToken, { iat: now() - 7200, auth_time: now() - 7200, exp: now() - 3600 });
+
+const otherProjectToken = (idToken) => emulator.rewriteClaims(idToken, {
+    aud: 'another-project',
+    iss: 'https://securetoken.google.com/another-project'
+});
+
+describeWithEmulator('Firebase ID tokens (Auth emulator)', () => {
+    let TwoFactorModel;
+    let SessionService;
+    let FirebaseService;
+
+    beforeAll(() => {
+        TwoFactorModel = require('../src/models/twoFactorModel');
+        SessionService = require('../src/services/sessionService');
+        FirebaseService = require('../src/services/firebaseService');
+    });
+
+    beforeEach(async () => {
+        await emulator.reset();
+        mockUsers.clear();
+        mockUsers.set(1, { id: 1, email: 'ada@example.com', password: 'hashed:Correct-horse-1', full_name: 'Ada Lovelace', status: 'active' });
+        jest.clearAllMocks();
+        delete process.env.ACCEPT_FIREBASE_ID_TOKENS;
+    });
+
+    describe('exchange at POST /api/auth/firebase', () => {
+        it('creates an account for a valid ID token and signs it in', async () => {
+            const { idToken, localId } = await emulator.signUp('new.person@example.com');
+
+            const res = await exchange(idToken);
+
+            expect(res.status).toBe(200);
+            expect(findUser('new.person@example.com')).toMatchObject({ firebase_uid: localId, signup_type: 'f' });
+            expect(SessionService.startSession).toHaveBeenCalledWith(expect.objectContaining({ firebase_uid: localId }), expect.any(Object));
+        });
+
+        it('signs the same Firebase user into the same account again', async () => {
+            const { idToken } = await emulator.signUp('new.person@example.com');
+            await exchange(idToken);
+
+            const res = await exchange((await emulator.signIn('new.person@example.com')).idToken);
+
+            expect(res.status).toBe(200);
+            expect(mockUsers.size).toBe(2);
+        });
+
+        it('links an existing account when Firebase has verified the email', async () => {
+            const firebaseUser = await FirebaseService.getAuth().createUser({
+                email: 'ada@example.com', password: 'Emulator-pass-1', emailVerified: true
+            });
+
+            const res = await exchange((await emulator.signIn('ada@example.com')).idToken);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.user).toMatchObject({ id: 1 });
+            expect(mockUsers.get(1).firebase_uid).toBe(firebaseUser.uid);
+        });
+
+        it('does not link an existing account on an unverified email', async () => {
+            const { idToken } = await emulator.signUp('ada@example.com');
+
+            const res = await exchange(idToken);
+
+            expect(res.status).toBe(403);
+            expect(res.body.code).toBe('FIREBASE_EMAIL_UNVERIFIED');
+            expect(mockUsers.get(1).firebase_uid).toBeUndefined();
+        });
+
+        it('rejects an expired ID token', async () => {
+            const { idToken } = await emulator.signUp('new.person@example.com');
+
+            const res = await exchange(expiredToken(idToken));
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('TOKEN_EXPIRED');
+            expect(findUser('new.person@example.com')).toBeUndefined();
+        });
+
+        it('rejects an ID token issued before its refresh tokens were revoked', async () => {
+            const { idToken, localId } = await emulator.signUp('new.person@example.com');
+
+            // Revocation has one-second granularity
+            await new Promise(resolve => setTimeout(resolve, 1100));
+            await FirebaseService.revokeRefreshTokens(localId);
+
+            const res = await exchange(idToken);
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('FIREBASE_TOKEN_INVALID');
+            expect(SessionService.startSession).not.toHaveBeenCalled();
+        });
+
+        it('rejects an ID token issued for another project', async () => {
+            const { idToken } = await emulator.signUp('new.person@example.com');
+
+            const res = await exchange(otherProjectToken(idToken));
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('FIREBASE_TOKEN_INVALID');
+        });
+
+        it('rejects something that is not an ID token', async () => {
+            const res = await exchange('not-a-token');
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('FIREBASE_TOKEN_INVALID');
+        });
+    });
+
+    describe('ID tokens presented to protect', () => {
+        beforeEach(() => {
+            process.env.ACCEPT_FIREBASE_ID_TOKENS = 'true';
+        });
+
+        it('accepts a valid ID token as the bearer token', async () => {
+            const { idToken, localId } = await emulator.signUp('new.person@example.com');
+
+            const res = await callProtected(idToken);
+
+            expect(res.status).toBe(200);
+            expect(findUser('new.person@example.com')).toMatchObject({ firebase_uid: localId });
+        });
+
+        it('ignores ID tokens unless ACCEPT_FIREBASE_ID_TOKENS=true', async () => {
+            delete process.env.ACCEPT_FIREBASE_ID_TOKENS;
+            const { idToken } = await emulator.signUp('new.person@example.com');
+
+            const res = await callProtected(idToken);
+
+            expect(res.status).toBe(401);
+            expect(findUser('new.person@example.com')).toBeUndefined();
+        });
+
+        it('rejects an expired ID token', async () => {
+            const { idToken } = await emulator.signUp('new.person@example.com');
+
+            const res = await callProtected(expiredToken(idToken));
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('TOKEN_EXPIRED');
+        });
+
+        it('does not take an ID token for another project as a Firebase token', async () => {
+            const { idToken } = await emulator.signUp('new.person@example.com');
+
+            const res = await callProtected(otherProjectToken(idToken));
+
+            expect(res.status).toBe(401);
+            expect(findUser('new.person@example.com')).toBeUndefined();
+        });
+
+        it('stops accepting ID tokens from before a sign-out everywhere', async () => {
+            const { idToken } = await emulator.signUp('new.person@example.com');
+            await exchange(idToken);
+            const { auth_time } = emulator.decodeClaims(idToken);
+
+            // Signed out a second after signing in; the client SDK refreshed the token since
+            await new Promise(resolve => setTimeout(resolve, 2100));
+            findUser('new.person@example.com').tokens_revoked_at = new Date((auth_time + 1) * 1000);
+            const refreshed = emulator.rewriteClaims(idToken, { iat: now() });
+
+            const res = await callProtected(refreshed);
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('TOKEN_REVOKED');
+        });
+
+        it('sends users with two-factor authentication to the exchange endpoint', async () => {
+            TwoFactorModel.isEnabled.mockResolvedValueOnce(true);
+            const { idToken } = await emulator.signUp('new.person@example.com');
+
+            const res = await callProtected(idToken);
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('TWO_FACTOR_REQUIRED');
+        });
+    });
+});
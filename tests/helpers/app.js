@@ -0,0 +1,29 @@
+// tests/helpers/app.js
+// The auth and admin APIs as src/index.js mounts them, without listening or starting
+// background workers. { dev: true } adds the development routes (mock OIDC
+// issuer), which src/index.js mounts when NODE_ENV=development.
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { requestId } = require('../../src/middleware/requestId');
+const { errorHandler } = require('../../src/utils/errorHandler');
+
+const buildApp = ({ dev = false } = {}) => {
+    const app = express();
+
+    app.use(requestId);
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use(cookieParser());
+    app.use('/api/auth', require('../../src/routes/auth'));
+    app.use('/api/admin', require('../../src/routes/admin'));
+    if (dev) {
+        app.use('/api/dev', require('../../src/routes/dev'));
+    }
+    app.use(errorHandler);
+
+    return app;
+};
+
+module.exports = {
+    buildApp
+};
@@ -0,0 +1,43 @@
+// tests/helpers/fakeAuth.js
+// Stand-ins for middleware/auth and SessionService, for specs about how a
+// user signs in rather than what their session looks like. Use from a
+// jest.mock factory.
+
+// "Authorization: Bearer user-<id>" signs in as that user
+const createAuthMiddleware = (users) => {
+    const authenticate = (req, res, next) => {
+        const match = /^Bearer user-(\d+)$/.exec(req.get('authorization') || '');
+        const user = match && users.get(Number(match[1]));
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Access denied. No token provided' });
+        }
+        req.user = user;
+        next();
+    };
+
+    return {
+        authenticate,
+        protect: [authenticate],
+        // Permissions are not checked; the specs are about what happens after
+        authorize: () => (req, res, next) => next()
+    };
+};
+
+// Stand-in for SessionService: startSession hands out recognisable tokens
+const createSessionService = () => ({
+    startSession: jest.fn(async (user) => ({
+        token: `access-${user.id}`,
+        refresh_token: `refresh-${user.id}`,
+        expires_in: 900,
+        refresh_expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+        session_id: `session-${user.id}`
+    }))
+});
+
+const asUser = (userId) => ({ Authorization: `Bearer user-${userId}` });
+
+module.exports = {
+    createAuthMiddleware,
+    createSessionService,
+    asUser
+};
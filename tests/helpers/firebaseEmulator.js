@@ -0,0 +1,56 @@
+// tests/helpers/firebaseEmulator.js
+// Client side of the Firebase Auth emulator (firebase emulators:exec sets
+// FIREBASE_AUTH_EMULATOR_HOST): sign users up and in over its REST API the
+// way the client SDKs do, and reset it between tests.
+const PROJECT_ID = 'demo-project';
+
+const emulatorHost = () => process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+const call = async (path, { method = 'POST', body } = {}) => {
+    const response = await fetch(`http://${emulatorHost()}/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`Auth emulator ${path} failed: ${JSON.stringify(data)}`);
+    }
+    return data;
+};
+
+// New email/password user; resolves to { idToken, localId }
+const signUp = (email, password = 'Emulator-pass-1') =>
+    call('identitytoolkit.googleapis.com/v1/accounts:signUp?key=fake-api-key', {
+        body: { email, password, returnSecureToken: true }
+    });
+
+// Fresh ID token for an existing user
+const signIn = (email, password = 'Emulator-pass-1') =>
+    call('identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=fake-api-key', {
+        body: { email, password, returnSecureToken: true }
+    });
+
+// Drop every emulator account
+const reset = () => call(`emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+
+// The emulator's ID tokens are unsigned, and the Admin SDK accepts them
+// unsigned in emulator mode, so claims can be rewritten to build tokens the
+// emulator would not hand out (expired, another project)
+const rewriteClaims = (idToken, changes) => {
+    const [header, payload] = idToken.split('.');
+    const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+    return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.`;
+};
+
+const decodeClaims = (idToken) => JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString());
+
+module.exports = {
+    PROJECT_ID,
+    emulatorHost,
+    signUp,
+    signIn,
+    reset,
+    rewriteClaims,
+    decodeClaims
+};
@@ -0,0 +1,217 @@
+// tests/helpers/memoryModels.js
+// In-memory stand-ins for the models the specs touch, so the services run
+// unchanged without PostgreSQL. Use from a jest.mock factory.
+
+// PasskeyModel over two in-memory tables
+const createPasskeyModel = () => {
+    const credentials = [];
+    const challenges = new Map();
+    let nextId = 1;
+
+    const toPublic = ({ id, name, device_type, backed_up, transports, created_at, last_used_at }) =>
+        ({ id, name, device_type, backed_up, transports, created_at, last_used_at });
+
+    return {
+        credentials,
+        challenges,
+
+        async create(data) {
+            const row = { ...data, id: nextId++, created_at: new Date(), last_used_at: null };
+            credentials.push(row);
+            return toPublic(row);
+        },
+        async findByCredentialId(credentialId) {
+            return credentials.find(row => row.credential_id === credentialId);
+        },
+        async findByUserId(userId) {
+            return credentials.filter(row => row.user_id === userId).map(toPublic);
+        },
+        async findDescriptorsByUserId(userId) {
+            return credentials
+                .filter(row => row.user_id === userId)
+                .map(({ credential_id, transports }) => ({ credential_id, transports }));
+        },
+        async existsForUser(userId) {
+            return credentials.some(row => row.user_id === userId);
+        },
+        async delete(id, userId) {
+            const index = credentials.findIndex(row => row.id === Number(id) && row.user_id === userId);
+            if (index === -1) {
+                return undefined;
+            }
+            const [row] = credentials.splice(index, 1);
+            return { id: row.id, name: row.name };
+        },
+        async deleteByUserId(userId) {
+            const before = credentials.length;
+            credentials.splice(0, credentials.length, ...credentials.filter(row => row.user_id !== userId));
+            return before - credentials.length;
+        },
+        async updateCounter(id, counter) {
+            const row = credentials.find(credential => credential.id === id);
+            row.counter = counter;
+            row.last_used_at = new Date();
+        },
+        async createChallenge(challenge) {
+            challenges.set(challenge.id, { ...challenge });
+        },
+        async consumeChallenge(id, purpose) {
+            // Expired challenges are left for deleteExpiredChallenges, as in SQL
+            const challenge = challenges.get(id);
+            if (!challenge || challenge.purpose !== purpose || new Date(challenge.expires_at) <= new Date(Date.now())) {
+                return undefined;
+            }
+            challenges.delete(id);
+            return { user_id: challenge.user_id, challenge: challenge.challenge };
+        },
+        async deleteExpiredChallenges() {
+            let removed = 0;
+            for (const [id, challenge] of challenges) {
+                if (new Date(challenge.expires_at) < new Date(Date.now())) {
+                    challenges.delete(id);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+};
+
+// UserModel over a Map of id -> row. Passwords are stored as "hashed:<password>"
+const createUserModel = (users) => {
+    const withoutPassword = (row) => {
+        if (!row) {
+            return undefined;
+        }
+        const { password, ...user } = row;
+        return user;
+    };
+    const findRow = (email) => [...users.values()].find(row => row.email === email);
+    // Never reused, so ids cached by the services stay unambiguous across tests
+    let nextId = 1000;
+
+    return {
+        async findById(id) {
+            return withoutPassword(users.get(id));
+        },
+        async findByEmail(email) {
+            return findRow(email);
+        },
+        async findByFirebaseUid(firebaseUid) {
+            return withoutPassword([...users.values()].find(row => row.firebase_uid === firebaseUid));
+        },
+        async emailExists(email) {
+            return Boolean(findRow(email));
+        },
+        async getPasswordHash(id) {
+            return users.has(id) ? users.get(id).password : null;
+        },
+        async verifyPassword(plainPassword, hashedPassword) {
+            return Boolean(hashedPassword && plainPassword) && hashedPassword === `hashed:${plainPassword}`;
+        },
+        async createFederated({ email, full_name, signup_type, is_email_verified = false, firebase_uid = null }) {
+            const id = nextId++;
+            users.set(id, {
+                id, email, full_name, signup_type, is_email_verified, firebase_uid,
+                password: null, status: 'active', created_at: new Date()
+            });
+            return withoutPassword(users.get(id));
+        },
+        async setFirebaseUid(id, firebaseUid) {
+            users.get(id).firebase_uid = firebaseUid;
+        },
+        async getTokensRevokedAt(id) {
+            return users.has(id) ? users.get(id).tokens_revoked_at || null : null;
+        },
+        async setPasswordResetRequired(id, required = true) {
+            users.get(id).password_reset_required = required;
+        },
+        async setStatus(id, status, status_reason = null, suspended_until = null) {
+            Object.assign(users.get(id), { status, status_reason, suspended_until });
+            return { id, status, status_reason, suspended_until };
+        }
+    };
+};
+
+// LoginAlertModel: "this wasn't me" tokens of new-device emails
+const createLoginAlertModel = () => {
+    const alerts = [];
+    const findUsable = (tokenHash) => alerts.find(alert =>
+        alert.token_hash === tokenHash && !alert.used_at && new Date(alert.expires_at) > new Date(Date.now()));
+
+    return {
+        alerts,
+
+        async create(alert) {
+            const row = { ...alert, id: alerts.length + 1, used_at: null, created_at: new Date() };
+            alerts.push(row);
+            return { id: row.id, expires_at: row.expires_at, created_at: row.created_at };
+        },
+        async findValid(tokenHash) {
+            const alert = findUsable(tokenHash);
+            return alert && { user_id: alert.user_id, created_at: alert.created_at, expires_at: alert.expires_at };
+        },
+        async consume(tokenHash) {
+            const alert = findUsable(tokenHash);
+            if (!alert) {
+                return undefined;
+            }
+            alert.used_at = new Date();
+            return { user_id: alert.user_id, device_id: alert.device_id, session_id: alert.session_id, created_at: alert.created_at };
+        }
+    };
+};
+
+// IdentityModel: linked provider accounts plus pending authorization requests
+const createIdentityModel = () => {
+    const identities = [];
+    const authRequests = new Map();
+    let nextId = 1;
+
+    return {
+        identities,
+        authRequests,
+
+        async create({ user_id, provider, subject, email, email_verified }) {
+            const row = {
+                id: nextId++, user_id, provider, subject, email: email || null,
+                email_verified: Boolean(email_verified), created_at: new Date(), last_login_at: new Date()
+            };
+            identities.push(row);
+            return { ...row };
+        },
+        async findByProviderSubject(provider, subject) {
+            return identities.find(row => row.provider === provider && row.subject === subject);
+        },
+        async findByUserId(userId) {
+            return identities.filter(row => row.user_id === userId);
+        },
+        async touch(id, { email, email_verified }) {
+            Object.assign(identities.find(row => row.id === id), {
+                email: email || null, email_verified: Boolean(email_verified), last_login_at: new Date()
+            });
+        },
+        async delete(id, userId) {
+            const index = identities.findIndex(row => row.id === id && row.user_id === userId);
+            return index === -1 ? undefined : identities.splice(index, 1)[0];
+        },
+        async createAuthRequest(request) {
+            authRequests.set(request.state_hash, { ...request });
+        },
+        async consumeAuthRequest(stateHash, provider) {
+            const request = authRequests.get(stateHash);
+            if (!request || request.provider !== provider || new Date(request.expires_at) <= new Date(Date.now())) {
+                return undefined;
+            }
+            authRequests.delete(stateHash);
+            return request;
+        }
+    };
+};
+
+module.exports = {
+    createPasskeyModel,
+    createUserModel,
+    createIdentityModel,
+    createLoginAlertModel
+};
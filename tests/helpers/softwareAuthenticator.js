@@ -0,0 +1,114 @@
+// tests/helpers/softwareAuthenticator.js
+// A WebAuthn authenticator in software: an ES256 key pair plus a sign
+// counter, producing the JSON a browser hands to the server.
+const crypto = require('crypto');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const encode = (buffer) => isoBase64URL.fromBuffer(new Uint8Array(buffer));
+
+class SoftwareAuthenticator {
+    constructor({ origin = 'http://localhost:5173', rpId = 'localhost' } = {}) {
+        this.origin = origin;
+        this.rpId = rpId;
+        this.credentialId = crypto.randomBytes(16);
+        this.keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.signCount = 0;
+    }
+
+    get id() {
+        return encode(this.credentialId);
+    }
+
+    // A copy holding the same key and counter, as an extracted key would be
+    clone() {
+        const copy = new SoftwareAuthenticator({ origin: this.origin, rpId: this.rpId });
+        copy.credentialId = this.credentialId;
+        copy.keyPair = this.keyPair;
+        copy.signCount = this.signCount;
+        return copy;
+    }
+
+    // Answer navigator.credentials.create()
+    createCredential(options, { origin = this.origin } = {}) {
+        const clientDataJSON = this.#clientData('webauthn.create', options.challenge, origin);
+
+        const { x, y } = this.keyPair.publicKey.export({ format: 'jwk' });
+        const publicKey = isoCBOR.encode(new Map([
+            [1, 2], // kty: EC2
+            [3, -7], // alg: ES256
+            [-1, 1], // crv: P-256
+            [-2, isoBase64URL.toBuffer(x)],
+            [-3, isoBase64URL.toBuffer(y)]
+        ]));
+
+        const credentialIdLength = Buffer.alloc(2);
+        credentialIdLength.writeUInt16BE(this.credentialId.length);
+
+        const authData = Buffer.concat([
+            this.#authDataHeader(FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_DATA),
+            Buffer.alloc(16), // AAGUID
+            credentialIdLength,
+            this.credentialId,
+            Buffer.from(publicKey)
+        ]);
+
+        const attestationObject = isoCBOR.encode(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', new Uint8Array(authData)]
+        ]));
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: encode(clientDataJSON),
+                attestationObject: encode(attestationObject),
+                transports: ['internal']
+            },
+            clientExtensionResults: {},
+            authenticatorAttachment: 'platform'
+        };
+    }
+
+    // Answer navigator.credentials.get(); every assertion bumps the counter
+    getAssertion(options, { origin = this.origin, userVerified = true, userHandle = null } = {}) {
+        this.signCount += 1;
+
+        const clientDataJSON = this.#clientData('webauthn.get', options.challenge, origin);
+        const authenticatorData = this.#authDataHeader(FLAG_USER_PRESENT | (userVerified ? FLAG_USER_VERIFIED : 0));
+        const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), this.keyPair.privateKey);
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: encode(clientDataJSON),
+                authenticatorData: encode(authenticatorData),
+                signature: encode(signature),
+                ...(userHandle && { userHandle: encode(Buffer.from(userHandle)) })
+            },
+            clientExtensionResults: {},
+            authenticatorAttachment: 'platform'
+        };
+    }
+
+    #clientData(type, challenge, origin) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+    }
+
+    #authDataHeader(flags) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(this.signCount);
+        return Buffer.concat([sha256(this.rpId), Buffer.from([flags]), counter]);
+    }
+}
+
+module.exports = SoftwareAuthenticator;
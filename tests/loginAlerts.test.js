@@ -0,0 +1,88 @@
+// tests/loginAlerts.test.js
+// The "this wasn't me" link from new-device emails. Opening it must change
+// nothing (mail scanners prefetch links); the lockdown needs the POST from
+// the confirmation page.
+const request = require('supertest');
+const { buildApp } = require('./helpers/app');
+const { hashToken } = require('../src/utils/tokens');
+
+const mockUsers = new Map();
+
+jest.mock('../src/models/userModel', () => require('./helpers/memoryModels').createUserModel(mockUsers));
+jest.mock('../src/models/loginAlertModel', () => require('./helpers/memoryModels').createLoginAlertModel());
+jest.mock('../src/models/passkeyModel', () => require('./helpers/memoryModels').createPasskeyModel());
+jest.mock('../src/models/knownDeviceModel', () => ({ deleteByUserId: jest.fn() }));
+jest.mock('../src/services/tokenService', () => ({ revokeAllSessions: jest.fn() }));
+jest.mock('../src/services/passwordResetService', () => ({ request: jest.fn() }));
+jest.mock('../src/services/securityEventService', () => ({ record: jest.fn() }));
+
+const LoginAlertModel = require('../src/models/loginAlertModel');
+const PasskeyModel = require('../src/models/passkeyModel');
+const TokenService = require('../src/services/tokenService');
+const PasswordResetService = require('../src/services/passwordResetService');
+
+const FRONTEND_URL = 'http://localhost:5173';
+const TOKEN = 'a'.repeat(64);
+
+const app = buildApp();
+
+beforeEach(async () => {
+    mockUsers.clear();
+    mockUsers.set(1, { id: 1, email: 'ada@example.com', password: 'hashed:Correct-horse-1', full_name: 'Ada Lovelace', status: 'active' });
+    LoginAlertModel.alerts.length = 0;
+    PasskeyModel.credentials.length = 0;
+    TokenService.revokeAllSessions.mockClear();
+    PasswordResetService.request.mockClear();
+
+    await LoginAlertModel.create({ user_id: 1, token_hash: hashToken(TOKEN), expires_at: new Date(Date.now() + 60 * 60 * 1000) });
+    await PasskeyModel.create({ user_id: 1, credential_id: 'planted', name: 'Unknown' });
+});
+
+describe('opening the link', () => {
+    it('leads to the confirmation page without locking anything', async () => {
+        const res = await request(app).get(`/api/auth/not-me/${TOKEN}`);
+
+        expect(res.status).toBe(302);
+        expect(res.headers.location).toBe(`${FRONTEND_URL}/account-secured?status=confirm#token=${TOKEN}`);
+        expect(TokenService.revokeAllSessions).not.toHaveBeenCalled();
+        expect(mockUsers.get(1).password_reset_required).toBeUndefined();
+        expect(PasskeyModel.credentials).toHaveLength(1);
+        expect(LoginAlertModel.alerts[0].used_at).toBeNull();
+    });
+
+    it('reports an unknown or used link', async () => {
+        const res = await request(app).get(`/api/auth/not-me/${'b'.repeat(64)}`);
+
+        expect(res.headers.location).toBe(`${FRONTEND_URL}/account-secured?error=invalid_token`);
+    });
+});
+
+describe('confirming the report', () => {
+    it('signs out everywhere, removes passkeys and requires a new password', async () => {
+        const res = await request(app).post('/api/auth/not-me').send({ token: TOKEN });
+
+        expect(res.status).toBe(200);
+        expect(TokenService.revokeAllSessions).toHaveBeenCalledWith(1);
+        expect(mockUsers.get(1).password_reset_required).toBe(true);
+        expect(PasskeyModel.credentials).toHaveLength(0);
+        expect(PasswordResetService.request).toHaveBeenCalledWith('ada@example.com', expect.any(Object), { bypassCooldown: true });
+    });
+
+    it('uses the link once', async () => {
+        await request(app).post('/api/auth/not-me').send({ token: TOKEN });
+
+        const replay = await request(app).post('/api/auth/not-me').send({ token: TOKEN });
+        const opened = await request(app).get(`/api/auth/not-me/${TOKEN}`);
+
+        expect(replay.status).toBe(400);
+        expect(replay.body.code).toBe('LOGIN_ALERT_INVALID');
+        expect(opened.headers.location).toMatch(/error=invalid_token/);
+    });
+
+    it('requires the token', async () => {
+        const res = await request(app).post('/api/auth/not-me').send({});
+
+        expect(res.status).toBe(400);
+        expect(TokenService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+});
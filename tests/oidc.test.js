@@ -0,0 +1,307 @@
+// tests/oidc.test.js
+// The OpenID Connect code flow with PKCE against the development mock issuer
+// (routes/mockOidc). The app listens on a real port because the service
+// fetches discovery, token and JWKS documents over HTTP; the browser's side
+// of the redirects is driven through supertest. Models are in memory.
+const http = require('http');
+const request = require('supertest');
+const { asUser } = require('./helpers/fakeAuth');
+
+const mockUsers = new Map();
+
+jest.mock('../src/models/userModel', () => require('./helpers/memoryModels').createUserModel(mockUsers));
+jest.mock('../src/models/identityModel', () => require('./helpers/memoryModels').createIdentityModel());
+jest.mock('../src/models/twoFactorModel', () => ({ isEnabled: async () => false }));
+jest.mock('../src/services/sessionService', () => require('./helpers/fakeAuth').createSessionService());
+jest.mock('../src/services/securityEventService', () => ({ record: jest.fn() }));
+jest.mock('../src/services/loginThrottleService', () => ({
+    assertAllowed: jest.fn(),
+    recordFailure: jest.fn(),
+    recordSuccess: jest.fn()
+}));
+jest.mock('../src/middleware/auth', () => require('./helpers/fakeAuth').createAuthMiddleware(mockUsers));
+
+const AUTH_REQUEST_EXPIRES_MS = 10 * 60 * 1000;
+
+let server;
+let app;
+let IdentityModel;
+let SessionService;
+let LoginThrottleService;
+let encrypt;
+
+// Browser: our /authorize -> provider /authorize (signs in as login_hint) -> back to our callback URL
+const visitProvider = async (authorizationUrl, providerParams = {}) => {
+    const url = new URL(authorizationUrl);
+    for (const [key, value] of Object.entries(providerParams)) {
+        url.searchParams.set(key, value);
+    }
+
+    const res = await request(app).get(url.pathname + url.search);
+    expect(res.status).toBe(302);
+    return new URL(res.headers.location);
+};
+
+const beginSignIn = async (providerParams = {}) => {
+    const res = await request(app).get('/api/auth/oidc/mock/authorize');
+    expect(res.status).toBe(302);
+    return visitProvider(res.headers.location, providerParams);
+};
+
+const callback = (callbackUrl) => request(app).get(callbackUrl.pathname + callbackUrl.search);
+
+// Where the callback sent the browser back to the frontend
+const outcome = (res) => {
+    expect(res.status).toBe(302);
+    const url = new URL(res.headers.location);
+    return {
+        status: url.searchParams.get('status'),
+        error: url.searchParams.get('error'),
+        query: url.searchParams,
+        fragment: new URLSearchParams(url.hash.slice(1))
+    };
+};
+
+const signIn = async (providerParams = {}) => outcome(await callback(await beginSignIn(providerParams)));
+
+// The one pending authorization request (tests start one at a time)
+const pendingAuthRequest = () => {
+    expect(IdentityModel.authRequests.size).toBe(1);
+    return [...IdentityModel.authRequests.values()][0];
+};
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => app(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // The mock provider is only registered in development, under API_URL
+    process.env.API_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.NODE_ENV = 'development';
+
+    app = require('./helpers/app').buildApp({ dev: true });
+    IdentityModel = require('../src/models/identityModel');
+    SessionService = require('../src/services/sessionService');
+    LoginThrottleService = require('../src/services/loginThrottleService');
+    ({ encrypt } = require('../src/utils/encryption'));
+});
+
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    mockUsers.clear();
+    mockUsers.set(1, { id: 1, email: 'ada@example.com', password: 'hashed:Correct-horse-1', full_name: 'Ada Lovelace', status: 'active' });
+    mockUsers.set(2, { id: 2, email: 'grace@example.com', password: 'hashed:Battery-staple-2', full_name: 'Grace Hopper', status: 'active' });
+    mockUsers.set(3, { id: 3, email: 'linus@example.com', password: null, full_name: 'Linus', status: 'active' });
+    IdentityModel.identities.length = 0;
+    IdentityModel.authRequests.clear();
+    jest.clearAllMocks();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('OIDC sign-in', () => {
+    it('sends the browser to the provider with PKCE, state and nonce', async () => {
+        const res = await request(app).get('/api/auth/oidc/mock/authorize');
+
+        const url = new URL(res.headers.location);
+        expect(url.pathname).toBe('/api/dev/oidc/authorize');
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+        expect(url.searchParams.get('state')).toBeTruthy();
+        expect(url.searchParams.get('nonce')).toBe(pendingAuthRequest().nonce);
+    });
+
+    it('creates an account for a new provider user and signs them in', async () => {
+        const callbackUrl = await beginSignIn({ login_hint: 'new.person@example.com', name: 'New Person' });
+        const res = await callback(callbackUrl);
+
+        const user = [...mockUsers.values()].find(row => row.email === 'new.person@example.com');
+        expect(user).toMatchObject({ full_name: 'New Person', signup_type: 'o', password: null });
+
+        expect(outcome(res).status).toBe('signed_in');
+        expect(res.headers['set-cookie'].join(';')).toMatch(new RegExp(`token=access-${user.id}`));
+        expect(IdentityModel.identities).toEqual([
+            expect.objectContaining({ user_id: user.id, provider: 'mock', email: 'new.person@example.com' })
+        ]);
+        expect(IdentityModel.authRequests.size).toBe(0);
+    });
+
+    it('signs a returning provider user into the same account', async () => {
+        await signIn({ login_hint: 'new.person@example.com' });
+
+        const second = await signIn({ login_hint: 'new.person@example.com' });
+
+        expect(second.status).toBe('signed_in');
+        expect(mockUsers.size).toBe(4);
+        expect(IdentityModel.identities).toHaveLength(1);
+        expect(SessionService.startSession).toHaveBeenLastCalledWith(
+            expect.objectContaining({ id: IdentityModel.identities[0].user_id }), expect.any(Object)
+        );
+    });
+
+    it('rejects a callback whose state does not match a pending request', async () => {
+        const callbackUrl = await beginSignIn({ login_hint: 'new.person@example.com' });
+        callbackUrl.searchParams.set('state', 'forged-state');
+
+        expect((await callback(callbackUrl).then(outcome)).error).toBe('invalid_state');
+        expect(mockUsers.size).toBe(3);
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('rejects an ID token whose nonce does not match the request', async () => {
+        const callbackUrl = await beginSignIn({ login_hint: 'new.person@example.com' });
+        pendingAuthRequest().nonce = 'n'.repeat(43);
+
+        expect((await callback(callbackUrl).then(outcome)).error).toBe('invalid_token');
+        expect(mockUsers.size).toBe(3);
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('does not accept the same authorization request twice', async () => {
+        const callbackUrl = await beginSignIn({ login_hint: 'new.person@example.com' });
+
+        expect((await callback(callbackUrl).then(outcome)).status).toBe('signed_in');
+        const replay = await callback(callbackUrl).then(outcome);
+
+        expect(replay.error).toBe('invalid_state');
+        expect(SessionService.startSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects an authorization request that has expired', async () => {
+        const callbackUrl = await beginSignIn({ login_hint: 'new.person@example.com' });
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + AUTH_REQUEST_EXPIRES_MS + 1000);
+
+        expect((await callback(callbackUrl).then(outcome)).error).toBe('invalid_state');
+    });
+
+    it('fails the code exchange when the PKCE verifier does not match', async () => {
+        const callbackUrl = await beginSignIn({ login_hint: 'new.person@example.com' });
+        pendingAuthRequest().code_verifier_encrypted = encrypt('a-verifier-the-provider-never-saw');
+
+        expect((await callback(callbackUrl).then(outcome)).error).toBe('server_error');
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('uses up the request when the user cancels at the provider', async () => {
+        const callbackUrl = await beginSignIn({ deny: '1' });
+
+        expect((await callback(callbackUrl).then(outcome)).error).toBe('access_denied');
+        expect(IdentityModel.authRequests.size).toBe(0);
+    });
+
+    it('reports an unknown provider', async () => {
+        const res = await request(app).get('/api/auth/oidc/nope/authorize');
+
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('OIDC_PROVIDER_UNKNOWN');
+    });
+});
+
+describe('existing account with the provider email', () => {
+    const beginLink = async () => {
+        const result = await signIn({ login_hint: 'ada@example.com' });
+        expect(result.status).toBe('link_required');
+        return result.fragment.get('link_token');
+    };
+
+    it('asks the owner to confirm instead of merging on the provider\'s word', async () => {
+        const result = await signIn({ login_hint: 'ada@example.com' });
+
+        expect(result.status).toBe('link_required');
+        expect(result.fragment.get('link_token')).toBeTruthy();
+        // Kept out of the query string, which servers and proxies log
+        expect(result.fragment.get('email')).toBe('ada@example.com');
+        expect(result.query.has('email')).toBe(false);
+        expect(IdentityModel.identities).toHaveLength(0);
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('links the provider and signs in once the password is confirmed', async () => {
+        const link_token = await beginLink();
+
+        const res = await request(app).post('/api/auth/oidc/link').send({ link_token, password: 'Correct-horse-1' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.user).toMatchObject({ id: 1 });
+        expect(IdentityModel.identities).toEqual([expect.objectContaining({ user_id: 1, provider: 'mock' })]);
+        expect(LoginThrottleService.recordSuccess).toHaveBeenCalledWith('ada@example.com');
+
+        // Next time the provider signs straight into the linked account
+        expect((await signIn({ login_hint: 'ada@example.com' })).status).toBe('signed_in');
+        expect(SessionService.startSession).toHaveBeenLastCalledWith(expect.objectContaining({ id: 1 }), expect.any(Object));
+    });
+
+    it('refuses a wrong password and counts the failure', async () => {
+        const link_token = await beginLink();
+
+        const res = await request(app).post('/api/auth/oidc/link').send({ link_token, password: 'guess' });
+
+        expect(res.status).toBe(401);
+        expect(IdentityModel.identities).toHaveLength(0);
+        expect(LoginThrottleService.recordFailure).toHaveBeenCalledWith('ada@example.com', expect.objectContaining({ id: 1 }), expect.any(Object));
+    });
+
+    it('explains that an account without a password must link from its settings', async () => {
+        const result = await signIn({ login_hint: 'linus@example.com' });
+
+        const res = await request(app)
+            .post('/api/auth/oidc/link')
+            .send({ link_token: result.fragment.get('link_token'), password: 'anything' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('PASSWORD_NOT_SET');
+        expect(IdentityModel.identities).toHaveLength(0);
+    });
+
+    it('rejects a tampered link token', async () => {
+        const link_token = await beginLink();
+
+        const res = await request(app).post('/api/auth/oidc/link').send({ link_token: `${link_token}x`, password: 'Correct-horse-1' });
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('OIDC_LINK_INVALID');
+    });
+
+    it('requires the password', async () => {
+        const link_token = await beginLink();
+
+        const res = await request(app).post('/api/auth/oidc/link').send({ link_token });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('linking a provider from a signed-in account', () => {
+    const beginAccountLink = async (userId, providerParams) => {
+        const res = await request(app).post('/api/auth/oidc/mock/link').set(asUser(userId));
+        expect(res.status).toBe(200);
+        return visitProvider(res.body.data.authorization_url, providerParams);
+    };
+
+    it('adds the provider account to the signed-in user', async () => {
+        const callbackUrl = await beginAccountLink(2, { login_hint: 'grace.h@example.org' });
+
+        expect((await callback(callbackUrl).then(outcome)).status).toBe('linked');
+        expect(IdentityModel.identities).toEqual([
+            expect.objectContaining({ user_id: 2, provider: 'mock', email: 'grace.h@example.org' })
+        ]);
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('refuses a provider account already linked to someone else', async () => {
+        await signIn({ login_hint: 'new.person@example.com' });
+
+        const callbackUrl = await beginAccountLink(2, { login_hint: 'new.person@example.com' });
+
+        expect((await callback(callbackUrl).then(outcome)).error).toBe('already_linked');
+        expect(IdentityModel.identities).toHaveLength(1);
+        expect(IdentityModel.identities[0].user_id).not.toBe(2);
+    });
+});
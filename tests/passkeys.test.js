@@ -0,0 +1,338 @@
+// tests/passkeys.test.js
+// WebAuthn ceremonies end to end through /api/auth/passkeys/*, answered by a
+// software authenticator. Models are in memory; sessions and the signed-in
+// user are stubbed so only the passkey code runs for real.
+const request = require('supertest');
+const SoftwareAuthenticator = require('./helpers/softwareAuthenticator');
+const { buildApp } = require('./helpers/app');
+const { asUser } = require('./helpers/fakeAuth');
+
+const mockUsers = new Map();
+
+jest.mock('../src/models/passkeyModel', () => require('./helpers/memoryModels').createPasskeyModel());
+jest.mock('../src/models/userModel', () => require('./helpers/memoryModels').createUserModel(mockUsers));
+jest.mock('../src/services/sessionService', () => require('./helpers/fakeAuth').createSessionService());
+jest.mock('../src/middleware/auth', () => require('./helpers/fakeAuth').createAuthMiddleware(mockUsers));
+jest.mock('../src/services/securityEventService', () => ({ record: jest.fn() }));
+jest.mock('../src/services/emailService', () => ({ send: jest.fn() }));
+
+const PasskeyModel = require('../src/models/passkeyModel');
+const SessionService = require('../src/services/sessionService');
+const SecurityEventService = require('../src/services/securityEventService');
+const EmailService = require('../src/services/emailService');
+
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+const PASSWORDS = { 1: 'Correct-horse-1', 2: 'Battery-staple-2' };
+
+const app = buildApp();
+
+// Move the clock past the ceremony timeout for the next request
+const expireCeremonies = () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + CEREMONY_TIMEOUT_MS + 1000);
+};
+
+// Adding a passkey starts with the account password
+const startRegistration = (userId = 1, password = PASSWORDS[userId]) => request(app)
+    .post('/api/auth/passkeys/register/options')
+    .set(asUser(userId))
+    .send({ password });
+
+const registerPasskey = async (authenticator, userId = 1) => {
+    const options = await startRegistration(userId);
+    expect(options.status).toBe(200);
+
+    const { ceremony_id, options: creationOptions } = options.body.data;
+    return request(app)
+        .post('/api/auth/passkeys/register')
+        .set(asUser(userId))
+        .send({ ceremony_id, response: authenticator.createCredential(creationOptions), name: 'Laptop' });
+};
+
+const startSignIn = async () => {
+    const options = await request(app).post('/api/auth/passkeys/login/options');
+    expect(options.status).toBe(200);
+    return options.body.data;
+};
+
+const signIn = async (authenticator, assertionOptions = {}) => {
+    const { ceremony_id, options } = await startSignIn();
+    return request(app)
+        .post('/api/auth/passkeys/login')
+        .send({ ceremony_id, response: authenticator.getAssertion(options, assertionOptions) });
+};
+
+const storedCredential = (authenticator) =>
+    PasskeyModel.credentials.find(row => row.credential_id === authenticator.id);
+
+beforeEach(() => {
+    mockUsers.clear();
+    mockUsers.set(1, { id: 1, email: 'ada@example.com', password: `hashed:${PASSWORDS[1]}`, full_name: 'Ada Lovelace', status: 'active' });
+    mockUsers.set(2, { id: 2, email: 'grace@example.com', password: `hashed:${PASSWORDS[2]}`, full_name: 'Grace Hopper', status: 'active' });
+    mockUsers.set(3, { id: 3, email: 'linus@example.com', password: null, full_name: 'Linus', status: 'active' });
+    PasskeyModel.credentials.length = 0;
+    PasskeyModel.challenges.clear();
+    SessionService.startSession.mockClear();
+    SecurityEventService.record.mockClear();
+    EmailService.send.mockClear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('passkey registration', () => {
+    it('stores the credential created by the authenticator', async () => {
+        const authenticator = new SoftwareAuthenticator();
+
+        const res = await registerPasskey(authenticator);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.passkey).toMatchObject({ name: 'Laptop' });
+        expect(storedCredential(authenticator)).toMatchObject({ user_id: 1, counter: 0 });
+    });
+
+    it('excludes passkeys already registered to the user', async () => {
+        const authenticator = new SoftwareAuthenticator();
+        await registerPasskey(authenticator);
+
+        const res = await startRegistration(1);
+
+        expect(res.body.data.options.excludeCredentials).toEqual([
+            expect.objectContaining({ id: authenticator.id })
+        ]);
+    });
+
+    it('rejects a ceremony that has expired', async () => {
+        const options = await startRegistration(1);
+        const { ceremony_id, options: creationOptions } = options.body.data;
+
+        expireCeremonies();
+        const res = await request(app)
+            .post('/api/auth/passkeys/register')
+            .set(asUser(1))
+            .send({ ceremony_id, response: new SoftwareAuthenticator().createCredential(creationOptions) });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/registration has expired/);
+        expect(PasskeyModel.credentials).toHaveLength(0);
+    });
+
+    it('does not let a ceremony be used twice', async () => {
+        const options = await startRegistration(1);
+        const { ceremony_id, options: creationOptions } = options.body.data;
+        const send = (authenticator) => request(app)
+            .post('/api/auth/passkeys/register')
+            .set(asUser(1))
+            .send({ ceremony_id, response: authenticator.createCredential(creationOptions) });
+
+        expect((await send(new SoftwareAuthenticator())).status).toBe(201);
+        const replay = await send(new SoftwareAuthenticator());
+
+        expect(replay.status).toBe(400);
+        expect(replay.body.message).toMatch(/registration has expired/);
+        expect(PasskeyModel.credentials).toHaveLength(1);
+    });
+
+    it("rejects finishing another user's ceremony", async () => {
+        const options = await startRegistration(1);
+        const { ceremony_id, options: creationOptions } = options.body.data;
+
+        const res = await request(app)
+            .post('/api/auth/passkeys/register')
+            .set(asUser(2))
+            .send({ ceremony_id, response: new SoftwareAuthenticator().createCredential(creationOptions) });
+
+        expect(res.status).toBe(400);
+        expect(PasskeyModel.credentials).toHaveLength(0);
+    });
+
+    it('rejects a response made for another origin', async () => {
+        const options = await startRegistration(1);
+        const { ceremony_id, options: creationOptions } = options.body.data;
+        const response = new SoftwareAuthenticator().createCredential(creationOptions, { origin: 'https://evil.example' });
+
+        const res = await request(app)
+            .post('/api/auth/passkeys/register')
+            .set(asUser(1))
+            .send({ ceremony_id, response });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Passkey registration could not be verified');
+    });
+
+    it('refuses a credential that is already registered', async () => {
+        const authenticator = new SoftwareAuthenticator();
+        await registerPasskey(authenticator, 1);
+
+        const res = await registerPasskey(authenticator, 2);
+
+        expect(res.status).toBe(409);
+        expect(PasskeyModel.credentials).toHaveLength(1);
+    });
+
+    it('requires a signed-in user', async () => {
+        const res = await request(app).post('/api/auth/passkeys/register/options');
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('passwordless sign-in with a passkey', () => {
+    let authenticator;
+
+    beforeEach(async () => {
+        authenticator = new SoftwareAuthenticator();
+        expect((await registerPasskey(authenticator)).status).toBe(201);
+    });
+
+    it('signs the owner in and stores the new sign counter', async () => {
+        const res = await signIn(authenticator);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.user).toMatchObject({ id: 1 });
+        expect(SessionService.startSession).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), expect.any(Object));
+        expect(storedCredential(authenticator).counter).toBe(1);
+
+        await signIn(authenticator);
+        expect(storedCredential(authenticator).counter).toBe(2);
+    });
+
+    it('rejects a cloned authenticator whose counter falls behind', async () => {
+        expect((await signIn(authenticator)).status).toBe(200);
+        const copy = authenticator.clone();
+        expect((await signIn(authenticator)).status).toBe(200);
+
+        const res = await signIn(copy);
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Passkey could not be verified');
+        expect(storedCredential(authenticator).counter).toBe(2);
+        expect(SessionService.startSession).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects an assertion that repeats the stored counter', async () => {
+        expect((await signIn(authenticator)).status).toBe(200);
+        authenticator.signCount -= 1;
+
+        const res = await signIn(authenticator);
+
+        expect(res.status).toBe(401);
+        expect(storedCredential(authenticator).counter).toBe(1);
+    });
+
+    it('rejects a ceremony that has expired', async () => {
+        const { ceremony_id, options } = await startSignIn();
+        const response = authenticator.getAssertion(options);
+
+        expireCeremonies();
+        const res = await request(app).post('/api/auth/passkeys/login').send({ ceremony_id, response });
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toMatch(/sign-in has expired/);
+        expect(storedCredential(authenticator).counter).toBe(0);
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('does not accept the same ceremony twice', async () => {
+        const { ceremony_id, options } = await startSignIn();
+        const response = authenticator.getAssertion(options);
+
+        expect((await request(app).post('/api/auth/passkeys/login').send({ ceremony_id, response })).status).toBe(200);
+        const replay = await request(app).post('/api/auth/passkeys/login').send({ ceremony_id, response });
+
+        expect(replay.status).toBe(401);
+        expect(replay.body.message).toMatch(/sign-in has expired/);
+    });
+
+    it('does not accept a registration ceremony for sign-in', async () => {
+        const registration = await startRegistration(1);
+        const { ceremony_id, options } = registration.body.data;
+
+        const res = await request(app)
+            .post('/api/auth/passkeys/login')
+            .send({ ceremony_id, response: authenticator.getAssertion(options) });
+
+        expect(res.status).toBe(401);
+    });
+
+    it('requires user verification', async () => {
+        const res = await signIn(authenticator, { userVerified: false });
+
+        expect(res.status).toBe(401);
+        expect(SessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('rejects an assertion signed for another challenge', async () => {
+        const first = await startSignIn();
+        const second = await startSignIn();
+
+        const res = await request(app)
+            .post('/api/auth/passkeys/login')
+            .send({ ceremony_id: second.ceremony_id, response: authenticator.getAssertion(first.options) });
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Passkey could not be verified');
+    });
+
+    it('rejects an unknown credential', async () => {
+        const res = await signIn(new SoftwareAuthenticator());
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Passkey not recognised');
+    });
+});
+
+describe('confirming passkey changes', () => {
+    it('requires the password to start registration', async () => {
+        const missing = await request(app).post('/api/auth/passkeys/register/options').set(asUser(1));
+        const wrong = await startRegistration(1, 'guess');
+
+        expect(missing.status).toBe(400);
+        expect(missing.body.code).toBe('PASSWORD_REQUIRED');
+        expect(wrong.status).toBe(401);
+    });
+
+    it('asks an account without a password to sign in again', async () => {
+        const res = await startRegistration(3);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('REAUTH_REQUIRED');
+    });
+
+    it('records a new passkey and alerts the owner', async () => {
+        await registerPasskey(new SoftwareAuthenticator());
+
+        expect(SecurityEventService.record).toHaveBeenCalledWith(1, 'passkey_registered', expect.any(Object), expect.objectContaining({ name: 'Laptop' }));
+        expect(EmailService.send).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'ada@example.com',
+            template: 'securityAlert',
+            params: expect.objectContaining({ title: 'A passkey was added to your account' })
+        }));
+    });
+
+    it('deletes a passkey once the password is confirmed and alerts the owner', async () => {
+        const authenticator = new SoftwareAuthenticator();
+        await registerPasskey(authenticator);
+        const { id } = storedCredential(authenticator);
+
+        const res = await request(app).delete(`/api/auth/passkeys/${id}`).set(asUser(1)).send({ password: PASSWORDS[1] });
+
+        expect(res.status).toBe(200);
+        expect(PasskeyModel.credentials).toHaveLength(0);
+        expect(SecurityEventService.record).toHaveBeenCalledWith(1, 'passkey_deleted', expect.any(Object), expect.objectContaining({ passkey_id: id }));
+        expect(EmailService.send).toHaveBeenLastCalledWith(expect.objectContaining({
+            params: expect.objectContaining({ title: 'A passkey was removed from your account' })
+        }));
+    });
+
+    it('keeps the passkey without the password', async () => {
+        const authenticator = new SoftwareAuthenticator();
+        await registerPasskey(authenticator);
+
+        const res = await request(app).delete(`/api/auth/passkeys/${storedCredential(authenticator).id}`).set(asUser(1));
+
+        expect(res.status).toBe(400);
+        expect(PasskeyModel.credentials).toHaveLength(1);
+    });
+});
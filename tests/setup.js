@@ -0,0 +1,6 @@
+// tests/setup.js
+// Environment every spec runs with; set before any src module is loaded
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+// Specs run many sign-ins from one address
+process.env.RATE_LIMIT_ENABLED = 'false';